@@ -0,0 +1,181 @@
+// src-tauri/src/build_jobs.rs
+//
+// npm scripts run as background jobs with their output streamed to the window.
+//
+// `start` spawns npm and returns at once. Every line the process writes is emitted as a
+// `build-job-output` event, and one `build-job-exit` event follows when it ends, is cancelled
+// or runs past its timeout. src/lib/buildJobs.ts listens on the frontend side.
+//
+// npm runs the actual build as a child process, so stopping a job stops its whole process
+// tree: a process group on Unix, taskkill /T on Windows.
+
+use serde::Serialize;
+use std::collections::HashMap;
+use std::io::{BufRead, BufReader, Read};
+use std::process::{Child, Command, ExitStatus, Stdio};
+use std::sync::atomic::{AtomicBool, Ordering};
+use std::sync::{Arc, Mutex};
+use std::thread::{self, JoinHandle};
+use std::time::{Duration, Instant};
+use tauri::{AppHandle, Emitter};
+
+const OUTPUT_EVENT: &str = "build-job-output";
+const EXIT_EVENT: &str = "build-job-exit";
+const POLL_INTERVAL: Duration = Duration::from_millis(100);
+// Time a stopped job gets to exit on SIGTERM before it is killed
+const KILL_GRACE: Duration = Duration::from_secs(3);
+
+#[derive(Serialize, Clone)]
+#[serde(rename_all = "camelCase")]
+struct JobOutput {
+  job_id: String,
+  stream: &'static str,
+  line: String,
+}
+
+#[derive(Serialize, Clone)]
+#[serde(rename_all = "camelCase")]
+struct JobExit {
+  job_id: String,
+  success: bool,
+  code: Option<i32>,
+  cancelled: bool,
+  timed_out: bool,
+  error: Option<String>,
+}
+
+/// Running jobs by id, each with its cancel flag
+#[derive(Default)]
+pub struct BuildJobs {
+  running: Arc<Mutex<HashMap<String, Arc<AtomicBool>>>>,
+}
+
+impl BuildJobs {
+  /// Run `npm <args>` in `dir` as the job `job_id`, stopping it after `timeout`
+  pub fn start(&self, app: AppHandle, job_id: String, dir: String, args: Vec<String>, timeout: Option<Duration>) -> Result<(), String> {
+    let mut running = self.running.lock().map_err(|e| e.to_string())?;
+    if running.contains_key(&job_id) {
+      return Err(format!("Job {} is already running", job_id));
+    }
+    let mut child = spawn_npm(&dir, &args)?;
+    let cancel = Arc::new(AtomicBool::new(false));
+    running.insert(job_id.clone(), cancel.clone());
+    drop(running);
+
+    let readers: Vec<JoinHandle<()>> = [
+      child.stdout.take().map(|out| stream_lines(app.clone(), job_id.clone(), "stdout", out)),
+      child.stderr.take().map(|err| stream_lines(app.clone(), job_id.clone(), "stderr", err)),
+    ]
+    .into_iter()
+    .flatten()
+    .collect();
+
+    let running = self.running.clone();
+    thread::spawn(move || {
+      let (status, timed_out) = wait(&mut child, &cancel, timeout);
+      // Everything the process wrote is emitted before the exit event
+      for reader in readers {
+        let _ = reader.join();
+      }
+      if let Ok(mut running) = running.lock() {
+        running.remove(&job_id);
+      }
+      let cancelled = cancel.load(Ordering::SeqCst) && !timed_out;
+      let exit = match status {
+        Ok(status) => JobExit {
+          job_id,
+          success: status.success() && !cancelled && !timed_out,
+          code: status.code(),
+          cancelled,
+          timed_out,
+          error: None,
+        },
+        Err(error) => JobExit { job_id, success: false, code: None, cancelled, timed_out, error: Some(error) },
+      };
+      let _ = app.emit(EXIT_EVENT, exit);
+    });
+    Ok(())
+  }
+
+  /// Ask a running job to stop; false when no job has that id
+  pub fn cancel(&self, job_id: &str) -> bool {
+    match self.running.lock() {
+      Ok(running) => running.get(job_id).map(|flag| flag.store(true, Ordering::SeqCst)).is_some(),
+      Err(_) => false,
+    }
+  }
+}
+
+fn spawn_npm(dir: &str, args: &[String]) -> Result<Child, String> {
+  // Windows runs npm via npm.cmd
+  #[cfg(target_os = "windows")]
+  let npm_bin = "npm.cmd";
+  #[cfg(not(target_os = "windows"))]
+  let npm_bin = "npm";
+
+  let mut command = Command::new(npm_bin);
+  command
+    .args(args)
+    .current_dir(dir)
+    .stdin(Stdio::null())
+    .stdout(Stdio::piped())
+    .stderr(Stdio::piped());
+  #[cfg(unix)]
+  {
+    use std::os::unix::process::CommandExt;
+    // Its own process group, so the build npm starts can be stopped with it
+    command.process_group(0);
+  }
+  command.spawn().map_err(|e| e.to_string())
+}
+
+fn stream_lines<R: Read + Send + 'static>(app: AppHandle, job_id: String, stream: &'static str, source: R) -> JoinHandle<()> {
+  thread::spawn(move || {
+    // Split on bytes so output that is not UTF-8 does not end the stream
+    for line in BufReader::new(source).split(b'\n') {
+      let Ok(line) = line else { break };
+      let line = String::from_utf8_lossy(&line).trim_end_matches('\r').to_string();
+      let _ = app.emit(OUTPUT_EVENT, JobOutput { job_id: job_id.clone(), stream, line });
+    }
+  })
+}
+
+/// Wait for the process, stopping it when cancelled or past the timeout; true when it timed out
+fn wait(child: &mut Child, cancel: &AtomicBool, timeout: Option<Duration>) -> (Result<ExitStatus, String>, bool) {
+  let started = Instant::now();
+  loop {
+    match child.try_wait() {
+      Ok(Some(status)) => return (Ok(status), false),
+      Ok(None) => {}
+      Err(e) => return (Err(e.to_string()), false),
+    }
+    let timed_out = timeout.map_or(false, |limit| started.elapsed() >= limit);
+    if timed_out || cancel.load(Ordering::SeqCst) {
+      return (stop(child), timed_out);
+    }
+    thread::sleep(POLL_INTERVAL);
+  }
+}
+
+#[cfg(unix)]
+fn stop(child: &mut Child) -> Result<ExitStatus, String> {
+  let group = format!("-{}", child.id());
+  let _ = Command::new("kill").args(["-TERM", "--", &group]).status();
+  let deadline = Instant::now() + KILL_GRACE;
+  while Instant::now() < deadline {
+    if let Ok(Some(status)) = child.try_wait() {
+      return Ok(status);
+    }
+    thread::sleep(POLL_INTERVAL);
+  }
+  let _ = Command::new("kill").args(["-KILL", "--", &group]).status();
+  let _ = child.kill();
+  child.wait().map_err(|e| e.to_string())
+}
+
+#[cfg(windows)]
+fn stop(child: &mut Child) -> Result<ExitStatus, String> {
+  let _ = Command::new("taskkill").args(["/PID", &child.id().to_string(), "/T", "/F"]).status();
+  let _ = child.kill();
+  child.wait().map_err(|e| e.to_string())
+}
@@ -0,0 +1,150 @@
+// src-tauri/src/license_crypto.rs
+//
+// License key generation, signing and verification.
+//
+// Keys are PEM (SPKI public, PKCS#8 private); bare base64 DER is accepted as well.
+// Signatures are base64 and byte-compatible with WebCrypto, so licensing.ts can verify
+// them without the backend:
+//   RSA-2048 / RSA-4096     RSA-PSS, salt length = hash length
+//   ECDSA-P256 / ECDSA-P384 ECDSA over the chosen hash, r || s (IEEE P1363)
+
+use base64::{Engine as _, engine::general_purpose};
+use rand_core::OsRng;
+use rsa::pkcs8::{DecodePrivateKey, DecodePublicKey, EncodePrivateKey, EncodePublicKey, LineEnding};
+use rsa::pss::{BlindedSigningKey, VerifyingKey as PssVerifyingKey};
+use rsa::signature::{RandomizedSigner, SignatureEncoding, Verifier};
+use rsa::{RsaPrivateKey, RsaPublicKey};
+use sha2::{Digest, Sha256, Sha384, Sha512};
+use sha2::digest::FixedOutputReset;
+
+pub struct KeyPair {
+  pub public_key: String,
+  pub private_key: String,
+}
+
+pub fn generate_key_pair(algorithm: &str) -> Result<KeyPair, String> {
+  match algorithm {
+    "RSA-2048" | "RSA-4096" => {
+      let bits = if algorithm == "RSA-4096" { 4096 } else { 2048 };
+      let private_key = RsaPrivateKey::new(&mut OsRng, bits).map_err(|e| e.to_string())?;
+      let public_key = RsaPublicKey::from(&private_key);
+      Ok(KeyPair {
+        public_key: public_key.to_public_key_pem(LineEnding::LF).map_err(|e| e.to_string())?,
+        private_key: private_key.to_pkcs8_pem(LineEnding::LF).map_err(|e| e.to_string())?.to_string(),
+      })
+    }
+    "ECDSA-P256" => {
+      let signing_key = p256::ecdsa::SigningKey::random(&mut OsRng);
+      Ok(KeyPair {
+        public_key: signing_key.verifying_key().to_public_key_pem(LineEnding::LF).map_err(|e| e.to_string())?,
+        private_key: signing_key.to_pkcs8_pem(LineEnding::LF).map_err(|e| e.to_string())?.to_string(),
+      })
+    }
+    "ECDSA-P384" => {
+      let signing_key = p384::ecdsa::SigningKey::random(&mut OsRng);
+      Ok(KeyPair {
+        public_key: signing_key.verifying_key().to_public_key_pem(LineEnding::LF).map_err(|e| e.to_string())?,
+        private_key: signing_key.to_pkcs8_pem(LineEnding::LF).map_err(|e| e.to_string())?.to_string(),
+      })
+    }
+    _ => Err(format!("Unsupported algorithm: {}", algorithm)),
+  }
+}
+
+pub fn sign(payload: &[u8], private_key: &str, algorithm: &str, hash_algorithm: &str) -> Result<String, String> {
+  let der = decode_key(private_key)?;
+  let signature = match algorithm {
+    "RSA-2048" | "RSA-4096" => {
+      let key = RsaPrivateKey::from_pkcs8_der(&der).map_err(|e| format!("Invalid RSA private key: {}", e))?;
+      match hash_algorithm {
+        "SHA-256" => rsa_pss_sign::<Sha256>(key, payload),
+        "SHA-384" => rsa_pss_sign::<Sha384>(key, payload),
+        "SHA-512" => rsa_pss_sign::<Sha512>(key, payload),
+        _ => return Err(format!("Unsupported hash algorithm: {}", hash_algorithm)),
+      }
+    }
+    "ECDSA-P256" => {
+      use p256::ecdsa::signature::hazmat::PrehashSigner;
+      let key = p256::ecdsa::SigningKey::from_pkcs8_der(&der).map_err(|e| format!("Invalid P-256 private key: {}", e))?;
+      let signature: p256::ecdsa::Signature = key.sign_prehash(&digest(payload, hash_algorithm)?).map_err(|e| e.to_string())?;
+      signature.to_bytes().to_vec()
+    }
+    "ECDSA-P384" => {
+      use p384::ecdsa::signature::hazmat::PrehashSigner;
+      let key = p384::ecdsa::SigningKey::from_pkcs8_der(&der).map_err(|e| format!("Invalid P-384 private key: {}", e))?;
+      let signature: p384::ecdsa::Signature = key.sign_prehash(&digest(payload, hash_algorithm)?).map_err(|e| e.to_string())?;
+      signature.to_bytes().to_vec()
+    }
+    _ => return Err(format!("Unsupported algorithm: {}", algorithm)),
+  };
+  Ok(general_purpose::STANDARD.encode(signature))
+}
+
+/// Ok(false) for a signature that does not match; Err only for unusable keys or settings
+pub fn verify(payload: &[u8], signature: &str, public_key: &str, algorithm: &str, hash_algorithm: &str) -> Result<bool, String> {
+  let der = decode_key(public_key)?;
+  let signature = match general_purpose::STANDARD.decode(signature.trim()) {
+    Ok(bytes) => bytes,
+    Err(_) => return Ok(false),
+  };
+  match algorithm {
+    "RSA-2048" | "RSA-4096" => {
+      let key = RsaPublicKey::from_public_key_der(&der).map_err(|e| format!("Invalid RSA public key: {}", e))?;
+      match hash_algorithm {
+        "SHA-256" => Ok(rsa_pss_verify::<Sha256>(key, payload, &signature)),
+        "SHA-384" => Ok(rsa_pss_verify::<Sha384>(key, payload, &signature)),
+        "SHA-512" => Ok(rsa_pss_verify::<Sha512>(key, payload, &signature)),
+        _ => Err(format!("Unsupported hash algorithm: {}", hash_algorithm)),
+      }
+    }
+    "ECDSA-P256" => {
+      use p256::ecdsa::signature::hazmat::PrehashVerifier;
+      let key = p256::ecdsa::VerifyingKey::from_public_key_der(&der).map_err(|e| format!("Invalid P-256 public key: {}", e))?;
+      let hashed = digest(payload, hash_algorithm)?;
+      Ok(p256::ecdsa::Signature::from_slice(&signature).map_or(false, |sig| key.verify_prehash(&hashed, &sig).is_ok()))
+    }
+    "ECDSA-P384" => {
+      use p384::ecdsa::signature::hazmat::PrehashVerifier;
+      let key = p384::ecdsa::VerifyingKey::from_public_key_der(&der).map_err(|e| format!("Invalid P-384 public key: {}", e))?;
+      let hashed = digest(payload, hash_algorithm)?;
+      Ok(p384::ecdsa::Signature::from_slice(&signature).map_or(false, |sig| key.verify_prehash(&hashed, &sig).is_ok()))
+    }
+    _ => Err(format!("Unsupported algorithm: {}", algorithm)),
+  }
+}
+
+fn rsa_pss_sign<D: Digest + FixedOutputReset>(key: RsaPrivateKey, payload: &[u8]) -> Vec<u8> {
+  BlindedSigningKey::<D>::new(key).sign_with_rng(&mut OsRng, payload).to_vec()
+}
+
+fn rsa_pss_verify<D: Digest + FixedOutputReset>(key: RsaPublicKey, payload: &[u8], signature: &[u8]) -> bool {
+  match rsa::pss::Signature::try_from(signature) {
+    Ok(sig) => PssVerifyingKey::<D>::new(key).verify(payload, &sig).is_ok(),
+    Err(_) => false,
+  }
+}
+
+fn digest(payload: &[u8], hash_algorithm: &str) -> Result<Vec<u8>, String> {
+  match hash_algorithm {
+    "SHA-256" => Ok(Sha256::digest(payload).to_vec()),
+    "SHA-384" => Ok(Sha384::digest(payload).to_vec()),
+    "SHA-512" => Ok(Sha512::digest(payload).to_vec()),
+    _ => Err(format!("Unsupported hash algorithm: {}", hash_algorithm)),
+  }
+}
+
+/// DER bytes of a PEM block, or of bare base64 as produced by older studio versions
+fn decode_key(key: &str) -> Result<Vec<u8>, String> {
+  let body: String = key
+    .lines()
+    .filter(|line| !line.starts_with("-----"))
+    .collect::<Vec<_>>()
+    .join("")
+    .chars()
+    .filter(|c| !c.is_whitespace())
+    .collect();
+  if body.is_empty() {
+    return Err("Key is empty".to_string());
+  }
+  general_purpose::STANDARD.decode(body).map_err(|_| "Key is not valid PEM or base64".to_string())
+}
@@ -0,0 +1,360 @@
+// src-tauri/src/license_key.rs
+//
+// License key decoding, mirroring src/lib/licenseKey.ts.
+//
+// v1 keys are `LYC-` followed by base64 of `{ payload, signature, version, algorithm }` JSON.
+// v2 keys are `LYC2-` followed by Crockford base32 in dash-separated groups, of:
+//   version (2) | algorithm | payload length (varint) | payload | signature | CRC-32
+// The payload is the compact binary form of its JSON described in licenseKey.ts; WORDS and
+// the tags below must stay in step with that file. Case, dashes and whitespace are ignored,
+// O reads as 0 and I or L as 1.
+//
+// Decoding does not verify anything; use verified_license before trusting a key.
+
+use base64::{Engine as _, engine::general_purpose};
+use serde_json::{Map, Number, Value};
+use crate::license_crypto;
+
+const PREFIX_V1: &str = "LYC-";
+const PREFIX_V2: &str = "LYC2-";
+const FORMAT_VERSION: u8 = 2;
+const BASE32_ALPHABET: &[u8] = b"0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const ALGORITHMS: [&str; 4] = ["RSA-2048", "RSA-4096", "ECDSA-P256", "ECDSA-P384"];
+const MAX_DEPTH: usize = 32;
+
+const WORDS: &[&str] = &[
+  // License payload
+  "id", "pluginId", "tierId", "userId", "userEmail", "issuedAt", "expiresAt", "features", "maxUsers", "metadata",
+  "tierName", "tierPrice", "tierCurrency", "stackable", "nodeLocking", "tolerance",
+  "machine", "components", "activatedAt", "activationOf",
+  // Metadata from the ledger and the license server
+  "issuedBy", "customerName", "batchId", "replaces", "orderId", "trial", "trialDays", "upgradedFrom", "transferredFrom",
+  "studio-ledger", "local-license-server",
+  // Fingerprint components
+  "machineId", "hostname", "platform", "cpuCount", "cpuModel", "language", "timeZone", "screen",
+  // Currencies
+  "USD", "EUR", "GBP",
+];
+
+const TAG_NULL: u8 = 0;
+const TAG_FALSE: u8 = 1;
+const TAG_TRUE: u8 = 2;
+const TAG_UNSIGNED: u8 = 3;
+const TAG_NEGATIVE: u8 = 4;
+const TAG_FLOAT: u8 = 5;
+const TAG_TEXT: u8 = 6;
+const TAG_WORD: u8 = 7;
+const TAG_TIMESTAMP: u8 = 8;
+const TAG_HEX: u8 = 9;
+const TAG_ARRAY: u8 = 10;
+const TAG_OBJECT: u8 = 11;
+
+/// A decoded license key; nothing in it can be trusted until the signature is verified
+pub struct DecodedKey {
+  pub payload: Value,
+  /// Base64, as license_crypto takes it
+  pub signature: String,
+  /// The algorithm the key names, when it names one
+  pub algorithm: Option<String>,
+}
+
+/// Decode a license key of either version, without verifying its signature
+pub fn decode(license_key: &str) -> Result<DecodedKey, String> {
+  let key = license_key.trim();
+  if key.get(..PREFIX_V2.len()).map_or(false, |prefix| prefix.eq_ignore_ascii_case(PREFIX_V2)) {
+    return decode_v2(&key[PREFIX_V2.len()..]);
+  }
+  if let Some(encoded) = key.strip_prefix(PREFIX_V1) {
+    return decode_v1(encoded);
+  }
+  Err("Invalid license format".to_string())
+}
+
+/// A license payload whose signature has been verified. Only verified_license makes one, so
+/// checks that take it, like machine_fingerprint::check_binding, cannot see an unsigned payload.
+pub struct VerifiedLicense(Value);
+
+impl VerifiedLicense {
+  pub fn payload(&self) -> &Value {
+    &self.0
+  }
+}
+
+/// The license in a key whose signature matches the plugin's public key. Keys are readable
+/// and editable by anyone, so no field may be used before this succeeds.
+pub fn verified_license(license_key: &str, public_key: &str, algorithm: &str, hash_algorithm: &str) -> Result<VerifiedLicense, String> {
+  if public_key.trim().is_empty() {
+    return Err("No public key to verify the license with".to_string());
+  }
+  let key = decode(license_key)?;
+  if let Some(signed_with) = key.algorithm.as_deref().filter(|a| *a != algorithm) {
+    return Err(format!("License is signed with {}, the plugin uses {}", signed_with, algorithm));
+  }
+  // licensing.ts signs canonicalJson(payload): compact, object keys sorted at every level.
+  // serde_json keeps objects sorted by key, so to_string gives the same text.
+  let signed = serde_json::to_string(&key.payload).map_err(|e| e.to_string())?;
+  if !license_crypto::verify(signed.as_bytes(), &key.signature, public_key, algorithm, hash_algorithm)? {
+    return Err("Invalid license signature".to_string());
+  }
+  Ok(VerifiedLicense(key.payload))
+}
+
+fn decode_v1(encoded: &str) -> Result<DecodedKey, String> {
+  let compact: String = encoded.chars().filter(|c| !c.is_whitespace()).collect();
+  let bytes = general_purpose::STANDARD
+    .decode(compact)
+    .map_err(|_| "Invalid license base64".to_string())?;
+  let json = String::from_utf8(bytes).map_err(|_| "Invalid license encoding".to_string())?;
+  let data = serde_json::from_str::<Value>(&json).map_err(|_| "Invalid license JSON".to_string())?;
+  let payload = data
+    .get("payload")
+    .filter(|payload| payload.is_object())
+    .cloned()
+    .ok_or_else(|| "Invalid license payload".to_string())?;
+  let signature = data
+    .get("signature")
+    .and_then(|v| v.as_str())
+    .ok_or_else(|| "Invalid license signature".to_string())?
+    .to_string();
+  let algorithm = data.get("algorithm").and_then(|v| v.as_str()).map(str::to_string);
+  Ok(DecodedKey { payload, signature, algorithm })
+}
+
+fn decode_v2(encoded: &str) -> Result<DecodedKey, String> {
+  let bytes = base32_decode(encoded)?;
+  if bytes.len() < 7 {
+    return Err("License key is incomplete".to_string());
+  }
+  let (data, checksum) = bytes.split_at(bytes.len() - 4);
+  if crc32(data).to_be_bytes() != checksum {
+    return Err("License key checksum does not match; check it for typos".to_string());
+  }
+  if data[0] != FORMAT_VERSION {
+    return Err(format!("Unsupported license key version {}", data[0]));
+  }
+
+  let mut reader = Reader { data, offset: 1 };
+  let algorithm = *ALGORITHMS.get(reader.byte()? as usize).ok_or_else(invalid)?;
+  let length = usize::try_from(reader.varint()?).map_err(|_| invalid())?;
+  let mut payload_reader = Reader { data: reader.take(length)?, offset: 0 };
+  let payload = read_value(&mut payload_reader, 0)?;
+  // Whatever follows the payload is the signature
+  if payload_reader.offset != payload_reader.data.len() || !payload.is_object() || reader.offset == data.len() {
+    return Err(invalid());
+  }
+  Ok(DecodedKey {
+    payload,
+    signature: general_purpose::STANDARD.encode(&data[reader.offset..]),
+    algorithm: Some(algorithm.to_string()),
+  })
+}
+
+fn read_value(reader: &mut Reader, depth: usize) -> Result<Value, String> {
+  if depth > MAX_DEPTH {
+    return Err(invalid());
+  }
+  Ok(match reader.byte()? {
+    TAG_NULL => Value::Null,
+    TAG_FALSE => Value::Bool(false),
+    TAG_TRUE => Value::Bool(true),
+    TAG_UNSIGNED => Value::from(reader.varint()?),
+    TAG_NEGATIVE => Value::from(-i64::try_from(reader.varint()?).map_err(|_| invalid())?),
+    TAG_FLOAT => {
+      let bytes: [u8; 8] = reader.take(8)?.try_into().map_err(|_| invalid())?;
+      Value::Number(Number::from_f64(f64::from_be_bytes(bytes)).ok_or_else(invalid)?)
+    }
+    TAG_TEXT => Value::String(read_text(reader)?),
+    TAG_WORD => Value::String(word(reader.varint()?)?.to_string()),
+    TAG_TIMESTAMP => {
+      let millis = i64::try_from(reader.varint()?).map_err(|_| invalid())?;
+      let time = chrono::DateTime::<chrono::Utc>::from_timestamp_millis(millis).ok_or_else(invalid)?;
+      // The form of JavaScript's toISOString
+      Value::String(time.format("%Y-%m-%dT%H:%M:%S%.3fZ").to_string())
+    }
+    TAG_HEX => {
+      let length = usize::try_from(reader.varint()?).map_err(|_| invalid())?;
+      Value::String(reader.take(length)?.iter().map(|b| format!("{:02x}", b)).collect())
+    }
+    TAG_ARRAY => {
+      let count = reader.varint()?;
+      let mut items = Vec::new();
+      for _ in 0..count {
+        items.push(read_value(reader, depth + 1)?);
+      }
+      Value::Array(items)
+    }
+    TAG_OBJECT => {
+      let count = reader.varint()?;
+      let mut object = Map::new();
+      for _ in 0..count {
+        // Dictionary words by index + 1, other names as 0 and the text
+        let index = reader.varint()?;
+        let key = if index > 0 { word(index - 1)?.to_string() } else { read_text(reader)? };
+        object.insert(key, read_value(reader, depth + 1)?);
+      }
+      Value::Object(object)
+    }
+    _ => return Err(invalid()),
+  })
+}
+
+fn read_text(reader: &mut Reader) -> Result<String, String> {
+  let length = usize::try_from(reader.varint()?).map_err(|_| invalid())?;
+  String::from_utf8(reader.take(length)?.to_vec()).map_err(|_| invalid())
+}
+
+fn word(index: u64) -> Result<&'static str, String> {
+  usize::try_from(index)
+    .ok()
+    .and_then(|index| WORDS.get(index).copied())
+    .ok_or_else(invalid)
+}
+
+fn invalid() -> String {
+  "Invalid license data structure".to_string()
+}
+
+struct Reader<'a> {
+  data: &'a [u8],
+  offset: usize,
+}
+
+impl<'a> Reader<'a> {
+  fn byte(&mut self) -> Result<u8, String> {
+    let value = *self.data.get(self.offset).ok_or_else(invalid)?;
+    self.offset += 1;
+    Ok(value)
+  }
+
+  // Unsigned LEB128
+  fn varint(&mut self) -> Result<u64, String> {
+    let mut value: u64 = 0;
+    let mut shift = 0;
+    loop {
+      let b = self.byte()?;
+      if shift > 56 {
+        return Err(invalid());
+      }
+      value |= u64::from(b & 0x7f) << shift;
+      if b < 0x80 {
+        return Ok(value);
+      }
+      shift += 7;
+    }
+  }
+
+  fn take(&mut self, length: usize) -> Result<&'a [u8], String> {
+    let end = self
+      .offset
+      .checked_add(length)
+      .filter(|end| *end <= self.data.len())
+      .ok_or_else(invalid)?;
+    let slice = &self.data[self.offset..end];
+    self.offset = end;
+    Ok(slice)
+  }
+}
+
+fn base32_decode(text: &str) -> Result<Vec<u8>, String> {
+  let mut bytes = Vec::new();
+  let mut buffer: u32 = 0;
+  let mut bits = 0;
+  for c in text.chars() {
+    if c == '-' || c.is_whitespace() {
+      continue;
+    }
+    let c = match c.to_ascii_uppercase() {
+      'O' => '0',
+      'I' | 'L' => '1',
+      c => c,
+    };
+    let value = BASE32_ALPHABET
+      .iter()
+      .position(|&a| char::from(a) == c)
+      .ok_or_else(|| format!("License key contains an invalid character: {}", c))?;
+    buffer = ((buffer << 5) | value as u32) & 0xfff;
+    bits += 5;
+    if bits >= 8 {
+      bytes.push((buffer >> (bits - 8)) as u8);
+      bits -= 8;
+    }
+  }
+  Ok(bytes)
+}
+
+fn crc32(bytes: &[u8]) -> u32 {
+  let mut crc = 0xffff_ffffu32;
+  for &b in bytes {
+    crc ^= u32::from(b);
+    for _ in 0..8 {
+      crc = if crc & 1 != 0 { 0xedb8_8320 ^ (crc >> 1) } else { crc >> 1 };
+    }
+  }
+  !crc
+}
+
+#[cfg(test)]
+mod tests {
+  use super::*;
+  use serde_json::json;
+
+  const ALGORITHM: &str = "ECDSA-P256";
+  const HASH: &str = "SHA-256";
+
+  // A v1 key, signed the way licensing.ts signs: over the payload's canonical JSON
+  fn signed_key(payload: &Value, signature_of: &Value, private_key: &str) -> String {
+    let signature = license_crypto::sign(serde_json::to_string(signature_of).unwrap().as_bytes(), private_key, ALGORITHM, HASH).unwrap();
+    let data = json!({ "payload": payload, "signature": signature, "version": "1.0", "algorithm": ALGORITHM });
+    format!("{}{}", PREFIX_V1, general_purpose::STANDARD.encode(data.to_string()))
+  }
+
+  fn node_locked_payload() -> Value {
+    json!({
+      "id": "lic_test",
+      "pluginId": "test-plugin",
+      "tierId": "pro",
+      "issuedAt": "2026-01-01T00:00:00.000Z",
+      "features": ["export"],
+      "maxUsers": 1,
+      "nodeLocking": { "tolerance": 0 },
+      "machine": { "machineId": "other", "components": { "machineId": "0000000000000000" } }
+    })
+  }
+
+  #[test]
+  fn accepts_a_key_signed_with_the_plugin_key() {
+    let keys = license_crypto::generate_key_pair(ALGORITHM).unwrap();
+    let payload = node_locked_payload();
+    let key = signed_key(&payload, &payload, &keys.private_key);
+    let license = verified_license(&key, &keys.public_key, ALGORITHM, HASH).unwrap();
+    assert_eq!(license.payload(), &payload);
+  }
+
+  #[test]
+  fn rejects_a_key_with_its_machine_binding_removed() {
+    let keys = license_crypto::generate_key_pair(ALGORITHM).unwrap();
+    let signed = node_locked_payload();
+    let mut tampered = signed.clone();
+    let fields = tampered.as_object_mut().unwrap();
+    fields.remove("machine");
+    fields.remove("nodeLocking");
+
+    // Unverified, the tampered payload would pass the binding check on any machine
+    let key = signed_key(&tampered, &signed, &keys.private_key);
+    assert_eq!(decode(&key).unwrap().payload, tampered);
+    assert_eq!(
+      verified_license(&key, &keys.public_key, ALGORITHM, HASH).err(),
+      Some("Invalid license signature".to_string())
+    );
+  }
+
+  #[test]
+  fn rejects_a_key_signed_with_another_key() {
+    let keys = license_crypto::generate_key_pair(ALGORITHM).unwrap();
+    let forger = license_crypto::generate_key_pair(ALGORITHM).unwrap();
+    let payload = node_locked_payload();
+    let key = signed_key(&payload, &payload, &forger.private_key);
+    assert!(verified_license(&key, &keys.public_key, ALGORITHM, HASH).is_err());
+    assert!(verified_license(&key, "", ALGORITHM, HASH).is_err());
+  }
+}
@@ -0,0 +1,158 @@
+// src-tauri/src/machine_fingerprint.rs
+//
+// Machine fingerprints for node-locked licenses.
+//
+// A fingerprint is a set of named components, each the first 16 hex digits of
+// SHA-256("name:value") for one identifier of this machine, so licenses never carry the raw
+// values. Its id is the SHA-256 of the "name=hash" lines in name order. machineFingerprint.ts
+// computes ids and compares bindings the same way.
+//
+// A license bound to a machine stays valid while at most `nodeLocking.tolerance` of its
+// components differ here, and at least one still matches.
+
+use serde::Serialize;
+use sha2::{Digest, Sha256};
+use std::collections::BTreeMap;
+use std::process::Command;
+use std::sync::OnceLock;
+use crate::license_key::VerifiedLicense;
+
+#[derive(Serialize, Clone)]
+pub struct Fingerprint {
+  pub id: String,
+  pub components: BTreeMap<String, String>,
+}
+
+/// The fingerprint of this machine, gathered once per run
+pub fn current() -> &'static Fingerprint {
+  static CURRENT: OnceLock<Fingerprint> = OnceLock::new();
+  CURRENT.get_or_init(gather)
+}
+
+/// Ok when the license needs no activation or is bound to this machine. It takes a verified
+/// license: an unsigned payload could simply leave the binding out.
+pub fn check_binding(license: &VerifiedLicense) -> Result<(), String> {
+  let payload = license.payload();
+  let node_locking = payload.get("nodeLocking").filter(|v| v.is_object());
+  let machine = match payload.get("machine").filter(|v| v.is_object()) {
+    Some(machine) => machine,
+    None if node_locking.is_some() => return Err("License has not been activated on this machine".to_string()),
+    None => return Ok(()),
+  };
+
+  let bound = match machine.get("components").and_then(|v| v.as_object()) {
+    Some(components) if !components.is_empty() => components,
+    _ => return Err("License machine binding is invalid".to_string()),
+  };
+  let tolerance = node_locking
+    .and_then(|n| n.get("tolerance"))
+    .and_then(|v| v.as_u64())
+    .unwrap_or(0) as usize;
+
+  let here = current();
+  let changed = bound
+    .iter()
+    .filter(|(name, hash)| match (hash.as_str(), here.components.get(name.as_str())) {
+      (Some(expected), Some(actual)) => expected != actual.as_str(),
+      _ => true,
+    })
+    .count();
+  if changed > tolerance || changed == bound.len() {
+    return Err(format!(
+      "License is activated on a different machine ({} of {} hardware components changed, {} allowed)",
+      changed,
+      bound.len(),
+      tolerance
+    ));
+  }
+  Ok(())
+}
+
+fn gather() -> Fingerprint {
+  let mut raw: BTreeMap<&str, String> = BTreeMap::new();
+  if let Some(id) = machine_id() {
+    raw.insert("machineId", id);
+  }
+  if let Some(name) = command_output("hostname", &[]) {
+    raw.insert("hostname", name.to_lowercase());
+  }
+  raw.insert("platform", format!("{}-{}", std::env::consts::OS, std::env::consts::ARCH));
+  raw.insert(
+    "cpuCount",
+    std::thread::available_parallelism().map(|n| n.get()).unwrap_or(1).to_string(),
+  );
+  if let Some(model) = cpu_model() {
+    raw.insert("cpuModel", model);
+  }
+
+  let components: BTreeMap<String, String> = raw
+    .into_iter()
+    .map(|(name, value)| (name.to_string(), hex(&Sha256::digest(format!("{}:{}", name, value.trim())))[..16].to_string()))
+    .collect();
+  let lines: Vec<String> = components.iter().map(|(name, hash)| format!("{}={}", name, hash)).collect();
+  Fingerprint {
+    id: hex(&Sha256::digest(lines.join("\n"))),
+    components,
+  }
+}
+
+#[cfg(target_os = "linux")]
+fn machine_id() -> Option<String> {
+  ["/etc/machine-id", "/var/lib/dbus/machine-id"]
+    .iter()
+    .find_map(|path| std::fs::read_to_string(path).ok())
+    .map(|id| id.trim().to_string())
+    .filter(|id| !id.is_empty())
+}
+
+#[cfg(target_os = "macos")]
+fn machine_id() -> Option<String> {
+  let output = command_output("ioreg", &["-rd1", "-c", "IOPlatformExpertDevice"])?;
+  output
+    .lines()
+    .find(|line| line.contains("IOPlatformUUID"))
+    .and_then(|line| line.split('"').nth(3))
+    .map(|id| id.to_string())
+}
+
+#[cfg(target_os = "windows")]
+fn machine_id() -> Option<String> {
+  let output = command_output("reg", &["query", r"HKLM\SOFTWARE\Microsoft\Cryptography", "/v", "MachineGuid"])?;
+  output
+    .lines()
+    .find(|line| line.contains("MachineGuid"))
+    .and_then(|line| line.split_whitespace().last())
+    .map(|id| id.to_string())
+}
+
+#[cfg(not(any(target_os = "linux", target_os = "macos", target_os = "windows")))]
+fn machine_id() -> Option<String> {
+  None
+}
+
+fn cpu_model() -> Option<String> {
+  if cfg!(target_os = "linux") {
+    std::fs::read_to_string("/proc/cpuinfo").ok()?
+      .lines()
+      .find(|line| line.starts_with("model name") || line.starts_with("Hardware"))
+      .and_then(|line| line.split(':').nth(1))
+      .map(|model| model.trim().to_string())
+  } else if cfg!(target_os = "macos") {
+    command_output("sysctl", &["-n", "machdep.cpu.brand_string"])
+  } else {
+    std::env::var("PROCESSOR_IDENTIFIER").ok()
+  }
+}
+
+fn command_output(program: &str, args: &[&str]) -> Option<String> {
+  let output = Command::new(program).args(args).output().ok()?;
+  if !output.status.success() {
+    return None;
+  }
+  let text = String::from_utf8_lossy(&output.stdout).trim().to_string();
+  if text.is_empty() { None } else { Some(text) }
+}
+
+fn hex(bytes: &[u8]) -> String {
+  bytes.iter().map(|b| format!("{:02x}", b)).collect()
+}
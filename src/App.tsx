@@ -12,7 +12,6 @@ import {
   readPlugin,
   savePlugin,
   exportBuiltPluginToDownloads,
-  buildSimulatorPreviewHtml,
   openLycpPluginFromDisk,
   validatePluginDoc,
   addBuild,
@@ -28,7 +27,23 @@ import {
   getPluginBuildHistory,
   updatePluginScriptsToESModule,
   installDependencies,
+  getUnlockedKeystore,
+  getBuildFilePath,
+  readBuildLog,
+  setBuildPinned,
+  setBuildRetention,
+  readBuildRegistry,
+  BuildRecord,
+  RetentionPolicy,
 } from './lib/studio';
+import { licensingSecrets } from './lib/keystore';
+import { findSecretLeaks } from './lib/exportSanitizer';
+import { BuildGenerator, hashPluginDoc } from './lib/buildManifest';
+import { PackageVerification, describePackageTrust } from './lib/packageSigning';
+import { BuildJob, BuildJobStopped, BuildPhase, BUILD_PHASE_LABELS } from './lib/buildJobs';
+import { generateFrontendFromGui, bumpVersion, classifyBuildFailure, checkExportedMetadata, prepareRevocationList } from './lib/pluginBuild';
+import { buildCentcomPreviewHtml, parseSimulatorStubs, DEFAULT_SIMULATOR_STUBS } from './lib/simulatorRuntime';
+import { CommandMocks, getPluginMocks, setPluginMocks, parseCommandMocks, addMissingMocks, checkMocks } from './lib/mockBackend';
 import PluginMetadataEditor from './components/PluginMetadataEditor.jsx';
 import VersionEditor from './components/VersionEditor.jsx';
 import LicensingPanel from './components/LicensingPanel.jsx';
@@ -36,7 +51,10 @@ import LicensingPanel from './components/LicensingPanel.jsx';
 import CentcomDemo from './components/CentcomDemo.jsx';
 import PluginGUIBuilder from './components/PluginGUIBuilder.jsx';
 import BuildLogViewer from './components/BuildLogViewer.jsx';
+import PackageSigningSettings from './components/PackageSigningSettings.jsx';
 import TestPanel from './components/TestPanel.jsx';
+import SequencerEditor from './components/SequencerEditor.jsx';
+import SequencerRunner from './components/SequencerRunner.jsx';
 import {
   PuzzlePieceIcon,
   Cog6ToothIcon,
@@ -105,6 +123,19 @@ function useTheme() {
   } as const;
 }
 
+// Simulator log lines for an imported package's signature check
+function packageTrustLogs(verification: PackageVerification): string[] {
+  const level = verification.trust === 'trusted' ? 'INFO' : verification.trust === 'tampered' ? 'ERROR' : 'WARN';
+  return [`[${level}] ${describePackageTrust(verification)}`, ...verification.problems.map((p) => `[${level}] ${p}`)];
+}
+
+const PACKAGE_TRUST_STYLES: Record<PackageVerification['trust'], string> = {
+  trusted: 'bg-green-50 text-green-800 border-green-200 dark:bg-green-900/20 dark:text-green-300 dark:border-green-800',
+  untrusted: 'bg-yellow-50 text-yellow-800 border-yellow-200 dark:bg-yellow-900/20 dark:text-yellow-300 dark:border-yellow-800',
+  unsigned: 'bg-yellow-50 text-yellow-800 border-yellow-200 dark:bg-yellow-900/20 dark:text-yellow-300 dark:border-yellow-800',
+  tampered: 'bg-red-50 text-red-800 border-red-200 dark:bg-red-900/20 dark:text-red-300 dark:border-red-800',
+};
+
 export default function App() {
   const [root, setRoot] = useState<string>('');
   const [plugins, setPlugins] = useState<string[]>([]);
@@ -120,6 +151,8 @@ export default function App() {
   const [activeTab, setActiveTab] = useState<
     'General' | 'App GUI' | 'App Settings' | 'Sequencer Actions' | 'Licensing' | 'Build Settings' | 'Test'
   >('General');
+  // Component a test error was traced to; `at` re-triggers the builder highlight for the same id
+  const [guiHighlight, setGuiHighlight] = useState<{ id: string; at: number } | null>(null);
   const [lastDownloadPath, setLastDownloadPath] = useState<string | null>(null);
   // Simulator state
   const [simPlugin, setSimPlugin] = useState<string | null>(null);
@@ -127,8 +160,19 @@ export default function App() {
   const [simLogs, setSimLogs] = useState<string[]>([]);
   const [simReport, setSimReport] = useState<{ ok: boolean; errors: string[]; warnings: string[]; info: string[] } | null>(null);
   const simFrameRef = React.useRef<HTMLIFrameElement | null>(null);
+  const simFrameUrlRef = React.useRef<string | null>(null);
   const [simSourcePath, setSimSourcePath] = useState<string | null>(null);
-  const [builds, setBuilds] = useState(() => listBuilds());
+  // Signature check of the package loaded from disk; null for workspace plugins
+  const [simVerification, setSimVerification] = useState<PackageVerification | null>(null);
+  // Responses for the simulator's stubbed invoke()/dialog, edited as JSON
+  const [simStubsText, setSimStubsText] = useState<string>(() => localStorage.getItem('simulatorStubs') || JSON.stringify(DEFAULT_SIMULATOR_STUBS, null, 2));
+  // Mock backend of the plugin shown in the simulator; edits override simulator.mocks until saved
+  const [simDoc, setSimDoc] = useState<any | null>(null);
+  const [simMocksText, setSimMocksText] = useState('{}');
+  const [simMocksDirty, setSimMocksDirty] = useState(false);
+  const [simCalls, setSimCalls] = useState<Array<{ at: string; name: string; args?: string; source: string; response?: string; error?: string; durationMs?: number }>>([]);
+  const [builds, setBuilds] = useState<BuildRecord[]>([]);
+  const [buildRetention, setBuildRetentionState] = useState<RetentionPolicy | null>(null);
   const [selectedBuildKeys, setSelectedBuildKeys] = useState<string[]>([]);
   const buildsHeaderCheckboxRef = React.useRef<HTMLInputElement | null>(null);
   const [simModalOpen, setSimModalOpen] = useState(false);
@@ -147,7 +191,7 @@ export default function App() {
   const [pluginKeys, setPluginKeys] = useState<Record<string,string>>({});
   const [pluginSizes, setPluginSizes] = useState<Record<string,number>>({});
   const [pluginVersionMap, setPluginVersionMap] = useState<Record<string,string>>({});
-  const [pluginBuildHistoryMap, setPluginBuildHistoryMap] = useState<Record<string,any[]>>({});
+  const [pluginBuildHistoryMap, setPluginBuildHistoryMap] = useState<Record<string,BuildRecord[]>>({});
   const [editingCell, setEditingCell] = useState<{pluginId: string, column: string} | null>(null);
   const [searchPlugins, setSearchPlugins] = useState('');
   const [searchBuilds, setSearchBuilds] = useState('');
@@ -161,6 +205,8 @@ export default function App() {
   const [showBuildNotification, setShowBuildNotification] = useState(false);
   const [buildLogs, setBuildLogs] = useState<string[]>([]);
   const [showBuildLogs, setShowBuildLogs] = useState(false);
+  const [activeBuildJob, setActiveBuildJob] = useState<BuildJob | null>(null);
+  const [buildPhase, setBuildPhase] = useState<BuildPhase | null>(null);
 
   const [selectedPluginIds, setSelectedPluginIds] = useState<string[]>([]);
   const pluginsHeaderCheckboxRef = React.useRef<HTMLInputElement | null>(null);
@@ -196,15 +242,77 @@ export default function App() {
     const sel = selectedPluginIds.length;
     pluginsHeaderCheckboxRef.current.indeterminate = sel > 0 && sel < total;
   }, [filteredPlugins.length, selectedPluginIds]);
-  
-  // Auto-refresh when tools are opened
+
+  // Simulator iframe reports invoke/dialog calls, console output and errors via postMessage
+  useEffect(() => {
+    const onSimMessage = (event: MessageEvent) => {
+      const data = event.data;
+      if (!data || data.__sim !== true || event.source !== simFrameRef.current?.contentWindow) return;
+      let line: string;
+      switch (data.type) {
+        case 'sim-log': line = `[${String(data.level || 'log').toUpperCase()}] ${data.value}`; break;
+        case 'sim-invoke':
+        case 'sim-dialog': {
+          const result = data.error !== undefined ? `✕ ${data.error}` : `→ ${data.response}`;
+          line = `[${data.type === 'sim-invoke' ? 'INVOKE' : 'DIALOG'}] ${data.name}(${data.args ?? ''}) ${result} (${data.source})`;
+          if (data.type === 'sim-invoke') {
+            const call = { at: new Date().toLocaleTimeString(), name: String(data.name), args: data.args, source: String(data.source), response: data.response, error: data.error, durationMs: data.durationMs };
+            setSimCalls((prev) => [...prev, call]);
+          }
+          break;
+        }
+        case 'sim-data': line = `[DATA] ${data.value}`; break;
+        case 'sim-error': line = `[ERROR] ${data.message}${data.line ? ` (line ${data.line}:${data.column})` : ''}`; break;
+        case 'sim-ready': line = `[${new Date().toLocaleTimeString()}] Plugin ${data.pluginId} mounted`; break;
+        default: return;
+      }
+      setSimLogs((prev) => [...prev, line]);
+    };
+    window.addEventListener('message', onSimMessage);
+    return () => window.removeEventListener('message', onSimMessage);
+  }, []);
+
+  // Load a plugin document into the simulator iframe with the current stub responses
+  async function showInSimulator(doc: any) {
+    let stubs = DEFAULT_SIMULATOR_STUBS;
+    try {
+      stubs = parseSimulatorStubs(simStubsText);
+      localStorage.setItem('simulatorStubs', simStubsText);
+    } catch (e) {
+      setSimLogs((prev) => [...prev, `[ERROR] ${String((e as any)?.message || e)}; using default stubs`]);
+    }
+    let mocks: CommandMocks = getPluginMocks(doc);
+    if (simMocksDirty) {
+      try {
+        mocks = parseCommandMocks(simMocksText);
+      } catch (e) {
+        setSimLogs((prev) => [...prev, `[ERROR] ${String((e as any)?.message || e)}; using the plugin's saved mocks`]);
+      }
+    } else {
+      setSimMocksText(JSON.stringify(mocks, null, 2));
+    }
+    stubs = { ...stubs, mocks };
+    setSimDoc(doc);
+    setSimCalls([]);
+    const html = await buildCentcomPreviewHtml(doc, stubs);
+    if (!simFrameRef.current) return;
+    if (simFrameUrlRef.current) URL.revokeObjectURL(simFrameUrlRef.current);
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    simFrameUrlRef.current = url;
+    simFrameRef.current.src = url;
+  }
+
+  // Auto-refresh when tools are opened; builds are reloaded for the Build button's version check too
   useEffect(() => {
     if (selected === 'pluginsTool' || selected === 'builds') {
       refresh();
-      if (selected === 'builds') {
-        setBuilds(listBuilds());
-      }
     }
+    readBuildRegistry()
+      .then(registry => {
+        setBuilds(registry.builds);
+        setBuildRetentionState(registry.retention);
+      })
+      .catch(error => console.error('Failed to read the build registry:', error));
   }, [selected]);
   const defaultPluginOrder = ['checkbox','key','open','icon','name','version','size','status','license','detected','installed','lastSeen','tags','route'];
   const [pluginColumnOrder, setPluginColumnOrder] = useState<string[]>(() => {
@@ -419,7 +527,7 @@ export default function App() {
     // Load plugin sizes, versions, and build history
     const sizes: Record<string,number> = {};
     const versions: Record<string,string> = {};
-    const buildHistories: Record<string,any[]> = {};
+    const buildHistories: Record<string,BuildRecord[]> = {};
     
     for (const p of list) {
       try {
@@ -529,16 +637,7 @@ export default function App() {
 
   // Function to check if a version already exists in builds
   function versionExists(pluginId: string, version: string): boolean {
-    const existingBuilds = listBuilds();
-    return existingBuilds.some(build => build.pluginId === pluginId && build.version === version);
-  }
-
-  // Function to increment version
-  function incrementVersion(version: string): string {
-    const parts = version.split('.').map(Number);
-    if (parts.length !== 3) return '1.0.1'; // fallback
-    parts[2]++; // increment patch version
-    return parts.join('.');
+    return builds.some(build => build.pluginId === pluginId && build.version === version);
   }
 
   // Function to handle building with name and release notes
@@ -557,6 +656,19 @@ export default function App() {
       currentBuildLogs.push(formattedLog);
       addBuildLog(log); // Also add to React state for UI
     };
+
+    // npm output streams into the log as it is written; the job can be cancelled from the log viewer
+    const job = new BuildJob(selected, {
+      onLine: (stream, line) => {
+        if (line.trim()) addLocalBuildLog(`${stream === 'stderr' ? 'STDERR' : 'STDOUT'}: ${line}`);
+      },
+      onPhase: phase => {
+        setBuildPhase(phase);
+        addLocalBuildLog(`--- ${BUILD_PHASE_LABELS[phase]} ---`);
+      }
+    });
+    setActiveBuildJob(job);
+    let succeeded = false;
     
     // Add initial build logs
     addLocalBuildLog('=== Build Started ===');
@@ -571,13 +683,13 @@ export default function App() {
       const file = await readPlugin(selected);
       const doc = JSON.parse(file.contents);
       const meta = doc?.metadata || {};
-      const existing = listBuilds().find((b) => b.pluginId === (meta.id || selected) && b.version === (meta.version || '1.0.0'));
+      const existing = (await listBuilds()).find((b) => b.pluginId === (meta.id || selected) && b.version === (meta.version || '1.0.0'));
       
       if (existing) {
         const choice = prompt(`A build for ${meta.name || selected} v${meta.version || '1.0.0'} exists. Type 'o' to overwrite or enter a new version to append:`, String(meta.version || '1.0.0'));
         if (choice === null) return;
         if (choice.toLowerCase() === 'o') {
-          deleteBuild(existing.key);
+          setBuilds(await deleteBuild(existing.key));
         } else if (choice && choice !== (meta.version || '1.0.0')) {
           const next = { ...doc, metadata: { ...meta, version: choice } };
           await persist(next);
@@ -585,6 +697,7 @@ export default function App() {
       }
 
       // Validate and auto-fix metadata before building
+      job.enterPhase('validate');
       addLocalBuildLog('Validating plugin metadata...');
       addLocalBuildLog(`Plugin ID: ${doc?.metadata?.id || 'undefined'}`);
       addLocalBuildLog(`Plugin Name: ${doc?.metadata?.name || 'undefined'}`);
@@ -601,42 +714,52 @@ export default function App() {
       }
       
       // Generate frontend code from GUI components if they exist
-      const guiComponents = doc?.gui?.components || [];
-      if (guiComponents.length > 0) {
-        addLocalBuildLog(`Found ${guiComponents.length} GUI components, generating frontend code...`);
-        
-        try {
-          // Always use Simple Generator for safe transpilation
-          const SimpleGuiGeneratorModule = await import('./lib/simpleGuiGenerator.ts');
-          const SimpleGuiGenerator = SimpleGuiGeneratorModule.SimpleGuiGenerator;
-          const { convertToSimpleConfig } = SimpleGuiGeneratorModule;
-          
-          const config = {
-            components: guiComponents,
-            settings: doc?.gui?.settings || { layout: 'tabs', theme: 'default', responsive: true }
-          };
-          
-          // Convert to simple config and generate transpilation-safe code
-          const simpleConfig = convertToSimpleConfig(config);
-          const generatedCode = SimpleGuiGenerator.generateSimpleComponent(simpleConfig, 'PluginGUI');
-          
-          // Update the frontend.main with the generated code
-          if (!doc.frontend) doc.frontend = {};
-          doc.frontend.main = generatedCode;
-          
-          addLocalBuildLog('Generated React component code from GUI design');
-          addLocalBuildLog(`Generated code length: ${generatedCode.length} characters`);
-          
-        } catch (codeGenError: any) {
-          addLocalBuildLog(`WARNING: Failed to generate frontend code: ${codeGenError?.message || String(codeGenError)}`);
-          console.error('Code generation error:', codeGenError);
+      job.enterPhase('generate');
+      const generator: BuildGenerator = { tool: 'studio', frontend: 'source', componentCount: 0 };
+      try {
+        const generated = generateFrontendFromGui(doc);
+        if (generated.code !== null) {
+          generator.frontend = 'simpleGui';
+          generator.componentCount = generated.componentCount;
+          addLocalBuildLog(`Found ${generated.componentCount} GUI components, generated frontend code`);
+          addLocalBuildLog(`Generated code length: ${generated.code.length} characters`);
+        } else {
+          addLocalBuildLog('No GUI components found, using existing frontend code');
         }
-      } else {
-        addLocalBuildLog('No GUI components found, using existing frontend code');
+      } catch (codeGenError: any) {
+        addLocalBuildLog(`WARNING: Failed to generate frontend code: ${codeGenError?.message || String(codeGenError)}`);
+        console.error('Code generation error:', codeGenError);
+      }
+
+      // Signing needs the private key from the keystore; a locked keystore only limits re-signing
+      let secrets = {};
+      try {
+        secrets = await licensingSecrets(doc?.licensing, getUnlockedKeystore());
+      } catch (keystoreError: any) {
+        addLocalBuildLog(`WARNING: ${keystoreError?.message || String(keystoreError)}`);
+      }
+
+      // Ship a revocation list that verifies against the plugin's current key
+      const revocations = await prepareRevocationList(doc, secrets);
+      revocations.messages.forEach(message => addLocalBuildLog(message));
+      if (revocations.errors.length > 0) {
+        revocations.errors.forEach(error => addLocalBuildLog(`ERROR: ${error}`));
+        throw new Error(`Revocation list check failed: ${revocations.errors.join(', ')}`);
+      }
+
+      // Code and metadata ship as they are, so a secret in them fails the build
+      if (doc?.licensing?.keyId && !getUnlockedKeystore()) {
+        addLocalBuildLog('WARNING: The keystore is locked, so only PEM private keys are checked for in code and metadata');
+      }
+      const leaks = findSecretLeaks(doc, secrets);
+      if (leaks.length > 0) {
+        leaks.forEach(leak => addLocalBuildLog(`ERROR: ${leak}`));
+        throw new Error(`Secret leak check failed: ${leaks.join(', ')}`);
       }
       
       // Re-save the plugin with any auto-fixes applied during validation and generated frontend code
       await persist(doc);
+      const inputHash = await hashPluginDoc(doc);
       addLocalBuildLog(`Route after validation: ${doc?.metadata?.route || 'undefined'}`);
       addLocalBuildLog(`Icon after validation: ${doc?.metadata?.icon || 'undefined'}`);
       addLocalBuildLog('Plugin metadata validated and saved');
@@ -644,24 +767,11 @@ export default function App() {
       // Debug: Log the full metadata after validation
       console.log('Full metadata after validation:', JSON.stringify(doc?.metadata, null, 2));
 
-      const r = await runBuild(selected);
+      job.enterPhase('bundle');
+      const r = await runBuild(selected, job);
       
       // Debug: Log the build result
       console.log('Build result:', r);
-      console.log('Build stdout:', r.stdout);
-      console.log('Build stderr:', r.stderr);
-      
-      // Add build output to logs
-      if (r.stdout) {
-        r.stdout.split('\n').forEach(line => {
-          if (line.trim()) addLocalBuildLog(`STDOUT: ${line}`);
-        });
-      }
-      if (r.stderr) {
-        r.stderr.split('\n').forEach(line => {
-          if (line.trim()) addLocalBuildLog(`STDERR: ${line}`);
-        });
-      }
       
       // Add some default logs even if no output
       if (!r.stdout && !r.stderr) {
@@ -674,9 +784,8 @@ export default function App() {
         console.error('Build stdout:', r.stdout || 'No stdout');
         
         // Check if this is an ES module error and try to fix it
-        const errorText = r.stderr || '';
-        if (errorText.includes('require is not defined in ES module scope') || 
-            errorText.includes('can use import instead')) {
+        const failure = classifyBuildFailure(r.stderr || '');
+        if (failure === 'esModule') {
           console.log('Detected ES module error, attempting to fix scripts...');
           showBuildNotificationMessage('building', 'Fixing ES module scripts...');
           const updateResult = await updatePluginScriptsToESModule(selected);
@@ -684,7 +793,7 @@ export default function App() {
             console.log('Scripts updated successfully, retrying build...');
             showBuildNotificationMessage('building', 'Scripts updated, retrying build...');
             // Retry the build
-            const retryResult = await runBuild(selected);
+            const retryResult = await runBuild(selected, job);
             if (!retryResult.success) {
               console.error('Build failed after script update:', retryResult.stderr || 'Build failed');
               console.error('Retry build stdout:', retryResult.stdout || 'No stdout');
@@ -699,17 +808,16 @@ export default function App() {
             showBuildNotificationMessage('error', 'Failed to update scripts. Check console for details.');
             return;
           }
-        } else if (errorText.includes('Cannot find package') && 
-                   (errorText.includes('vite') || errorText.includes('node_modules'))) {
+        } else if (failure === 'missingDependencies') {
           console.log('Detected missing dependencies, installing...');
           showBuildNotificationMessage('building', 'Installing dependencies...');
-          const installResult = await installDependencies(selected);
+          const installResult = await installDependencies(selected, job);
           if (installResult.success) {
             console.log('Dependencies installed successfully, retrying build...');
             console.log('Install output:', installResult.stdout || 'No stdout');
             showBuildNotificationMessage('building', 'Dependencies installed, retrying build...');
             // Retry the build
-            const retryResult = await runBuild(selected);
+            const retryResult = await runBuild(selected, job);
             if (!retryResult.success) {
               console.error('Build failed after dependency install:', retryResult.stderr || 'Build failed');
               console.error('Retry build stdout:', retryResult.stdout || 'No stdout');
@@ -731,9 +839,19 @@ export default function App() {
         }
       }
       
+      job.enterPhase('package');
       addLocalBuildLog('Exporting built plugin to downloads...');
-      const out = await exportBuiltPluginToDownloads(selected);
+      const out = await exportBuiltPluginToDownloads(selected, { generator, inputHash });
       setLastDownloadPath(out.savedPath);
+      out.removed.forEach(field => addLocalBuildLog(`Removed ${field} from the exported plugin`));
+      addLocalBuildLog(out.signedBy
+        ? `Package signed by ${out.signedBy}`
+        : 'WARNING: Package is not signed; unlock the keystore and create an author key in Settings to sign it');
+      if (out.manifest) {
+        addLocalBuildLog(`Build manifest written: ${out.manifest.artifact.file} sha256 ${out.manifest.artifact.sha256}`);
+      } else {
+        addLocalBuildLog('WARNING: No built artifact in dist/, exported the source plugin without a build manifest');
+      }
       addLocalBuildLog(`Plugin exported to: ${out.savedPath}`);
       
       // Validate exported .lycplugin file
@@ -749,15 +867,9 @@ export default function App() {
         addLocalBuildLog(`Exported Icon: ${exportedMeta.icon}`);
         
         // Check for issues that would cause Centcom problems
-        if (!exportedMeta.route || exportedMeta.route.startsWith('#')) {
-          addLocalBuildLog(`ERROR: Exported plugin has invalid route: ${exportedMeta.route}`);
-        }
-        if (!exportedMeta.icon) {
-          addLocalBuildLog(`WARNING: Exported plugin has no icon`);
-        }
-        if (exportedMeta.route !== `/${exportedMeta.id}`) {
-          addLocalBuildLog(`WARNING: Route (${exportedMeta.route}) doesn't match expected (/${exportedMeta.id})`);
-        }
+        const exportIssues = checkExportedMetadata(exportedDoc);
+        exportIssues.errors.forEach(issue => addLocalBuildLog(`ERROR: ${issue}`));
+        exportIssues.warnings.forEach(issue => addLocalBuildLog(`WARNING: ${issue}`));
         
         addLocalBuildLog('=== End Exported Plugin Validation ===');
       } catch (exportValidationError: any) {
@@ -770,13 +882,12 @@ export default function App() {
         const updatedDoc = JSON.parse(updatedFile.contents);
         const m = updatedDoc?.metadata || {};
         
-        // Create build record with name, release notes, and build logs
-        console.log('Current build logs before saving (React state):', buildLogs);
-        console.log('Current build logs before saving (local array):', currentBuildLogs);
-        const record = {
-          key: makeBuildKey(),
+        // Record the build in the workspace registry, which keeps the artifact, manifest and logs
+        const record: BuildRecord = {
+          key: await makeBuildKey(),
           path: out.savedPath,
           pluginId: String(m.id || selected),
+          pluginName: selected,
           name: String(m.name || selected),
           version: String(m.version || '1.0.0'),
           filename: String(out.savedPath.split('\\').pop() || `${selected}.lycplugin`),
@@ -784,43 +895,17 @@ export default function App() {
           icon: m.icon,
           buildName: buildName || 'Unnamed Build',
           releaseNotes: releaseNotes || '',
-          buildLogs: [...currentBuildLogs], // Use local build logs array
+          source: 'studio',
         };
         console.log('Build record being saved:', record);
         
         // Add final completion logs to the local array before saving
         addLocalBuildLog('=== Build Completed Successfully ===');
-        const finalVersion = incrementVersion(m.version || '1.0.0');
+        const finalVersion = bumpVersion(m.version || '1.0.0');
         addLocalBuildLog(`Final version: ${finalVersion}`);
         addLocalBuildLog(`Build record key: ${record.key}`);
         
-        // Update the record with all logs including final ones
-        record.buildLogs = [...currentBuildLogs];
-        
-        addBuild(record);
-        
-        // Add to build history in plugin metadata
-        const buildHistory = await getPluginBuildHistory(selected);
-        const newHistoryEntry = {
-          buildName: buildName || 'Unnamed Build',
-          version: m.version || '1.0.0',
-          releaseNotes: releaseNotes || '',
-          builtAt: new Date().toISOString(),
-          buildKey: record.key
-        };
-        
-        // Update plugin with build history
-        const updatedWithHistory = {
-          ...updatedDoc,
-          metadata: {
-            ...m,
-            buildHistory: [...buildHistory, newHistoryEntry]
-          }
-        };
-        
-        await savePlugin(selected, updatedWithHistory);
-        setPluginDoc(updatedWithHistory);
-        setBuilds(listBuilds());
+        setBuilds(await addBuild(record, { artifactPath: out.savedPath, manifest: out.manifest, logs: [...currentBuildLogs] }));
         
         // Update version and build history for this specific plugin
         try {
@@ -836,15 +921,16 @@ export default function App() {
         
         // Auto-increment version for next build (use the same finalVersion)
         const autoIncrementedDoc = {
-          ...updatedWithHistory,
+          ...updatedDoc,
           metadata: {
-            ...updatedWithHistory.metadata,
+            ...m,
             version: finalVersion
           }
         };
         await savePlugin(selected, autoIncrementedDoc);
         setPluginDoc(autoIncrementedDoc);
         
+        succeeded = true;
         showBuildNotificationMessage('success', `Successfully built ${buildName || 'plugin'}! Version auto-incremented to ${finalVersion}`);
         setBuildModalOpen(false);
       } catch (error) {
@@ -852,17 +938,33 @@ export default function App() {
         showBuildNotificationMessage('error', 'Build completed but failed to save build record. Check console for details.');
       }
     } catch (error) {
+      if (error instanceof BuildJobStopped) {
+        addLocalBuildLog(`=== ${error.message} ===`);
+        showBuildNotificationMessage('error', `${error.message}.`);
+        return;
+      }
       console.error('Build failed:', error);
       console.error('Build error details:', error);
       addLocalBuildLog('=== Build Failed ===');
       addLocalBuildLog(`Error: ${error}`);
       showBuildNotificationMessage('error', 'Build failed with unexpected error. Check console for details.');
     } finally {
+      job.finish(succeeded);
+      setActiveBuildJob(null);
+      setBuildPhase(null);
       setBuildStatus('idle');
     }
   }
 
   const metadata = useMemo(() => pluginDoc?.metadata ?? {}, [pluginDoc]);
+  // The sequencer runner answers unmocked commands with the simulator's stub table
+  const sequencerStubs = useMemo(() => {
+    try {
+      return parseSimulatorStubs(simStubsText);
+    } catch {
+      return DEFAULT_SIMULATOR_STUBS;
+    }
+  }, [simStubsText]);
 
   const ICONS: Record<string, any> = {
     CpuChipIcon,
@@ -1020,6 +1122,7 @@ export default function App() {
               </div>
               <button className="mt-3 px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200" onClick={toggleTheme}>{theme === 'dark' ? 'Switch to Light' : 'Switch to Dark'}</button>
             </div>
+            <PackageSigningSettings />
           </div>
         ) : selected === 'pluginsTool' ? (
           <div className="grid gap-2">
@@ -1273,11 +1376,46 @@ export default function App() {
                   {selectedBuildKeys.length>0 && (
                     <button className="px-4 py-2 text-sm rounded-md border border-red-300 bg-white hover:bg-red-50 text-red-700 dark:bg-red-900 dark:border-red-600 dark:text-red-200" onClick={async ()=>{
                       if(!confirm(`Delete ${selectedBuildKeys.length} build(s)?`)) return;
-                      for(const key of selectedBuildKeys){ try{ await deleteBuild(key); } catch{} }
-                      setBuilds(listBuilds());
+                      let remaining = builds;
+                      for(const key of selectedBuildKeys){ try{ remaining = await deleteBuild(key); } catch{} }
+                      setBuilds(remaining);
                       setSelectedBuildKeys([]);
                     }}>Delete Selected ({selectedBuildKeys.length})</button>
                   )}
+                  {buildRetention && (
+                    <details className="relative">
+                      <summary className="px-4 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 cursor-pointer list-none">
+                        Retention ▼
+                      </summary>
+                      <div className="absolute right-0 mt-1 w-72 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg z-30 p-3 space-y-2">
+                        <div className="text-xs text-gray-500 dark:text-gray-400">Per plugin, newest first. Pinned builds are always kept; leave a field empty for no limit.</div>
+                        {([
+                          ['maxBuildsPerPlugin', 'Builds to keep'],
+                          ['maxArtifactsPerPlugin', 'Artifacts to keep'],
+                          ['maxAgeDays', 'Drop builds older than (days)'],
+                        ] as Array<[keyof RetentionPolicy, string]>).map(([field, label]) => (
+                          <label key={field} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+                            {label}
+                            <input
+                              type="number"
+                              min={1}
+                              className="w-20 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 dark:text-gray-200"
+                              value={buildRetention[field] ?? ''}
+                              onChange={(e) => setBuildRetentionState({ ...buildRetention, [field]: e.target.value === '' ? null : Math.max(1, Number(e.target.value)) })}
+                            />
+                          </label>
+                        ))}
+                        <button className="w-full px-3 py-1.5 text-sm rounded-md bg-blue-600 hover:bg-blue-700 text-white" onClick={async () => {
+                          try {
+                            const registry = await setBuildRetention(buildRetention);
+                            setBuilds(registry.builds);
+                          } catch (e) {
+                            alert(`Error: ${e}`);
+                          }
+                        }}>Apply</button>
+                      </div>
+                    </details>
+                  )}
                 </div>
               </div>
               
@@ -1386,24 +1524,24 @@ export default function App() {
                         {buildsColumnOrder.map((col) => visibleBuildsColumns[col] && (
                           <td key={col} style={{ width: (buildsColumnWidths[col] || buildsDefaultWidths[col] || 140) }} className="px-3 py-2 align-middle border border-gray-200 dark:border-gray-700 h-10 max-h-10 overflow-hidden text-center">
                             {col==='checkbox' && (<input type="checkbox" aria-label={`Select ${b.name}`} checked={selectedBuildKeys.includes(b.key)} onChange={(e)=>{ if(e.target.checked){ setSelectedBuildKeys((prev)=>[...prev,b.key]); } else { setSelectedBuildKeys((prev)=>prev.filter(x=>x!==b.key)); } }} />)}
-                            {col==='key' && (<span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200" title={`Build Key: ${b.key}`}>{b.key}</span>)}
-                            {col==='download' && (<button className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700" title="Download .lycplugin file" onClick={async ()=>{ try { const {copyFileToDownloads} = await import('./lib/studio'); const saved=await copyFileToDownloads(b.path, b.filename); alert(`Saved to ${saved}`); } catch(e) { alert(`Error: ${e}`); } }}><ArrowDownTrayIcon className="h-4 w-4" /></button>)}
+                            {col==='key' && (<span className="inline-flex items-center gap-1"><span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200" title={`Build Key: ${b.key}`}>{b.key}</span><button className={`p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 ${b.pinned ? 'text-blue-600' : 'text-gray-400'}`} title={b.pinned ? 'Pinned: retention keeps this build. Click to unpin' : 'Pin so retention keeps this build'} onClick={async ()=>{ try { setBuilds(await setBuildPinned(b.key, !b.pinned)); } catch(e) { alert(`Error: ${e}`); } }}><BookmarkIcon className="h-3.5 w-3.5" /></button></span>)}
+                            {col==='download' && (<button className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700" title="Download .lycplugin file" onClick={async ()=>{ try { const {copyFileToDownloads} = await import('./lib/studio'); const saved=await copyFileToDownloads(b.artifact ? await getBuildFilePath(b, b.artifact) : b.path, b.filename); alert(`Saved to ${saved}`); } catch(e) { alert(`Error: ${e}`); } }}><ArrowDownTrayIcon className="h-4 w-4" /></button>)}
                             {col==='name' && (<div className="text-left"><span className="text-gray-900 dark:text-gray-100 truncate block" title={`Plugin: ${b.name}`}>{b.name}</span></div>)}
                             {col==='version' && (<span className="font-mono text-xs text-gray-700 dark:text-gray-200 truncate block" title={`Version: ${b.version}`}>{b.version}</span>)}
                             {col==='buildName' && (<div className="text-left"><span className="text-gray-900 dark:text-gray-100 truncate block font-medium" title={`Build Name: ${b.buildName || 'Unnamed Build'}`}>{b.buildName || 'Unnamed Build'}</span></div>)}
                             {col==='releaseNotes' && (<div className="text-left"><span className="text-xs text-gray-600 dark:text-gray-300 truncate block" title={`Release Notes: ${b.releaseNotes || 'No release notes'}`}>{b.releaseNotes || 'No release notes'}</span></div>)}
                             {col==='buildLogs' && (
                               <div className="text-center">
-                                {b.buildLogs && b.buildLogs.length > 0 ? (
+                                {b.log || (b.buildLogs && b.buildLogs.length > 0) ? (
                                   <button
-                                    onClick={() => {
-                                      setBuildLogs(b.buildLogs || []);
+                                    onClick={async () => {
+                                      setBuildLogs(await readBuildLog(b));
                                       setShowBuildLogs(true);
                                     }}
                                     className="px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors"
-                                    title={`View ${b.buildLogs.length} log entries`}
+                                    title="View the build log"
                                   >
-                                    View ({b.buildLogs.length})
+                                    View
                                   </button>
                                 ) : (
                                   <span className="text-xs text-gray-400">No logs</span>
@@ -1411,7 +1549,7 @@ export default function App() {
                               </div>
                             )}
                             {col==='filename' && (<span className="text-gray-700 dark:text-gray-200 truncate block" title={`Filename: ${b.filename}`}>{b.filename}</span>)}
-                            {col==='path' && (<span className="text-gray-700 dark:text-gray-200 truncate block" title={`Path: ${b.path}`}>{b.path}</span>)}
+                            {col==='path' && (<span className={`truncate block ${b.artifact ? 'text-gray-700 dark:text-gray-200' : 'text-gray-400'}`} title={b.artifact ? `Path: ${b.path}` : `Path: ${b.path || 'unknown'} (artifact not kept in the build registry)`}>{b.path || '-'}</span>)}
                             {col==='built' && (<span className="text-xs text-gray-700 dark:text-gray-200 truncate block" title={`Built: ${new Date(b.builtAt).toLocaleString()}`}>{new Date(b.builtAt).toLocaleDateString()}</span>)}
                           </td>
                         ))}
@@ -1433,7 +1571,8 @@ export default function App() {
                     const opened = await openLycpPluginFromDisk();
                     if (!opened) return;
                     setSimSourcePath(opened.path);
-                    setSimLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] Loaded ${opened.path}`]);
+                    setSimVerification(opened.verification);
+                    setSimLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] Loaded ${opened.path}`, ...packageTrustLogs(opened.verification)]);
                     // If the opened plugin matches one in workspace, set simPlugin for validation convenience
                     try {
                       const id = String(opened.doc?.metadata?.id || '');
@@ -1441,12 +1580,7 @@ export default function App() {
                     } catch {}
                     // Render preview now
                     try {
-                      const html = buildSimulatorPreviewHtml(opened.doc);
-                      if (simFrameRef.current) {
-                        const blob = new Blob([html], { type: 'text/html' });
-                        const url = URL.createObjectURL(blob);
-                        simFrameRef.current.src = url;
-                      }
+                      await showInSimulator(opened.doc);
                     } catch (e) {
                       setSimLogs((prev) => [...prev, `[ERROR] Failed to build preview: ${String((e as any)?.message || e)}`]);
                     }
@@ -1462,25 +1596,26 @@ export default function App() {
                     if (simSourcePath) {
                       try {
                         const res = await openLycpPluginFromDisk();
-                        if (res) { doc = res.doc; setSimSourcePath(res.path); }
+                        if (res) {
+                          doc = res.doc;
+                          setSimSourcePath(res.path);
+                          setSimVerification(res.verification);
+                          setSimLogs((prev) => [...prev, ...packageTrustLogs(res.verification)]);
+                        }
                       } catch {}
                     }
                     if (!doc && simPlugin) {
                       try {
                         const file = await readPlugin(simPlugin);
                         doc = JSON.parse(file.contents);
+                        setSimVerification(null);
                       } catch {}
                     }
                     if (!doc) return;
                     setSimRunning(true);
                     setSimLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] Starting simulator`]);
                     try {
-                      const html = buildSimulatorPreviewHtml(doc);
-                      if (simFrameRef.current) {
-                        const blob = new Blob([html], { type: 'text/html' });
-                        const url = URL.createObjectURL(blob);
-                        simFrameRef.current.src = url;
-                      }
+                      await showInSimulator(doc);
                     } catch (e) {
                       setSimLogs((prev) => [...prev, `[ERROR] Failed to build preview: ${String((e as any)?.message || e)}`]);
                     }
@@ -1497,7 +1632,7 @@ export default function App() {
                 </button>
                 <button
                   className="px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
-                  onClick={() => { setSimLogs([]); setSimReport(null); }}
+                  onClick={() => { setSimLogs([]); setSimReport(null); setSimCalls([]); }}
                 >
                   Clear Logs
                 </button>
@@ -1505,6 +1640,109 @@ export default function App() {
                   <span className="text-xs text-gray-600 dark:text-gray-300">Last build saved: {lastDownloadPath}</span>
                 )}
               </div>
+              {simVerification && (
+                <div className={`rounded-md border px-3 py-2 text-sm ${PACKAGE_TRUST_STYLES[simVerification.trust]}`}>
+                  <div className="font-medium">{describePackageTrust(simVerification)}</div>
+                  {simVerification.problems.map((p, i) => <div key={i} className="text-xs">{p}</div>)}
+                  {simVerification.trust === 'untrusted' && (
+                    <div className="text-xs mt-1">Compare the key ID with the author, then add the key under Settings → Trusted Authors.</div>
+                  )}
+                </div>
+              )}
+              <details className="text-sm">
+                <summary className="cursor-pointer text-gray-700 dark:text-gray-200">Stubbed invoke / dialog responses</summary>
+                <p className="text-xs text-gray-600 dark:text-gray-300 mt-2 mb-1">
+                  Keys are command names for <code>invoke</code> (Centcom API methods arrive as <code>centcom.&lt;method&gt;</code>) and method names for <code>dialog</code>.
+                  <code>"*"</code> answers anything unlisted; <code>{'{ "$error": "message" }'}</code> rejects the call. Applied on the next Run.
+                </p>
+                <textarea
+                  className="w-full h-40 font-mono text-xs p-2 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 dark:text-gray-200"
+                  spellCheck={false}
+                  value={simStubsText}
+                  onChange={(e) => setSimStubsText(e.target.value)}
+                />
+                <button
+                  className="mt-1 px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+                  onClick={() => setSimStubsText(JSON.stringify(DEFAULT_SIMULATOR_STUBS, null, 2))}
+                >
+                  Reset to defaults
+                </button>
+              </details>
+              <details className="text-sm">
+                <summary className="cursor-pointer text-gray-700 dark:text-gray-200">
+                  Mock backend{simDoc?.metadata?.id ? ` for ${simDoc.metadata.id}` : ''}{simMocksDirty ? ' (unsaved)' : ''}
+                </summary>
+                <p className="text-xs text-gray-600 dark:text-gray-300 mt-2 mb-1">
+                  Stored in the plugin under <code>simulator.mocks</code> and checked before the stub table. Each command takes
+                  <code> response</code>, <code>responses</code> (one per call, the last repeats), <code>error</code>, <code>delayMs</code> or
+                  <code> handler</code>, a JS function body called with <code>(args, state, call)</code>. <code>state</code> is shared by all handlers until the next Run.
+                </p>
+                <textarea
+                  className="w-full h-48 font-mono text-xs p-2 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 dark:text-gray-200"
+                  spellCheck={false}
+                  value={simMocksText}
+                  onChange={(e) => { setSimMocksText(e.target.value); setSimMocksDirty(true); }}
+                />
+                {(() => {
+                  let check: { errors: string[]; warnings: string[] };
+                  try {
+                    check = checkMocks(simDoc, parseCommandMocks(simMocksText));
+                  } catch (e) {
+                    check = { errors: [String((e as any)?.message || e)], warnings: [] };
+                  }
+                  if (check.errors.length === 0 && check.warnings.length === 0) return null;
+                  return (
+                    <ul className="text-xs ml-4 list-disc">
+                      {check.errors.map((m, i) => <li key={`me-${i}`} className="text-red-600">{m}</li>)}
+                      {check.warnings.map((m, i) => <li key={`mw-${i}`} className="text-yellow-700 dark:text-yellow-400">{m}</li>)}
+                    </ul>
+                  );
+                })()}
+                <div className="flex flex-wrap gap-2 mt-1">
+                  <button
+                    className="px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 disabled:opacity-50"
+                    disabled={!simDoc}
+                    onClick={() => {
+                      try {
+                        setSimMocksText(JSON.stringify(addMissingMocks(simDoc, parseCommandMocks(simMocksText)), null, 2));
+                        setSimMocksDirty(true);
+                      } catch (e) {
+                        setSimLogs((prev) => [...prev, `[ERROR] ${String((e as any)?.message || e)}`]);
+                      }
+                    }}
+                  >
+                    Add missing commands
+                  </button>
+                  <button
+                    className="px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 disabled:opacity-50"
+                    disabled={!simDoc}
+                    onClick={() => { setSimMocksText(JSON.stringify(getPluginMocks(simDoc), null, 2)); setSimMocksDirty(false); }}
+                  >
+                    Revert
+                  </button>
+                  <button
+                    className="px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 disabled:opacity-50"
+                    disabled={!simPlugin}
+                    title={simPlugin ? `Write simulator.mocks into ${simPlugin}.lycplugin` : 'Select a workspace plugin to save mocks'}
+                    onClick={async () => {
+                      if (!simPlugin) return;
+                      try {
+                        const mocks = parseCommandMocks(simMocksText);
+                        const file = await readPlugin(simPlugin);
+                        const next = setPluginMocks(JSON.parse(file.contents), mocks);
+                        await savePlugin(simPlugin, next);
+                        setSimDoc(next);
+                        setSimMocksDirty(false);
+                        setSimLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] Saved ${Object.keys(mocks).length} mock(s) to ${simPlugin}`]);
+                      } catch (e) {
+                        setSimLogs((prev) => [...prev, `[ERROR] Failed to save mocks: ${String((e as any)?.message || e)}`]);
+                      }
+                    }}
+                  >
+                    Save to plugin
+                  </button>
+                </div>
+              </details>
             </section>
             {simModalOpen && (
               <div className="fixed inset-0 z-50 flex items-center justify-center">
@@ -1541,15 +1779,13 @@ export default function App() {
                             <td className="px-2 py-2">
                               <button className="px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200" onClick={async () => {
                                 try {
-                                  const doc = await readPluginFromPath(b.path);
-                                  const html = buildSimulatorPreviewHtml(doc);
-                                  if (simFrameRef.current) {
-                                    const blob = new Blob([html], { type: 'text/html' });
-                                    const url = URL.createObjectURL(blob);
-                                    simFrameRef.current.src = url;
-                                  }
-                                  setSimSourcePath(b.path);
-                                  setSimLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] Loaded ${b.filename}`]);
+                                  // The registry's copy is the artifact as built, whatever happened to the exported file since
+                                  const source = b.artifact ? await getBuildFilePath(b, b.artifact) : b.path;
+                                  const imported = await readPluginFromPath(source);
+                                  await showInSimulator(imported.doc);
+                                  setSimSourcePath(source);
+                                  setSimVerification(imported.verification);
+                                  setSimLogs((prev) => [...prev, `[${new Date().toLocaleTimeString()}] Loaded ${b.filename}`, ...packageTrustLogs(imported.verification)]);
                                   setSimModalOpen(false);
                                 } catch (e) {
                                   setSimLogs((prev) => [...prev, `[ERROR] Failed to load build: ${String((e as any)?.message || e)}`]);
@@ -1615,6 +1851,39 @@ export default function App() {
                 )}
               </div>
             </section>
+            <section className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm p-3">
+              <h4 className="text-md font-semibold text-gray-900 dark:text-white mt-0 mb-2">Backend Calls</h4>
+              {simCalls.length === 0 ? (
+                <div className="text-sm text-gray-600 dark:text-gray-300">No invoke calls yet</div>
+              ) : (
+                <div className="max-h-64 overflow-auto">
+                  <table className="w-full text-xs font-mono">
+                    <thead>
+                      <tr className="text-left text-gray-600 dark:text-gray-300">
+                        <th className="pr-2">Time</th>
+                        <th className="pr-2">Command</th>
+                        <th className="pr-2">Args</th>
+                        <th className="pr-2">Result</th>
+                        <th className="pr-2">Source</th>
+                        <th className="pr-2">ms</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {simCalls.map((c, i) => (
+                        <tr key={i} className="align-top border-t border-gray-100 dark:border-gray-700 dark:text-gray-200">
+                          <td className="pr-2 whitespace-nowrap">{c.at}</td>
+                          <td className="pr-2">{c.name}</td>
+                          <td className="pr-2 break-all">{c.args}</td>
+                          <td className={`pr-2 break-all ${c.error ? 'text-red-600' : ''}`}>{c.error ? `Error: ${c.error}` : c.response}</td>
+                          <td className="pr-2">{c.source}</td>
+                          <td className="pr-2">{c.durationMs ?? ''}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </section>
           </div>
         ) : selected === 'centcomDemo' ? (
           <CentcomDemo />
@@ -1801,6 +2070,7 @@ export default function App() {
               <section className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm overflow-hidden" style={{ height: 'calc(100vh - 200px)' }}>
                 <PluginGUIBuilder
                   pluginDoc={pluginDoc}
+                  highlightComponent={guiHighlight}
                   onUpdateGUI={async (guiConfig: any) => {
                     const next = { ...pluginDoc, gui: guiConfig };
                     await persist(next);
@@ -1833,6 +2103,19 @@ export default function App() {
               <section className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm p-4">
                 <h3 className="text-lg font-semibold text-gray-900 dark:text-white mt-0">Sequencer Actions</h3>
                 <p className="text-sm text-gray-600 dark:text-gray-300">Define actions triggered by your App GUI that can be automated in sequences.</p>
+                <SequencerEditor
+                  pluginDoc={pluginDoc}
+                  onUpdatePlugin={async (updatedPlugin: any) => {
+                    await persist(updatedPlugin);
+                  }}
+                />
+                <div className="border-t border-gray-200 dark:border-gray-700 mt-4 pt-3">
+                  <h4 className="text-md font-semibold text-gray-900 dark:text-white mt-0 mb-2">Run Sequence</h4>
+                  <p className="text-xs text-gray-600 dark:text-gray-300 mb-2">
+                    Commands are answered by the plugin's simulator mocks, then by the Centcom Simulator stub table.
+                  </p>
+                  <SequencerRunner pluginDoc={pluginDoc} stubs={sequencerStubs} />
+                </div>
               </section>
             )}
 
@@ -1840,6 +2123,7 @@ export default function App() {
               <section className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm p-4">
                 <LicensingPanel
                   pluginDoc={pluginDoc}
+                  pluginName={selected}
                   onUpdatePlugin={async (updatedPlugin: any) => {
                     await persist(updatedPlugin);
                   }}
@@ -1888,10 +2172,10 @@ export default function App() {
                 <section className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm p-4">
                   <h3 className="text-lg font-semibold text-gray-900 dark:text-white mt-0 mb-3">Build History</h3>
                   <div className="space-y-3">
-                    {(metadata.buildHistory && metadata.buildHistory.length > 0) ? (
+                    {(pluginBuildHistoryMap[selected] || []).length > 0 ? (
                       <div className="space-y-2">
-                        {metadata.buildHistory.slice().reverse().map((build: any, index: number) => (
-                          <div key={`${build.buildKey || 'build'}-${build.version}-${build.builtAt || index}`} className="border border-gray-200 dark:border-gray-600 rounded-lg p-3 bg-gray-50 dark:bg-gray-900">
+                        {pluginBuildHistoryMap[selected].map((build: any) => (
+                          <div key={build.key} className="border border-gray-200 dark:border-gray-600 rounded-lg p-3 bg-gray-50 dark:bg-gray-900">
                             <div className="flex items-center justify-between mb-2">
                               <div className="flex items-center gap-2">
                                 <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
@@ -1953,6 +2237,10 @@ export default function App() {
               <TestPanel 
                 pluginDoc={pluginDoc}
                 selected={selected}
+                onLocateComponent={(componentId: string) => {
+                  setGuiHighlight({ id: componentId, at: Date.now() });
+                  setActiveTab('App GUI');
+                }}
               />
             )}
 
@@ -1991,8 +2279,19 @@ export default function App() {
                   'text-red-800 dark:text-red-200'
                 }`}>
                   {buildMessage}
+                  {buildStatus === 'building' && buildPhase && (
+                    <span className="block text-xs font-normal">{BUILD_PHASE_LABELS[buildPhase]} step</span>
+                  )}
                 </p>
               </div>
+              {buildStatus === 'building' && activeBuildJob && (
+                <button
+                  onClick={() => activeBuildJob.cancel()}
+                  className="ml-4 text-xs font-medium text-blue-700 hover:text-blue-900 dark:text-blue-300"
+                >
+                  Cancel
+                </button>
+              )}
               {buildStatus !== 'building' && (
                 <button
                   onClick={() => setShowBuildNotification(false)}
@@ -2065,7 +2364,7 @@ export default function App() {
               </button>
               <button
                 onClick={() => handleBuildWithMetadata(buildName, releaseNotes)}
-                disabled={!buildName.trim()}
+                disabled={!buildName.trim() || activeBuildJob !== null}
                 className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Build Plugin
@@ -2081,6 +2380,8 @@ export default function App() {
         onClose={() => setShowBuildLogs(false)}
         buildLogs={buildLogs}
         buildStatus={buildStatus}
+        buildPhase={buildPhase}
+        onCancel={activeBuildJob ? () => activeBuildJob.cancel() : undefined}
       />
 
 
@@ -0,0 +1,690 @@
+/**
+ * Local license server
+ * A file-backed stand-in for a license server, implementing the routes LicenseServerClient calls
+ *
+ * Each served plugin is read from its .lycplugin on every request, so tiers and keys edited in
+ * the studio apply without a restart. Licenses are signed with the plugin's own key, read from
+ * the unlocked keystore when the plugin references one by keyId. No payment is taken: purchases and upgrades are issued at once.
+ * Orders, issued licenses, revocations, activations and usage are kept in one JSON file.
+ *
+ * Node-locked licenses are activated per machine: /activate signs a copy of the license bound
+ * to the machine's fingerprint, up to the license's maxUsers machines at a time, and
+ * /deactivate releases one. Purchases, trials and upgrades that send a fingerprint get the
+ * activated copy straight away. /validate also returns a receipt signed with the plugin's key,
+ * which clients count their offline grace period from (see offlineUsage.ts).
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { migratePluginDoc } from '../lib/pluginSchema';
+import { LicensingSystem, LicenseUtils, LicenseConfig, LicenseTier } from '../lib/licensing';
+import type { PurchaseRequest, TrialRequest, UpgradeRequest, ActivationRequest, LicenseServerInfo } from '../lib/licenseClient';
+import type { MachineFingerprint } from '../lib/machineFingerprint';
+import type { SignedValidationReceipt } from '../lib/offlineUsage';
+import { UnlockedKeystore, applyLicensingSecrets, licensingSecrets } from '../lib/keystore';
+
+export interface LicenseServerOptions {
+  /** .lycplugin files to serve */
+  pluginFiles: string[];
+  /** JSON file holding orders, licenses and usage */
+  dataFile: string;
+  /** Bearer token required on every request; open when unset */
+  apiKey?: string;
+  /** Keystore holding the private keys of plugins that reference one by keyId */
+  keystore?: UnlockedKeystore;
+  /** Request log, one line per request */
+  log?: (line: string) => void;
+}
+
+type LicenseKind = 'purchase' | 'trial' | 'upgrade' | 'transfer' | 'activation';
+
+interface Activation {
+  machineId: string;
+  /** The license bound to the machine */
+  licenseId: string;
+  activatedAt: string;
+  deactivatedAt?: string;
+}
+
+interface IssuedLicense {
+  id: string;
+  key: string;
+  pluginId: string;
+  tierId: string;
+  /** Unset on licenses adopted from their key, which does not name the owner */
+  userEmail?: string;
+  issuedAt: string;
+  expiresAt?: string;
+  kind: LicenseKind;
+  orderId: string;
+  revokedAt?: string;
+  revokeReason?: string;
+  replacedBy?: string;
+  /** On node-locked licenses: the machines they were activated on */
+  activations?: Activation[];
+  /** On activated copies: the license they were activated from */
+  activationOf?: string;
+}
+
+interface Order {
+  orderId: string;
+  kind: LicenseKind;
+  pluginId: string;
+  tierId: string;
+  userEmail: string;
+  licenseId: string;
+  amount: number;
+  currency: string;
+  createdAt: string;
+}
+
+interface UsageEvent {
+  at: string;
+  client: string;
+  features: string[];
+}
+
+interface ServerData {
+  orders: Order[];
+  licenses: Record<string, IssuedLicense>;
+  usage: Record<string, UsageEvent[]>;
+}
+
+interface ServedPlugin {
+  id: string;
+  file: string;
+  licensing: LicenseConfig;
+}
+
+interface RouteResult {
+  status: number;
+  body: any;
+}
+
+const SERVER_VERSION = '1.0.0';
+const MAX_BODY_BYTES = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Business failures are answered with 200 and success: false, which the client shows as is */
+class RouteError extends Error {
+  constructor(message: string, readonly status: number = 200) {
+    super(message);
+    this.name = 'RouteError';
+  }
+}
+
+const sameEmail = (a?: string, b?: string) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+const roundMoney = (amount: number) => Math.round(amount * 100) / 100;
+
+export class LocalLicenseServer {
+  private data: ServerData;
+  private server: http.Server | null = null;
+
+  constructor(private readonly options: LicenseServerOptions) {
+    this.data = this.load();
+  }
+
+  listen(port: number, host: string): Promise<string> {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => { void this.handle(req, res); });
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        this.server = server;
+        resolve(`http://${host}:${port}`);
+      });
+    });
+  }
+
+  close(): Promise<void> {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  private async handle(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const started = Date.now();
+    const url = new URL(req.url || '/', 'http://localhost');
+    let result: RouteResult;
+    if (req.method === 'OPTIONS') {
+      result = { status: 204, body: null };
+    } else if (this.options.apiKey && req.headers.authorization !== `Bearer ${this.options.apiKey}`) {
+      result = { status: 401, body: { success: false, error: 'Invalid API key' } };
+    } else {
+      try {
+        const body = req.method === 'POST' || req.method === 'PUT' ? await readJsonBody(req) : {};
+        result = { status: 200, body: await this.route(req.method || 'GET', url.pathname, body, req) };
+      } catch (e: any) {
+        const status = e instanceof RouteError ? e.status : 500;
+        result = { status, body: { success: false, error: e?.message || String(e) } };
+      }
+    }
+
+    res.writeHead(result.status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, User-Agent'
+    });
+    res.end(result.body === null ? undefined : JSON.stringify(result.body));
+    this.options.log?.(`${req.method} ${url.pathname} ${result.status} ${Date.now() - started}ms${result.body?.error ? ` (${result.body.error})` : ''}`);
+  }
+
+  private route(method: string, pathname: string, body: any, req: http.IncomingMessage): Promise<any> | any {
+    const tiers = pathname.match(/^\/plugins\/([^/]+)\/tiers$/);
+    const purchases = pathname.match(/^\/users\/([^/]+)\/purchases$/);
+    if (method === 'GET' && pathname === '/info') return this.info();
+    if (method === 'GET' && tiers) return this.tiers(decodeURIComponent(tiers[1]));
+    if (method === 'GET' && purchases) return this.purchases(decodeURIComponent(purchases[1]));
+    if (method === 'POST') {
+      switch (pathname) {
+        case '/purchase': return this.purchase(body);
+        case '/trial': return this.trial(body);
+        case '/upgrade': return this.upgrade(body);
+        case '/validate': return this.validate(body, String(body?.clientId || req.socket.remoteAddress || 'unknown'));
+        case '/revoke': return this.revoke(body);
+        case '/transfer': return this.transfer(body);
+        case '/usage': return this.usage(body);
+        case '/activate': return this.activate(body);
+        case '/deactivate': return this.deactivate(body);
+      }
+    }
+    throw new RouteError(`No route for ${method} ${pathname}`, 404);
+  }
+
+  private info(): LicenseServerInfo {
+    return {
+      name: 'Local License Server',
+      version: SERVER_VERSION,
+      supportedPlugins: this.plugins().map(p => p.id),
+      paymentMethods: ['external'],
+      features: ['purchase', 'trial', 'upgrade', 'validate', 'revoke', 'transfer', 'usage', 'activate', 'deactivate']
+    };
+  }
+
+  private tiers(pluginId: string) {
+    const plugin = this.plugin(pluginId);
+    return {
+      tiers: plugin.licensing.tiers.map(t => ({
+        id: t.id,
+        name: t.name,
+        price: t.price,
+        currency: t.currency,
+        description: t.description,
+        features: t.features,
+        trialDays: t.trialDays
+      }))
+    };
+  }
+
+  private purchases(email: string) {
+    return {
+      purchases: this.data.orders
+        .filter(order => sameEmail(order.userEmail, email))
+        .map(order => {
+          const license = this.data.licenses[order.licenseId];
+          return {
+            orderId: order.orderId,
+            pluginId: order.pluginId,
+            tierId: order.tierId,
+            licenseKey: license?.key || '',
+            purchaseDate: order.createdAt,
+            amount: order.amount,
+            currency: order.currency,
+            status: licenseStatus(license)
+          };
+        })
+    };
+  }
+
+  private async purchase(request: PurchaseRequest) {
+    requireEmail(request?.userEmail);
+    const plugin = this.plugin(request.pluginId);
+    const tier = this.tier(plugin, request.tierId);
+    const { license, order } = await this.issue(plugin, tier, request.userEmail, 'purchase', tier.price);
+    return {
+      success: true,
+      licenseKey: await this.deliveredKey(plugin, license, request.machine),
+      orderId: order.orderId,
+      requiresPayment: false,
+      amount: order.amount,
+      currency: order.currency
+    };
+  }
+
+  private async trial(request: TrialRequest) {
+    requireEmail(request?.userEmail);
+    const plugin = this.plugin(request.pluginId);
+    const tier = plugin.licensing.tiers.find(t => t.trialDays > 0);
+    if (!tier) throw new RouteError(`${plugin.id} does not offer a trial`);
+    const used = Object.values(this.data.licenses).some(l => l.kind === 'trial' && l.pluginId === plugin.id && sameEmail(l.userEmail, request.userEmail));
+    if (used) throw new RouteError(`A trial of ${plugin.id} was already issued to ${request.userEmail}`);
+
+    const days = Math.min(tier.trialDays, request.trialDays && request.trialDays > 0 ? request.trialDays : tier.trialDays);
+    const expiresAt = new Date(Date.now() + days * DAY_MS).toISOString();
+    const { license, order } = await this.issue(plugin, tier, request.userEmail, 'trial', 0, { customExpiration: expiresAt, metadata: { trial: true, trialDays: days } });
+    return { success: true, licenseKey: await this.deliveredKey(plugin, license, request.machine), orderId: order.orderId, requiresPayment: false, amount: 0, currency: tier.currency };
+  }
+
+  private async upgrade(request: UpgradeRequest) {
+    const plugin = this.plugin(request?.pluginId);
+    const current = await this.verifiedLicense(plugin, request.currentLicenseKey);
+    const currentRecord = this.baseRecord(current.record);
+    if (current.record.revokedAt || currentRecord.revokedAt) throw new RouteError('The current license has been revoked');
+    const owner = requireOwner(currentRecord, request.userEmail, 'The current license belongs to a different user');
+    const target = this.tier(plugin, request.targetTierId);
+    if (target.id === current.payload.tierId) throw new RouteError(`The license is already on ${target.name}`);
+
+    // Credit the unused share of the current tier; perpetual licenses are credited in full, trials not at all
+    const currentTier = plugin.licensing.tiers.find(t => t.id === current.payload.tierId);
+    let credit = 0;
+    if (currentTier && currentRecord.kind !== 'trial') {
+      if (!current.payload.expiresAt) {
+        credit = currentTier.price;
+      } else {
+        const issued = new Date(current.payload.issuedAt).getTime();
+        const expires = new Date(current.payload.expiresAt).getTime();
+        const remaining = Math.max(0, expires - Date.now());
+        credit = expires > issued ? currentTier.price * (remaining / (expires - issued)) : 0;
+      }
+    }
+    const paymentRequired = roundMoney(Math.max(0, target.price - credit));
+
+    const { license, order } = await this.issue(plugin, target, owner, 'upgrade', paymentRequired, { metadata: { upgradedFrom: current.payload.id } });
+    this.revokeRecord(currentRecord, `Upgraded to ${target.name}`, license.id);
+    this.save();
+    return {
+      success: true,
+      newLicenseKey: await this.deliveredKey(plugin, license, request.machine),
+      upgradeId: order.orderId,
+      creditAmount: roundMoney(credit),
+      paymentRequired,
+      currency: target.currency
+    };
+  }
+
+  private async validate(body: { pluginId?: string; licenseKey?: string }, client: string) {
+    let payload: any;
+    try {
+      payload = decodeKey(body?.licenseKey);
+    } catch (e: any) {
+      return { valid: false, revoked: false, features: [], error: e.message };
+    }
+    const plugin = this.plugin(body.pluginId || payload.pluginId);
+    const validation = await (await this.system(plugin)).validateLicense(String(body.licenseKey));
+    const record = this.data.licenses[payload.id];
+    const revoked = !!record?.revokedAt || validation.revoked;
+
+    (this.data.usage[payload.id] ||= []).push({ at: new Date().toISOString(), client, features: validation.features });
+    this.save();
+
+    const errors = [...validation.errors, ...(record?.revokedAt ? [`License has been revoked: ${record.revokeReason}`] : [])];
+    const valid = validation.valid && !revoked;
+    return {
+      valid,
+      revoked,
+      expires: payload.expiresAt,
+      features: validation.features,
+      // Clients keep the newest signed list for validating offline
+      ...(plugin.licensing.revocationList ? { revocationList: plugin.licensing.revocationList } : {}),
+      // and count their offline grace period from the receipt
+      ...(valid ? await this.validationReceipt(plugin, payload.id) : {}),
+      ...(errors.length > 0 ? { error: errors.join('; ') } : {})
+    };
+  }
+
+  private async revoke(body: { pluginId?: string; licenseKey?: string; reason?: string }) {
+    const payload = decodeKey(body?.licenseKey);
+    const plugin = this.plugin(body.pluginId || payload.pluginId);
+    const { record } = await this.verifiedLicense(plugin, String(body.licenseKey));
+    if (!record.revokedAt) {
+      this.revokeRecord(record, body.reason || 'Revoked');
+      this.save();
+    }
+    return { success: true };
+  }
+
+  private async transfer(body: { licenseKey?: string; fromEmail?: string; toEmail?: string; reason?: string }) {
+    requireEmail(body?.toEmail);
+    const plugin = this.plugin(decodeKey(body.licenseKey).pluginId);
+    const verified = await this.verifiedLicense(plugin, String(body.licenseKey));
+    const { payload } = verified;
+    const record = this.baseRecord(verified.record);
+    if (verified.record.revokedAt || record.revokedAt) throw new RouteError('A revoked license cannot be transferred');
+    requireOwner(record, body.fromEmail, 'The license does not belong to the sending user');
+
+    const tier = this.tier(plugin, payload.tierId);
+    const { license } = await this.issue(plugin, tier, String(body.toEmail), 'transfer', 0, {
+      customExpiration: payload.expiresAt,
+      customFeatures: payload.features,
+      metadata: { transferredFrom: payload.id }
+    });
+    this.revokeRecord(record, body.reason || `Transferred to ${body.toEmail}`, license.id);
+    this.save();
+    return { success: true, newLicenseKey: license.key };
+  }
+
+  private usage(body: { licenseKey?: string }) {
+    const payload = decodeKey(body?.licenseKey);
+    const events = this.data.usage[payload.id] || [];
+    const byDate = new Map<string, { clients: Set<string>; features: Set<string> }>();
+    for (const event of events) {
+      const date = event.at.slice(0, 10);
+      const entry = byDate.get(date) || { clients: new Set<string>(), features: new Set<string>() };
+      entry.clients.add(event.client);
+      event.features.forEach(f => entry.features.add(f));
+      byDate.set(date, entry);
+    }
+    const since = Date.now() - DAY_MS;
+    return {
+      usage: {
+        activeUsers: new Set(events.filter(e => new Date(e.at).getTime() >= since).map(e => e.client)).size,
+        maxUsers: payload.maxUsers,
+        lastUsed: events.length > 0 ? events[events.length - 1].at : '',
+        usageHistory: [...byDate.entries()].map(([date, entry]) => ({ date, users: entry.clients.size, features: [...entry.features] }))
+      }
+    };
+  }
+
+  private async activate(request: ActivationRequest) {
+    const plugin = this.plugin(request?.pluginId);
+    const machine = requireMachine(request.machine);
+    const verified = await this.verifiedLicense(plugin, request.licenseKey);
+    const base = this.baseRecord(verified.record);
+    if (verified.record.revokedAt || base.revokedAt) throw new RouteError('The license has been revoked');
+
+    const maxActivations = Math.max(1, Number(decodeKey(base.key).maxUsers) || 1);
+    const active = (base.activations || []).filter(a => !a.deactivatedAt);
+    const existing = active.find(a => a.machineId === machine.id);
+    if (existing && this.data.licenses[existing.licenseId]) {
+      return { success: true, licenseKey: this.data.licenses[existing.licenseId].key, activationId: existing.licenseId, activations: active.length, maxActivations };
+    }
+    if (active.length >= maxActivations) {
+      throw new RouteError(`All ${maxActivations} activation${maxActivations === 1 ? '' : 's'} of this license are in use; deactivate it on another machine first`);
+    }
+
+    const activated = await this.bind(plugin, base, machine);
+    return { success: true, licenseKey: activated.key, activationId: activated.id, activations: active.length + 1, maxActivations };
+  }
+
+  private async deactivate(body: { pluginId?: string; licenseKey?: string }) {
+    const payload = decodeKey(body?.licenseKey);
+    const plugin = this.plugin(body.pluginId || payload.pluginId);
+    const { record } = await this.verifiedLicense(plugin, String(body.licenseKey));
+    const base = this.baseRecord(record);
+    if (base === record) throw new RouteError('The license is not activated on a machine');
+
+    const activation = base.activations?.find(a => a.licenseId === record.id && !a.deactivatedAt);
+    if (activation) activation.deactivatedAt = new Date().toISOString();
+    if (!record.revokedAt) this.revokeRecord(record, 'Deactivated');
+    this.save();
+    return { success: true, licenseKey: base.key };
+  }
+
+  /**
+   * The key handed to the client: activated for its machine when the license is node-locked
+   */
+  private async deliveredKey(plugin: ServedPlugin, license: IssuedLicense, machine: MachineFingerprint | undefined): Promise<string> {
+    if (!machine || !decodeKey(license.key).nodeLocking) return license.key;
+    return (await this.bind(plugin, license, requireMachine(machine))).key;
+  }
+
+  /**
+   * Sign an activated copy of a license and record the activation
+   */
+  private async bind(plugin: ServedPlugin, base: IssuedLicense, machine: MachineFingerprint): Promise<IssuedLicense> {
+    const signed = await (await this.system(plugin, true)).activateLicense(base.key, machine);
+    const activated: IssuedLicense = {
+      id: signed.id,
+      key: signed.key,
+      pluginId: base.pluginId,
+      tierId: base.tierId,
+      userEmail: base.userEmail,
+      issuedAt: signed.issuedAt,
+      expiresAt: signed.expiresAt,
+      kind: 'activation',
+      orderId: base.orderId,
+      activationOf: base.id
+    };
+    this.data.licenses[activated.id] = activated;
+    (base.activations ||= []).push({ machineId: machine.id, licenseId: activated.id, activatedAt: new Date().toISOString() });
+    this.save();
+    return activated;
+  }
+
+  /**
+   * Sign a license for a tier and record it with its order
+   */
+  private async issue(
+    plugin: ServedPlugin,
+    tier: LicenseTier,
+    userEmail: string,
+    kind: LicenseKind,
+    amount: number,
+    extra: { customExpiration?: string; customFeatures?: string[]; metadata?: Record<string, any> } = {}
+  ): Promise<{ license: IssuedLicense; order: Order }> {
+    const orderId = `ORD-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`.toUpperCase();
+    const signed = await (await this.system(plugin, true)).generateLicense({
+      pluginId: plugin.id,
+      tierId: tier.id,
+      userId: userEmail,
+      userEmail,
+      customExpiration: extra.customExpiration,
+      customFeatures: extra.customFeatures,
+      metadata: { ...extra.metadata, orderId, issuedBy: 'local-license-server' }
+    });
+    const license: IssuedLicense = {
+      id: signed.id,
+      key: signed.key,
+      pluginId: plugin.id,
+      tierId: tier.id,
+      userEmail,
+      issuedAt: signed.issuedAt,
+      expiresAt: signed.expiresAt,
+      kind,
+      orderId
+    };
+    const order: Order = {
+      orderId,
+      kind,
+      pluginId: plugin.id,
+      tierId: tier.id,
+      userEmail,
+      licenseId: license.id,
+      amount: roundMoney(amount),
+      currency: tier.currency,
+      createdAt: license.issuedAt
+    };
+    this.data.licenses[license.id] = license;
+    this.data.orders.push(order);
+    this.save();
+    return { license, order };
+  }
+
+  /**
+   * Decode a key, check its signature against the plugin's key and find (or adopt) its record
+   */
+  private async verifiedLicense(plugin: ServedPlugin, licenseKey: string): Promise<{ payload: any; record: IssuedLicense }> {
+    const payload = decodeKey(licenseKey);
+    const validation = await (await this.system(plugin)).validateLicense(licenseKey);
+    if (validation.errors.includes('Invalid license signature') || payload.pluginId !== plugin.id) {
+      throw new RouteError(`License is not a valid ${plugin.id} license`);
+    }
+    // Keys issued outside this server (e.g. from the studio) are adopted on first use
+    const record = this.data.licenses[payload.id] ||= {
+      id: payload.id,
+      key: licenseKey,
+      pluginId: payload.pluginId,
+      tierId: payload.tierId,
+      issuedAt: payload.issuedAt,
+      expiresAt: payload.expiresAt,
+      kind: 'purchase',
+      orderId: ''
+    };
+    return { payload, record };
+  }
+
+  /**
+   * Revoking a license revokes its activated copies too
+   */
+  private revokeRecord(record: IssuedLicense, reason: string, replacedBy?: string) {
+    record.revokedAt = new Date().toISOString();
+    record.revokeReason = reason;
+    if (replacedBy) record.replacedBy = replacedBy;
+    for (const activation of record.activations || []) {
+      const activated = this.data.licenses[activation.licenseId];
+      if (activated && !activated.revokedAt) {
+        activated.revokedAt = record.revokedAt;
+        activated.revokeReason = reason;
+      }
+      activation.deactivatedAt ||= record.revokedAt;
+    }
+  }
+
+  /**
+   * The license an activated copy was made from, or the record itself
+   */
+  private baseRecord(record: IssuedLicense): IssuedLicense {
+    return (record.activationOf && this.data.licenses[record.activationOf]) || record;
+  }
+
+  /**
+   * A signed receipt for a license that just validated; none when the signing key is locked in
+   * the keystore, so clients keep counting from their last receipt
+   */
+  private async validationReceipt(plugin: ServedPlugin, licenseId: string): Promise<{ receipt?: SignedValidationReceipt }> {
+    const secrets = await licensingSecrets(plugin.licensing, this.options.keystore || null);
+    if (!secrets.privateKey) return {};
+    return { receipt: await (await this.system(plugin, true)).signValidationReceipt(licenseId) };
+  }
+
+  /**
+   * A LicensingSystem that checks signatures, expiry and plugin id only; revocation is ours,
+   * and machine bindings can only be checked on the client. Pass `signing` when it will sign,
+   * which needs the private key.
+   */
+  private async system(plugin: ServedPlugin, signing = false): Promise<LicensingSystem> {
+    const secrets = await licensingSecrets(plugin.licensing, this.options.keystore || null);
+    if (signing && !secrets.privateKey) {
+      throw new RouteError(`${plugin.id} keeps its signing key in the keystore; restart the server with PDS_KEYSTORE_PASSPHRASE set`);
+    }
+    return new LicensingSystem(plugin.id, {
+      ...applyLicensingSecrets(plugin.licensing, secrets),
+      enabled: true,
+      requiresLicense: true,
+      remoteValidation: { ...plugin.licensing.remoteValidation, enabled: false }
+    }, { fingerprint: async () => null });
+  }
+
+  private plugins(): ServedPlugin[] {
+    return this.options.pluginFiles.map(file => {
+      const doc = migratePluginDoc(JSON.parse(fs.readFileSync(file, 'utf8'))).doc;
+      const defaults = LicenseUtils.generateDefaultConfig();
+      const licensing = doc.licensing || {};
+      return {
+        id: String(doc?.metadata?.id || path.basename(file, '.lycplugin')),
+        file,
+        licensing: {
+          ...defaults,
+          ...licensing,
+          cryptography: { ...defaults.cryptography, ...licensing.cryptography },
+          remoteValidation: { ...defaults.remoteValidation, ...licensing.remoteValidation },
+          licenseServer: { ...defaults.licenseServer, ...licensing.licenseServer },
+          tiers: Array.isArray(licensing.tiers) ? licensing.tiers : []
+        }
+      };
+    });
+  }
+
+  private plugin(pluginId: string | undefined): ServedPlugin {
+    const plugin = this.plugins().find(p => p.id === pluginId);
+    if (!plugin) throw new RouteError(`Plugin ${pluginId || '(none)'} is not served here`, 404);
+    if (!plugin.licensing.cryptography.publicKey || !(plugin.licensing.cryptography.privateKey || plugin.licensing.keyId)) {
+      throw new RouteError(`${plugin.id} has no signing keys; generate a key pair in the Licensing panel`);
+    }
+    return plugin;
+  }
+
+  private tier(plugin: ServedPlugin, tierId: string | undefined): LicenseTier {
+    const tier = plugin.licensing.tiers.find(t => t.id === tierId);
+    if (!tier) throw new RouteError(`Tier ${tierId || '(none)'} does not exist for ${plugin.id}`);
+    return tier;
+  }
+
+  private load(): ServerData {
+    const empty: ServerData = { orders: [], licenses: {}, usage: {} };
+    if (!fs.existsSync(this.options.dataFile)) return empty;
+    try {
+      return { ...empty, ...JSON.parse(fs.readFileSync(this.options.dataFile, 'utf8')) };
+    } catch (e: any) {
+      throw new Error(`Failed to read ${this.options.dataFile}: ${e?.message || e}`);
+    }
+  }
+
+  /**
+   * Write through a temporary file so a crash never leaves half a data file
+   */
+  private save() {
+    const temp = `${this.options.dataFile}.tmp`;
+    fs.mkdirSync(path.dirname(this.options.dataFile), { recursive: true });
+    fs.writeFileSync(temp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(temp, this.options.dataFile);
+  }
+}
+
+function licenseStatus(license: IssuedLicense | undefined): 'active' | 'expired' | 'revoked' {
+  if (!license || license.revokedAt) return 'revoked';
+  if (license.expiresAt && new Date(license.expiresAt).getTime() < Date.now()) return 'expired';
+  return 'active';
+}
+
+function decodeKey(licenseKey: unknown): any {
+  try {
+    return LicenseUtils.decodeLicenseKey(String(licenseKey || '')).payload;
+  } catch (e: any) {
+    throw new RouteError(`Invalid license key: ${e?.message || e}`);
+  }
+}
+
+function requireMachine(machine: MachineFingerprint | undefined): MachineFingerprint {
+  if (!machine?.id || !machine.components || Object.keys(machine.components).length === 0) {
+    throw new RouteError('A machine fingerprint is required');
+  }
+  return machine;
+}
+
+function requireEmail(email: string | undefined) {
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new RouteError('A valid email address is required');
+}
+
+// Keys do not name their owner; only the server's records do. Resolves to the owner's email.
+function requireOwner(record: IssuedLicense, email: string | undefined, message: string): string {
+  if (!record.userEmail) throw new RouteError('The license was not issued by this server, so its owner cannot be checked');
+  if (!sameEmail(record.userEmail, email)) throw new RouteError(message);
+  return record.userEmail;
+}
+
+function readJsonBody(req: http.IncomingMessage): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RouteError('Request body too large', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new RouteError('Request body is not valid JSON', 400));
+      }
+    });
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,956 @@
+#!/usr/bin/env node
+/**
+ * pds — Plugin Designer Studio CLI
+ * Builds, validates, exports and versions .lycplugin plugins without a desktop session
+ *
+ * Plugins live in a workspace folder laid out like the studio's: `<workspace>/<plugin>/<plugin>.lycplugin`.
+ * Validation and GUI→code generation come from the same modules the studio build uses.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { migratePluginDoc } from '../lib/pluginSchema';
+import { validatePluginDoc, PluginValidationReport } from '../lib/pluginValidation';
+import {
+  VersionPart,
+  generateFrontendFromGui,
+  bumpVersion,
+  exportFileName,
+  classifyBuildFailure,
+  checkExportedMetadata,
+  pluginBuildScript,
+  prepareRevocationList,
+  pluginValidateScript
+} from '../lib/pluginBuild';
+import { LicensingSystem } from '../lib/licensing';
+import {
+  LICENSE_LEDGER_FILE,
+  LedgerStatus,
+  LicenseLedger,
+  parseLedger,
+  parseIssuanceCsv,
+  issueBatch,
+  searchLedger,
+  exportLedgerCsv
+} from '../lib/licenseLedger';
+import {
+  AuthorKey,
+  KEYSTORE_FILE,
+  KeystoreSecrets,
+  UnlockedKeystore,
+  applyLicensingSecrets,
+  createKeystore,
+  licensingSecrets,
+  moveLicensingSecrets,
+  parseKeystore,
+  readAuthorKey,
+  serializeKeystore,
+  unlockKeystore,
+  writeAuthorKey
+} from '../lib/keystore';
+import { SanitizedPlugin, findSecretLeaks, sanitizePluginForExport } from '../lib/exportSanitizer';
+import {
+  BuildGenerator,
+  BuildManifest,
+  BuildProvenance,
+  IntegrityReport,
+  createBuildManifest,
+  hashPluginDoc,
+  manifestPathFor,
+  sealPluginIntegrity,
+  serializeBuildManifest,
+  verifyBuildManifest,
+  verifyPluginIntegrity
+} from '../lib/buildManifest';
+import {
+  BUILD_LOG_FILE,
+  BUILD_REGISTRY_DIR,
+  BUILD_REGISTRY_FILE,
+  BuildRecord,
+  BuildRegistry,
+  RetentionResult,
+  addBuildRecord,
+  applyRetention,
+  emptyRegistry,
+  mergeBuildHistory,
+  nextBuildKey,
+  parseRegistry,
+  removeBuildRecord,
+  serializeRegistry
+} from '../lib/buildRegistry';
+import {
+  TRUSTED_AUTHORS_FILE,
+  describePackageTrust,
+  generateAuthorKey,
+  parseTrustedAuthors,
+  serializeTrustedAuthors,
+  signPluginPackage,
+  trustedAuthorFor,
+  verifyPluginPackage
+} from '../lib/packageSigning';
+import { LocalLicenseServer } from './licenseServer';
+
+const USAGE = `Usage: pds <command> [plugin...] [options]
+
+Commands:
+  validate [plugin...]            Validate plugins (all plugins in the workspace when none given)
+  build [plugin...]               Generate frontend code from the GUI, validate and build dist/<plugin>.lycplugin
+                                  with its integrity block and dist/<plugin>.manifest.json
+  export [plugin...] --out <dir>  Copy built artifacts to <dir> as <id>-v<version>.lycplugin
+  verify [plugin|file...]         Check built artifacts, or .lycplugin files, against their integrity block,
+                                  build manifest and author signature
+  builds [plugin...]              List the builds in the workspace's ${BUILD_REGISTRY_DIR}/${BUILD_REGISTRY_FILE}
+  builds delete <key...>          Delete builds from the registry, with their kept artifacts and logs
+  bump [plugin] <major|minor|patch>
+                                  Increment metadata.version
+  license-server [plugin...]      Serve the plugins' license tiers and keys to LicenseServerClient for offline testing
+  issue [plugin] <customers.csv>  Sign a license per CSV row (email, tier, name, expiration, features) and
+                                  record them in the plugin's ${LICENSE_LEDGER_FILE}
+  ledger [plugin]                 List the licenses recorded in the plugin's ${LICENSE_LEDGER_FILE}
+  keystore list                   List the keys in the keystore
+  keystore import [plugin...]     Move private keys and API keys saved in plugin documents into the keystore
+  keystore author <name>          Create the author key that signs built packages, and trust it
+
+Options:
+  --workspace <dir>   Workspace folder holding plugin folders (default: $PDS_WORKSPACE or cwd)
+  --out <dir>         Output folder for export, or for build to export after building;
+                      for issue and ledger, a CSV file to write the licenses to, keys included
+  --name <text>       Build name recorded in the build registry (build)
+  --notes <text>      Release notes recorded in the build registry (build)
+  --no-bump           Keep metadata.version after a successful build
+  --no-npm            Skip the plugin's npm build script and write dist/ directly
+  --strict            Treat validation warnings as errors
+  --port <n>          license-server port (default: 3030)
+  --host <addr>       license-server address (default: 127.0.0.1)
+  --data <file>       license-server orders and licenses (default: <workspace>/.license-server.json)
+  --api-key <key>     license-server bearer token; any token is accepted when unset
+  --search <text>     ledger: only licenses matching every word (email, name, id, tier, batch)
+  --status <status>   ledger: only active, revoked or superseded licenses
+  --keystore <file>   Keystore holding signing keys (default: $PDS_KEYSTORE or the studio's)
+  -h, --help          Show this help
+
+When no plugin is given and the current folder is a plugin folder, that plugin is used.
+Set PDS_KEYSTORE_PASSPHRASE to unlock the keystore for signing; builds and exports strip
+secrets from the plugin either way, and fail if one appears in its code or metadata.
+Packages are signed with the keystore's author key when it is unlocked. verify trusts the
+authors in ${TRUSTED_AUTHORS_FILE} beside the keystore, the list the studio keeps in Settings.
+Each build is recorded in the build registry the studio shares, with a copy of its artifact,
+manifest and output; the registry's retention policy prunes old builds.`;
+
+const VERSION_PARTS: VersionPart[] = ['major', 'minor', 'patch'];
+
+const LEDGER_STATUSES: LedgerStatus[] = ['active', 'revoked', 'superseded'];
+
+class UsageError extends Error {}
+
+interface CliOptions {
+  command: string;
+  args: string[];
+  workspace: string;
+  out?: string;
+  name?: string;
+  notes?: string;
+  bump: boolean;
+  npm: boolean;
+  strict: boolean;
+  port: number;
+  host: string;
+  data?: string;
+  apiKey?: string;
+  search?: string;
+  status?: LedgerStatus;
+  keystore: string;
+}
+
+interface PluginTarget {
+  name: string;
+  dir: string;
+  file: string;
+}
+
+function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = {
+    command: '',
+    args: [],
+    workspace: process.env.PDS_WORKSPACE || process.cwd(),
+    bump: true,
+    npm: true,
+    strict: false,
+    port: 3030,
+    host: '127.0.0.1',
+    keystore: process.env.PDS_KEYSTORE || defaultKeystorePath()
+  };
+  const valueOf = (flag: string, i: number) => {
+    const value = argv[i + 1];
+    if (value === undefined || value.startsWith('--')) throw new UsageError(`${flag} requires a value`);
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--workspace': options.workspace = valueOf(arg, i++); break;
+      case '--out': options.out = valueOf(arg, i++); break;
+      case '--name': options.name = valueOf(arg, i++); break;
+      case '--notes': options.notes = valueOf(arg, i++); break;
+      case '--no-bump': options.bump = false; break;
+      case '--no-npm': options.npm = false; break;
+      case '--strict': options.strict = true; break;
+      case '--port': {
+        const port = Number(valueOf(arg, i++));
+        if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError('--port must be a port number');
+        options.port = port;
+        break;
+      }
+      case '--host': options.host = valueOf(arg, i++); break;
+      case '--data': options.data = valueOf(arg, i++); break;
+      case '--api-key': options.apiKey = valueOf(arg, i++); break;
+      case '--keystore': options.keystore = valueOf(arg, i++); break;
+      case '--search': options.search = valueOf(arg, i++); break;
+      case '--status': {
+        const status = valueOf(arg, i++) as LedgerStatus;
+        if (!LEDGER_STATUSES.includes(status)) throw new UsageError(`--status must be one of: ${LEDGER_STATUSES.join(', ')}`);
+        options.status = status;
+        break;
+      }
+      case '-h':
+      case '--help': options.command = 'help'; break;
+      default:
+        if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+        if (!options.command) options.command = arg;
+        else options.args.push(arg);
+    }
+  }
+  options.workspace = path.resolve(options.workspace);
+  options.keystore = path.resolve(options.keystore);
+  return options;
+}
+
+// The studio keeps its keystore in Tauri's app data folder for the app identifier
+const STUDIO_IDENTIFIER = 'com.joshual.tauri-app';
+
+function defaultKeystorePath(): string {
+  const home = os.homedir();
+  const dataDir = process.platform === 'win32'
+    ? process.env.APPDATA || path.join(home, 'AppData', 'Roaming')
+    : process.platform === 'darwin'
+      ? path.join(home, 'Library', 'Application Support')
+      : process.env.XDG_DATA_HOME || path.join(home, '.local', 'share');
+  return path.join(dataDir, STUDIO_IDENTIFIER, KEYSTORE_FILE);
+}
+
+/**
+ * The keystore unlocked with PDS_KEYSTORE_PASSPHRASE; null without a passphrase or a keystore
+ */
+async function openKeystore(options: CliOptions): Promise<UnlockedKeystore | null> {
+  const passphrase = process.env.PDS_KEYSTORE_PASSPHRASE;
+  if (!passphrase || !fs.existsSync(options.keystore)) return null;
+  const file = parseKeystore(fs.readFileSync(options.keystore, 'utf8'));
+  return file && await unlockKeystore(file, passphrase);
+}
+
+function trustedAuthorsPath(options: CliOptions): string {
+  return path.join(path.dirname(options.keystore), TRUSTED_AUTHORS_FILE);
+}
+
+function readTrustedAuthors(options: CliOptions) {
+  const file = trustedAuthorsPath(options);
+  return parseTrustedAuthors(fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+}
+
+function saveKeystore(options: CliOptions, store: UnlockedKeystore) {
+  fs.mkdirSync(path.dirname(options.keystore), { recursive: true });
+  fs.writeFileSync(options.keystore, serializeKeystore(store.file), { mode: 0o600 });
+}
+
+function pluginTarget(dir: string): PluginTarget {
+  const name = path.basename(dir);
+  return { name, dir, file: path.join(dir, `${name}.lycplugin`) };
+}
+
+/**
+ * Resolve a plugin argument: a plugin folder name in the workspace, a plugin folder path, or a .lycplugin path
+ */
+function resolvePlugin(workspace: string, arg: string): PluginTarget {
+  if (arg.endsWith('.lycplugin') && fs.existsSync(arg)) {
+    const file = path.resolve(arg);
+    return { name: path.basename(file, '.lycplugin'), dir: path.dirname(file), file };
+  }
+  const candidates = [path.join(workspace, arg), path.resolve(arg)];
+  for (const dir of candidates) {
+    const target = pluginTarget(dir);
+    if (fs.existsSync(target.file)) return target;
+  }
+  throw new Error(`Plugin not found: ${arg} (looked for ${pluginTarget(candidates[0]).file})`);
+}
+
+function listWorkspacePlugins(workspace: string): PluginTarget[] {
+  if (!fs.existsSync(workspace)) throw new Error(`Workspace not found: ${workspace}`);
+  return fs.readdirSync(workspace, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => pluginTarget(path.join(workspace, entry.name)))
+    .filter(target => fs.existsSync(target.file))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function resolveTargets(options: CliOptions, names: string[]): PluginTarget[] {
+  if (names.length > 0) return names.map(name => resolvePlugin(options.workspace, name));
+  const here = pluginTarget(process.cwd());
+  if (fs.existsSync(here.file)) return [here];
+  const all = listWorkspacePlugins(options.workspace);
+  if (all.length === 0) throw new Error(`No plugins found in ${options.workspace}`);
+  return all;
+}
+
+/**
+ * Read and migrate a plugin document, persisting the migration like the studio does
+ */
+function readPluginDoc(target: PluginTarget): any {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(fs.readFileSync(target.file, 'utf8'));
+  } catch (e: any) {
+    throw new Error(`Failed to read/parse ${target.file}: ${e?.message || e}`);
+  }
+  const result = migratePluginDoc(parsed);
+  if (result.migrated) {
+    console.log(`  Migrated from formatVersion ${result.fromVersion} to ${result.toVersion}: ${result.applied.join(', ')}`);
+    writePluginDoc(target, result.doc);
+  }
+  return result.doc;
+}
+
+function writePluginDoc(target: PluginTarget, doc: any) {
+  fs.writeFileSync(target.file, JSON.stringify(doc, null, 2));
+}
+
+function printReport(report: PluginValidationReport) {
+  report.info.forEach(line => console.log(`  ${line}`));
+  report.warnings.forEach(line => console.warn(`  WARNING: ${line}`));
+  report.errors.forEach(line => console.error(`  ERROR: ${line}`));
+}
+
+function failedValidation(report: PluginValidationReport, strict: boolean): boolean {
+  return !report.ok || (strict && report.warnings.length > 0);
+}
+
+function artifactPath(target: PluginTarget): string {
+  return path.join(target.dir, 'dist', `${target.name}.lycplugin`);
+}
+
+function runNpm(dir: string, args: string[]) {
+  const npm = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+  const result = spawnSync(npm, args, { cwd: dir, encoding: 'utf8', shell: process.platform === 'win32' });
+  if (result.stdout) process.stdout.write(result.stdout);
+  if (result.stderr) process.stderr.write(result.stderr);
+  return { success: result.status === 0, stderr: result.stderr || (result.error ? String(result.error) : '') };
+}
+
+function hasNpmBuild(target: PluginTarget): boolean {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(target.dir, 'package.json'), 'utf8'));
+    return typeof pkg?.scripts?.build === 'string';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run the plugin's npm build, repairing the same failures the studio repairs before one retry
+ */
+function runPluginBuild(target: PluginTarget): boolean {
+  const first = runNpm(target.dir, ['run', 'build']);
+  if (first.success) return true;
+
+  const failure = classifyBuildFailure(first.stderr);
+  if (failure === 'esModule') {
+    console.log('  Detected ES module error, rewriting scripts and retrying...');
+    fs.writeFileSync(path.join(target.dir, 'scripts', 'build.js'), pluginBuildScript(target.name));
+    fs.writeFileSync(path.join(target.dir, 'scripts', 'validate.js'), pluginValidateScript(target.name));
+  } else if (failure === 'missingDependencies') {
+    console.log('  Detected missing dependencies, running npm install and retrying...');
+    if (!runNpm(target.dir, ['install']).success) return false;
+  } else {
+    return false;
+  }
+  return runNpm(target.dir, ['run', 'build']).success;
+}
+
+/**
+ * Strip licensing secrets from a built or exported document, refusing when one is in its code or metadata
+ */
+function sanitizeForShipping(doc: any, secrets: KeystoreSecrets, file: string): SanitizedPlugin {
+  const sanitized = sanitizePluginForExport(doc, secrets);
+  if (sanitized.leaks.length > 0) {
+    sanitized.leaks.forEach(line => console.error(`  ERROR: ${line}`));
+    throw new Error(`Secrets would ship in ${file}; remove them from the plugin and rotate the keys`);
+  }
+  if (sanitized.removed.length > 0) console.log(`  Removed ${sanitized.removed.join(', ')} from ${file}`);
+  return sanitized;
+}
+
+/**
+ * Seal a document with an integrity block, signing it when there is an author key
+ */
+async function sealPackage(doc: any, author: AuthorKey | null, provenance?: BuildProvenance): Promise<any> {
+  const sealed = await sealPluginIntegrity(doc, provenance);
+  if (!author) return sealed;
+  console.log(`  Signed by ${author.name}`);
+  return await signPluginPackage(sealed, author);
+}
+
+/**
+ * Seal (and sign) the built artifact and write its manifest beside it
+ */
+async function sealArtifact(artifact: string, doc: any, provenance: BuildProvenance, author: AuthorKey | null): Promise<BuildManifest> {
+  const sealed = await sealPackage(doc, author, provenance);
+  const text = JSON.stringify(sealed, null, 2);
+  fs.writeFileSync(artifact, text);
+  const manifest = await createBuildManifest(sealed, text, path.basename(artifact), provenance);
+  fs.writeFileSync(manifestPathFor(artifact), serializeBuildManifest(manifest));
+  return manifest;
+}
+
+async function exportArtifact(target: PluginTarget, outDir: string, keystore: UnlockedKeystore | null): Promise<string> {
+  let source = artifactPath(target);
+  const fromDist = fs.existsSync(source);
+  if (!fromDist) {
+    console.warn(`  WARNING: ${source} not found, exporting the source .lycplugin`);
+    source = target.file;
+  }
+  const doc = JSON.parse(fs.readFileSync(source, 'utf8'));
+  fs.mkdirSync(outDir, { recursive: true });
+  const destination = path.join(outDir, exportFileName(doc, target.name));
+  // A built artifact has lost its keyId already; the source document still names the key
+  const secrets = await licensingSecrets(readPluginDoc(target).licensing, keystore);
+  const exported = sanitizeForShipping(doc, secrets, destination);
+  // A sealed build ships as built; anything else is sealed now, without build provenance
+  if (fromDist && doc.integrity && exported.removed.length === 0) {
+    const integrity = await verifyPluginIntegrity(exported.doc);
+    if (integrity.status !== 'valid') {
+      integrity.problems.forEach(line => console.error(`  ERROR: ${line}`));
+      throw new Error(`${source} changed after it was built; build the plugin again`);
+    }
+    fs.writeFileSync(destination, JSON.stringify(exported.doc, null, 2));
+  } else {
+    const author = keystore && await readAuthorKey(keystore);
+    fs.writeFileSync(destination, JSON.stringify(await sealPackage(exported.doc, author), null, 2));
+  }
+  return destination;
+}
+
+function registryFile(workspace: string): string {
+  return path.join(workspace, BUILD_REGISTRY_DIR, BUILD_REGISTRY_FILE);
+}
+
+/**
+ * The workspace's build registry; a new one starts with the plugins' metadata.buildHistory,
+ * which is imported only then
+ */
+function readBuildRegistry(workspace: string): BuildRegistry {
+  const file = registryFile(workspace);
+  const existing = parseRegistry(fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  if (existing) return existing;
+  const registry = emptyRegistry();
+  for (const target of fs.existsSync(workspace) ? listWorkspacePlugins(workspace) : []) {
+    try {
+      mergeBuildHistory(registry, JSON.parse(fs.readFileSync(target.file, 'utf8')), target.name);
+    } catch {
+      // an unreadable plugin has no history to bring over
+    }
+  }
+  return registry;
+}
+
+function saveBuildRegistry(workspace: string, registry: BuildRegistry) {
+  fs.mkdirSync(path.dirname(registryFile(workspace)), { recursive: true });
+  fs.writeFileSync(registryFile(workspace), serializeRegistry(registry));
+}
+
+// Folders of dropped builds go entirely; trimmed builds keep their log
+function removeBuildFiles(workspace: string, retention: RetentionResult) {
+  const dir = (key: string) => path.join(workspace, BUILD_REGISTRY_DIR, key);
+  retention.removed.forEach(record => fs.rmSync(dir(record.key), { recursive: true, force: true }));
+  retention.strippedArtifacts.forEach(({ key, files }) => files.forEach(file => fs.rmSync(path.join(dir(key), file), { force: true })));
+}
+
+/**
+ * Record a build in its workspace's registry with copies of the artifact, its manifest and the
+ * build output, then apply the retention policy
+ */
+function recordBuild(target: PluginTarget, record: Omit<BuildRecord, 'key'>, artifact: string, log: string[]): BuildRecord {
+  const workspace = path.dirname(target.dir);
+  const registry = readBuildRegistry(workspace);
+  const key = nextBuildKey(registry);
+  const dir = path.join(workspace, BUILD_REGISTRY_DIR, key);
+  fs.mkdirSync(dir, { recursive: true });
+  const kept: BuildRecord = { ...record, key, artifact: path.basename(artifact), log: BUILD_LOG_FILE };
+  fs.copyFileSync(artifact, path.join(dir, kept.artifact!));
+  if (fs.existsSync(manifestPathFor(artifact))) {
+    kept.manifest = path.basename(manifestPathFor(artifact));
+    fs.copyFileSync(manifestPathFor(artifact), path.join(dir, kept.manifest));
+  }
+  fs.writeFileSync(path.join(dir, BUILD_LOG_FILE), log.join('\n'));
+  addBuildRecord(registry, kept);
+  const retention = applyRetention(registry);
+  saveBuildRegistry(workspace, registry);
+  removeBuildFiles(workspace, retention);
+  return kept;
+}
+
+/**
+ * Run `task` with everything it writes to stdout and stderr also collected in `lines`
+ */
+async function teeOutput<T>(lines: string[], task: () => Promise<T>): Promise<T> {
+  const streams = [process.stdout, process.stderr];
+  const writes = streams.map(stream => stream.write);
+  streams.forEach((stream, i) => {
+    stream.write = ((chunk: any, ...rest: any[]) => {
+      lines.push(...String(chunk).split('\n').filter(line => line.trim()));
+      return (writes[i] as any).call(stream, chunk, ...rest);
+    }) as typeof stream.write;
+  });
+  try {
+    return await task();
+  } finally {
+    streams.forEach((stream, i) => { stream.write = writes[i]; });
+  }
+}
+
+function validateCommand(options: CliOptions): number {
+  let failed = 0;
+  for (const target of resolveTargets(options, options.args)) {
+    console.log(`${target.name}:`);
+    try {
+      const report = validatePluginDoc(readPluginDoc(target));
+      printReport(report);
+      if (failedValidation(report, options.strict)) failed++;
+    } catch (e: any) {
+      console.error(`  ERROR: ${e?.message || e}`);
+      failed++;
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Mirrors the studio's build: validate with auto-fixes, regenerate frontend.main from the
+ * GUI, build dist/<plugin>.lycplugin, record the build and bump the patch version.
+ */
+async function buildOne(target: PluginTarget, options: CliOptions, keystore: UnlockedKeystore | null, log: string[]): Promise<boolean> {
+  const buildName = options.name || 'Unnamed Build';
+  console.log(`${target.name}: building "${buildName}"`);
+  const doc = readPluginDoc(target);
+
+  const report = validatePluginDoc(doc);
+  printReport(report);
+  if (failedValidation(report, options.strict)) {
+    console.error(`  Build failed: validation reported ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+    return false;
+  }
+
+  const generated = generateFrontendFromGui(doc);
+  const generator: BuildGenerator = {
+    tool: 'pds',
+    frontend: generated.code !== null ? 'simpleGui' : 'source',
+    componentCount: generated.componentCount
+  };
+  if (generated.code !== null) {
+    console.log(`  Generated frontend.main from ${generated.componentCount} GUI components (${generated.code.length} characters)`);
+  } else {
+    console.log('  No GUI components found, using existing frontend code');
+  }
+  const secrets = await licensingSecrets(doc.licensing, keystore);
+  const revocations = await prepareRevocationList(doc, secrets);
+  revocations.messages.forEach(line => console.log(`  ${line}`));
+  if (revocations.errors.length > 0) {
+    revocations.errors.forEach(line => console.error(`  ERROR: ${line}`));
+    console.error('  Build failed: the revocation list cannot be shipped');
+    return false;
+  }
+  if (doc.licensing?.keyId && !keystore) {
+    console.warn('  WARNING: The keystore is locked, so only PEM private keys are checked for in code and metadata');
+  }
+  const leaks = findSecretLeaks(doc, secrets);
+  if (leaks.length > 0) {
+    leaks.forEach(line => console.error(`  ERROR: ${line}`));
+    console.error('  Build failed: secrets would ship in the plugin; remove them and rotate the keys');
+    return false;
+  }
+  // Persist auto-fixes and generated code before the plugin's own build script reads the file
+  writePluginDoc(target, doc);
+  const inputHash = await hashPluginDoc(doc);
+
+  if (options.npm && hasNpmBuild(target)) {
+    if (!runPluginBuild(target)) {
+      console.error('  Build failed: npm run build exited with an error');
+      return false;
+    }
+  } else {
+    fs.mkdirSync(path.dirname(artifactPath(target)), { recursive: true });
+    fs.writeFileSync(artifactPath(target), JSON.stringify(doc, null, 2));
+  }
+
+  const artifact = artifactPath(target);
+  if (!fs.existsSync(artifact)) {
+    console.error(`  Build failed: ${artifact} was not produced`);
+    return false;
+  }
+  // The plugin's build script copies the document as it is
+  const built = sanitizeForShipping(JSON.parse(fs.readFileSync(artifact, 'utf8')), secrets, artifact).doc;
+  const issues = checkExportedMetadata(built);
+  issues.warnings.forEach(line => console.warn(`  WARNING: ${line}`));
+  issues.errors.forEach(line => console.error(`  ERROR: ${line}`));
+  if (issues.errors.length > 0) return false;
+  const author = keystore && await readAuthorKey(keystore);
+  if (!author) console.warn('  WARNING: Not signing the package: no author key (unlock the keystore, or run keystore author)');
+  const manifest = await sealArtifact(artifact, built, { generator, inputHash }, author);
+  console.log(`  Wrote ${artifact} (sha256 ${manifest.artifact.sha256})`);
+
+  const exported = options.out ? await exportArtifact(target, path.resolve(options.out), keystore) : null;
+  if (exported) console.log(`  Exported to ${exported}`);
+
+  const meta = doc.metadata || {};
+  const builtVersion = String(meta.version || '1.0.0');
+  doc.metadata = { ...meta, version: options.bump ? bumpVersion(builtVersion) : builtVersion };
+  writePluginDoc(target, doc);
+  console.log(`  Built v${builtVersion}${options.bump ? `, version bumped to ${doc.metadata.version}` : ''}`);
+
+  const record = recordBuild(target, {
+    pluginId: String(meta.id || target.name),
+    pluginName: target.name,
+    name: String(meta.name || target.name),
+    version: builtVersion,
+    builtAt: new Date().toISOString(),
+    buildName,
+    releaseNotes: options.notes || '',
+    icon: meta.icon,
+    path: exported || artifact,
+    filename: path.basename(exported || artifact),
+    sha256: manifest.artifact.sha256,
+    source: 'pds'
+  }, artifact, log);
+  console.log(`  Recorded build ${record.key} in ${registryFile(path.dirname(target.dir))}`);
+  return true;
+}
+
+async function buildCommand(options: CliOptions): Promise<number> {
+  let failed = 0;
+  const targets = resolveTargets(options, options.args);
+  const keystore = await openKeystore(options);
+  for (const target of targets) {
+    try {
+      const log: string[] = [];
+      if (!(await teeOutput(log, () => buildOne(target, options, keystore, log)))) failed++;
+    } catch (e: any) {
+      console.error(`  ERROR: ${e?.message || e}`);
+      failed++;
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+async function exportCommand(options: CliOptions): Promise<number> {
+  if (!options.out) throw new UsageError('export requires --out <dir>');
+  const outDir = path.resolve(options.out);
+  const targets = resolveTargets(options, options.args);
+  const keystore = await openKeystore(options);
+  for (const target of targets) {
+    console.log(`${target.name}: exported to ${await exportArtifact(target, outDir, keystore)}`);
+  }
+  return 0;
+}
+
+function printIntegrity(label: string, report: IntegrityReport) {
+  console.log(`  ${label}: ${report.status}`);
+  report.problems.forEach(line => console.log(`    ${line}`));
+}
+
+/**
+ * Check each artifact against its integrity block and, when there is one, its manifest.
+ * A .lycplugin path is checked as it is; a plugin is checked through dist/<plugin>.lycplugin.
+ */
+async function verifyCommand(options: CliOptions): Promise<number> {
+  const files = options.args.length > 0
+    ? options.args.map(arg => arg.endsWith('.lycplugin') && fs.existsSync(arg)
+      ? path.resolve(arg)
+      : artifactPath(resolvePlugin(options.workspace, arg)))
+    : resolveTargets(options, []).map(artifactPath);
+  const trusted = readTrustedAuthors(options);
+  let failed = 0;
+  for (const file of files) {
+    console.log(`${file}:`);
+    if (!fs.existsSync(file)) {
+      console.error('  ERROR: Not built yet');
+      failed++;
+      continue;
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    let ok = true;
+    try {
+      const doc = JSON.parse(text);
+      const integrity = await verifyPluginIntegrity(doc);
+      printIntegrity('Integrity block', integrity);
+      // Unsigned and untrusted packages are reported but do not fail the check
+      const signature = await verifyPluginPackage(doc, trusted);
+      console.log(`  Signature: ${describePackageTrust(signature)}`);
+      // A tampered package's other problems are the integrity block's, listed above
+      (signature.trust === 'tampered' ? signature.problems.slice(0, 1) : signature.problems).forEach(line => console.log(`    ${line}`));
+      ok = integrity.status === 'valid' && signature.trust !== 'tampered';
+    } catch (e: any) {
+      console.error(`  ERROR: ${file} is not valid JSON: ${e?.message || e}`);
+      ok = false;
+    }
+    const manifestFile = manifestPathFor(file);
+    if (fs.existsSync(manifestFile)) {
+      const manifest = await verifyBuildManifest(JSON.parse(fs.readFileSync(manifestFile, 'utf8')), text);
+      printIntegrity(`Manifest ${path.basename(manifestFile)}`, manifest);
+      ok = ok && manifest.status === 'valid';
+    } else {
+      console.log('  No build manifest next to the artifact');
+    }
+    if (!ok) failed++;
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Builds in the workspace's registry, or `builds delete` to remove some
+ */
+function buildsCommand(options: CliOptions): number {
+  const [action, ...rest] = options.args;
+  const registry = readBuildRegistry(options.workspace);
+  if (action === 'delete') {
+    if (rest.length === 0) throw new UsageError('builds delete requires build keys');
+    const removed = rest.map(key => {
+      const record = removeBuildRecord(registry, key);
+      if (!record) throw new Error(`No build ${key} in ${registryFile(options.workspace)}`);
+      return record;
+    });
+    saveBuildRegistry(options.workspace, registry);
+    removeBuildFiles(options.workspace, { removed, strippedArtifacts: [] });
+    console.log(`Deleted ${removed.map(record => record.key).join(', ')}`);
+    return 0;
+  }
+  const names = options.args;
+  const builds = registry.builds.filter(b => names.length === 0 || names.some(name => name === b.pluginName || name === b.pluginId));
+  const { maxBuildsPerPlugin, maxArtifactsPerPlugin, maxAgeDays } = registry.retention;
+  console.log(`${registryFile(options.workspace)}: ${builds.length} build(s)`);
+  console.log(`  Retention: ${maxBuildsPerPlugin ?? 'all'} builds and ${maxArtifactsPerPlugin ?? 'all'} artifacts per plugin, ${maxAgeDays === null ? 'any age' : `up to ${maxAgeDays} days`}`);
+  for (const b of builds) {
+    const kept = b.artifact ? 'artifact kept' : 'no artifact';
+    console.log(`  ${b.key}  ${b.pluginName || b.pluginId}  v${b.version}  ${b.builtAt.slice(0, 16).replace('T', ' ')}  ${b.source}  ${kept}${b.pinned ? '  pinned' : ''}  ${b.buildName || ''}`);
+  }
+  return 0;
+}
+
+function bumpCommand(options: CliOptions): number {
+  const args = [...options.args];
+  const part = args.pop() as VersionPart | undefined;
+  if (!part || !VERSION_PARTS.includes(part)) throw new UsageError('bump requires one of: major, minor, patch');
+  if (args.length > 1) throw new UsageError('bump takes a single plugin');
+
+  const targets = resolveTargets(options, args);
+  if (targets.length !== 1) throw new UsageError('bump needs a plugin name when run outside a plugin folder');
+  const target = targets[0];
+  const doc = readPluginDoc(target);
+  const current = String(doc?.metadata?.version || '1.0.0');
+  const next = bumpVersion(current, part);
+  doc.metadata = { ...(doc.metadata || {}), version: next };
+  writePluginDoc(target, doc);
+  console.log(`${target.name}: ${current} -> ${next}`);
+  return 0;
+}
+
+function singleTarget(options: CliOptions, args: string[], command: string): PluginTarget {
+  if (args.length > 1) throw new UsageError(`${command} takes a single plugin`);
+  const targets = resolveTargets(options, args);
+  if (targets.length !== 1) throw new UsageError(`${command} needs a plugin name when run outside a plugin folder`);
+  return targets[0];
+}
+
+function ledgerPath(target: PluginTarget): string {
+  return path.join(target.dir, LICENSE_LEDGER_FILE);
+}
+
+function readLedger(target: PluginTarget, pluginId: string): LicenseLedger {
+  const file = ledgerPath(target);
+  return parseLedger(fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null, pluginId);
+}
+
+/**
+ * Issue licenses from a customer CSV. Nothing is issued while any row has errors, so a
+ * corrected file can be run again without issuing the good rows twice.
+ */
+async function issueCommand(options: CliOptions): Promise<number> {
+  const args = [...options.args];
+  const csvFile = args.pop();
+  if (!csvFile) throw new UsageError('issue requires a CSV file of customers');
+  const target = singleTarget(options, args, 'issue');
+  const doc = readPluginDoc(target);
+  const licensing = doc?.licensing;
+  const secrets = await licensingSecrets(licensing, await openKeystore(options));
+  if (!secrets.privateKey) {
+    throw new Error(licensing?.keyId
+      ? `${target.name} keeps its signing key in the keystore; set PDS_KEYSTORE_PASSPHRASE to unlock ${options.keystore}`
+      : `${target.name} has no signing keys; generate a key pair in the Licensing panel`);
+  }
+
+  const { rows, errors } = parseIssuanceCsv(fs.readFileSync(path.resolve(csvFile), 'utf8'), licensing);
+  if (errors.length > 0) {
+    errors.forEach(line => console.error(`  ERROR: ${line}`));
+    console.error(`${target.name}: nothing issued; fix the CSV and run again`);
+    return 1;
+  }
+
+  const pluginId = String(doc.metadata?.id || target.name);
+  const result = await issueBatch(new LicensingSystem(pluginId, applyLicensingSecrets(licensing, secrets)), readLedger(target, pluginId), licensing, rows);
+  fs.writeFileSync(ledgerPath(target), JSON.stringify(result.ledger, null, 2));
+  result.issued.forEach(entry => console.log(`  ${entry.licenseId}  ${entry.userEmail}  ${entry.tierName}`));
+  result.failures.forEach(failure => console.error(`  ERROR: Line ${failure.line} (${failure.userEmail}): ${failure.error}`));
+  console.log(`${target.name}: issued ${result.issued.length} license(s), recorded in ${ledgerPath(target)}`);
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), exportLedgerCsv(result.issued));
+    console.log(`  Wrote ${path.resolve(options.out)}`);
+  }
+  return result.failures.length > 0 ? 1 : 0;
+}
+
+function ledgerCommand(options: CliOptions): number {
+  const target = singleTarget(options, options.args, 'ledger');
+  const doc = readPluginDoc(target);
+  const ledger = readLedger(target, String(doc?.metadata?.id || target.name));
+  const entries = searchLedger(ledger, options.search || '', options.status);
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), exportLedgerCsv(entries));
+    console.log(`${target.name}: wrote ${entries.length} of ${ledger.entries.length} license(s) to ${path.resolve(options.out)}`);
+    return 0;
+  }
+  console.log(`${target.name}: ${entries.length} of ${ledger.entries.length} license(s)`);
+  for (const entry of entries) {
+    const expires = entry.expiresAt ? entry.expiresAt.slice(0, 10) : 'never';
+    console.log(`  ${entry.licenseId}  ${entry.status.padEnd(10)}  ${entry.userEmail}  ${entry.tierName}  expires ${expires}`);
+  }
+  return 0;
+}
+
+/**
+ * Keys in the keystore, or `keystore import` to move secrets out of plugin documents
+ */
+async function keystoreCommand(options: CliOptions): Promise<number> {
+  const [action, ...names] = options.args;
+  if (action === 'list') {
+    const file = parseKeystore(fs.existsSync(options.keystore) ? fs.readFileSync(options.keystore, 'utf8') : null);
+    if (!file) {
+      console.log(`No keystore at ${options.keystore}`);
+      return 0;
+    }
+    console.log(`${options.keystore}: ${file.entries.length} key(s)`);
+    file.entries.forEach(entry => console.log(`  ${entry.id}  ${entry.pluginId || '(signs packages)'}  updated ${entry.updatedAt.slice(0, 10)}`));
+    return 0;
+  }
+  if (action !== 'import' && action !== 'author') throw new UsageError('keystore requires list, import or author');
+
+  const passphrase = process.env.PDS_KEYSTORE_PASSPHRASE;
+  if (!passphrase) throw new UsageError(`keystore ${action} needs PDS_KEYSTORE_PASSPHRASE`);
+  if (action === 'author') {
+    if (names.length === 0) throw new UsageError('keystore author requires the author name');
+    const store = (await openKeystore(options)) || await createKeystore(passphrase);
+    const key = await generateAuthorKey(names.join(' '));
+    await writeAuthorKey(store, key);
+    saveKeystore(options, store);
+    const author = await trustedAuthorFor(key.name, key.publicKey);
+    const trusted = [...readTrustedAuthors(options).filter(a => a.keyId !== author.keyId), author];
+    fs.writeFileSync(trustedAuthorsPath(options), serializeTrustedAuthors(trusted));
+    console.log(`Created author key ${author.keyId} for ${key.name} and trusted it`);
+    console.log(key.publicKey.trim());
+    return 0;
+  }
+  const targets = resolveTargets(options, names);
+  const store = (await openKeystore(options)) || await createKeystore(passphrase);
+  const moves: { target: PluginTarget; doc: any; moved: string[] }[] = [];
+  for (const target of targets) {
+    const doc = readPluginDoc(target);
+    if (!doc.licensing) continue;
+    const moved = await moveLicensingSecrets(doc.licensing, store, String(doc.metadata?.id || target.name));
+    if (moved.length > 0) moves.push({ target, doc, moved });
+  }
+  if (moves.length === 0) {
+    console.log('No secrets stored in plugin documents');
+    return 0;
+  }
+  // The keystore first, so a failure never leaves a document pointing at a key that was not saved
+  saveKeystore(options, store);
+  for (const { target, doc, moved } of moves) {
+    writePluginDoc(target, doc);
+    console.log(`${target.name}: moved ${moved.join(', ')} to key ${doc.licensing.keyId}`);
+  }
+  console.log(`Saved ${options.keystore}`);
+  return 0;
+}
+
+/**
+ * Serve licenses for the given plugins until interrupted
+ */
+async function licenseServerCommand(options: CliOptions): Promise<number> {
+  const targets = resolveTargets(options, options.args);
+  targets.forEach(readPluginDoc);
+  const dataFile = path.resolve(options.data || path.join(options.workspace, '.license-server.json'));
+  const server = new LocalLicenseServer({
+    pluginFiles: targets.map(target => target.file),
+    dataFile,
+    apiKey: options.apiKey,
+    keystore: (await openKeystore(options)) || undefined,
+    log: line => console.log(`  ${line}`)
+  });
+  server.listen(options.port, options.host).then(
+    url => {
+      console.log(`License server listening on ${url}`);
+      console.log(`  Plugins: ${targets.map(target => target.name).join(', ')}`);
+      console.log(`  Data: ${dataFile}`);
+      console.log('  Set the plugin\'s License Server URL to this address in the Licensing panel. Ctrl+C to stop.');
+    },
+    (e: any) => {
+      console.error(`Failed to start license server: ${e?.message || e}`);
+      process.exitCode = 1;
+    }
+  );
+  return 0;
+}
+
+async function main(argv: string[]): Promise<number> {
+  try {
+    const options = parseArgs(argv);
+    switch (options.command) {
+      case 'validate': return validateCommand(options);
+      case 'build': return await buildCommand(options);
+      case 'export': return await exportCommand(options);
+      case 'verify': return await verifyCommand(options);
+      case 'builds': return buildsCommand(options);
+      case 'bump': return bumpCommand(options);
+      case 'license-server': return await licenseServerCommand(options);
+      case 'issue': return await issueCommand(options);
+      case 'ledger': return ledgerCommand(options);
+      case 'keystore': return await keystoreCommand(options);
+      case '':
+      case 'help':
+        console.log(USAGE);
+        return 0;
+      default:
+        throw new UsageError(`Unknown command: ${options.command}`);
+    }
+  } catch (e: any) {
+    console.error(e?.message || String(e));
+    if (e instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
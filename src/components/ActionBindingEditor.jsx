@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon, ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline';
+import {
+  ACTION_TYPES,
+  componentEvents,
+  getComponentActions,
+  createAction,
+  checkComponentActions
+} from '../lib/componentActions.ts';
+import { getSequencer } from '../lib/sequencer.ts';
+
+const fieldClass = 'w-full px-2 py-1 border border-gray-300 rounded text-xs';
+
+/**
+ * Binds a component's events to actions: invoke a command, set state, run a sequencer step, switch tab
+ */
+const ActionBindingEditor = ({ component, pluginDoc, tabs, onChange }) => {
+  const events = componentEvents(component);
+  const actions = getComponentActions(component);
+  const [newType, setNewType] = useState('invoke');
+
+  // Checks run against the live designer tabs, which may be ahead of pluginDoc.gui
+  const doc = { ...pluginDoc, gui: { ...(pluginDoc?.gui || {}), tabs } };
+  const commands = Array.isArray(pluginDoc?.metadata?.tauriCommands) ? pluginDoc.metadata.tauriCommands : [];
+  const steps = getSequencer(pluginDoc).steps;
+  const check = checkComponentActions(doc, [component]);
+
+  if (events.length === 0) {
+    return <p className="text-xs text-gray-500">This component has no events to bind.</p>;
+  }
+
+  const setEventActions = (event, list) => {
+    const next = { ...actions, [event]: list };
+    if (list.length === 0) delete next[event];
+    onChange(next);
+  };
+
+  const updateAction = (event, index, changes) => {
+    setEventActions(event, (actions[event] || []).map((a, i) => (i === index ? { ...a, ...changes } : a)));
+  };
+
+  const moveAction = (event, index, delta) => {
+    const list = [...(actions[event] || [])];
+    const [action] = list.splice(index, 1);
+    list.splice(index + delta, 0, action);
+    setEventActions(event, list);
+  };
+
+  const renderArgs = (event, index, action) => {
+    const args = Object.entries(action.args || {});
+    const setArgs = (entries) => updateAction(event, index, { args: Object.fromEntries(entries) });
+    return (
+      <div className="space-y-1">
+        {args.map(([name, value], a) => (
+          <div key={a} className="flex gap-1">
+            <input className={`${fieldClass} font-mono`} placeholder="arg" value={name} onChange={(e) => setArgs(args.map((entry, i) => (i === a ? [e.target.value, entry[1]] : entry)))} />
+            <input className={`${fieldClass} font-mono`} placeholder="$event" value={value} onChange={(e) => setArgs(args.map((entry, i) => (i === a ? [entry[0], e.target.value] : entry)))} />
+            <button className="text-red-600" title="Remove argument" onClick={() => setArgs(args.filter((_, i) => i !== a))}>
+              <TrashIcon className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        <button className="text-xs text-blue-600" onClick={() => setArgs([...args, [`arg${args.length + 1}`, '$event']])}>+ argument</button>
+      </div>
+    );
+  };
+
+  const renderFields = (event, index, action) => {
+    switch (action.type) {
+      case 'invoke':
+        return (
+          <>
+            <select className={fieldClass} value={action.command} onChange={(e) => updateAction(event, index, { command: e.target.value })}>
+              <option value="">Choose command...</option>
+              {commands.map(c => <option key={c} value={c}>{c}</option>)}
+              {action.command && !commands.includes(action.command) && <option value={action.command}>{action.command} (undeclared)</option>}
+            </select>
+            {renderArgs(event, index, action)}
+            <input
+              className={`${fieldClass} font-mono`}
+              placeholder="Store result in state variable (optional)"
+              value={action.resultVariable || ''}
+              onChange={(e) => updateAction(event, index, { resultVariable: e.target.value || undefined })}
+            />
+          </>
+        );
+      case 'setState':
+        return (
+          <div className="flex gap-1">
+            <input className={`${fieldClass} font-mono`} placeholder="variable" value={action.variable} onChange={(e) => updateAction(event, index, { variable: e.target.value })} />
+            <input className={`${fieldClass} font-mono`} placeholder="$event" value={action.value} onChange={(e) => updateAction(event, index, { value: e.target.value })} />
+          </div>
+        );
+      case 'runStep':
+        return (
+          <select className={fieldClass} value={action.stepId} onChange={(e) => updateAction(event, index, { stepId: e.target.value })}>
+            <option value="">Choose step...</option>
+            {steps.map(s => <option key={s.id} value={s.id}>{s.name || s.id}</option>)}
+          </select>
+        );
+      case 'switchTab':
+        return (
+          <select className={fieldClass} value={action.tabId} onChange={(e) => updateAction(event, index, { tabId: e.target.value })}>
+            <option value="">Choose tab...</option>
+            {(tabs || []).map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-gray-500">
+        Values: <code>$event</code> is the event value, <code>$state.name</code> a state variable; JSON is used as-is, anything else as text.
+      </p>
+      {events.map(event => (
+        <div key={event} className="space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-semibold">
+              {event}{typeof component.props?.[event] === 'string' && component.props[event] ? ` (${component.props[event]})` : ''}
+            </span>
+            <div className="flex gap-1">
+              <select className="px-1 py-0.5 border border-gray-300 rounded text-xs" value={newType} onChange={(e) => setNewType(e.target.value)}>
+                {ACTION_TYPES.map(t => <option key={t.type} value={t.type}>{t.label}</option>)}
+              </select>
+              <button className="inline-flex items-center text-xs text-blue-600" onClick={() => setEventActions(event, [...(actions[event] || []), createAction(newType, doc)])}>
+                <PlusIcon className="w-3 h-3" /> Add
+              </button>
+            </div>
+          </div>
+          {(actions[event] || []).length === 0 && <p className="text-xs text-gray-400">No actions</p>}
+          {(actions[event] || []).map((action, index, list) => (
+            <div key={index} className="p-2 border border-gray-200 rounded space-y-1 bg-gray-50">
+              <div className="flex items-center justify-between">
+                <span className="text-xs font-medium">
+                  {index + 1}. {ACTION_TYPES.find(t => t.type === action.type)?.label || action.type}
+                </span>
+                <div className="flex gap-1">
+                  <button disabled={index === 0} className="disabled:opacity-30" title="Move up" onClick={() => moveAction(event, index, -1)}>
+                    <ArrowUpIcon className="w-3 h-3" />
+                  </button>
+                  <button disabled={index === list.length - 1} className="disabled:opacity-30" title="Move down" onClick={() => moveAction(event, index, 1)}>
+                    <ArrowDownIcon className="w-3 h-3" />
+                  </button>
+                  <button className="text-red-600" title="Remove action" onClick={() => setEventActions(event, list.filter((_, i) => i !== index))}>
+                    <TrashIcon className="w-3 h-3" />
+                  </button>
+                </div>
+              </div>
+              {renderFields(event, index, action)}
+            </div>
+          ))}
+        </div>
+      ))}
+      {(check.errors.length > 0 || check.warnings.length > 0) && (
+        <ul className="text-xs list-disc ml-4">
+          {check.errors.map((m, i) => <li key={`e-${i}`} className="text-red-600">{m}</li>)}
+          {check.warnings.map((m, i) => <li key={`w-${i}`} className="text-yellow-700">{m}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActionBindingEditor;
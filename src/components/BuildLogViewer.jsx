@@ -6,10 +6,12 @@ import {
   ClipboardDocumentIcon,
   ExclamationTriangleIcon,
   CheckCircleIcon,
-  InformationCircleIcon
+  InformationCircleIcon,
+  StopIcon
 } from '@heroicons/react/24/outline';
+import { BUILD_PHASES, BUILD_PHASE_LABELS } from '../lib/buildJobs.ts';
 
-const BuildLogViewer = ({ isOpen, onClose, buildLogs, buildStatus }) => {
+const BuildLogViewer = ({ isOpen, onClose, buildLogs, buildStatus, buildPhase, onCancel }) => {
   const [autoScroll, setAutoScroll] = useState(true);
   const logContainerRef = useRef(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -106,6 +108,18 @@ const BuildLogViewer = ({ isOpen, onClose, buildLogs, buildStatus }) => {
           </div>
           
           <div className="flex items-center space-x-2">
+            {/* Cancel the running build */}
+            {onCancel && (
+              <button
+                onClick={onCancel}
+                className="inline-flex items-center px-3 py-1 text-sm border border-red-300 text-red-600 rounded hover:bg-red-50"
+                title="Stop the build"
+              >
+                <StopIcon className="w-4 h-4 mr-1" />
+                Cancel
+              </button>
+            )}
+
             {/* Search */}
             <input
               type="text"
@@ -143,6 +157,24 @@ const BuildLogViewer = ({ isOpen, onClose, buildLogs, buildStatus }) => {
           </div>
         </div>
 
+        {/* Build phases */}
+        {buildPhase && (
+          <div className="flex items-center px-4 py-2 border-b border-gray-200 bg-gray-50 text-sm">
+            {BUILD_PHASES.map((phase, index) => {
+              const current = BUILD_PHASES.indexOf(buildPhase);
+              const style = index < current
+                ? 'text-green-600'
+                : index === current ? 'text-blue-600 font-medium' : 'text-gray-400';
+              return (
+                <React.Fragment key={phase}>
+                  {index > 0 && <span className="mx-2 text-gray-300">›</span>}
+                  <span className={style}>{BUILD_PHASE_LABELS[phase]}</span>
+                </React.Fragment>
+              );
+            })}
+          </div>
+        )}
+
         {/* Auto-scroll indicator */}
         {!autoScroll && (
           <div className="px-4 py-2 bg-yellow-50 border-b border-yellow-200">
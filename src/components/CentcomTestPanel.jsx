@@ -41,6 +41,13 @@ import {
   LockClosedIcon,
   KeyIcon
 } from '@heroicons/react/24/outline';
+import { testPluginCode } from '../lib/pluginDebugger';
+import { SimpleGuiGenerator, convertToSimpleConfig } from '../lib/simpleGuiGenerator.ts';
+import { findComponentAt } from '../lib/componentSourceMap.ts';
+import { getGuiTabs } from '../lib/guiTabs.ts';
+import { getSequencer, checkSequencer } from '../lib/sequencer.ts';
+import { SequencerEngine } from '../lib/sequencerEngine.ts';
+import { createMockInvoke, getPluginMocks } from '../lib/mockBackend.ts';
 
 // Icon mapping for plugin icons
 const ICON_COMPONENTS = {
@@ -83,7 +90,7 @@ const isGreenish = (hexColor) => {
   return rgb.g > rgb.r + 50 && rgb.g > rgb.b + 50;
 };
 
-const CentcomTestPanel = ({ pluginName, pluginMetadata, onTestResults }) => {
+const CentcomTestPanel = ({ pluginName, pluginMetadata, onTestResults, onLocateComponent }) => {
   const [isTestingConnection, setIsTestingConnection] = useState(false);
   const [centcomStatus, setCentcomStatus] = useState('unknown'); // unknown, running, stopped, error
   
@@ -772,9 +779,45 @@ const CentcomTestPanel = ({ pluginName, pluginMetadata, onTestResults }) => {
       return;
     }
     
-    // Simulate more realistic GUI comparison
     const componentCount = pluginMetadata.gui.components.length;
     addTestLog('info', `Analyzing ${componentCount} GUI components`, 'GUI');
+
+    // Render the generated plugin code the way Centcom's loader does before comparing
+    const generated = SimpleGuiGenerator.generateSimpleComponentWithSourceMap(
+      convertToSimpleConfig({
+        tabs: getGuiTabs(pluginMetadata.gui),
+        components: pluginMetadata.gui.components,
+        settings: pluginMetadata.gui.settings || { layout: 'tabs', theme: 'default', responsive: true }
+      }, pluginMetadata.sequencer, pluginMetadata.licensing),
+      'PluginGUI'
+    );
+    const renderResult = await testPluginCode(generated.code, pluginMetadata?.metadata?.name || pluginName);
+    if (!renderResult.success) {
+      const firstError = renderResult.diagnostics.find(d => d.severity === 'error');
+      const componentId = firstError ? findComponentAt(generated.sourceMap, firstError.line, firstError.column) : null;
+      addTestLog('error', `Plugin GUI failed to render: ${renderResult.error}`, 'GUI');
+      if (componentId) {
+        addTestLog('error', `Error originates from component ${componentId}`, 'GUI');
+      }
+      setTestScenarios(prev => ({
+        ...prev,
+        guiMatching: {
+          status: 'error',
+          message: componentId
+            ? `Plugin GUI failed to render in component ${componentId}`
+            : 'Plugin GUI failed to render',
+          details: {
+            componentsRendered: false,
+            componentId,
+            error: renderResult.error,
+            issues: [renderResult.error]
+          }
+        }
+      }));
+      return;
+    }
+
+    // Simulate more realistic GUI comparison
     
     const guiMatches = Math.random() > 0.15; // 85% success rate for demo
     
@@ -899,55 +942,50 @@ const CentcomTestPanel = ({ pluginName, pluginMetadata, onTestResults }) => {
   const testSequencerActions = async () => {
     setCurrentTest('sequencerActions');
     setTestStep('Testing sequencer actions integration...');
-    
-    addTestLog('info', 'Testing sequencer actions registration', 'SEQUENCER');
-    addTestLog('info', 'Step 1: Scanning plugin for sequencer actions', 'SEQUENCER');
-    await new Promise(resolve => setTimeout(resolve, 800));
-    
-    addTestLog('info', 'Step 2: Registering actions with sequencer engine', 'SEQUENCER');
-    await new Promise(resolve => setTimeout(resolve, 600));
-    
-    addTestLog('info', 'Step 3: Validating action parameters and signatures', 'SEQUENCER');
-    await new Promise(resolve => setTimeout(resolve, 400));
-    
-    addTestLog('info', 'Step 4: Testing action execution in sequencer context', 'SEQUENCER');
-    await new Promise(resolve => setTimeout(resolve, 600));
-    
-    const sequencerWorks = Math.random() > 0.25; // 75% success rate for demo
-    
-    if (sequencerWorks) {
-      addTestLog('success', 'Plugin actions successfully integrated with sequencer', 'SEQUENCER');
-      setTestScenarios(prev => ({
-        ...prev,
-        sequencerActions: {
-          status: 'success',
-          message: 'Sequencer actions work properly',
-          details: {
-            actionsRegistered: true,
-            sequencerIntegration: true,
-            parametersValid: true,
-            executionSuccessful: true,
-            actionsFound: 5
-          }
-        }
-      }));
-    } else {
-      addTestLog('error', 'Sequencer integration failed - actions not compatible', 'SEQUENCER');
+
+    const sequencer = getSequencer(pluginMetadata);
+    addTestLog('info', 'Step 1: Checking sequencer steps', 'SEQUENCER');
+    const check = checkSequencer(pluginMetadata);
+    check.warnings.forEach(w => addTestLog('warning', w, 'SEQUENCER'));
+    check.errors.forEach(e => addTestLog('error', e, 'SEQUENCER'));
+
+    if (sequencer.steps.length === 0) {
+      addTestLog('warning', 'Plugin defines no sequencer steps', 'SEQUENCER');
       setTestScenarios(prev => ({
         ...prev,
         sequencerActions: {
-          status: 'error',
-          message: 'Sequencer actions failed to integrate',
-          details: {
-            actionsRegistered: false,
-            sequencerIntegration: false,
-            parametersValid: true,
-            executionSuccessful: false,
-            error: 'Plugin actions not found in sequencer application'
-          }
+          status: 'warning',
+          message: 'No sequencer steps defined',
+          details: { actionsFound: 0, recommendation: 'Add steps in the Sequencer Actions tab' }
         }
       }));
+      return;
     }
+
+    addTestLog('info', `Step 2: Running ${sequencer.steps.length} step(s) against the simulator mocks`, 'SEQUENCER');
+    const invoke = createMockInvoke(getPluginMocks(pluginMetadata), { '*': { success: true } });
+    const engine = new SequencerEngine(sequencer, { invoke });
+    const result = await engine.run();
+    for (const r of result.results) {
+      addTestLog(r.status === 'success' ? 'info' : 'error', `${r.name}: ${r.status}${r.error ? ` (${r.error})` : ''} → ${r.next}`, 'SEQUENCER');
+    }
+
+    const passed = result.state === 'completed' && check.errors.length === 0;
+    addTestLog(passed ? 'success' : 'error', passed ? 'Sequence completed' : `Sequence ${result.state}${result.error ? `: ${result.error}` : ''}`, 'SEQUENCER');
+    setTestScenarios(prev => ({
+      ...prev,
+      sequencerActions: {
+        status: passed ? 'success' : 'error',
+        message: passed ? 'Sequencer actions run to completion' : 'Sequencer actions failed',
+        details: {
+          actionsFound: sequencer.steps.length,
+          stepsExecuted: result.results.length,
+          parametersValid: check.errors.length === 0,
+          executionSuccessful: result.state === 'completed',
+          ...(result.error ? { error: result.error } : {})
+        }
+      }
+    }));
   };
 
   // Generate database migration script
@@ -1203,6 +1241,14 @@ SELECT name, sql FROM sqlite_master WHERE type='table' AND name='plugins';
               {testScenarios.guiMatching.message && (
                 <p className="text-sm text-gray-700">{testScenarios.guiMatching.message}</p>
               )}
+              {testScenarios.guiMatching.details?.componentId && onLocateComponent && (
+                <button
+                  onClick={() => onLocateComponent(testScenarios.guiMatching.details.componentId)}
+                  className="mt-2 px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors"
+                >
+                  Show in GUI Builder
+                </button>
+              )}
             </div>
 
             {/* Scenario 3: Data Saving */}
@@ -1799,6 +1845,12 @@ const CentcomSimulator = ({
                         <span className="text-sm">GUI matches perfectly</span>
                       </div>
                     )}
+                    {testScenarios.guiMatching.status === 'error' && (
+                      <div className="p-2 bg-red-900 border border-red-700 rounded inline-flex items-center">
+                        <ExclamationTriangleIcon className="w-4 h-4 text-red-400 mr-2" />
+                        <span className="text-sm">GUI failed to render</span>
+                      </div>
+                    )}
                     {testScenarios.guiMatching.status === 'warning' && (
                       <div className="p-2 bg-yellow-900 border border-yellow-700 rounded inline-flex items-center">
                         <ExclamationTriangleIcon className="w-4 h-4 text-yellow-400 mr-2" />
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import {
+  DocumentArrowUpIcon,
+  ArrowDownTrayIcon,
+  ClipboardDocumentIcon,
+  ArrowPathIcon,
+  CalendarDaysIcon,
+  MagnifyingGlassIcon,
+  NoSymbolIcon,
+  UserGroupIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import { LicensingSystem } from '../lib/licensing.ts';
+import {
+  parseIssuanceCsv,
+  issueBatch,
+  searchLedger,
+  exportLedgerCsv,
+  reissueLicense,
+  extendLicense,
+  revokeLedgerEntry,
+  emptyLedger
+} from '../lib/licenseLedger.ts';
+import { readLicenseLedger, saveLicenseLedger, saveTextToDownloads } from '../lib/studio.ts';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  revoked: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  superseded: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+};
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : 'Never';
+
+/**
+ * Issued licenses of a plugin: batch issuance from CSV and the ledger of every license signed,
+ * with re-issue, extend and revoke. Revocations go through the plugin's signed revocation list,
+ * which is handed back through onRevocationListChange to be saved with the plugin.
+ */
+const IssuedLicenses = ({ pluginName, pluginId, licensing, onRevocationListChange }) => {
+  const [ledger, setLedger] = useState(() => emptyLedger(pluginId));
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [csvText, setCsvText] = useState('');
+  const [query, setQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [extending, setExtending] = useState(null);
+
+  const canSign = !!licensing.cryptography?.privateKey;
+  const preview = csvText.trim() ? parseIssuanceCsv(csvText, licensing) : null;
+  const entries = searchLedger(ledger, query, statusFilter || undefined)
+    .slice()
+    .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+
+  useEffect(() => {
+    if (!pluginName) return;
+    let cancelled = false;
+    setLoading(true);
+    readLicenseLedger(pluginName, pluginId)
+      .then(loaded => { if (!cancelled) setLedger(loaded); })
+      .catch(err => { if (!cancelled) setError(`Failed to load the license ledger: ${err.message || err}`); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [pluginName, pluginId]);
+
+  // LicensingSystem replaces revocationList on the config it holds, so give it a copy
+  const licensingSystem = () => new LicensingSystem(pluginId, { ...licensing });
+
+  // Run a ledger operation, then save the ledger and any new revocation list
+  const run = async (operation) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await operation();
+      await saveLicenseLedger(pluginName, result.ledger);
+      setLedger(result.ledger);
+      if (result.revocationList) onRevocationListChange(result.revocationList);
+      return result;
+    } catch (err) {
+      setError(err.message || String(err));
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadCsvFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setCsvText(await file.text());
+    e.target.value = '';
+  };
+
+  const issueFromCsv = async () => {
+    if (!preview || preview.rows.length === 0) return;
+    const result = await run(() => issueBatch(licensingSystem(), ledger, licensing, preview.rows));
+    if (!result) return;
+    setCsvText('');
+    setMessage(`Issued ${result.issued.length} license${result.issued.length === 1 ? '' : 's'}${
+      result.failures.length > 0 ? `; ${result.failures.length} failed` : ''
+    }`);
+    if (result.failures.length > 0) {
+      setError(result.failures.map(f => `Line ${f.line} (${f.userEmail}): ${f.error}`).join('\n'));
+    }
+  };
+
+  const reissue = async (entry) => {
+    if (!window.confirm(`Issue a new key for ${entry.userEmail}? The current key will be revoked.`)) return;
+    const result = await run(() => reissueLicense(licensingSystem(), ledger, licensing, entry.licenseId));
+    if (result) setMessage(`Re-issued ${entry.licenseId} as ${result.entry.licenseId}`);
+  };
+
+  const extend = async () => {
+    const result = await run(() => extendLicense(licensingSystem(), ledger, licensing, extending.licenseId, extending.expiresAt));
+    if (result) {
+      setMessage(`Extended to ${formatDate(result.entry.expiresAt)} as ${result.entry.licenseId}`);
+      setExtending(null);
+    }
+  };
+
+  const revoke = async (entry) => {
+    const reason = window.prompt(`Revoke the license of ${entry.userEmail}? Reason:`, 'Manual revocation');
+    if (reason === null) return;
+    const result = await run(() => revokeLedgerEntry(licensingSystem(), ledger, entry.licenseId, reason || 'Manual revocation'));
+    if (result) setMessage(`Revoked ${entry.licenseId}; rebuild the plugin to ship the updated revocation list`);
+  };
+
+  const exportCsv = async () => {
+    try {
+      const saved = await saveTextToDownloads(`${pluginId}-licenses.csv`, exportLedgerCsv(entries));
+      setMessage(`Exported ${entries.length} licenses to ${saved}`);
+    } catch (err) {
+      setError(`Export failed: ${err.message || err}`);
+    }
+  };
+
+  const copyKey = (entry) => {
+    navigator.clipboard.writeText(entry.licenseKey).then(
+      () => setMessage(`Copied the key of ${entry.licenseId}`),
+      (err) => setError(`Failed to copy: ${err.message || err}`)
+    );
+  };
+
+  const buttonClass = 'inline-flex items-center px-3 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50';
+
+  return (
+    <div className="space-y-6">
+      {!canSign && (
+        <div className="flex items-start space-x-2 rounded-lg p-3 bg-yellow-50 dark:bg-yellow-900/20 text-sm text-yellow-800 dark:text-yellow-300">
+          <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+          <span>Generate a key pair under Advanced, or unlock the keystore there, to issue licenses.</span>
+        </div>
+      )}
+
+      {/* Batch issuance */}
+      <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+        <h5 className="text-lg font-medium text-gray-900 dark:text-gray-100 mb-1">Issue from CSV</h5>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+          One customer per row under a header row. Required columns: <code>email</code>, <code>tier</code> (id or name).
+          Optional: <code>name</code>, <code>expiration</code> (date, overrides the tier's duration) and <code>features</code> (granted
+          on top of the tier's, separated by <code>;</code>).
+        </p>
+        <textarea
+          value={csvText}
+          onChange={(e) => setCsvText(e.target.value)}
+          rows="5"
+          placeholder={'email,tier,name,expiration,features\nada@example.com,Pro,Ada Lovelace,2027-01-31,export'}
+          className="w-full px-3 py-2 text-sm font-mono border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 dark:text-gray-200"
+        />
+        <div className="mt-2 flex items-center space-x-2">
+          <label className={`${buttonClass} cursor-pointer`}>
+            <DocumentArrowUpIcon className="h-4 w-4 mr-1" />
+            Load CSV file
+            <input type="file" accept=".csv,text/csv" onChange={loadCsvFile} className="hidden" />
+          </label>
+          <button
+            onClick={issueFromCsv}
+            disabled={!canSign || busy || !preview || preview.rows.length === 0}
+            className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <UserGroupIcon className="h-4 w-4 mr-1" />
+            {busy ? 'Issuing...' : `Issue ${preview?.rows.length || 0} license${preview?.rows.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+        {preview && preview.errors.length > 0 && (
+          <ul className="mt-2 text-xs text-red-600 dark:text-red-400 list-disc ml-5">
+            {preview.errors.map((line, i) => <li key={i}>{line}</li>)}
+          </ul>
+        )}
+        {preview && preview.errors.length > 0 && preview.rows.length > 0 && (
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Rows with errors are skipped.</p>
+        )}
+      </div>
+
+      {(message || error) && (
+        <div className="space-y-1">
+          {message && <p className="text-sm text-green-600 dark:text-green-400">{message}</p>}
+          {error && <p className="text-sm text-red-600 dark:text-red-400 whitespace-pre-line">{error}</p>}
+        </div>
+      )}
+
+      {/* Ledger */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h5 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+            Ledger <span className="text-sm font-normal text-gray-500">({ledger.entries.length} issued)</span>
+          </h5>
+          <button onClick={exportCsv} disabled={entries.length === 0} className={buttonClass}>
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            Export CSV
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="h-4 w-4 absolute left-2 top-2.5 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search email, name, license id, tier or batch"
+              className="w-full pl-8 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 dark:text-gray-200"
+            />
+          </div>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 dark:text-gray-200"
+          >
+            <option value="">All statuses</option>
+            <option value="active">Active</option>
+            <option value="revoked">Revoked</option>
+            <option value="superseded">Superseded</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+            <UserGroupIcon className="h-12 w-12 mx-auto mb-3 opacity-50" />
+            <p>{ledger.entries.length === 0 ? 'No licenses issued yet' : 'No licenses match the search'}</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+            {entries.map(entry => (
+              <div key={entry.licenseId} className="p-3">
+                <div className="flex items-start justify-between">
+                  <div className="text-sm">
+                    <div className="text-gray-900 dark:text-gray-100">
+                      {entry.customerName ? `${entry.customerName} <${entry.userEmail}>` : entry.userEmail}
+                      <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[entry.status]}`}>{entry.status}</span>
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      <span className="font-mono">{entry.licenseId}</span> - {entry.tierName} - issued {formatDate(entry.issuedAt)}
+                      {' '}- expires {formatDate(entry.expiresAt)}
+                      {entry.batchId && ` - ${entry.batchId}`}
+                    </div>
+                    {(entry.replacedBy || entry.revokeReason) && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {entry.revokeReason}{entry.replacedBy && ` - replaced by ${entry.replacedBy}`}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-1 flex-shrink-0">
+                    <button onClick={() => copyKey(entry)} title="Copy license key" className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400">
+                      <ClipboardDocumentIcon className="h-4 w-4" />
+                    </button>
+                    {entry.status === 'active' && canSign && (
+                      <>
+                        <button onClick={() => reissue(entry)} disabled={busy} title="Re-issue" className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 disabled:opacity-50">
+                          <ArrowPathIcon className="h-4 w-4" />
+                        </button>
+                        {entry.expiresAt && (
+                          <button
+                            onClick={() => setExtending({ licenseId: entry.licenseId, expiresAt: '' })}
+                            disabled={busy}
+                            title="Extend"
+                            className="p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 disabled:opacity-50"
+                          >
+                            <CalendarDaysIcon className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button onClick={() => revoke(entry)} disabled={busy} title="Revoke" className="p-1 text-red-500 hover:text-red-700 dark:text-red-400 disabled:opacity-50">
+                          <NoSymbolIcon className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+                {extending?.licenseId === entry.licenseId && (
+                  <div className="mt-2 flex items-center space-x-2">
+                    <input
+                      type="date"
+                      value={extending.expiresAt}
+                      min={entry.expiresAt?.slice(0, 10)}
+                      onChange={(e) => setExtending({ ...extending, expiresAt: e.target.value })}
+                      className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 dark:text-gray-200"
+                    />
+                    <button onClick={extend} disabled={busy || !extending.expiresAt} className={buttonClass}>
+                      Extend
+                    </button>
+                    <button onClick={() => setExtending(null)} className={buttonClass}>
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IssuedLicenses;
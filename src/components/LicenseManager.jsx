@@ -17,8 +17,14 @@ import {
   EyeSlashIcon,
   ArrowPathIcon,
   CloudIcon,
-  DevicePhoneMobileIcon
+  DevicePhoneMobileIcon,
+  ComputerDesktopIcon
 } from '@heroicons/react/24/outline';
+import LicenseUpgradeModal from './LicenseUpgradeModal';
+import { licensePurchaseManager, LicenseClientUtils } from '../lib/licenseClient';
+import { getMachineFingerprint, formatMachineId } from '../lib/machineFingerprint';
+import { decodeLicenseKey, normalizeLicenseKey, isLicenseKey } from '../lib/licenseKey';
+import { licenseVerificationKey } from '../lib/licensing';
 import './LicenseManager.css';
 
 /**
@@ -36,12 +42,18 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [activeTab, setActiveTab] = useState('overview');
+  const [upgradePlugin, setUpgradePlugin] = useState(null);
+  const [machine, setMachine] = useState(null);
 
   // Load licenses on component mount
   useEffect(() => {
     loadLicenses();
   }, [installedPlugins]);
 
+  useEffect(() => {
+    getMachineFingerprint().then(setMachine).catch(() => setMachine(null));
+  }, []);
+
   // Load all licenses from storage and validate them
   const loadLicenses = async () => {
     setLoading(true);
@@ -61,9 +73,9 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
             plugin: plugin
           };
 
-          // Get license details
-          if (validation.valid) {
-            const details = await getLicenseDetails(storedLicense);
+          // Get license details; node-locked licenses need them to offer activation
+          const details = await getLicenseDetails(storedLicense);
+          if (details && (validation.valid || activationState(details))) {
             pluginLicenseData[plugin.id] = details;
           }
         } else {
@@ -90,9 +102,15 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
   // Validate a license key
   const validateLicense = async (pluginId, licenseKey) => {
     try {
+      // Verified against the public key the installed plugin ships with
+      const verification = licenseVerificationKey(installedPlugins.find(p => p.id === pluginId)?.licensing);
+      if (!verification) {
+        throw new Error(`No public key is known for ${pluginId}, so its license cannot be verified`);
+      }
       const result = await window.__TAURI__.invoke('validate_plugin_license', {
         pluginId,
-        licenseKey
+        licenseKey,
+        ...verification
       });
       return result;
     } catch (error) {
@@ -113,21 +131,31 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
   const getLicenseDetails = async (licenseKey) => {
     try {
       // Decode license to get details
-      if (!licenseKey.startsWith('LYC-')) return null;
+      if (!isLicenseKey(licenseKey)) return null;
       
-      const encoded = licenseKey.substring(4);
-      const decoded = atob(encoded);
-      const licenseData = JSON.parse(decoded);
-      
-      return licenseData.payload;
+      return decodeLicenseKey(licenseKey).payload;
     } catch (error) {
       console.error('Failed to decode license:', error);
       return null;
     }
   };
 
-  // Install/Update a license
-  const installLicense = async (pluginId, licenseKey) => {
+  // Keys carry the tier id only; the name comes from the plugin, or from keys that still carry it
+  const tierName = (pluginId, details) => {
+    const plugin = installedPlugins.find(p => p.id === pluginId);
+    return plugin?.licensing?.tiers?.find(t => t.id === details?.tierId)?.name || details?.metadata?.tierName;
+  };
+
+  // 'required' for node-locked licenses not yet activated, 'activated' once bound to a machine
+  const activationState = (details) => {
+    if (details?.machine) return 'activated';
+    return details?.nodeLocking ? 'required' : null;
+  };
+
+  // Install/Update a license; resolves to whether it was installed
+  const installLicense = async (pluginId, pastedKey) => {
+    // Pasted keys may be lowercase or broken over lines
+    const licenseKey = normalizeLicenseKey(pastedKey);
     setLoading(true);
     setError('');
     setSuccess('');
@@ -160,7 +188,9 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
           }));
         }
 
-        setSuccess('License installed successfully!');
+        setSuccess(validation.warnings?.length
+          ? `License installed, with warnings: ${validation.warnings.join(', ')}`
+          : 'License installed successfully!');
         setNewLicenseKey('');
         setShowLicenseInput(false);
 
@@ -168,14 +198,84 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
         if (onLicenseUpdate) {
           onLicenseUpdate(pluginId, licenseKey, validation);
         }
-      } else {
-        setError(`License validation failed: ${validation.errors?.join(', ') || 'Invalid license'}`);
+        return true;
       }
+
+      if (activationState(await getLicenseDetails(licenseKey)) === 'required') {
+        setShowLicenseInput(false);
+        setNewLicenseKey('');
+        return await activateLicense(installedPlugins.find(p => p.id === pluginId), licenseKey);
+      }
+      setError(`License validation failed: ${validation.errors?.join(', ') || validation.error || 'Invalid license'}`);
     } catch (err) {
       setError(`Failed to install license: ${err.message}`);
     } finally {
       setLoading(false);
     }
+    return false;
+  };
+
+  // Bind a node-locked license to this machine through the plugin's license server
+  const activateLicense = async (plugin, licenseKey) => {
+    if (!plugin?.licensing?.licenseServer?.url) {
+      setError(`This license must be activated on this machine, but ${plugin?.name || plugin?.id} has no license server. Send the plugin vendor your machine ID: ${formatMachineId(machine?.id) || 'unknown'}`);
+      return false;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      const result = await licensePurchaseManager.activatePluginLicense(plugin.id, licenseKey, plugin.licensing);
+      if (!result.success || !result.licenseKey) {
+        setError(`Activation failed: ${result.error || 'Unknown error'}`);
+        return false;
+      }
+      const installed = await installLicense(plugin.id, result.licenseKey);
+      if (installed) {
+        setSuccess(`License activated on this machine (${result.activations} of ${result.maxActivations} activations in use)`);
+      }
+      return installed;
+    } catch (err) {
+      setError(`Activation failed: ${err.message}`);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Release this machine's activation so the license can be activated elsewhere
+  const deactivateLicense = async (plugin) => {
+    const licenseKey = licenses[plugin.id]?.key;
+    if (!licenseKey || !window.confirm('Deactivate this license on this machine? The plugin stops working here until it is activated again.')) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      const result = await licensePurchaseManager.deactivatePluginLicense(plugin.id, licenseKey, plugin.licensing);
+      if (!result.success) {
+        setError(`Deactivation failed: ${result.error || 'Unknown error'}`);
+        return;
+      }
+      // Keep the unbound key so the license can be activated again later
+      if (result.licenseKey) {
+        localStorage.setItem(`license_${plugin.id}`, result.licenseKey);
+      } else {
+        localStorage.removeItem(`license_${plugin.id}`);
+      }
+      await loadLicenses();
+      setSuccess('License deactivated; it can now be activated on another machine');
+      if (onLicenseUpdate) {
+        onLicenseUpdate(plugin.id, null, { valid: false });
+      }
+    } catch (err) {
+      setError(`Deactivation failed: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
   };
 
   // Remove a license
@@ -241,11 +341,42 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
     return plugin.licensing.tiers.filter(tier => tier.id !== currentTierId);
   };
 
-  // Purchase/Upgrade license (placeholder for actual implementation)
+  // Purchase or upgrade through the plugin's license server; without one, open its purchase page
   const purchaseLicense = async (plugin, tier) => {
-    // This would integrate with your payment/license server
-    const purchaseUrl = `${plugin.licensing?.licenseServer?.url || 'https://licenses.example.com'}/purchase?plugin=${plugin.id}&tier=${tier.id}`;
-    window.open(purchaseUrl, '_blank');
+    if (!plugin.licensing?.licenseServer?.url) {
+      const purchaseUrl = `https://licenses.example.com/purchase?plugin=${plugin.id}&tier=${tier.id}`;
+      window.open(purchaseUrl, '_blank');
+      return;
+    }
+    if (licenses[plugin.id]?.key && pluginLicenses[plugin.id]) {
+      setUpgradePlugin(plugin);
+      return;
+    }
+
+    const userEmail = window.prompt(`Email address for the ${tier.name} license`);
+    if (!userEmail) return;
+    if (!LicenseClientUtils.isValidEmail(userEmail)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    setSuccess('');
+    try {
+      const result = await licensePurchaseManager.purchasePluginLicense(plugin.id, tier.id, userEmail, plugin.licensing);
+      if (!result.success) {
+        setError(`Purchase failed: ${result.error || 'Unknown error'}`);
+      } else if (result.licenseKey) {
+        await installLicense(plugin.id, result.licenseKey);
+      } else if (result.paymentUrl) {
+        window.open(result.paymentUrl, '_blank');
+        setSuccess('Complete the payment in your browser, then install the license key you receive');
+      }
+    } catch (err) {
+      setError(`Purchase failed: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
   };
 
   // Render license status badge
@@ -343,8 +474,8 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
             <div className="ml-3">
               <p className="text-sm font-medium text-gray-500 dark:text-gray-400">Trial Licenses</p>
               <p className="text-2xl font-semibold text-gray-900 dark:text-white">
-                {Object.values(pluginLicenses).filter(l => 
-                  l.metadata?.tierName?.toLowerCase().includes('trial') ||
+                {Object.entries(pluginLicenses).filter(([pluginId, l]) => 
+                  tierName(pluginId, l)?.toLowerCase().includes('trial') ||
                   (l.expiresAt && new Date(l.expiresAt) > new Date() && 
                    Math.ceil((new Date(l.expiresAt) - new Date(l.issuedAt)) / (1000 * 60 * 60 * 24)) <= 30)
                 ).length}
@@ -393,6 +524,7 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
       {installedPlugins.map(plugin => {
         const licenseData = licenses[plugin.id];
         const licenseDetails = pluginLicenses[plugin.id];
+        const activation = licenseData?.key ? activationState(licenseDetails) : null;
         
         return (
           <div key={plugin.id} className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6">
@@ -430,7 +562,7 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
                 <div>
                   <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">License Tier</p>
                   <p className="text-sm text-gray-900 dark:text-white">
-                    {licenseDetails.metadata?.tierName || 'Unknown'}
+                    {tierName(plugin.id, licenseDetails) || 'Unknown'}
                   </p>
                 </div>
                 <div>
@@ -454,6 +586,16 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
                     {licenseDetails.features?.length || 0} enabled
                   </p>
                 </div>
+                {activation && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Machine</p>
+                    <p className="text-sm text-gray-900 dark:text-white">
+                      {activation === 'activated'
+                        ? `Activated ${new Date(licenseDetails.machine.activatedAt).toLocaleDateString()}${licenseData.validation?.valid ? '' : ' on another machine'}`
+                        : 'Not activated'}
+                    </p>
+                  </div>
+                )}
               </div>
             ) : null}
 
@@ -524,6 +666,28 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
                     Purchase
                   </button>
                 )}
+
+                {(activation === 'required' || (activation === 'activated' && !licenseData.validation?.valid)) && (
+                  <button
+                    onClick={() => activateLicense(plugin, licenseData.key)}
+                    disabled={loading}
+                    className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    <ComputerDesktopIcon className="h-4 w-4 mr-2" />
+                    Activate on This Machine
+                  </button>
+                )}
+
+                {activation === 'activated' && licenseData.validation?.valid && (
+                  <button
+                    onClick={() => deactivateLicense(plugin)}
+                    disabled={loading}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    <ComputerDesktopIcon className="h-4 w-4 mr-2" />
+                    Deactivate
+                  </button>
+                )}
               </div>
 
               {licenseData?.key && (
@@ -663,6 +827,13 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
               </div>
               <input type="number" defaultValue="7" className="w-20 px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-md text-sm" />
             </div>
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">Machine ID</p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Node-locked licenses are activated for this machine</p>
+              </div>
+              <span className="font-mono text-sm text-gray-900 dark:text-white">{formatMachineId(machine?.id) || 'Unavailable'}</span>
+            </div>
           </div>
         </div>
       )}
@@ -712,6 +883,14 @@ const LicenseManager = ({ installedPlugins = [], onLicenseUpdate }) => {
           </div>
         </div>
       )}
+
+      <LicenseUpgradeModal
+        isOpen={!!upgradePlugin}
+        onClose={() => setUpgradePlugin(null)}
+        plugin={upgradePlugin}
+        currentLicense={upgradePlugin && { key: licenses[upgradePlugin.id]?.key, details: pluginLicenses[upgradePlugin.id] }}
+        onUpgradeComplete={(licenseKey) => installLicense(upgradePlugin.id, licenseKey)}
+      />
     </div>
   );
 };
@@ -131,7 +131,8 @@ const LicenseUpgradeModal = ({
         plugin.id,
         selectedTier.id,
         userEmail,
-        plugin.licensing
+        plugin.licensing,
+        currentLicense?.key
       );
 
       if (result.success) {
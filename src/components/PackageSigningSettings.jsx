@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ClipboardDocumentIcon,
+  LockClosedIcon,
+  LockOpenIcon,
+  PlusIcon,
+  ShieldCheckIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { authorKeyId } from '../lib/packageSigning.ts';
+import {
+  createStudioAuthorKey,
+  getStudioAuthorKey,
+  getUnlockedKeystore,
+  keystoreExists,
+  lockStudioKeystore,
+  openStudioKeystore,
+  readTrustedAuthors,
+  trustAuthor,
+  untrustAuthor
+} from '../lib/studio.ts';
+
+const CARD = 'bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm p-4';
+const BUTTON = 'inline-flex items-center px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 disabled:opacity-50';
+const INPUT = 'w-full px-3 py-2 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 dark:text-gray-200';
+
+/**
+ * Settings for signed packages: the author key exports are signed with (kept in the keystore)
+ * and the trusted author keys imported packages are checked against.
+ */
+const PackageSigningSettings = () => {
+  const [keystore, setKeystore] = useState({ unlocked: !!getUnlockedKeystore(), exists: null, passphrase: '', busy: false });
+  const [authorKey, setAuthorKey] = useState(null);
+  const [authorName, setAuthorName] = useState('');
+  const [trusted, setTrusted] = useState([]);
+  const [newAuthor, setNewAuthor] = useState({ name: '', publicKey: '' });
+  const [keyError, setKeyError] = useState('');
+  const [trustError, setTrustError] = useState('');
+
+  const failKey = (e) => setKeyError(e?.message || String(e));
+  const failTrust = (e) => setTrustError(e?.message || String(e));
+
+  useEffect(() => {
+    keystoreExists().then(exists => setKeystore(prev => ({ ...prev, exists }))).catch(failKey);
+    readTrustedAuthors().then(setTrusted).catch(failTrust);
+  }, []);
+
+  // The public half and its id are shown; the private key never leaves the keystore
+  useEffect(() => {
+    if (!keystore.unlocked) {
+      setAuthorKey(null);
+      return;
+    }
+    getStudioAuthorKey()
+      .then(async key => setAuthorKey(key && { name: key.name, publicKey: key.publicKey, keyId: await authorKeyId(key.publicKey) }))
+      .catch(failKey);
+  }, [keystore.unlocked]);
+
+  const unlock = async () => {
+    setKeyError('');
+    setKeystore(prev => ({ ...prev, busy: true }));
+    try {
+      await openStudioKeystore(keystore.passphrase);
+      setKeystore(prev => ({ ...prev, unlocked: true, exists: true, passphrase: '', busy: false }));
+    } catch (e) {
+      setKeystore(prev => ({ ...prev, busy: false }));
+      failKey(e);
+    }
+  };
+
+  const lock = () => {
+    lockStudioKeystore();
+    setKeystore(prev => ({ ...prev, unlocked: false }));
+  };
+
+  const createAuthorKey = async () => {
+    if (authorKey && !confirm('Replace the author key? Packages signed with the old key stay trusted until you remove it below.')) return;
+    setKeyError('');
+    setKeystore(prev => ({ ...prev, busy: true }));
+    try {
+      const key = await createStudioAuthorKey(authorName);
+      setAuthorKey({ name: key.name, publicKey: key.publicKey, keyId: await authorKeyId(key.publicKey) });
+      setTrusted(await readTrustedAuthors());
+      setAuthorName('');
+    } catch (e) {
+      failKey(e);
+    }
+    setKeystore(prev => ({ ...prev, busy: false }));
+  };
+
+  const addTrusted = async () => {
+    setTrustError('');
+    try {
+      setTrusted(await trustAuthor(newAuthor.name.trim() || 'Unnamed author', newAuthor.publicKey.trim()));
+      setNewAuthor({ name: '', publicKey: '' });
+    } catch (e) {
+      failTrust(e);
+    }
+  };
+
+  const removeTrusted = async (author) => {
+    if (!confirm(`Stop trusting packages signed by ${author.name} (key ${author.keyId})?`)) return;
+    try {
+      setTrusted(await untrustAuthor(author.keyId));
+    } catch (e) {
+      failTrust(e);
+    }
+  };
+
+  return (
+    <>
+      <div className={CARD}>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mt-0">Author Key</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+          Exported packages are signed with this key so Centcom and other studios can tell they came from you
+          and were not edited since. It is kept in the keystore, never in a plugin.
+        </p>
+
+        {!keystore.unlocked ? (
+          <div className="flex items-center gap-2">
+            <input
+              type="password"
+              className={INPUT}
+              value={keystore.passphrase}
+              onChange={(e) => setKeystore({ ...keystore, passphrase: e.target.value })}
+              onKeyDown={(e) => { if (e.key === 'Enter' && keystore.passphrase) unlock(); }}
+              placeholder={keystore.exists === false ? 'New keystore passphrase (8+ characters)' : 'Keystore passphrase'}
+            />
+            <button className={BUTTON} onClick={unlock} disabled={!keystore.passphrase || keystore.busy}>
+              <LockOpenIcon className="h-4 w-4 mr-1" />
+              {keystore.exists === false ? 'Create' : 'Unlock'}
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {authorKey ? (
+              <div className="flex items-center justify-between">
+                <div className="text-sm text-gray-700 dark:text-gray-200">
+                  <ShieldCheckIcon className="inline h-4 w-4 mr-1 text-green-600" />
+                  {authorKey.name} - key <code>{authorKey.keyId}</code>
+                </div>
+                <button className={BUTTON} onClick={() => navigator.clipboard.writeText(authorKey.publicKey)} title="Share this with whoever should trust your packages">
+                  <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+                  Copy public key
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-yellow-700 dark:text-yellow-300">No author key yet; exported packages are not signed.</p>
+            )}
+            <div className="flex items-center gap-2">
+              <input className={INPUT} value={authorName} onChange={(e) => setAuthorName(e.target.value)} placeholder="Author name shown on signed packages" />
+              <button className={BUTTON} onClick={createAuthorKey} disabled={!authorName.trim() || keystore.busy}>
+                {authorKey ? 'Replace key' : 'Create key'}
+              </button>
+              <button className={BUTTON} onClick={lock}>
+                <LockClosedIcon className="h-4 w-4 mr-1" />
+                Lock
+              </button>
+            </div>
+          </div>
+        )}
+        {keyError && <p className="mt-2 text-xs text-red-600 dark:text-red-400">{keyError}</p>}
+      </div>
+
+      <div className={CARD}>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mt-0">Trusted Authors</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+          Imported packages signed by these keys are trusted. Packages signed by anyone else are marked untrusted,
+          and packages changed after signing are marked tampered.
+        </p>
+        {trusted.length === 0 ? (
+          <p className="text-sm text-gray-500">No trusted authors</p>
+        ) : (
+          <table className="min-w-full text-sm mb-3">
+            <thead>
+              <tr className="text-left text-gray-600 dark:text-gray-300">
+                <th className="px-2 py-2">Author</th>
+                <th className="px-2 py-2">Key ID</th>
+                <th className="px-2 py-2">Added</th>
+                <th className="px-2 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {trusted.map(author => (
+                <tr key={author.keyId} className="border-t border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-200">
+                  <td className="px-2 py-2">{author.name}</td>
+                  <td className="px-2 py-2 font-mono">{author.keyId}</td>
+                  <td className="px-2 py-2">{new Date(author.addedAt).toLocaleDateString()}</td>
+                  <td className="px-2 py-2 text-right">
+                    <button className="text-red-600 hover:text-red-800" onClick={() => removeTrusted(author)} title="Remove">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="grid gap-2">
+          <input className={INPUT} value={newAuthor.name} onChange={(e) => setNewAuthor({ ...newAuthor, name: e.target.value })} placeholder="Author name" />
+          <textarea
+            className={`${INPUT} font-mono text-xs`}
+            rows={4}
+            value={newAuthor.publicKey}
+            onChange={(e) => setNewAuthor({ ...newAuthor, publicKey: e.target.value })}
+            placeholder="-----BEGIN PUBLIC KEY-----"
+          />
+          <div>
+            <button className={BUTTON} onClick={addTrusted} disabled={!newAuthor.publicKey.trim()}>
+              <PlusIcon className="h-4 w-4 mr-1" />
+              Trust key
+            </button>
+          </div>
+        </div>
+        {trustError && <p className="mt-2 text-xs text-red-600 dark:text-red-400">{trustError}</p>}
+      </div>
+    </>
+  );
+};
+
+export default PackageSigningSettings;
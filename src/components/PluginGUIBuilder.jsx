@@ -35,6 +35,8 @@ import {
   ChatBubbleLeftRightIcon,
   PlusCircleIcon,
   XMarkIcon,
+  ArrowUturnLeftIcon,
+  ArrowUturnRightIcon,
   PencilIcon,
   CodeBracketIcon as CodeIcon,
   RectangleStackIcon as CanvasIcon
@@ -44,6 +46,11 @@ import { DATA_VISUALIZER_TEMPLATE, DATA_VISUALIZER_COMPONENTS, BASIC_APP_TEMPLAT
 import GUICodeGenerator from '../lib/guiCodeGenerator.ts';
 import { SimpleGuiGenerator, convertToSimpleConfig } from '../lib/simpleGuiGenerator.ts';
 import { GUIValidator } from '../lib/guiValidation.ts';
+import { getGuiTabs, normalizeTabOrder, flattenGuiTabs } from '../lib/guiTabs.ts';
+import { parseSimpleComponentCode } from '../lib/simpleGuiParser.ts';
+import { CommandHistory } from '../lib/canvasHistory.ts';
+import ActionBindingEditor from './ActionBindingEditor.jsx';
+import { getComponentFeature, featureGatesEnabled, featureGate, lockedMessage, checkComponentFeatures } from '../lib/featureGates.ts';
 import AppGenie from './AppGenie.jsx';
 
 import './PluginGUIBuilder.css';
@@ -109,7 +116,7 @@ const COMPONENT_LIBRARY = {
 // Component categories for organization
 const COMPONENT_CATEGORIES = ['All', 'Basic', 'Data Visualization', ...AUTOMATION_CATEGORIES.slice(1)];
 
-const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
+const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI, highlightComponent }) => {
   // Note: guiComponents will be derived from active tab
   const [selectedComponent, setSelectedComponent] = useState(null);
   const [draggedComponent, setDraggedComponent] = useState(null);
@@ -147,19 +154,85 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
   const [showElementsPanel, setShowElementsPanel] = useState(false);
   
   // Tab system state
-  const [tabs, setTabs] = useState([
-    { id: 'tab-1', name: 'Main', components: pluginDoc?.gui?.components || [] }
-  ]);
-  const [activeTabId, setActiveTabId] = useState('tab-1');
+  const [tabs, setTabs] = useState(() => getGuiTabs(pluginDoc?.gui));
+  const [activeTabId, setActiveTabId] = useState(() => getGuiTabs(pluginDoc?.gui)[0].id);
   
+  // Component that a failing test traced an error back to (via the generated code source map)
+  const [errorComponentId, setErrorComponentId] = useState(null);
+
   // Code/GUI view toggle
   const [viewMode, setViewMode] = useState('gui'); // 'gui' or 'code'
   const [rawCode, setRawCode] = useState('');
+  const [rawCodeBaseline, setRawCodeBaseline] = useState('');
+  const [codeParseNotice, setCodeParseNotice] = useState(null); // { type: 'error' | 'warning', messages: [] }
+
+  // Undo/redo history. Every canvas and tab mutation goes through commitTabs so it can be
+  // reverted; the refs always hold the latest state, even inside stale event-handler closures.
+  const historyRef = useRef(new CommandHistory());
+  const [, setHistoryVersion] = useState(0);
+  const tabsRef = useRef(tabs);
+  const activeTabIdRef = useRef(activeTabId);
+  const guiSettingsRef = useRef(guiSettings);
+  tabsRef.current = tabs;
+  activeTabIdRef.current = activeTabId;
+  guiSettingsRef.current = guiSettings;
+
+  const restoreSnapshot = (snapshot) => {
+    tabsRef.current = snapshot.tabs;
+    activeTabIdRef.current = snapshot.activeTabId;
+    guiSettingsRef.current = snapshot.settings;
+    setTabs(snapshot.tabs);
+    setActiveTabId(snapshot.activeTabId);
+    setGuiSettings(snapshot.settings);
+  };
+
+  const commitTabs = (label, nextTabs, { activeTabId: nextActiveTabId, settings, mergeKey } = {}) => {
+    const before = { tabs: tabsRef.current, activeTabId: activeTabIdRef.current, settings: guiSettingsRef.current };
+    const after = {
+      tabs: nextTabs,
+      activeTabId: nextActiveTabId ?? before.activeTabId,
+      settings: settings ?? before.settings
+    };
+    historyRef.current.record(label, before, after, mergeKey);
+    restoreSnapshot(after);
+    setHistoryVersion(v => v + 1);
+  };
+
+  // Unapplied edits in the code view would be overwritten by an undo, so history waits for them
+  const canUseHistory = viewMode !== 'code' || rawCode === rawCodeBaseline;
+
+  // Keep an unedited code view in step with the restored canvas
+  const refreshCodeView = (snapshot) => {
+    if (viewMode !== 'code') return;
+    const tab = snapshot.tabs.find(t => t.id === snapshot.activeTabId);
+    const config = convertToSimpleConfig({ components: tab ? tab.components : [], settings: snapshot.settings }, pluginDoc?.sequencer, pluginDoc?.licensing);
+    const code = SimpleGuiGenerator.generateSimpleComponent(config, 'PluginGUI');
+    setRawCode(code);
+    setRawCodeBaseline(code);
+  };
+
+  const undo = () => {
+    const command = historyRef.current.undo();
+    if (!command) return;
+    restoreSnapshot(command.before);
+    refreshCodeView(command.before);
+    setSelectedComponent(null);
+    setHistoryVersion(v => v + 1);
+  };
+
+  const redo = () => {
+    const command = historyRef.current.redo();
+    if (!command) return;
+    restoreSnapshot(command.after);
+    refreshCodeView(command.after);
+    setSelectedComponent(null);
+    setHistoryVersion(v => v + 1);
+  };
 
   // Handle adding components from App Genie (add to existing, don't replace)
   const handleComponentsGenerated = (newComponents) => {
     const currentComponents = getCurrentTabComponents();
-    updateCurrentTabComponents([...currentComponents, ...newComponents]);
+    updateCurrentTabComponents([...currentComponents, ...newComponents], 'Add generated components');
   };
 
   // Tab management functions
@@ -167,36 +240,35 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
     const newTabId = `tab-${Date.now()}`;
     const newTab = {
       id: newTabId,
-      name: `Tab ${tabs.length + 1}`,
+      name: `Tab ${tabsRef.current.length + 1}`,
       components: []
     };
-    setTabs(prev => [...prev, newTab]);
-    setActiveTabId(newTabId);
+    commitTabs('Add tab', [...tabsRef.current, newTab], { activeTabId: newTabId });
   };
 
   const deleteTab = (tabId) => {
-    if (tabs.length <= 1) return; // Don't delete last tab
-    setTabs(prev => prev.filter(tab => tab.id !== tabId));
-    if (activeTabId === tabId) {
-      setActiveTabId(tabs[0].id);
-    }
+    if (tabsRef.current.length <= 1) return; // Don't delete last tab
+    const remaining = tabsRef.current.filter(tab => tab.id !== tabId);
+    commitTabs('Delete tab', remaining, {
+      activeTabId: activeTabIdRef.current === tabId ? remaining[0].id : activeTabIdRef.current
+    });
   };
 
   const renameTab = (tabId, newName) => {
-    setTabs(prev => prev.map(tab => 
+    commitTabs('Rename tab', tabsRef.current.map(tab => 
       tab.id === tabId ? { ...tab, name: newName } : tab
-    ));
+    ), { mergeKey: `rename:${tabId}` });
   };
 
   const getCurrentTabComponents = () => {
-    const currentTab = tabs.find(tab => tab.id === activeTabId);
+    const currentTab = tabsRef.current.find(tab => tab.id === activeTabIdRef.current);
     return currentTab ? currentTab.components : [];
   };
 
-  const updateCurrentTabComponents = (newComponents) => {
-    setTabs(prev => prev.map(tab => 
-      tab.id === activeTabId ? { ...tab, components: newComponents } : tab
-    ));
+  const updateCurrentTabComponents = (newComponents, label = 'Edit components', options = {}) => {
+    commitTabs(label, tabsRef.current.map(tab => 
+      tab.id === activeTabIdRef.current ? { ...tab, components: newComponents } : tab
+    ), options);
   };
 
   // Derived state: get components for current active tab
@@ -206,20 +278,38 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
   const switchToCodeView = () => {
     // Generate code from current tab components
     const currentComponents = getCurrentTabComponents();
-    const config = convertToSimpleConfig({ components: currentComponents, settings: guiSettings });
+    const config = convertToSimpleConfig({ components: currentComponents, settings: guiSettings }, pluginDoc?.sequencer, pluginDoc?.licensing);
     const generatedCode = SimpleGuiGenerator.generateSimpleComponent(config, 'PluginGUI');
     setRawCode(generatedCode);
+    setRawCodeBaseline(generatedCode);
+    setCodeParseNotice(null);
     setViewMode('code');
   };
 
-  const switchToGUIView = () => {
-    // Parse code back to components (basic implementation)
+  const switchToGUIView = async () => {
+    if (viewMode !== 'code' || rawCode === rawCodeBaseline) {
+      setViewMode('gui');
+      return;
+    }
+
+    // Parse edited code back into canvas components; stay in the editor if it cannot be read
+    const parsed = await parseSimpleComponentCode(rawCode, getCurrentTabComponents(), pluginDoc?.sequencer, pluginDoc?.licensing);
+    if (!parsed.success) {
+      setCodeParseNotice({ type: 'error', messages: [parsed.error] });
+      return;
+    }
+
+    updateCurrentTabComponents(parsed.components, 'Apply code changes');
+    const messages = [...parsed.warnings];
+    if (parsed.customBlocks > 0) {
+      messages.push(`${parsed.customBlocks} expression(s) could not be mapped to components and were kept as custom code blocks`);
+    }
+    setCodeParseNotice(messages.length > 0 ? { type: 'warning', messages } : null);
     setViewMode('gui');
   };
 
   const updateRawCode = (newCode) => {
     setRawCode(newCode);
-    // TODO: Parse code back to components when switching back to GUI view
   };
 
   // Handle keyboard shortcuts and dropdown closing
@@ -234,6 +324,18 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
     const handleKeyDown = (e) => {
       // Only handle shortcuts when not typing in inputs
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+      // Undo / redo
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (!canUseHistory) return;
+        if (e.shiftKey) {
+          redo();
+        } else {
+          undo();
+        }
+        return;
+      }
       
       if (selectedComponent) {
         // Copy/Paste controls
@@ -287,14 +389,19 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
       }
     };
 
+    // A finished mouse gesture (drag, resize) closes its history entry
+    const handleMouseUp = () => historyRef.current.seal();
+
     document.addEventListener('click', handleClickOutside);
     document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('mouseup', handleMouseUp);
     
     return () => {
       document.removeEventListener('click', handleClickOutside);
       document.removeEventListener('keydown', handleKeyDown);
+      document.removeEventListener('mouseup', handleMouseUp);
     };
-  }, [selectedComponent, guiComponents]);
+  }, [selectedComponent, guiComponents, canUseHistory]);
   
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
@@ -388,7 +495,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
     };
 
     console.log('Creating new component:', newComponent);
-    updateCurrentTabComponents([...getCurrentTabComponents(), newComponent]);
+    updateCurrentTabComponents([...getCurrentTabComponents(), newComponent], 'Add component');
     setSelectedComponent(newComponent.id);
     setDraggedComponent(null);
   }, []);
@@ -574,7 +681,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
 
   // Delete selected component
   const deleteComponent = (componentId) => {
-    updateCurrentTabComponents(getCurrentTabComponents().filter(comp => comp.id !== componentId));
+    updateCurrentTabComponents(getCurrentTabComponents().filter(comp => comp.id !== componentId), 'Delete component');
     if (selectedComponent === componentId) {
       setSelectedComponent(null);
     }
@@ -587,7 +694,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
       comp.id === componentId 
         ? { ...comp, zIndex: maxZ + 1 }
         : comp
-    ));
+    ), 'Bring to front');
   };
 
   const moveToBack = (componentId) => {
@@ -596,7 +703,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
       comp.id === componentId 
         ? { ...comp, zIndex: Math.max(0, minZ - 1) }
         : comp
-    ));
+    ), 'Send to back');
   };
 
   const moveForward = (componentId) => {
@@ -614,7 +721,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
           return { ...comp, zIndex: currentZ };
         }
         return comp;
-      }));
+      }), 'Bring forward');
     }
   };
 
@@ -633,7 +740,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
           return { ...comp, zIndex: currentZ };
         }
         return comp;
-      }));
+      }), 'Send backward');
     }
   };
 
@@ -660,7 +767,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
       zIndex: maxZ + 1
     };
     
-    updateCurrentTabComponents([...getCurrentTabComponents(), newComponent]);
+    updateCurrentTabComponents([...getCurrentTabComponents(), newComponent], 'Paste component');
     setSelectedComponent(newComponent.id);
     console.log('Component pasted:', newComponent.type);
   };
@@ -678,7 +785,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
       zIndex: maxZ + 1
     };
     
-    updateCurrentTabComponents([...getCurrentTabComponents(), newComponent]);
+    updateCurrentTabComponents([...getCurrentTabComponents(), newComponent], 'Add element');
     setSelectedComponent(newComponent.id);
     setSidebarTab('properties'); // Auto-open properties for new element
     setShowElementsPanel(false); // Close elements panel
@@ -721,28 +828,30 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
   const updateComponentProps = (componentId, newProps) => {
     updateCurrentTabComponents(getCurrentTabComponents().map(comp => 
       comp.id === componentId ? { ...comp, props: { ...comp.props, ...newProps } } : comp
-    ));
+    ), 'Edit properties', { mergeKey: `props:${componentId}:${Object.keys(newProps).join(',')}` });
   };
 
   // Move component
   const moveComponent = (componentId, newPosition) => {
     updateCurrentTabComponents(getCurrentTabComponents().map(comp => 
       comp.id === componentId ? { ...comp, position: newPosition } : comp
-    ));
+    ), 'Move component', { mergeKey: `move:${componentId}` });
   };
 
   // Resize component
   const resizeComponent = (componentId, newSize) => {
     updateCurrentTabComponents(getCurrentTabComponents().map(comp => 
       comp.id === componentId ? { ...comp, size: newSize } : comp
-    ));
+    ), 'Resize component', { mergeKey: `resize:${componentId}` });
   };
 
   // Save GUI configuration
   const saveGUI = async () => {
+    const orderedTabs = normalizeTabOrder(tabsRef.current);
     const guiConfig = {
-      components: guiComponents,
-      settings: guiSettings,
+      tabs: orderedTabs,
+      components: flattenGuiTabs(orderedTabs),
+      settings: guiSettingsRef.current,
       version: '1.0',
       lastModified: new Date().toISOString()
     };
@@ -760,18 +869,22 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
     setTimeout(() => setShowSaveConfirmation(false), 2000);
   };
 
-  // Generate code from GUI design
+  // Generate code from GUI design (all tabs)
   const generateCode = () => {
+    const orderedTabs = normalizeTabOrder(tabs);
     const config = {
-      components: guiComponents,
-      settings: guiSettings
+      tabs: orderedTabs,
+      components: flattenGuiTabs(orderedTabs),
+      settings: guiSettings,
+      sequencer: pluginDoc?.sequencer,
+      licensing: pluginDoc?.licensing
     };
     
     let code;
     
     if (useSimpleGenerator) {
       // Use simple generator for transpilation-friendly code
-      const simpleConfig = convertToSimpleConfig(config);
+      const simpleConfig = convertToSimpleConfig(config, config.sequencer, config.licensing);
       code = SimpleGuiGenerator.generateSimpleComponent(simpleConfig, 'PluginGUI');
     } else {
       // Use complex generator (original approach)
@@ -819,8 +932,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
     const template = DATA_VISUALIZER_TEMPLATE;
     
     // Clear existing components and apply template
-    updateCurrentTabComponents(template.components);
-    setGuiSettings(template.settings);
+    updateCurrentTabComponents(template.components, 'Apply Data Visualizer template', { settings: template.settings });
     setSelectedComponent(null);
     
     // Save the updated GUI
@@ -836,8 +948,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
     const template = BASIC_APP_TEMPLATE;
     
     // Clear existing components and apply template
-    updateCurrentTabComponents(template.components);
-    setGuiSettings(template.settings);
+    updateCurrentTabComponents(template.components, 'Apply Basic App template', { settings: template.settings });
     setSelectedComponent(null);
     
     // Save the updated GUI
@@ -850,8 +961,8 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
 
   // Clear all components
   const clearAllComponents = () => {
-    if (window.confirm('Are you sure you want to clear all components? This action cannot be undone.')) {
-      updateCurrentTabComponents([]);
+    if (window.confirm('Are you sure you want to clear all components? You can undo this with Ctrl+Z.')) {
+      updateCurrentTabComponents([], 'Clear all components');
       setSelectedComponent(null);
       saveGUI();
     }
@@ -1379,6 +1490,35 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
           </div>
         );
 
+      case 'customCode':
+        return (
+          <div
+            key={id}
+            style={{...componentStyle, justifyContent: 'flex-start', overflow: 'hidden'}}
+            onClick={handleComponentClick}
+            onContextMenu={handleComponentRightClick}
+            onMouseDown={handleComponentMouseDown}
+            className="gui-component border-2 border-dashed border-gray-300"
+            title={props.code}
+          >
+            <div className="text-left min-w-0">
+              <div className="text-xs font-medium text-gray-500">Custom code</div>
+              <div className="text-xs font-mono truncate">{props.code}</div>
+            </div>
+            {isSelected && !previewMode && (
+              <button
+                className="absolute -top-2 -right-2 w-6 h-6 bg-red-500 text-white rounded-full flex items-center justify-center text-xs"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  deleteComponent(id);
+                }}
+              >
+                ×
+              </button>
+            )}
+          </div>
+        );
+
       default:
         return (
           <div
@@ -1425,7 +1565,7 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
              {/* View Mode Toggle */}
              <div className="flex items-center bg-gray-100 rounded-lg p-1">
                <button
-                 onClick={() => setViewMode('gui')}
+                 onClick={switchToGUIView}
                  className={`flex items-center space-x-1 px-3 py-1 rounded text-sm transition-colors ${
                    viewMode === 'gui' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
                  }`}
@@ -1446,6 +1586,22 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
            </div>
           
           <div className="flex space-x-2">
+            <button
+              onClick={undo}
+              disabled={!canUseHistory || !historyRef.current.canUndo()}
+              title={historyRef.current.canUndo() ? `Undo ${historyRef.current.undoLabel()} (Ctrl+Z)` : 'Nothing to undo'}
+              className="px-2 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <ArrowUturnLeftIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={redo}
+              disabled={!canUseHistory || !historyRef.current.canRedo()}
+              title={historyRef.current.canRedo() ? `Redo ${historyRef.current.redoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+              className="px-2 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded text-sm disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <ArrowUturnRightIcon className="w-4 h-4" />
+            </button>
             <button
               onClick={generateCode}
               className="px-3 py-1 bg-purple-600 text-white rounded text-sm"
@@ -1640,6 +1796,8 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
                 </div>
                 <PropertyEditor
                   component={guiComponents.find(c => c.id === selectedComponent)}
+                  pluginDoc={pluginDoc}
+                  tabs={tabs}
                   onUpdateProps={(newProps) => updateComponentProps(selectedComponent, newProps)}
                 />
               </>
@@ -1650,6 +1808,25 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
         {/* Center: Interactive Canvas or Code Editor */}
         <div className={`canvas-section ${isAppGenieMinimized ? 'expanded' : ''}`}>
           
+          {/* Result of parsing the code view back into components */}
+          {codeParseNotice && (
+            <div className={`px-4 py-2 text-sm flex items-start justify-between border-b ${
+              codeParseNotice.type === 'error'
+                ? 'bg-red-50 text-red-800 border-red-200'
+                : 'bg-amber-50 text-amber-800 border-amber-200'
+            }`}>
+              <div>
+                <strong>{codeParseNotice.type === 'error' ? 'Could not apply code changes:' : 'Code changes applied:'}</strong>
+                {codeParseNotice.messages.map((message, index) => (
+                  <div key={index} className="font-mono text-xs mt-1">{message}</div>
+                ))}
+              </div>
+              <button onClick={() => setCodeParseNotice(null)} className="ml-4 text-xs underline">
+                Dismiss
+              </button>
+            </div>
+          )}
+
           {viewMode === 'gui' ? (
             /* GUI View: Canvas */
             <>
@@ -1861,6 +2038,23 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
               {guiComponents.map((component) => (
                 <React.Fragment key={component.id}>
                   {renderComponent(component)}
+                  {errorComponentId === component.id && (
+                    <div
+                      className="component-error-highlight"
+                      title="A test error was traced to this component. Click to dismiss."
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setErrorComponentId(null);
+                      }}
+                      style={{
+                        left: component.position.x - 4,
+                        top: component.position.y - 4,
+                        width: component.size.width + 8,
+                        height: component.size.height + 8,
+                        zIndex: (component.zIndex || 0) + 1
+                      }}
+                    />
+                  )}
                 </React.Fragment>
               ))}
             </div>
@@ -1999,7 +2193,41 @@ const PluginGUIBuilder = ({ pluginDoc, onUpdateGUI }) => {
 };
 
 // Property Editor Component
-const PropertyEditor = ({ component, onUpdateProps }) => {
+/**
+ * Picks the licensing feature a component is gated on
+ */
+const FeatureGateField = ({ component, licensing, onChange }) => {
+  const features = Array.isArray(licensing?.features) ? licensing.features : [];
+  const featureId = getComponentFeature(component);
+  const check = checkComponentFeatures({ licensing }, [component]);
+
+  if (features.length === 0 && !featureId) {
+    return <p className="text-xs text-gray-500">Define features in the Licensing panel to gate this component on one.</p>;
+  }
+
+  return (
+    <div className="property-field">
+      <label className="property-label">Required Feature</label>
+      <select
+        value={featureId}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-3 py-1 border border-gray-300 rounded text-sm"
+      >
+        <option value="">Always available</option>
+        {features.map(f => <option key={f.id} value={f.id}>{f.name || f.id}</option>)}
+        {featureId && !features.some(f => f.id === featureId) && <option value={featureId}>{featureId} (undefined)</option>}
+      </select>
+      {featureId && featureGatesEnabled(licensing) && (
+        <p className="text-xs text-gray-500 mt-1">Shown as locked unless the license includes it: {lockedMessage(featureGate(licensing, featureId))}</p>
+      )}
+      {[...check.errors, ...check.warnings].map((m, i) => (
+        <p key={i} className={`text-xs mt-1 ${i < check.errors.length ? 'text-red-600' : 'text-yellow-700'}`}>{m}</p>
+      ))}
+    </div>
+  );
+};
+
+const PropertyEditor = ({ component, pluginDoc, tabs, onUpdateProps }) => {
   if (!component) return null;
 
   const { type, props } = component;
@@ -2080,7 +2308,7 @@ const PropertyEditor = ({ component, onUpdateProps }) => {
       <div className="property-section">
         <h5 className="property-section-title">Component: {type}</h5>
         
-        {Object.entries(props).map(([propName, propValue]) => {
+        {Object.entries(props).filter(([propName]) => propName !== 'actions' && propName !== 'feature').map(([propName, propValue]) => {
           let propType = 'text';
           
           if (propName === 'disabled' || propName === 'required' || propName === 'checked') {
@@ -2257,6 +2485,27 @@ const PropertyEditor = ({ component, onUpdateProps }) => {
         </div>
       </div>
 
+      {/* Event → action bindings */}
+      <div className="property-section">
+        <h5 className="property-section-title">Actions</h5>
+        <ActionBindingEditor
+          component={component}
+          pluginDoc={pluginDoc}
+          tabs={tabs}
+          onChange={(actions) => handlePropChange('actions', actions)}
+        />
+      </div>
+
+      {/* Licensing feature gate */}
+      <div className="property-section">
+        <h5 className="property-section-title">Licensing</h5>
+        <FeatureGateField
+          component={component}
+          licensing={pluginDoc?.licensing}
+          onChange={(feature) => handlePropChange('feature', feature || undefined)}
+        />
+      </div>
+
       {/* Button Script Configuration */}
       {type === 'button' && (
         <div className="property-section">
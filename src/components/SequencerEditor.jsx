@@ -0,0 +1,397 @@
+import React, { useState } from 'react';
+import {
+  PlusIcon,
+  TrashIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  Bars3Icon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import {
+  STEP_TYPES,
+  PARAMETER_TYPES,
+  TARGET_NEXT,
+  TARGET_END,
+  TARGET_ABORT,
+  stepTypeOf,
+  stepUsesCommand,
+  getSequencer,
+  setSequencer,
+  createStep,
+  moveStep,
+  renameStep,
+  removeStep,
+  checkSequencer
+} from '../lib/sequencer.ts';
+
+const inputClass = 'w-full px-2 py-1 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 dark:text-gray-200';
+const buttonClass = 'inline-flex items-center gap-1 px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 disabled:opacity-50';
+
+// Parameter defaults are edited as text; numbers, booleans and JSON are stored typed
+const parseValue = (text, type) => {
+  if (text === '') return undefined;
+  if (type === 'number') {
+    const n = Number(text);
+    return Number.isNaN(n) ? text : n;
+  }
+  if (type === 'boolean') return text === 'true';
+  if (type === 'array' || type === 'object') {
+    try { return JSON.parse(text); } catch { return text; }
+  }
+  return text;
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * Step editor for the plugin's automation sequence (doc.sequencer)
+ */
+const SequencerEditor = ({ pluginDoc, onUpdatePlugin }) => {
+  const sequencer = getSequencer(pluginDoc);
+  const steps = sequencer.steps;
+  const [selectedIndex, setSelectedIndex] = useState(steps.length > 0 ? 0 : -1);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [newType, setNewType] = useState('device_command');
+  const [newVariable, setNewVariable] = useState('');
+
+  const selected = selectedIndex >= 0 && selectedIndex < steps.length ? steps[selectedIndex] : null;
+  const commands = Array.isArray(pluginDoc?.metadata?.tauriCommands) ? pluginDoc.metadata.tauriCommands : [];
+  const check = checkSequencer(pluginDoc);
+
+  const save = (next) => onUpdatePlugin(setSequencer(pluginDoc, { ...sequencer, ...next }));
+
+  const updateStep = (index, changes) => {
+    save({ steps: steps.map((step, i) => (i === index ? { ...step, ...changes } : step)) });
+  };
+
+  const addStep = () => {
+    const step = createStep(newType, steps);
+    const at = selected ? selectedIndex + 1 : steps.length;
+    const next = [...steps];
+    next.splice(at, 0, step);
+    save({ steps: next });
+    setSelectedIndex(at);
+  };
+
+  const deleteStep = (index) => {
+    save({ steps: removeStep(steps, steps[index].id) });
+    setSelectedIndex(Math.min(index, steps.length - 2));
+  };
+
+  const reorder = (from, to) => {
+    save({ steps: moveStep(steps, from, to) });
+    setSelectedIndex(to);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null && dragIndex !== index) reorder(dragIndex, index);
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const updateParameter = (p, changes) => {
+    const parameters = selected.parameters.map((param, i) => (i === p ? { ...param, ...changes } : param));
+    updateStep(selectedIndex, { parameters });
+  };
+
+  const targetOptions = (defaultTarget) => (
+    <>
+      <option value="">Default ({defaultTarget})</option>
+      <option value={TARGET_NEXT}>Next step</option>
+      <option value={TARGET_END}>End sequence</option>
+      <option value={TARGET_ABORT}>Abort sequence</option>
+      {steps.filter(s => s.id).map(s => (
+        <option key={s.id} value={s.id}>Go to {s.name || s.id}</option>
+      ))}
+    </>
+  );
+
+  const setVariable = (name, text) => {
+    save({ variables: { ...sequencer.variables, [name]: parseValue(text, 'object') ?? '' } });
+  };
+
+  const deleteVariable = (name) => {
+    const { [name]: _removed, ...variables } = sequencer.variables;
+    save({ variables });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-1 space-y-2">
+          <div className="flex items-center gap-2">
+            <select className={inputClass} value={newType} onChange={(e) => setNewType(e.target.value)}>
+              {STEP_TYPES.map(t => <option key={t.type} value={t.type}>{t.label}</option>)}
+            </select>
+            <button className={buttonClass} onClick={addStep} title="Insert after the selected step">
+              <PlusIcon className="w-4 h-4" /> Add
+            </button>
+          </div>
+          {steps.length === 0 ? (
+            <div className="text-sm text-gray-600 dark:text-gray-300">No steps yet. Add one to start the sequence.</div>
+          ) : (
+            <ol className="space-y-1">
+              {steps.map((step, index) => (
+                <li
+                  key={`${step.id}-${index}`}
+                  draggable
+                  onDragStart={(e) => { setDragIndex(index); e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', String(index)); }}
+                  onDragOver={(e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'move'; setDropIndex(index); }}
+                  onDragLeave={() => setDropIndex(null)}
+                  onDrop={(e) => handleDrop(e, index)}
+                  onDragEnd={() => { setDragIndex(null); setDropIndex(null); }}
+                  onClick={() => setSelectedIndex(index)}
+                  className={`flex items-center gap-2 px-2 py-1 rounded-md border text-sm cursor-pointer ${
+                    index === selectedIndex
+                      ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30'
+                      : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+                  } ${dropIndex === index && dragIndex !== index ? 'ring-2 ring-blue-400' : ''} ${dragIndex === index ? 'opacity-50' : ''}`}
+                >
+                  <Bars3Icon className="w-4 h-4 text-gray-400 cursor-move" />
+                  <span className="text-xs text-gray-500 w-5">{index + 1}</span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block truncate text-gray-900 dark:text-white">{step.name || step.id || '(unnamed)'}</span>
+                    <span className="block truncate text-xs text-gray-500">
+                      {stepTypeOf(step)}{step.command ? ` · ${step.command}` : ''}
+                      {step.onSuccess ? ` → ${step.onSuccess}` : ''}
+                    </span>
+                  </span>
+                  <button className="p-0.5 disabled:opacity-30" disabled={index === 0} title="Move up" onClick={(e) => { e.stopPropagation(); reorder(index, index - 1); }}>
+                    <ArrowUpIcon className="w-3 h-3" />
+                  </button>
+                  <button className="p-0.5 disabled:opacity-30" disabled={index === steps.length - 1} title="Move down" onClick={(e) => { e.stopPropagation(); reorder(index, index + 1); }}>
+                    <ArrowDownIcon className="w-3 h-3" />
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          {!selected ? (
+            <div className="text-sm text-gray-600 dark:text-gray-300">Select a step to edit it.</div>
+          ) : (
+            <div className="space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs mb-1">Step id</label>
+                  <input
+                    className={`${inputClass} font-mono`}
+                    value={selected.id}
+                    onChange={(e) => save({ steps: renameStep(steps, selected.id, e.target.value.replace(/\s+/g, '_')) })}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">Name</label>
+                  <input className={inputClass} value={selected.name || ''} onChange={(e) => updateStep(selectedIndex, { name: e.target.value })} />
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">Type</label>
+                  <select className={inputClass} value={stepTypeOf(selected)} onChange={(e) => updateStep(selectedIndex, { type: e.target.value })}>
+                    {STEP_TYPES.map(t => <option key={t.type} value={t.type}>{t.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">{STEP_TYPES.find(t => t.type === stepTypeOf(selected))?.description}</p>
+
+              <div>
+                <label className="block text-xs mb-1">Description</label>
+                <input className={inputClass} value={selected.description || ''} onChange={(e) => updateStep(selectedIndex, { description: e.target.value })} />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {stepUsesCommand(stepTypeOf(selected)) && (
+                  <div>
+                    <label className="block text-xs mb-1">Tauri command</label>
+                    <input
+                      className={`${inputClass} font-mono`}
+                      list="sequencer-commands"
+                      value={selected.command || ''}
+                      onChange={(e) => updateStep(selectedIndex, { command: e.target.value })}
+                    />
+                    <datalist id="sequencer-commands">
+                      {commands.map(c => <option key={c} value={c} />)}
+                    </datalist>
+                  </div>
+                )}
+                {stepTypeOf(selected) === 'delay' && (
+                  <div>
+                    <label className="block text-xs mb-1">Delay (ms)</label>
+                    <input
+                      type="number"
+                      min={0}
+                      className={inputClass}
+                      value={selected.delayMs ?? ''}
+                      onChange={(e) => updateStep(selectedIndex, { delayMs: e.target.value === '' ? undefined : Number(e.target.value) })}
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="block text-xs mb-1">Timeout (ms)</label>
+                  <input
+                    type="number"
+                    min={1}
+                    className={inputClass}
+                    value={selected.timeout ?? ''}
+                    onChange={(e) => updateStep(selectedIndex, { timeout: e.target.value === '' ? undefined : Number(e.target.value) })}
+                  />
+                </div>
+              </div>
+
+              {(stepTypeOf(selected) === 'condition' || stepTypeOf(selected) === 'data_processing') && (
+                <div>
+                  <label className="block text-xs mb-1">
+                    Expression <span className="text-gray-500">(variables are in scope by name, e.g. <code>sampling_rate &gt; 500</code>)</span>
+                  </label>
+                  <textarea
+                    className={`${inputClass} font-mono h-16`}
+                    spellCheck={false}
+                    value={selected.expression || ''}
+                    onChange={(e) => updateStep(selectedIndex, { expression: e.target.value })}
+                  />
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs mb-1">{stepTypeOf(selected) === 'condition' ? 'When true' : 'On success'}</label>
+                  <select className={inputClass} value={selected.onSuccess || ''} onChange={(e) => updateStep(selectedIndex, { onSuccess: e.target.value || undefined })}>
+                    {targetOptions('next step')}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs mb-1">{stepTypeOf(selected) === 'condition' ? 'When false' : 'On error'}</label>
+                  <select className={inputClass} value={selected.onError || ''} onChange={(e) => updateStep(selectedIndex, { onError: e.target.value || undefined })}>
+                    {targetOptions(stepTypeOf(selected) === 'condition' ? 'next step' : 'abort')}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-xs">Parameters</label>
+                  <button
+                    className={buttonClass}
+                    onClick={() => updateStep(selectedIndex, { parameters: [...selected.parameters, { name: `param_${selected.parameters.length + 1}`, type: 'string' }] })}
+                  >
+                    <PlusIcon className="w-3 h-3" /> Parameter
+                  </button>
+                </div>
+                {selected.parameters.length === 0 ? (
+                  <div className="text-xs text-gray-500">No parameters</div>
+                ) : (
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-600 dark:text-gray-300">
+                        <th className="pr-1">Name</th>
+                        <th className="pr-1">Type</th>
+                        <th className="pr-1">Default</th>
+                        <th className="pr-1">Min</th>
+                        <th className="pr-1">Max</th>
+                        <th className="pr-1">Description</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selected.parameters.map((param, p) => (
+                        <tr key={p}>
+                          <td className="pr-1"><input className={`${inputClass} font-mono`} value={param.name || ''} onChange={(e) => updateParameter(p, { name: e.target.value })} /></td>
+                          <td className="pr-1">
+                            <select className={inputClass} value={param.type || 'string'} onChange={(e) => updateParameter(p, { type: e.target.value })}>
+                              {PARAMETER_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                            </select>
+                          </td>
+                          <td className="pr-1"><input className={inputClass} value={formatValue(param.default)} onChange={(e) => updateParameter(p, { default: parseValue(e.target.value, param.type) })} /></td>
+                          <td className="pr-1 w-16">
+                            <input type="number" className={inputClass} disabled={param.type !== 'number'} value={param.min ?? ''} onChange={(e) => updateParameter(p, { min: e.target.value === '' ? undefined : Number(e.target.value) })} />
+                          </td>
+                          <td className="pr-1 w-16">
+                            <input type="number" className={inputClass} disabled={param.type !== 'number'} value={param.max ?? ''} onChange={(e) => updateParameter(p, { max: e.target.value === '' ? undefined : Number(e.target.value) })} />
+                          </td>
+                          <td className="pr-1"><input className={inputClass} value={param.description || ''} onChange={(e) => updateParameter(p, { description: e.target.value })} /></td>
+                          <td>
+                            <button className="p-1 text-red-600" title="Remove parameter" onClick={() => updateStep(selectedIndex, { parameters: selected.parameters.filter((_, i) => i !== p) })}>
+                              <TrashIcon className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-xs mb-1">Outputs <span className="text-gray-500">(comma-separated variable names set by this step)</span></label>
+                <input
+                  className={`${inputClass} font-mono`}
+                  value={selected.outputs.join(', ')}
+                  onChange={(e) => updateStep(selectedIndex, { outputs: e.target.value.split(',').map(s => s.trim()).filter(Boolean) })}
+                />
+              </div>
+
+              <div className="flex justify-end">
+                <button className={`${buttonClass} text-red-600`} onClick={() => deleteStep(selectedIndex)}>
+                  <TrashIcon className="w-4 h-4" /> Delete step
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="border-t border-gray-200 dark:border-gray-700 pt-3">
+        <h4 className="text-md font-semibold text-gray-900 dark:text-white mt-0 mb-2">Variables</h4>
+        <p className="text-xs text-gray-500 mb-2">
+          Initial values available to every step. Parameter defaults can reference them as <code>{'${name}'}</code>; step outputs are added at run time.
+        </p>
+        <div className="space-y-1">
+          {Object.entries(sequencer.variables).map(([name, value]) => (
+            <div key={name} className="flex items-center gap-2">
+              <span className="w-40 font-mono text-sm text-gray-900 dark:text-white truncate">{name}</span>
+              <input className={`${inputClass} font-mono`} value={formatValue(value)} onChange={(e) => setVariable(name, e.target.value)} />
+              <button className="p-1 text-red-600" title="Remove variable" onClick={() => deleteVariable(name)}>
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center gap-2">
+            <input
+              className={`${inputClass} font-mono w-40`}
+              placeholder="new_variable"
+              value={newVariable}
+              onChange={(e) => setNewVariable(e.target.value.replace(/\W/g, '_'))}
+            />
+            <button
+              className={buttonClass}
+              disabled={!newVariable || newVariable in sequencer.variables}
+              onClick={() => { setVariable(newVariable, ''); setNewVariable(''); }}
+            >
+              <PlusIcon className="w-3 h-3" /> Variable
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {(check.errors.length > 0 || check.warnings.length > 0) && (
+        <div className="border-t border-gray-200 dark:border-gray-700 pt-3 text-sm">
+          <div className="flex items-center gap-1 font-medium mb-1 text-gray-900 dark:text-white">
+            <ExclamationTriangleIcon className="w-4 h-4 text-yellow-500" /> Sequence checks
+          </div>
+          <ul className="ml-5 list-disc text-xs">
+            {check.errors.map((m, i) => <li key={`e-${i}`} className="text-red-600">{m}</li>)}
+            {check.warnings.map((m, i) => <li key={`w-${i}`} className="text-yellow-700 dark:text-yellow-400">{m}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SequencerEditor;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  PlayIcon,
+  PauseIcon,
+  ForwardIcon,
+  StopIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import { getSequencer, stepTypeOf } from '../lib/sequencer.ts';
+import { SequencerEngine } from '../lib/sequencerEngine.ts';
+import { createMockInvoke, getPluginMocks } from '../lib/mockBackend.ts';
+
+const buttonClass = 'inline-flex items-center gap-1 px-2 py-1 text-xs rounded-md border border-gray-300 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 disabled:opacity-50';
+
+const statusClass = {
+  success: 'text-green-600',
+  error: 'text-red-600',
+  timeout: 'text-orange-600'
+};
+
+const stateClass = {
+  idle: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-700',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  stopped: 'bg-gray-200 text-gray-700'
+};
+
+const describe = (value) => {
+  if (value === undefined) return '';
+  try { return JSON.stringify(value); } catch { return String(value); }
+};
+
+/**
+ * Step-through runner for doc.sequencer, answering invoke with the simulator's mocks and stubs
+ */
+const SequencerRunner = ({ pluginDoc, stubs }) => {
+  const steps = getSequencer(pluginDoc).steps;
+  const engineRef = useRef(null);
+  const unsubscribeRef = useRef(null);
+  const [snapshot, setSnapshot] = useState(null);
+  const [breakpoints, setBreakpoints] = useState(() => new Set());
+  const [calls, setCalls] = useState([]);
+
+  const state = snapshot?.state || 'idle';
+  const active = state === 'running' || state === 'paused';
+
+  useEffect(() => () => unsubscribeRef.current?.(), []);
+
+  useEffect(() => {
+    engineRef.current?.setBreakpoints(breakpoints);
+  }, [breakpoints]);
+
+  // A new run always starts from the current document, mocks and stubs
+  const startEngine = () => {
+    unsubscribeRef.current?.();
+    setCalls([]);
+    const invoke = createMockInvoke(getPluginMocks(pluginDoc), stubs?.invoke || {}, (call) => {
+      setCalls((prev) => [...prev, { ...call, at: new Date().toLocaleTimeString() }]);
+    });
+    const engine = new SequencerEngine(getSequencer(pluginDoc), { invoke, breakpoints });
+    unsubscribeRef.current = engine.subscribe(setSnapshot);
+    engineRef.current = engine;
+    setSnapshot(engine.snapshot());
+    return engine;
+  };
+
+  const engineForRun = () => (active && engineRef.current ? engineRef.current : startEngine());
+
+  const toggleBreakpoint = (id) => {
+    setBreakpoints((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  const reset = () => {
+    engineRef.current?.stop();
+    unsubscribeRef.current?.();
+    engineRef.current = null;
+    setSnapshot(null);
+    setCalls([]);
+  };
+
+  const currentId = snapshot && snapshot.currentIndex >= 0 ? steps[snapshot.currentIndex]?.id : null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button className={buttonClass} disabled={state === 'running' || steps.length === 0} onClick={() => engineForRun().run()}>
+          <PlayIcon className="w-4 h-4" /> {state === 'paused' ? 'Resume' : 'Run'}
+        </button>
+        <button className={buttonClass} disabled={state !== 'running'} onClick={() => engineRef.current?.pause()}>
+          <PauseIcon className="w-4 h-4" /> Pause
+        </button>
+        <button className={buttonClass} disabled={state === 'running' || steps.length === 0} onClick={() => engineForRun().step()}>
+          <ForwardIcon className="w-4 h-4" /> Step
+        </button>
+        <button className={buttonClass} disabled={!active} onClick={() => engineRef.current?.stop()}>
+          <StopIcon className="w-4 h-4" /> Stop
+        </button>
+        <button className={buttonClass} disabled={!snapshot} onClick={reset}>
+          <ArrowPathIcon className="w-4 h-4" /> Reset
+        </button>
+        <span className={`px-2 py-0.5 rounded text-xs font-medium ${stateClass[state]}`}>{state}</span>
+        {snapshot?.error && <span className="text-xs text-red-600">{snapshot.error}</span>}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="lg:col-span-1">
+          <div className="text-xs text-gray-500 mb-1">Click the dot to toggle a breakpoint</div>
+          <ol className="space-y-1">
+            {steps.map((step, index) => (
+              <li
+                key={`${step.id}-${index}`}
+                className={`flex items-center gap-2 px-2 py-1 rounded text-sm ${
+                  step.id === currentId && active ? 'bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-400' : 'border border-transparent'
+                }`}
+              >
+                <button
+                  className={`w-3 h-3 rounded-full border ${breakpoints.has(step.id) ? 'bg-red-500 border-red-600' : 'border-gray-400 hover:bg-red-200'}`}
+                  title={breakpoints.has(step.id) ? 'Remove breakpoint' : 'Pause before this step'}
+                  onClick={() => toggleBreakpoint(step.id)}
+                />
+                <span className="text-xs text-gray-500 w-5">{index + 1}</span>
+                <span className="truncate text-gray-900 dark:text-white">{step.name || step.id}</span>
+                <span className="ml-auto text-xs text-gray-500">{stepTypeOf(step)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        <div className="lg:col-span-2 space-y-3">
+          <div>
+            <h5 className="text-sm font-semibold text-gray-900 dark:text-white mt-0 mb-1">Timeline</h5>
+            {!snapshot || snapshot.results.length === 0 ? (
+              <div className="text-xs text-gray-500">Run or step the sequence to see results.</div>
+            ) : (
+              <div className="max-h-64 overflow-auto">
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-left text-gray-600 dark:text-gray-300">
+                      <th className="pr-2">+ms</th>
+                      <th className="pr-2">Step</th>
+                      <th className="pr-2">Status</th>
+                      <th className="pr-2">ms</th>
+                      <th className="pr-2">Result</th>
+                      <th className="pr-2">Next</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {snapshot.results.map((r, i) => (
+                      <tr key={i} className="align-top border-t border-gray-100 dark:border-gray-700 dark:text-gray-200">
+                        <td className="pr-2">{r.startedAt}</td>
+                        <td className="pr-2">{r.name}</td>
+                        <td className={`pr-2 ${statusClass[r.status]}`}>{r.status}</td>
+                        <td className="pr-2">{r.durationMs}</td>
+                        <td className="pr-2 break-all">{r.error || describe(r.output)}</td>
+                        <td className="pr-2">{r.next}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h5 className="text-sm font-semibold text-gray-900 dark:text-white mt-0 mb-1">Variables</h5>
+            <pre className="text-xs bg-gray-50 dark:bg-gray-900 dark:text-gray-200 p-2 rounded border border-gray-200 dark:border-gray-700 max-h-40 overflow-auto">
+              {JSON.stringify(snapshot ? snapshot.variables : getSequencer(pluginDoc).variables, null, 2)}
+            </pre>
+          </div>
+
+          {calls.length > 0 && (
+            <div>
+              <h5 className="text-sm font-semibold text-gray-900 dark:text-white mt-0 mb-1">Invoke calls</h5>
+              <ul className="text-xs font-mono space-y-0.5 max-h-40 overflow-auto dark:text-gray-200">
+                {calls.map((c, i) => (
+                  <li key={i} className={c.error ? 'text-red-600' : ''}>
+                    [{c.at}] {c.name}({describe(c.args)}) {c.error ? `✕ ${c.error}` : `→ ${describe(c.response)}`} ({c.source}, {c.durationMs} ms)
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SequencerRunner;
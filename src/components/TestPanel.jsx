@@ -12,11 +12,13 @@ import { testPluginCode as debugPluginCode } from '../lib/pluginDebugger';
 import CentcomTestPanel from './CentcomTestPanel';
 import GUICodeGenerator from '../lib/guiCodeGenerator.ts';
 import { SimpleGuiGenerator, convertToSimpleConfig } from '../lib/simpleGuiGenerator.ts';
+import { findComponentAt } from '../lib/componentSourceMap.ts';
+import { getGuiTabs } from '../lib/guiTabs.ts';
 
 /**
  * Unified Test Panel component that combines plugin testing and Centcom integration testing
  */
-const TestPanel = ({ pluginDoc, selected }) => {
+const TestPanel = ({ pluginDoc, selected, onLocateComponent }) => {
   // Plugin testing state
   const [isTesting, setIsTesting] = useState(false);
   const [testResults, setTestResults] = useState(null);
@@ -26,119 +28,6 @@ const TestPanel = ({ pluginDoc, selected }) => {
   // Tab state for switching between plugin testing and centcom testing
   const [activeTestTab, setActiveTestTab] = useState('plugin'); // 'plugin' or 'centcom'
 
-  // Test simple generator code directly (no transpilation needed)
-  const testSimpleGeneratorCode = async (code, pluginName) => {
-    try {
-      console.log('🧪 [PDE TEST] Testing simple generator code directly...');
-      
-      // Import React hooks for testing
-      const { useState, useEffect, useCallback, useMemo, useRef } = React;
-      
-      // Set up test environment similar to Centcom
-      const TestReact = {
-        ...React,
-        useState: useState,
-        useEffect: useEffect,
-        useCallback: useCallback,
-        useMemo: useMemo,
-        useRef: useRef,
-        createElement: React.createElement
-      };
-      
-      // Mock Centcom API
-      const mockCentcomAPI = () => ({
-        destroy: () => console.log('Mock API destroyed'),
-        connectDevice: () => Promise.resolve(true),
-        sendData: () => Promise.resolve()
-      });
-      
-      const mockCentcomUtils = {
-        formatData: (data) => data,
-        validateInput: () => true
-      };
-      
-      // Execute the simple generator code
-      const functionCode = code + '\nreturn PluginGUI;';
-      const ComponentFactory = new Function(
-        'React', 'useState', 'useEffect', 'useCallback', 'useMemo', 'useRef', 'createCentcomAPI', 'CentcomUtils',
-        functionCode
-      );
-      
-      const Component = ComponentFactory(
-        TestReact, useState, useEffect, useCallback, useMemo, useRef, mockCentcomAPI, mockCentcomUtils
-      );
-      
-      if (typeof Component === 'function') {
-        // Test by checking if the component can be created and has proper structure
-        try {
-          // Instead of calling the component directly (which breaks hooks),
-          // check if it's a valid React component by examining its structure
-          console.log('✅ [PDE TEST] Component function created successfully');
-          
-          // Additional validation: check if the code has proper React.createElement calls
-          if (code.includes('React.createElement') && code.includes('return')) {
-            console.log('✅ [PDE TEST] Code contains valid React elements');
-            
-            // Check for common issues in the generated code
-            const codeIssues = [];
-            
-            // Check for syntax issues
-            if (code.includes('React.createElement(,') || code.includes("React.createElement(',")) {
-              codeIssues.push('Malformed React.createElement calls detected');
-            }
-            
-            // Check for missing return statement in main function
-            if (!code.includes('return React.createElement')) {
-              codeIssues.push('Missing React.createElement return statement');
-            }
-            
-            if (codeIssues.length === 0) {
-              console.log('✅ [PDE TEST] Simple generator code validation passed');
-              return {
-                success: true,
-                executionTime: '< 1ms',
-                strategy: 'Simple Generator - Code Validation',
-                fixes: ['Code structure validated - ready for Centcom'],
-                warnings: []
-              };
-            } else {
-              return {
-                success: false,
-                error: 'Code validation failed',
-                warnings: codeIssues
-              };
-            }
-          } else {
-            return {
-              success: false,
-              error: 'Generated code missing React elements or return statement',
-              warnings: ['Check simple generator output structure']
-            };
-          }
-        } catch (validationError) {
-          return {
-            success: false,
-            error: `Code validation error: ${validationError.message}`,
-            warnings: ['Simple generator produced invalid code structure']
-          };
-        }
-      } else {
-        return {
-          success: false,
-          error: 'Generated code is not a valid React component function',
-          warnings: ['Check simple generator output']
-        };
-      }
-    } catch (error) {
-      console.error('❌ [PDE TEST] Simple generator test failed:', error);
-      return {
-        success: false,
-        error: error.message,
-        warnings: ['Simple generator code has syntax or runtime errors']
-      };
-    }
-  };
-
   // Test plugin code with automated debugging
   const testPluginCode = async () => {
     if (!pluginDoc?.gui?.components || pluginDoc.gui.components.length === 0) {
@@ -158,16 +47,19 @@ const TestPanel = ({ pluginDoc, selected }) => {
       
       // Generate code from current GUI design
       const config = {
+        tabs: getGuiTabs(pluginDoc.gui),
         components: pluginDoc.gui.components,
-        settings: pluginDoc.gui.settings || { layout: 'tabs', theme: 'default', responsive: true }
+        settings: pluginDoc.gui.settings || { layout: 'tabs', theme: 'default', responsive: true },
+        sequencer: pluginDoc.sequencer,
+        licensing: pluginDoc.licensing
       };
       
-      let generatedCode;
+      let generated;
       
       if (useSimpleGenerator) {
         // Use simple generator for transpilation-friendly code
-        const simpleConfig = convertToSimpleConfig(config);
-        generatedCode = SimpleGuiGenerator.generateSimpleComponent(simpleConfig, 'PluginGUI');
+        const simpleConfig = convertToSimpleConfig(config, config.sequencer, config.licensing);
+        generated = SimpleGuiGenerator.generateSimpleComponentWithSourceMap(simpleConfig, 'PluginGUI');
       } else {
         // Use complex generator (original approach)
         const options = {
@@ -178,17 +70,16 @@ const TestPanel = ({ pluginDoc, selected }) => {
           targetFramework: 'react',
           typescript: true
         };
-        generatedCode = GUICodeGenerator.generateReactComponent(config, 'PluginGUI', options);
+        generated = GUICodeGenerator.generateReactComponentWithSourceMap(config, 'PluginGUI', options);
       }
       
-      // Test the generated code differently based on generator type
-      let result;
-      if (useSimpleGenerator) {
-        // Simple generator produces ready-to-run code - test directly without transpilation
-        result = await testSimpleGeneratorCode(generatedCode, pluginDoc?.metadata?.name || 'Plugin');
-      } else {
-        // Complex generator needs transpilation testing
-        result = await debugPluginCode(generatedCode, pluginDoc?.metadata?.name || 'Plugin');
+      // Both generators go through the same transpile + execute pipeline Centcom uses
+      const result = await debugPluginCode(generated.code, pluginDoc?.metadata?.name || 'Plugin');
+
+      // Resolve the first error position back to the canvas component that generated it
+      const firstError = result.diagnostics?.find(d => d.severity === 'error');
+      if (firstError) {
+        result.componentId = findComponentAt(generated.sourceMap, firstError.line, firstError.column);
       }
       
       setTestResults(result);
@@ -251,7 +142,7 @@ const TestPanel = ({ pluginDoc, selected }) => {
             <div className="space-y-4">
               <p className="text-sm text-gray-600 dark:text-gray-400">
                 Test your plugin's generated code for transpilation compatibility with Centcom. 
-                This automated system will identify and fix common issues before deployment.
+                Syntax and runtime errors are reported with their exact line and column.
               </p>
               
               <div className="space-y-3">
@@ -310,7 +201,7 @@ const TestPanel = ({ pluginDoc, selected }) => {
                 </div>
 
                 <div className="text-sm text-gray-600 dark:text-gray-400">
-                  <p><strong>What this tests:</strong> The exact same GUI code that will be deployed to Centcom, using multiple transpilation strategies to ensure compatibility.</p>
+                  <p><strong>What this tests:</strong> The exact same GUI code that will be deployed to Centcom, transpiled and executed the same way Centcom's loader runs it.</p>
                 </div>
               </div>
             </div>
@@ -336,7 +227,7 @@ const TestPanel = ({ pluginDoc, selected }) => {
                   {testResults.metrics && (
                     <span className="text-sm text-gray-600 dark:text-gray-400 font-mono">
                       {testResults.metrics.executionTime}ms | 
-                      {testResults.fixes?.length || 0} fixes | 
+                      {testResults.fixes?.length || 0} transforms | 
                       {testResults.warnings?.length || 0} warnings
                     </span>
                   )}
@@ -345,7 +236,7 @@ const TestPanel = ({ pluginDoc, selected }) => {
               
               {testResults.fixes?.length > 0 && (
                 <div className="mb-4">
-                  <h5 className="font-semibold text-green-700 dark:text-green-300 mb-2">Applied Fixes:</h5>
+                  <h5 className="font-semibold text-green-700 dark:text-green-300 mb-2">Applied Transforms:</h5>
                   <ul className="bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700 rounded p-3 space-y-1">
                     {testResults.fixes.map((fix, index) => (
                       <li key={index} className="text-sm text-green-800 dark:text-green-200">• {fix}</li>
@@ -374,17 +265,37 @@ const TestPanel = ({ pluginDoc, selected }) => {
                 </div>
               )}
 
-              {testResults.success && testResults.fixes?.some(fix => fix.includes('Template')) && (
-                <div className="mb-4 p-4 bg-yellow-50 dark:bg-yellow-900 border border-yellow-200 dark:border-yellow-700 rounded">
-                  <h5 className="font-semibold text-yellow-800 dark:text-yellow-200 mb-2">⚠️ Important Note:</h5>
-                  <p className="text-sm text-yellow-700 dark:text-yellow-300 mb-2">
-                    The test passed using a fallback template strategy. This means your actual generated GUI code 
-                    may still have transpilation issues in Centcom that need to be addressed.
-                  </p>
-                  <p className="text-sm text-yellow-700 dark:text-yellow-300">
-                    <strong>Recommendation:</strong> Check the "Enhanced Conservative" strategy warnings above and 
-                    consider simplifying your GUI design or adjusting the code generation settings.
-                  </p>
+              {testResults.componentId && (
+                <div className="mb-4 flex items-center justify-between bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-700 rounded p-3">
+                  <span className="text-sm text-red-800 dark:text-red-200">
+                    Error originates from component <code className="font-mono">{testResults.componentId}</code>
+                  </span>
+                  {onLocateComponent && (
+                    <button
+                      onClick={() => onLocateComponent(testResults.componentId)}
+                      className="px-3 py-1 text-sm bg-red-600 hover:bg-red-700 text-white rounded transition-colors"
+                    >
+                      Show in GUI Builder
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {testResults.diagnostics?.some(d => d.severity === 'error') && (
+                <div className="mb-4">
+                  <h5 className="font-semibold text-red-700 dark:text-red-300 mb-2">Diagnostics:</h5>
+                  <div className="space-y-2">
+                    {testResults.diagnostics.filter(d => d.severity === 'error').map((d, index) => (
+                      <div key={index} className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-700 rounded p-3">
+                        <div className="text-sm text-red-800 dark:text-red-200 font-mono mb-1">
+                          {d.line}:{d.column} {d.message}
+                        </div>
+                        {d.frame && (
+                          <pre className="text-xs text-red-900 dark:text-red-100 font-mono overflow-x-auto">{d.frame}</pre>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
 
@@ -392,11 +303,8 @@ const TestPanel = ({ pluginDoc, selected }) => {
                 <p className="text-sm text-gray-600 dark:text-gray-300">
                   <strong>Next Steps:</strong> {
                     testResults.success ? 
-                      (testResults.fixes?.some(fix => fix.includes('Template')) ? 
-                        'Test passed with fallback template. Your actual GUI code may need fixes in Centcom. Consider testing with Centcom Integration tab to verify real-world compatibility.' :
-                        'Your plugin passed all transpilation tests and is ready for export to Centcom!'
-                      ) : 
-                      'Fix the issues above and test again. The automated system will help identify and resolve common transpilation problems.'
+                      'Your plugin passed all transpilation tests and is ready for export to Centcom!' : 
+                      'Fix the issues at the reported line and column above and test again.'
                   }
                 </p>
               </div>
@@ -425,6 +333,7 @@ const TestPanel = ({ pluginDoc, selected }) => {
                 <CentcomTestPanel
                   pluginName={selected}
                   pluginMetadata={pluginDoc}
+                  onLocateComponent={onLocateComponent}
                   onTestResults={(results) => {
                     console.log('Centcom test results:', results);
                   }}
@@ -0,0 +1,164 @@
+/**
+ * Build Jobs
+ * A studio build as a tracked job: phases, npm output streamed line by line, cancellation and a timeout
+ *
+ * A BuildJob runs any number of npm processes (the build, a dependency install, a retry) through
+ * the `start_npm_job` command, which emits each output line as an event while the process runs.
+ * Cancelling stops the running process; a job past its timeout stops the same way. Either one
+ * rejects the job's current step with BuildJobStopped, so the build can unwind from anywhere.
+ */
+
+import { invoke } from '@tauri-apps/api/core';
+import { listen } from '@tauri-apps/api/event';
+
+export const BUILD_PHASES = ['validate', 'generate', 'bundle', 'package'] as const;
+export type BuildPhase = typeof BUILD_PHASES[number];
+
+export const BUILD_PHASE_LABELS: Record<BuildPhase, string> = {
+  validate: 'Validate',
+  generate: 'Generate',
+  bundle: 'Bundle',
+  package: 'Package'
+};
+
+export type BuildJobStatus = 'running' | 'succeeded' | 'failed' | 'cancelled' | 'timedOut';
+export type BuildJobStream = 'stdout' | 'stderr';
+
+/** Builds that run longer than this are stopped */
+export const DEFAULT_BUILD_TIMEOUT_MS = 10 * 60 * 1000;
+
+export interface BuildJobOptions {
+  /** Stop the job this long after it starts */
+  timeoutMs?: number;
+  onLine?: (stream: BuildJobStream, line: string) => void;
+  onPhase?: (phase: BuildPhase) => void;
+}
+
+/** Result of one npm process, shaped like the `run_npm` command's */
+export interface NpmJobResult {
+  success: boolean;
+  code: number | null;
+  stdout: string;
+  stderr: string;
+}
+
+// Payloads of the events build_jobs.rs emits
+interface JobOutputEvent {
+  jobId: string;
+  stream: BuildJobStream;
+  line: string;
+}
+
+interface JobExitEvent {
+  jobId: string;
+  success: boolean;
+  code: number | null;
+  cancelled: boolean;
+  timedOut: boolean;
+  error: string | null;
+}
+
+const OUTPUT_EVENT = 'build-job-output';
+const EXIT_EVENT = 'build-job-exit';
+
+export class BuildJobStopped extends Error {
+  constructor(readonly reason: 'cancelled' | 'timedOut', timeoutMs?: number) {
+    super(reason === 'timedOut' ? `Build timed out after ${Math.round((timeoutMs || 0) / 1000)}s` : 'Build cancelled');
+    this.name = 'BuildJobStopped';
+  }
+}
+
+export class BuildJob {
+  readonly id = `job_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  readonly startedAt = new Date().toISOString();
+  finishedAt?: string;
+  status: BuildJobStatus = 'running';
+  phase: BuildPhase | null = null;
+
+  private readonly deadline: number;
+  private readonly timeoutMs: number;
+  private stopReason: BuildJobStopped['reason'] | null = null;
+  private processId: string | null = null;
+  private processCount = 0;
+
+  constructor(readonly pluginName: string, private readonly options: BuildJobOptions = {}) {
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_BUILD_TIMEOUT_MS;
+    this.deadline = Date.now() + this.timeoutMs;
+  }
+
+  /**
+   * Move on to `phase`; throws BuildJobStopped when the job was cancelled or ran out of time
+   */
+  enterPhase(phase: BuildPhase) {
+    this.throwIfStopped();
+    this.phase = phase;
+    this.options.onPhase?.(phase);
+  }
+
+  throwIfStopped() {
+    if (!this.stopReason && Date.now() >= this.deadline) this.stopReason = 'timedOut';
+    if (this.stopReason) throw new BuildJobStopped(this.stopReason, this.timeoutMs);
+  }
+
+  /**
+   * Stop the job; the step it is in rejects with BuildJobStopped
+   */
+  async cancel(): Promise<void> {
+    if (this.status !== 'running' || this.stopReason) return;
+    this.stopReason = 'cancelled';
+    if (this.processId) await invoke<boolean>('cancel_npm_job', { jobId: this.processId });
+  }
+
+  /**
+   * Run `npm <args>` in `dir`, streaming its output to onLine as it is written
+   */
+  async runNpm(dir: string, args: string[]): Promise<NpmJobResult> {
+    this.throwIfStopped();
+    const processId = `${this.id}_${++this.processCount}`;
+    const stdout: string[] = [];
+    const stderr: string[] = [];
+    let exited!: (exit: JobExitEvent) => void;
+    const exit = new Promise<JobExitEvent>(resolve => { exited = resolve; });
+
+    const unlisten = await Promise.all([
+      listen<JobOutputEvent>(OUTPUT_EVENT, ({ payload }) => {
+        if (payload.jobId !== processId) return;
+        (payload.stream === 'stderr' ? stderr : stdout).push(payload.line);
+        this.options.onLine?.(payload.stream, payload.line);
+      }),
+      listen<JobExitEvent>(EXIT_EVENT, ({ payload }) => {
+        if (payload.jobId === processId) exited(payload);
+      })
+    ]);
+    try {
+      const timeoutSecs = Math.max(1, Math.ceil((this.deadline - Date.now()) / 1000));
+      await invoke('start_npm_job', { jobId: processId, dir, args, timeoutSecs });
+      this.processId = processId;
+      // Cancelled while the process was starting
+      if (this.stopReason) await invoke<boolean>('cancel_npm_job', { jobId: processId });
+
+      const result = await exit;
+      if (result.timedOut) this.stopReason = 'timedOut';
+      if (result.cancelled && !this.stopReason) this.stopReason = 'cancelled';
+      this.throwIfStopped();
+      return {
+        success: result.success,
+        code: result.code,
+        stdout: stdout.join('\n'),
+        stderr: result.error ? [...stderr, result.error].join('\n') : stderr.join('\n')
+      };
+    } finally {
+      this.processId = null;
+      unlisten.forEach(stop => stop());
+    }
+  }
+
+  /**
+   * Record how the job ended; a stopped job counts as cancelled or timed out whatever `succeeded` says
+   */
+  finish(succeeded: boolean) {
+    if (this.status !== 'running') return;
+    this.status = this.stopReason || (succeeded ? 'succeeded' : 'failed');
+    this.finishedAt = new Date().toISOString();
+  }
+}
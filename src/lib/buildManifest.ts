@@ -0,0 +1,187 @@
+/**
+ * Build Manifest
+ * Content hashes for built plugins: an integrity block inside the .lycplugin and a manifest beside it
+ *
+ * Every section of the shipped document (metadata, frontend, backend, licensing...) is hashed
+ * with SHA-256 over its canonical JSON, so formatting changes do not count as tampering. The
+ * hashes travel inside the document as `integrity`, which Centcom or `pds verify` can check
+ * with nothing else at hand. The build also writes dist/<plugin>.manifest.json, which adds the
+ * hash of the artifact file itself and of the source document the build started from.
+ * The author signature (packageSigning.ts) is added after sealing and is not hashed either.
+ */
+
+import { version as packageVersion } from '../../package.json';
+import { canonicalJson } from './licensing';
+
+export const STUDIO_VERSION: string = packageVersion;
+
+export const MANIFEST_SUFFIX = '.manifest.json';
+
+/** How a build produced the plugin's frontend code */
+export interface BuildGenerator {
+  /** The studio window or the pds CLI */
+  tool: 'studio' | 'pds';
+  /** `simpleGui` when frontend.main was generated from the GUI designer, `source` when it was kept as written */
+  frontend: 'simpleGui' | 'source';
+  componentCount: number;
+}
+
+/** Where a build came from, recorded in the integrity block and the manifest */
+export interface BuildProvenance {
+  generator: BuildGenerator;
+  /** Hash of the source document the build started from */
+  inputHash: string;
+}
+
+export interface PluginIntegrity extends Partial<BuildProvenance> {
+  algorithm: 'SHA-256';
+  /** Hash of each top-level section of the document */
+  sections: Record<string, string>;
+  /** Hash of the whole document without its integrity block */
+  contentHash: string;
+  studioVersion: string;
+  sealedAt: string;
+}
+
+export interface BuildManifest extends BuildProvenance {
+  manifestVersion: 1;
+  plugin: { id: string; name: string; version: string };
+  studioVersion: string;
+  builtAt: string;
+  artifact: { file: string; size: number; sha256: string };
+  sections: Record<string, string>;
+  contentHash: string;
+}
+
+export type IntegrityStatus = 'valid' | 'missing' | 'tampered';
+
+export interface IntegrityReport {
+  status: IntegrityStatus;
+  /** Problems found, one per changed, added or removed section */
+  problems: string[];
+}
+
+/**
+ * SHA-256 of text (UTF-8), as hex
+ */
+export async function sha256Hex(text: string): Promise<string> {
+  if (!globalThis.crypto?.subtle) throw new Error('WebCrypto is not available in this environment');
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash of a plugin document, ignoring its integrity block, its signature and its formatting
+ */
+export function hashPluginDoc(doc: any): Promise<string> {
+  return sha256Hex(canonicalJson(pluginContent(doc)));
+}
+
+export async function hashPluginSections(doc: any): Promise<Record<string, string>> {
+  const content = pluginContent(doc);
+  const sections: Record<string, string> = {};
+  for (const name of Object.keys(content).sort()) {
+    if (content[name] === undefined) continue;
+    sections[name] = await sha256Hex(canonicalJson(content[name]));
+  }
+  return sections;
+}
+
+/**
+ * A copy of the document with a fresh integrity block; `provenance` is left out for
+ * documents that were not just built (an export of a source file, for instance)
+ */
+export async function sealPluginIntegrity(doc: any, provenance?: BuildProvenance): Promise<any> {
+  const integrity: PluginIntegrity = {
+    algorithm: 'SHA-256',
+    sections: await hashPluginSections(doc),
+    contentHash: await hashPluginDoc(doc),
+    studioVersion: STUDIO_VERSION,
+    ...(provenance ? { generator: provenance.generator, inputHash: provenance.inputHash } : {}),
+    sealedAt: new Date().toISOString()
+  };
+  // Sealing changes the document, so an earlier signature no longer applies
+  return { ...pluginContent(doc), integrity };
+}
+
+/**
+ * Check a document against its own integrity block
+ */
+export async function verifyPluginIntegrity(doc: any): Promise<IntegrityReport> {
+  const integrity: PluginIntegrity | undefined = doc?.integrity;
+  if (!integrity || typeof integrity !== 'object' || !integrity.sections) {
+    return { status: 'missing', problems: ['The plugin has no integrity block'] };
+  }
+  if (integrity.algorithm !== 'SHA-256') {
+    return { status: 'tampered', problems: [`Unsupported integrity algorithm: ${integrity.algorithm}`] };
+  }
+  const problems = compareSections(integrity.sections, await hashPluginSections(doc));
+  if (problems.length === 0 && integrity.contentHash !== (await hashPluginDoc(doc))) {
+    problems.push('The document hash does not match');
+  }
+  return { status: problems.length === 0 ? 'valid' : 'tampered', problems };
+}
+
+/**
+ * The manifest for a sealed artifact; `artifactText` is the file exactly as written
+ */
+export async function createBuildManifest(sealed: any, artifactText: string, file: string, provenance: BuildProvenance): Promise<BuildManifest> {
+  const meta = sealed?.metadata || {};
+  return {
+    manifestVersion: 1,
+    plugin: { id: String(meta.id || ''), name: String(meta.name || ''), version: String(meta.version || '') },
+    studioVersion: STUDIO_VERSION,
+    builtAt: new Date().toISOString(),
+    generator: provenance.generator,
+    inputHash: provenance.inputHash,
+    artifact: { file, size: new TextEncoder().encode(artifactText).length, sha256: await sha256Hex(artifactText) },
+    sections: sealed?.integrity?.sections ?? (await hashPluginSections(sealed)),
+    contentHash: sealed?.integrity?.contentHash ?? (await hashPluginDoc(sealed))
+  };
+}
+
+export function serializeBuildManifest(manifest: BuildManifest): string {
+  return JSON.stringify(manifest, null, 2);
+}
+
+/**
+ * Check an artifact against its manifest: the file hash, then each section
+ */
+export async function verifyBuildManifest(manifest: BuildManifest, artifactText: string): Promise<IntegrityReport> {
+  if (manifest?.manifestVersion !== 1 || !manifest.artifact?.sha256 || !manifest.sections) {
+    return { status: 'missing', problems: ['Not a version 1 build manifest'] };
+  }
+  if ((await sha256Hex(artifactText)) === manifest.artifact.sha256) return { status: 'valid', problems: [] };
+
+  const problems = ['The artifact hash does not match the manifest'];
+  try {
+    problems.push(...compareSections(manifest.sections, await hashPluginSections(JSON.parse(artifactText))));
+  } catch (error: any) {
+    problems.push(`The artifact is not valid JSON: ${error.message}`);
+  }
+  return { status: 'tampered', problems };
+}
+
+/**
+ * `dist/<plugin>.manifest.json` for `dist/<plugin>.lycplugin`
+ */
+export function manifestPathFor(artifactPath: string): string {
+  return artifactPath.replace(/\.lycplugin$/i, '') + MANIFEST_SUFFIX;
+}
+
+function pluginContent(doc: any): any {
+  const { integrity: _integrity, signature: _signature, ...content } = doc ?? {};
+  return content;
+}
+
+function compareSections(expected: Record<string, string>, actual: Record<string, string>): string[] {
+  const problems: string[] = [];
+  for (const name of Object.keys(expected)) {
+    if (!(name in actual)) problems.push(`Section ${name} was removed`);
+    else if (actual[name] !== expected[name]) problems.push(`Section ${name} was changed`);
+  }
+  for (const name of Object.keys(actual)) {
+    if (!(name in expected)) problems.push(`Section ${name} was added`);
+  }
+  return problems;
+}
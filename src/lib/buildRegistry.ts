@@ -0,0 +1,249 @@
+/**
+ * Build Registry
+ * One record of every build in a workspace, with its artifact, log and release notes
+ *
+ * The registry is `.builds/registry.json` in the workspace, and each build keeps its files in
+ * `.builds/<key>/`: the artifact as exported, its build manifest and `build.log`. The studio
+ * and the pds CLI both write it, so builds from either show up in both and travel with the
+ * workspace. Retention drops old records (or just their artifacts) per plugin; pinned builds
+ * are always kept. Build records the studio kept in localStorage move into the registry of the
+ * workspace holding their plugin. The `metadata.buildHistory` entries older plugins carry are
+ * imported once, when a workspace's registry is created, so records retention drops stay
+ * dropped. Nothing here touches the filesystem: callers read the registry, change it with these
+ * functions and delete the folders of pruned builds.
+ */
+
+export const BUILD_REGISTRY_DIR = '.builds';
+export const BUILD_REGISTRY_FILE = 'registry.json';
+export const BUILD_LOG_FILE = 'build.log';
+
+export type BuildSource = 'studio' | 'pds' | 'localStorage' | 'buildHistory';
+
+export interface BuildRecord {
+  key: string;
+  pluginId: string;
+  /** The plugin's folder in the workspace */
+  pluginName?: string;
+  name: string;
+  version: string;
+  builtAt: string; // ISO
+  buildName?: string;
+  releaseNotes?: string;
+  icon?: string;
+  /** Where the build was exported to, outside the registry */
+  path: string;
+  filename: string;
+  /** Files in the build's registry folder; unset when never kept or removed by retention */
+  artifact?: string;
+  manifest?: string;
+  log?: string;
+  /** SHA-256 of the artifact, from its build manifest */
+  sha256?: string;
+  source: BuildSource;
+  /** Pinned builds are never pruned */
+  pinned?: boolean;
+  /** Log lines of records from before the registry, until they are written to `log` */
+  buildLogs?: string[];
+  extra?: Record<string, any>;
+}
+
+export interface RetentionPolicy {
+  /** Records kept per plugin, newest first; null keeps every record */
+  maxBuildsPerPlugin: number | null;
+  /** Artifacts kept per plugin; older records keep their log and release notes only */
+  maxArtifactsPerPlugin: number | null;
+  /** Records older than this are dropped; null keeps them however old */
+  maxAgeDays: number | null;
+}
+
+export interface BuildRegistry {
+  version: 1;
+  /** Highest BLD-### number handed out */
+  counter: number;
+  retention: RetentionPolicy;
+  builds: BuildRecord[];
+}
+
+export interface RetentionResult {
+  /** Records dropped; delete their folders */
+  removed: BuildRecord[];
+  /** Records that keep their entry but lose their artifact; delete the artifact files */
+  strippedArtifacts: { key: string; files: string[] }[];
+}
+
+export const DEFAULT_RETENTION: RetentionPolicy = {
+  maxBuildsPerPlugin: 50,
+  maxArtifactsPerPlugin: 10,
+  maxAgeDays: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function emptyRegistry(): BuildRegistry {
+  return { version: 1, counter: 0, retention: { ...DEFAULT_RETENTION }, builds: [] };
+}
+
+/**
+ * Parse a registry file; null when the workspace has none yet
+ */
+export function parseRegistry(text: string | null): BuildRegistry | null {
+  if (!text) return null;
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (error: any) {
+    throw new Error(`Build registry is not valid JSON: ${error.message}`);
+  }
+  if (data?.version !== 1 || !Array.isArray(data.builds)) throw new Error('Build registry is not a version 1 registry');
+  return {
+    version: 1,
+    counter: Number(data.counter) || 0,
+    retention: { ...DEFAULT_RETENTION, ...data.retention },
+    builds: sortBuilds(data.builds.filter((b: any) => b?.key && b?.pluginId))
+  };
+}
+
+export function serializeRegistry(registry: BuildRegistry): string {
+  return JSON.stringify(registry, null, 2);
+}
+
+/**
+ * Reserve the next sequential key: BLD-001, BLD-002, ... The counter only goes up, so a
+ * deleted build's key is never reused.
+ */
+export function nextBuildKey(registry: BuildRegistry): string {
+  registry.counter = Math.max(registry.counter, highestKeyNumber(registry.builds)) + 1;
+  return `BLD-${String(registry.counter).padStart(3, '0')}`;
+}
+
+export function addBuildRecord(registry: BuildRegistry, record: BuildRecord): void {
+  registry.builds = sortBuilds([record, ...registry.builds.filter(b => b.key !== record.key)]);
+}
+
+/**
+ * Remove a record; resolves to it so the caller can delete its folder
+ */
+export function removeBuildRecord(registry: BuildRegistry, key: string): BuildRecord | null {
+  const record = registry.builds.find(b => b.key === key) || null;
+  registry.builds = registry.builds.filter(b => b.key !== key);
+  return record;
+}
+
+/**
+ * Apply the registry's retention policy. Records are counted per plugin, newest first;
+ * pinned records are kept and do not count against the limits.
+ */
+export function applyRetention(registry: BuildRegistry, now = Date.now()): RetentionResult {
+  const { maxBuildsPerPlugin, maxArtifactsPerPlugin, maxAgeDays } = registry.retention;
+  const removed: BuildRecord[] = [];
+  const strippedArtifacts: RetentionResult['strippedArtifacts'] = [];
+  const seen = new Map<string, { builds: number; artifacts: number }>();
+
+  const kept = registry.builds.filter(record => {
+    if (record.pinned) return true;
+    const count = seen.get(record.pluginId) || { builds: 0, artifacts: 0 };
+    seen.set(record.pluginId, count);
+    const age = now - new Date(record.builtAt).getTime();
+    if ((maxAgeDays !== null && age > maxAgeDays * DAY_MS) || (maxBuildsPerPlugin !== null && count.builds >= maxBuildsPerPlugin)) {
+      removed.push(record);
+      return false;
+    }
+    count.builds++;
+    if (record.artifact || record.manifest) {
+      if (maxArtifactsPerPlugin !== null && count.artifacts >= maxArtifactsPerPlugin) {
+        strippedArtifacts.push({ key: record.key, files: [record.artifact, record.manifest].filter((f): f is string => !!f) });
+        delete record.artifact;
+        delete record.manifest;
+      } else {
+        count.artifacts++;
+      }
+    }
+    return true;
+  });
+  registry.builds = kept;
+  return { removed, strippedArtifacts };
+}
+
+/**
+ * Merge build records kept in localStorage by studio versions before the registry.
+ * Resolves to the records added; their `buildLogs` still need writing to log files.
+ */
+export function mergeLegacyBuilds(registry: BuildRegistry, legacy: unknown, legacyCounter = 0): BuildRecord[] {
+  const added: BuildRecord[] = [];
+  const known = new Set(registry.builds.map(b => b.key));
+  for (const item of Array.isArray(legacy) ? legacy : []) {
+    if (!item?.key || !item?.pluginId || known.has(item.key)) continue;
+    const record: BuildRecord = {
+      ...item,
+      name: String(item.name || item.pluginId),
+      version: String(item.version || '1.0.0'),
+      builtAt: String(item.builtAt || new Date(0).toISOString()),
+      path: String(item.path || ''),
+      filename: String(item.filename || `${item.pluginId}.lycplugin`),
+      source: 'localStorage'
+    };
+    known.add(record.key);
+    added.push(record);
+  }
+  registry.builds = sortBuilds([...registry.builds, ...added]);
+  registry.counter = Math.max(registry.counter, legacyCounter || 0, highestKeyNumber(registry.builds));
+  return added;
+}
+
+/**
+ * Split the build records localStorage kept for all workspaces together into those of the given
+ * plugins, by id or folder name, and the rest
+ */
+export function partitionLegacyBuilds(legacy: unknown, pluginIds: Set<string>): { matching: any[]; rest: any[] } {
+  const list = Array.isArray(legacy) ? legacy : [];
+  const belongs = (item: any) => pluginIds.has(item?.pluginId) || pluginIds.has(item?.name);
+  return { matching: list.filter(belongs), rest: list.filter(item => !belongs(item)) };
+}
+
+/**
+ * Merge a plugin's `metadata.buildHistory`. Entries match records by build key, or by version
+ * and build time for entries without one; the rest become records without files. Only for a
+ * new registry: merged again later, it would bring back the records retention removed.
+ */
+export function mergeBuildHistory(registry: BuildRegistry, doc: any, pluginName: string): BuildRecord[] {
+  const meta = doc?.metadata || {};
+  const history = Array.isArray(meta.buildHistory) ? meta.buildHistory : [];
+  const pluginId = String(meta.id || pluginName);
+  const added: BuildRecord[] = [];
+  for (const entry of history) {
+    if (!entry?.builtAt || !entry?.version) continue;
+    const matches = registry.builds.some(b => (entry.buildKey && b.key === entry.buildKey)
+      || (b.pluginId === pluginId && b.version === entry.version && b.builtAt === entry.builtAt));
+    if (matches) continue;
+    const record: BuildRecord = {
+      key: entry.buildKey || `HIST-${pluginId}-${new Date(entry.builtAt).getTime().toString(36).toUpperCase()}`,
+      pluginId,
+      pluginName,
+      name: String(meta.name || pluginName),
+      version: String(entry.version),
+      builtAt: String(entry.builtAt),
+      buildName: entry.buildName,
+      releaseNotes: entry.releaseNotes,
+      icon: meta.icon,
+      path: '',
+      filename: '',
+      source: 'buildHistory'
+    };
+    registry.builds.push(record);
+    added.push(record);
+  }
+  registry.builds = sortBuilds(registry.builds);
+  return added;
+}
+
+// Newest first
+function sortBuilds(builds: BuildRecord[]): BuildRecord[] {
+  return [...builds].sort((a, b) => new Date(b.builtAt).getTime() - new Date(a.builtAt).getTime());
+}
+
+function highestKeyNumber(builds: BuildRecord[]): number {
+  return builds.reduce((max, b) => {
+    const m = /^BLD-(\d+)$/.exec(b.key);
+    return m ? Math.max(max, parseInt(m[1], 10)) : max;
+  }, 0);
+}
@@ -0,0 +1,95 @@
+/**
+ * Canvas History
+ * Undo/redo stack of commands for the GUI builder
+ *
+ * Each command records the builder state before and after a mutation. Commands that share a
+ * mergeKey (e.g. every mousemove of one drag) are folded into a single entry until the
+ * history is sealed, so one gesture undoes in one step.
+ */
+
+export interface HistoryCommand<S> {
+  label: string;
+  before: S;
+  after: S;
+  mergeKey?: string;
+}
+
+export class CommandHistory<S> {
+  private undoStack: HistoryCommand<S>[] = [];
+  private redoStack: HistoryCommand<S>[] = [];
+  private open = false;
+
+  constructor(private readonly limit: number = 100) {}
+
+  /**
+   * Record a mutation. Clears the redo stack.
+   */
+  record(label: string, before: S, after: S, mergeKey?: string): void {
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (mergeKey && this.open && last?.mergeKey === mergeKey) {
+      last.after = after;
+    } else {
+      this.undoStack.push({ label, before, after, mergeKey });
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+    this.open = !!mergeKey;
+    this.redoStack = [];
+  }
+
+  /**
+   * End the current gesture; the next command starts a new entry even with the same mergeKey
+   */
+  seal(): void {
+    this.open = false;
+  }
+
+  /**
+   * Step back one command. Returns the state to restore, or null when there is nothing to undo.
+   */
+  undo(): HistoryCommand<S> | null {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    this.redoStack.push(command);
+    this.open = false;
+    return command;
+  }
+
+  /**
+   * Re-apply the last undone command. Returns it, or null when there is nothing to redo.
+   */
+  redo(): HistoryCommand<S> | null {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    this.undoStack.push(command);
+    this.open = false;
+    return command;
+  }
+
+  canUndo(): boolean {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo(): boolean {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Label of the command the next undo would revert
+   */
+  undoLabel(): string | null {
+    return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+  }
+
+  /**
+   * Label of the command the next redo would re-apply
+   */
+  redoLabel(): string | null {
+    return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+  }
+
+  clear(): void {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.open = false;
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Component Actions
+ * Event-to-action bindings for GUI components and the handler code both generators emit
+ *
+ * Bindings live in `component.props.actions`, keyed by event (`onClick`, `onChange`). Each event
+ * runs its actions in order: invoke a Tauri command, set a state variable, run a sequencer step
+ * or switch the designer tab. Values are written as text: `$event` is the event value (input
+ * text, toggle state), `$state.name` reads a state variable, valid JSON is used as-is and
+ * anything else is a string.
+ */
+
+import { getSequencer, stepTypeOf, stepUsesCommand, SequencerStep } from './sequencer';
+
+export type ComponentEvent = 'onClick' | 'onChange';
+
+export type ComponentAction =
+  | { type: 'invoke'; command: string; args?: Record<string, string>; resultVariable?: string }
+  | { type: 'setState'; variable: string; value: string }
+  | { type: 'runStep'; stepId: string }
+  | { type: 'switchTab'; tabId: string };
+
+export type ComponentActions = Partial<Record<ComponentEvent, ComponentAction[]>>;
+
+export const ACTION_TYPES: Array<{ type: ComponentAction['type']; label: string }> = [
+  { type: 'invoke', label: 'Invoke command' },
+  { type: 'setState', label: 'Set state variable' },
+  { type: 'runStep', label: 'Run sequencer step' },
+  { type: 'switchTab', label: 'Switch tab' }
+];
+
+/** Component types whose change event carries a value */
+const CHANGE_TYPES = ['input', 'select', 'toggle', 'slider', 'checkbox'];
+
+/**
+ * Events a component can bind actions to: the handler props from its library defaults
+ * (onClick: 'handleButtonClick', ...) plus the natural event of its type
+ */
+export function componentEvents(component: any): ComponentEvent[] {
+  const events = new Set<ComponentEvent>();
+  const props = component?.props || {};
+  if (typeof props.onClick === 'string' || component?.type === 'button') events.add('onClick');
+  if (typeof props.onChange === 'string' || CHANGE_TYPES.includes(component?.type)) events.add('onChange');
+  return [...events];
+}
+
+export function getComponentActions(component: any): ComponentActions {
+  const actions = component?.props?.actions;
+  return actions && typeof actions === 'object' && !Array.isArray(actions) ? actions : {};
+}
+
+export function hasComponentActions(component: any): boolean {
+  return Object.values(getComponentActions(component)).some(list => Array.isArray(list) && list.length > 0);
+}
+
+/**
+ * Default action of a type, prefilled from the document where possible
+ */
+export function createAction(type: ComponentAction['type'], doc?: any): ComponentAction {
+  switch (type) {
+    case 'invoke':
+      return { type, command: doc?.metadata?.tauriCommands?.[0] || '', args: {} };
+    case 'setState':
+      return { type, variable: 'value', value: '$event' };
+    case 'runStep':
+      return { type, stepId: getSequencer(doc).steps[0]?.id || '' };
+    case 'switchTab':
+      return { type, tabId: doc?.gui?.tabs?.[0]?.id || '' };
+  }
+}
+
+/**
+ * State variables written by any binding, so generated code can declare them up front
+ */
+export function actionStateVariables(components: any[], steps: SequencerStep[] = []): string[] {
+  const names = new Set<string>();
+  const visit = (component: any) => {
+    for (const list of Object.values(getComponentActions(component))) {
+      for (const action of list || []) {
+        if (action.type === 'setState' && action.variable) names.add(action.variable);
+        if (action.type === 'invoke' && action.resultVariable) names.add(action.resultVariable);
+        if (action.type === 'runStep') {
+          for (const output of steps.find(s => s.id === action.stepId)?.outputs || []) names.add(String(output));
+        }
+      }
+    }
+    (component?.children || []).forEach(visit);
+  };
+  components.forEach(visit);
+  return [...names];
+}
+
+/**
+ * JavaScript expression for a value written in the action editor
+ */
+export function actionValueExpression(source: string | undefined): string {
+  const text = (source ?? '').trim();
+  if (text === '$event') return 'value';
+  const stateRef = text.match(/^\$state\.([\w$]+)$/);
+  if (stateRef) return `vars[${JSON.stringify(stateRef[1])}]`;
+  if (text === '') return 'undefined';
+  try {
+    return JSON.stringify(JSON.parse(text));
+  } catch {
+    return JSON.stringify(source);
+  }
+}
+
+/**
+ * Name of the generated handler, derived from the library handler prop and the component id
+ */
+export function actionHandlerName(component: any, event: ComponentEvent): string {
+  const base = typeof component?.props?.[event] === 'string' && /^[A-Za-z_$][\w$]*$/.test(component.props[event])
+    ? component.props[event]
+    : event === 'onClick' ? 'handleClick' : 'handleChange';
+  const suffix = String(component?.id || '').replace(/[^A-Za-z0-9_]/g, '');
+  return `${base}_${suffix || 'component'}`;
+}
+
+export interface ActionCodeOptions {
+  /** Expression that calls a Tauri command: `name(command, args)` */
+  invoke: string;
+  /** Whether the generated layout has a setActiveTab to switch tabs with */
+  tabbed: boolean;
+  steps: SequencerStep[];
+  indent?: string;
+}
+
+/**
+ * Generate the handler function for one component event. The code is plain ES5 with promises
+ * so it suits both generators; it expects `state`, `setStateValue`, `onError` and, for tabbed
+ * layouts, `setActiveTab` in scope.
+ */
+export function generateActionHandler(component: any, event: ComponentEvent, options: ActionCodeOptions): string {
+  const indent = options.indent ?? '  ';
+  const actions = getComponentActions(component)[event] || [];
+  const body: string[] = [];
+  const then = (code: string) => body.push(`${indent}    .then(function(result) { ${code} })`);
+  const store = (name: string, value: string) => `vars[${JSON.stringify(name)}] = ${value}; setStateValue(${JSON.stringify(name)}, ${value});`;
+
+  for (const action of actions) {
+    switch (action.type) {
+      case 'invoke': {
+        if (!action.command) break;
+        const args = Object.entries(action.args || {})
+          .map(([name, value]) => `${JSON.stringify(name)}: ${actionValueExpression(value)}`)
+          .join(', ');
+        then(`return ${options.invoke}(${JSON.stringify(action.command)}, { ${args} });`);
+        if (action.resultVariable) then(store(action.resultVariable, 'result'));
+        break;
+      }
+      case 'setState':
+        if (action.variable) then(store(action.variable, actionValueExpression(action.value)));
+        break;
+      case 'runStep': {
+        const step = options.steps.find(s => s.id === action.stepId);
+        if (!step) break;
+        const type = stepTypeOf(step);
+        if (type === 'delay') {
+          then(`return new Promise(function(resolve) { setTimeout(resolve, ${Number(step.delayMs) || 0}); });`);
+        } else if (stepUsesCommand(type) && step.command) {
+          // Step parameters take the state variable of the same name, else their default
+          const args = step.parameters
+            .filter(param => param?.name)
+            .map(param => {
+              const key = JSON.stringify(param.name);
+              return `${key}: vars[${key}] !== undefined ? vars[${key}] : ${param.default === undefined ? 'undefined' : JSON.stringify(param.default)}`;
+            })
+            .join(', ');
+          then(`return ${options.invoke}(${JSON.stringify(step.command)}, { ${args} });`);
+          if (step.outputs.length > 0) then(step.outputs.map(output => store(String(output), 'result')).join(' '));
+        }
+        break;
+      }
+      case 'switchTab':
+        if (options.tabbed && action.tabId) then(`setActiveTab(${JSON.stringify(action.tabId)});`);
+        break;
+    }
+  }
+
+  const name = actionHandlerName(component, event);
+  const label = JSON.stringify(`[${component.id}] ${event} failed: `);
+  return [
+    `${indent}function ${name}(value) {`,
+    `${indent}  var vars = Object.assign({}, state);`,
+    `${indent}  return Promise.resolve()`,
+    ...body,
+    `${indent}    .catch(function(err) {`,
+    `${indent}      var message = err && err.message ? err.message : String(err);`,
+    `${indent}      console.error(${label} + message);`,
+    `${indent}      if (onError) onError(message);`,
+    `${indent}    });`,
+    `${indent}}`
+  ].join('\n');
+}
+
+/**
+ * Check every binding in the designer against the document
+ */
+export function checkComponentActions(doc: any, components: any[]): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const declared: string[] = Array.isArray(doc?.metadata?.tauriCommands) ? doc.metadata.tauriCommands : [];
+  const steps = getSequencer(doc).steps;
+  const tabs: any[] = Array.isArray(doc?.gui?.tabs) ? doc.gui.tabs : [];
+
+  const visit = (component: any) => {
+    for (const [event, list] of Object.entries(getComponentActions(component))) {
+      (list || []).forEach((action: ComponentAction, idx: number) => {
+        const label = `${component.id}.${event}[${idx}]`;
+        switch (action.type) {
+          case 'invoke':
+            if (!action.command) errors.push(`${label}: no command selected`);
+            else if (!declared.includes(action.command)) warnings.push(`${label}: '${action.command}' is not declared in metadata.tauriCommands`);
+            break;
+          case 'setState':
+            if (!action.variable) errors.push(`${label}: no state variable named`);
+            break;
+          case 'runStep': {
+            const step = steps.find(s => s.id === action.stepId);
+            if (!step) errors.push(`${label}: sequencer step '${action.stepId}' does not exist`);
+            else if (!stepUsesCommand(stepTypeOf(step)) && stepTypeOf(step) !== 'delay') {
+              warnings.push(`${label}: ${stepTypeOf(step)} steps only run inside the sequencer`);
+            }
+            break;
+          }
+          case 'switchTab':
+            if (!tabs.some(tab => tab.id === action.tabId)) errors.push(`${label}: tab '${action.tabId}' does not exist`);
+            else if (tabs.length < 2) warnings.push(`${label}: the GUI has a single tab, so switching has no effect`);
+            break;
+          default:
+            errors.push(`${label}: unknown action type '${(action as any).type}'`);
+        }
+      });
+    }
+    (component?.children || []).forEach(visit);
+  };
+  components.forEach(visit);
+  return { errors, warnings };
+}
@@ -0,0 +1,105 @@
+/**
+ * Component Source Maps
+ * Maps line/column ranges of generated plugin code back to the GUI component that produced them
+ *
+ * Generators wrap every per-component snippet with markComponent(). Once the full source
+ * is assembled, extractComponentSourceMap() strips the markers and records where each
+ * snippet ended up, so an error position can be resolved to a canvas component id.
+ */
+
+export interface SourcePosition {
+  line: number; // 1-based
+  column: number; // 1-based
+}
+
+export interface ComponentRange {
+  componentId: string;
+  start: SourcePosition;
+  end: SourcePosition;
+}
+
+export interface ComponentSourceMap {
+  version: 1;
+  generator: string;
+  ranges: ComponentRange[];
+}
+
+export interface GeneratedCode {
+  code: string;
+  sourceMap: ComponentSourceMap;
+}
+
+// Control characters never appear in generated code, so they are safe as in-band markers
+const MARK_OPEN = '\u0001';
+const MARK_CLOSE = '\u0002';
+const MARK_END = '\u0003';
+
+/**
+ * Wrap a generated snippet so its final position can be attributed to componentId
+ */
+export function markComponent(componentId: string, code: string): string {
+  return `${MARK_OPEN}${componentId}${MARK_CLOSE}${code}${MARK_END}`;
+}
+
+/**
+ * Strip component markers from generated code and build the component source map
+ */
+export function extractComponentSourceMap(marked: string, generator: string): GeneratedCode {
+  const ranges: ComponentRange[] = [];
+  const open: Array<{ componentId: string; start: SourcePosition }> = [];
+  let code = '';
+  let line = 1;
+  let column = 1;
+
+  for (let i = 0; i < marked.length; i++) {
+    const ch = marked[i];
+    if (ch === MARK_OPEN) {
+      const close = marked.indexOf(MARK_CLOSE, i);
+      open.push({ componentId: marked.slice(i + 1, close), start: { line, column } });
+      i = close;
+      continue;
+    }
+    if (ch === MARK_END) {
+      const entry = open.pop();
+      if (entry) ranges.push({ componentId: entry.componentId, start: entry.start, end: { line, column } });
+      continue;
+    }
+    code += ch;
+    if (ch === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+  }
+
+  return { code, sourceMap: { version: 1, generator, ranges } };
+}
+
+/**
+ * Find the innermost component whose generated code covers the given position.
+ * When column is omitted, any range touching the line matches.
+ */
+export function findComponentAt(sourceMap: ComponentSourceMap | null | undefined, line: number, column?: number): string | null {
+  if (!sourceMap) return null;
+  let best: ComponentRange | null = null;
+  let bestSize = Infinity;
+
+  for (const range of sourceMap.ranges) {
+    if (!containsPosition(range, line, column)) continue;
+    const size = (range.end.line - range.start.line) * 10000 + (range.end.column - range.start.column);
+    if (size < bestSize) {
+      best = range;
+      bestSize = size;
+    }
+  }
+  return best ? best.componentId : null;
+}
+
+function containsPosition(range: ComponentRange, line: number, column?: number): boolean {
+  if (line < range.start.line || line > range.end.line) return false;
+  if (column === undefined) return true;
+  if (line === range.start.line && column < range.start.column) return false;
+  if (line === range.end.line && column > range.end.column) return false;
+  return true;
+}
@@ -0,0 +1,80 @@
+/**
+ * Export Sanitizer
+ * Keeps licensing secrets out of the .lycplugin that leaves this machine
+ *
+ * sanitizePluginForExport strips the private key, the license server API key and the keystore
+ * reference from a copy of the document. Code and metadata are never edited: a secret found in
+ * frontend.main, backend.main or metadata is reported as a leak and fails the build, since the
+ * plugin may depend on it and the key has to be treated as exposed either way.
+ */
+
+import { KeystoreSecrets, inlineLicensingSecrets } from './keystore';
+
+export interface SanitizedPlugin {
+  doc: any;
+  /** Document fields that were stripped */
+  removed: string[];
+  /** Secrets found where they cannot be stripped; the export must not go ahead */
+  leaks: string[];
+}
+
+/** Shorter API keys are too likely to match ordinary text */
+const MIN_API_KEY_LENGTH = 8;
+
+const PEM_PRIVATE_KEY = /-----BEGIN [A-Z ]*PRIVATE KEY-----/;
+
+/**
+ * A copy of the document safe to ship, given the secrets the keystore holds for it
+ */
+export function sanitizePluginForExport(doc: any, secrets: KeystoreSecrets = {}): SanitizedPlugin {
+  const copy = JSON.parse(JSON.stringify(doc ?? {}));
+  const removed: string[] = [];
+  const licensing = copy.licensing;
+  if (licensing?.cryptography?.privateKey) {
+    delete licensing.cryptography.privateKey;
+    removed.push('licensing.cryptography.privateKey');
+  }
+  if (licensing?.licenseServer?.apiKey) {
+    licensing.licenseServer.apiKey = '';
+    removed.push('licensing.licenseServer.apiKey');
+  }
+  if (licensing?.keyId) {
+    delete licensing.keyId;
+    removed.push('licensing.keyId');
+  }
+  return { doc: copy, removed, leaks: findSecretLeaks(doc, secrets) };
+}
+
+/**
+ * Secrets in the parts of the document that ship as they are: the plugin's own keys, whether
+ * inline or from the keystore, and any PEM private key
+ */
+export function findSecretLeaks(doc: any, secrets: KeystoreSecrets = {}): string[] {
+  const known = { ...inlineLicensingSecrets(doc?.licensing), ...secrets };
+  const privateKeyBody = known.privateKey ? compact(known.privateKey.replace(/-----[^-]+-----/g, '')) : '';
+  const apiKey = known.apiKey && known.apiKey.length >= MIN_API_KEY_LENGTH ? known.apiKey : '';
+
+  const fields: [string, unknown][] = [
+    ['frontend.main', doc?.frontend?.main],
+    ['backend.main', doc?.backend?.main],
+    ['metadata', doc?.metadata === undefined ? undefined : JSON.stringify(doc.metadata)]
+  ];
+  const leaks: string[] = [];
+  for (const [field, value] of fields) {
+    if (typeof value !== 'string' || !value) continue;
+    if (privateKeyBody && compact(value).includes(privateKeyBody)) {
+      leaks.push(`${field} contains the license signing key`);
+    } else if (PEM_PRIVATE_KEY.test(value)) {
+      leaks.push(`${field} contains a PEM private key`);
+    }
+    if (apiKey && value.includes(apiKey)) {
+      leaks.push(`${field} contains the license server API key`);
+    }
+  }
+  return leaks;
+}
+
+// Keys pasted into code or JSON keep their base64 but not their line breaks
+function compact(text: string): string {
+  return text.replace(/\\[nr]|\s+/g, '');
+}
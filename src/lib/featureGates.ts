@@ -0,0 +1,149 @@
+/**
+ * Feature Gates
+ * Licensing features assigned to GUI components and the access checks both generators emit
+ *
+ * A component is gated by `component.props.feature`, the id of one of `doc.licensing.features`.
+ * Gates are only generated while licensing is enabled. The generated component asks the
+ * backend's `check_feature_access` about every gated feature once per license key and renders
+ * a locked placeholder, naming the tiers that include the feature, until access is granted.
+ * The backend verifies the key's signature against the plugin's public key, which is embedded
+ * in the generated code; without one every gated feature stays locked.
+ *
+ * The license key comes from the `licenseKey` prop, else from the `license_<pluginId>` entry
+ * LicenseManager stores. Hosts that already know the license can pass `licenseFeatures`
+ * (feature ids) instead, and `onUpgradeRequest` to get an Upgrade button on locked components.
+ */
+
+import type { PluginFeature, LicenseTier, LicenseVerificationKey } from './licensing';
+
+export interface FeatureGate {
+  id: string;
+  name: string;
+  /** Names of the tiers whose feature list includes this feature */
+  tiers: string[];
+}
+
+export function getComponentFeature(component: any): string {
+  const feature = component?.props?.feature;
+  return typeof feature === 'string' ? feature : '';
+}
+
+/**
+ * Whether generated code should gate components on their features
+ */
+export function featureGatesEnabled(licensing: any): boolean {
+  return !!licensing?.enabled;
+}
+
+/**
+ * Feature ids assigned anywhere in the component tree, in order of first use
+ */
+export function gatedFeatureIds(components: any[], featureOf: (component: any) => string = getComponentFeature): string[] {
+  const ids = new Set<string>();
+  const visit = (component: any) => {
+    const feature = featureOf(component);
+    if (feature) ids.add(feature);
+    (component?.children || []).forEach(visit);
+  };
+  (components || []).forEach(visit);
+  return [...ids];
+}
+
+export function featureGate(licensing: any, featureId: string): FeatureGate {
+  const features: PluginFeature[] = Array.isArray(licensing?.features) ? licensing.features : [];
+  const tiers: LicenseTier[] = Array.isArray(licensing?.tiers) ? licensing.tiers : [];
+  return {
+    id: featureId,
+    name: features.find(f => f.id === featureId)?.name || featureId,
+    tiers: tiers.filter(t => Array.isArray(t.features) && t.features.includes(featureId)).map(t => t.name || t.id)
+  };
+}
+
+/**
+ * Text shown on a locked component
+ */
+export function lockedMessage(gate: FeatureGate): string {
+  if (gate.tiers.length === 0) return `${gate.name} is not included in your license`;
+  return `${gate.name} requires ${gate.tiers.length === 1 ? 'the' : 'one of the'} ${gate.tiers.join(', ')} ${gate.tiers.length === 1 ? 'tier' : 'tiers'}`;
+}
+
+export interface FeatureAccessCodeOptions {
+  /** Expression that calls a Tauri command: `name(command, args)` */
+  invoke: string;
+  /** Prefix for hooks: `React.` in the simple generator, empty where hooks are imported */
+  hooks: string;
+  /** The plugin's public key, see licenseVerificationKey */
+  verification: LicenseVerificationKey | null;
+  indent?: string;
+}
+
+/**
+ * Generate the access state, the effect that fills it and `hasFeature`. The code is plain ES5
+ * with promises; it expects `pluginId`, `licenseKey` and `licenseFeatures` in scope.
+ * `featureAccess` stays null until the checks finish, so locked components can say so.
+ */
+export function generateFeatureAccessCode(featureIds: string[], options: FeatureAccessCodeOptions): string {
+  const indent = options.indent ?? '  ';
+  const { hooks } = options;
+  return [
+    `${indent}// Licensing features: access per feature id, null while checking`,
+    `${indent}var featureAccessState = ${hooks}useState(null);`,
+    `${indent}var featureAccess = featureAccessState[0];`,
+    `${indent}var setFeatureAccess = featureAccessState[1];`,
+    `${indent}var grantedFeatures = Array.isArray(licenseFeatures) ? licenseFeatures.join(',') : null;`,
+    `${indent}${hooks}useEffect(function() {`,
+    `${indent}  var features = ${JSON.stringify(featureIds)};`,
+    `${indent}  var verification = ${JSON.stringify(options.verification)};`,
+    `${indent}  var cancelled = false;`,
+    `${indent}  var key = licenseKey;`,
+    `${indent}  if (!key) {`,
+    `${indent}    try { key = window.localStorage.getItem('license_' + pluginId); } catch (e) { key = null; }`,
+    `${indent}  }`,
+    `${indent}  Promise.all(features.map(function(featureId) {`,
+    `${indent}    if (grantedFeatures !== null) return grantedFeatures.split(',').indexOf(featureId) !== -1;`,
+    `${indent}    if (!key || !verification) return false;`,
+    `${indent}    return Promise.resolve(${options.invoke}('check_feature_access', {`,
+    `${indent}      pluginId: pluginId, licenseKey: key, featureId: featureId,`,
+    `${indent}      publicKey: verification.publicKey, algorithm: verification.algorithm, hashAlgorithm: verification.hashAlgorithm`,
+    `${indent}    }))`,
+    `${indent}      .then(function(allowed) { return allowed === true; }, function() { return false; });`,
+    `${indent}  })).then(function(results) {`,
+    `${indent}    if (cancelled) return;`,
+    `${indent}    var access = {};`,
+    `${indent}    features.forEach(function(featureId, i) { access[featureId] = results[i]; });`,
+    `${indent}    setFeatureAccess(access);`,
+    `${indent}  });`,
+    `${indent}  return function() { cancelled = true; };`,
+    `${indent}}, [pluginId, licenseKey, grantedFeatures]);`,
+    `${indent}function hasFeature(featureId) {`,
+    `${indent}  return !!featureAccess && featureAccess[featureId] === true;`,
+    `${indent}}`
+  ].join('\n');
+}
+
+/**
+ * Check every feature assignment in the designer against doc.licensing
+ */
+export function checkComponentFeatures(doc: any, components: any[]): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const licensing = doc?.licensing;
+  const features: PluginFeature[] = Array.isArray(licensing?.features) ? licensing.features : [];
+
+  const visit = (component: any) => {
+    const featureId = getComponentFeature(component);
+    if (featureId) {
+      const label = `${component.id}.feature`;
+      if (!features.some(f => f.id === featureId)) {
+        errors.push(`${label}: feature '${featureId}' is not defined in licensing.features`);
+      } else if (!featureGatesEnabled(licensing)) {
+        warnings.push(`${label}: licensing is disabled, so '${featureId}' is not enforced`);
+      } else if (featureGate(licensing, featureId).tiers.length === 0) {
+        warnings.push(`${label}: no license tier includes '${featureId}', so the component is always locked`);
+      }
+    }
+    (component?.children || []).forEach(visit);
+  };
+  (components || []).forEach(visit);
+  return { errors, warnings };
+}
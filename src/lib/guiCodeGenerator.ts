@@ -3,6 +3,13 @@
  * Converts visual GUI designs to React component code for plugins
  */
 
+import { markComponent, extractComponentSourceMap, GeneratedCode } from './componentSourceMap';
+import { GuiTab, flattenGuiTabs } from './guiTabs';
+import { getSequencer } from './sequencer';
+import { ComponentEvent, getComponentActions, hasComponentActions, actionStateVariables, actionHandlerName, generateActionHandler } from './componentActions';
+import { getComponentFeature, featureGatesEnabled, gatedFeatureIds, featureGate, lockedMessage, generateFeatureAccessCode } from './featureGates';
+import { licenseVerificationKey } from './licensing';
+
 interface GUIComponent {
   id: string;
   type: string;
@@ -14,6 +21,11 @@ interface GUIComponent {
 
 interface GUIConfiguration {
   components: GUIComponent[];
+  tabs?: GuiTab<GUIComponent>[];
+  /** Document sequencer block, read by runStep actions */
+  sequencer?: any;
+  /** Document licensing block; components with a feature are gated while it is enabled */
+  licensing?: any;
   settings: {
     layout: 'tabs' | 'grid' | 'flex';
     theme: 'default' | 'dark' | 'light';
@@ -48,6 +60,29 @@ export class GUICodeGenerator {
       typescript: true
     }
   ): string {
+    return this.generateReactComponentWithSourceMap(config, componentName, options).code;
+  }
+
+  /**
+   * Generate the component together with a source map keyed by component.id
+   */
+  static generateReactComponentWithSourceMap(
+    config: GUIConfiguration,
+    componentName: string = 'GeneratedPluginComponent',
+    options: CodeGenerationOptions = {
+      includeImports: true,
+      includeEventHandlers: true,
+      includeDataBinding: true,
+      includeStyles: true,
+      targetFramework: 'react',
+      typescript: true
+    }
+  ): GeneratedCode {
+    // Designer tabs are authoritative; components are derived from them when present
+    if (config.tabs && config.tabs.length > 0) {
+      config = { ...config, components: flattenGuiTabs(config.tabs) };
+    }
+
     const code = [];
 
     // Add imports
@@ -75,7 +110,7 @@ export class GUICodeGenerator {
     code.push('');
     code.push(`export default ${componentName};`);
 
-    return code.join('\n');
+    return extractComponentSourceMap(code.join('\n'), 'react');
   }
 
   /**
@@ -115,10 +150,14 @@ export class GUICodeGenerator {
     const interfaces = [];
 
     // Generate component props interface
+    const licenseProps = this.gatedFeatures(config).length > 0 ? `
+  licenseKey?: string;
+  licenseFeatures?: string[];
+  onUpgradeRequest?: (request: { pluginId: string; featureId: string }) => void;` : '';
     interfaces.push(`interface ${this.toPascalCase('component')}Props {
   pluginId: string;
   onDataUpdate?: (data: any) => void;
-  onError?: (error: string) => void;
+  onError?: (error: string) => void;${licenseProps}
 }`);
 
     // Generate state interface
@@ -144,11 +183,17 @@ export class GUICodeGenerator {
     const tsAnnotation = options.typescript ? ': React.FC<ComponentProps>' : '';
 
     // Function declaration
-    code.push(`const ${componentName}${tsAnnotation} = ({ pluginId, onDataUpdate, onError }) => {`);
+    const gated = this.gatedFeatures(config).length > 0;
+    code.push(`const ${componentName}${tsAnnotation} = ({ pluginId, onDataUpdate, onError${gated ? ', licenseKey, licenseFeatures, onUpgradeRequest' : ''} }) => {`);
 
     // State declarations
     code.push(this.generateStateDeclarations(config, options));
 
+    // License feature checks
+    if (gated) {
+      code.push(this.generateFeatureCode(config));
+    }
+
     // Effect hooks
     if (options.includeDataBinding) {
       code.push(this.generateEffectHooks(config));
@@ -178,30 +223,46 @@ export class GUICodeGenerator {
       // Ensure valid component ID
       const safeId = component.id.replace(/[^a-zA-Z0-9_]/g, '').replace(/^[0-9]/, '_$&') || 'component';
       const pascalId = this.toPascalCase(component.id);
+      const componentDeclarations: string[] = [];
       
       switch (component.type) {
         case 'deviceConnector':
-          declarations.push(`  const [${safeId}_connected, set${pascalId}_connected] = useState(false);`);
-          declarations.push(`  const [${safeId}_status, set${pascalId}_status] = useState('disconnected');`);
+          componentDeclarations.push(`  const [${safeId}_connected, set${pascalId}_connected] = useState(false);`);
+          componentDeclarations.push(`  const [${safeId}_status, set${pascalId}_status] = useState('disconnected');`);
           break;
         case 'sensorMonitor':
-          declarations.push(`  const [${safeId}_value, set${pascalId}_value] = useState(${component.props.currentValue || 0});`);
+          componentDeclarations.push(`  const [${safeId}_value, set${pascalId}_value] = useState(${component.props.currentValue || 0});`);
           break;
         case 'dataLogger':
-          declarations.push(`  const [${safeId}_logging, set${pascalId}_logging] = useState(false);`);
-          declarations.push(`  const [${safeId}_data, set${pascalId}_data] = useState([]);`);
+          componentDeclarations.push(`  const [${safeId}_logging, set${pascalId}_logging] = useState(false);`);
+          componentDeclarations.push(`  const [${safeId}_data, set${pascalId}_data] = useState([]);`);
           break;
         case 'sequenceController':
-          declarations.push(`  const [${safeId}_running, set${pascalId}_running] = useState(false);`);
-          declarations.push(`  const [${safeId}_currentStep, set${pascalId}_currentStep] = useState(0);`);
+          componentDeclarations.push(`  const [${safeId}_running, set${pascalId}_running] = useState(false);`);
+          componentDeclarations.push(`  const [${safeId}_currentStep, set${pascalId}_currentStep] = useState(0);`);
           break;
         case 'realtimeChart':
-          declarations.push(`  const [${safeId}_chartData, set${pascalId}_chartData] = useState([]);`);
+          componentDeclarations.push(`  const [${safeId}_chartData, set${pascalId}_chartData] = useState([]);`);
           break;
       }
+
+      if (componentDeclarations.length > 0) {
+        declarations.push(markComponent(component.id, componentDeclarations.join('\n')));
+      }
     });
 
     // Common state
+    if (this.hasDesignerTabs(config)) {
+      declarations.push(`  const [activeTab, setActiveTab] = useState(${JSON.stringify((config.tabs as GuiTab<GUIComponent>[])[0].id)});`);
+    }
+    const bound = config.components.filter(c => hasComponentActions(c));
+    if (bound.length > 0 && options.includeEventHandlers) {
+      const initial: Record<string, any> = {};
+      for (const name of actionStateVariables(bound, getSequencer(config).steps)) initial[name] = null;
+      declarations.push(`  // State written by component actions
+  const [state, setState] = useState(${JSON.stringify(initial)});
+  const setStateValue = (name, value) => setState(prev => ({ ...prev, [name]: value }));`);
+    }
     declarations.push('  const [error, setError] = useState(null);');
     declarations.push('  const [loading, setLoading] = useState(false);');
 
@@ -212,6 +273,28 @@ export class GUICodeGenerator {
     return declarations.join('\n');
   }
 
+  /**
+   * Feature ids of the components gated on a licensing feature
+   */
+  private static gatedFeatures(config: GUIConfiguration): string[] {
+    return featureGatesEnabled(config.licensing) ? gatedFeatureIds(config.components) : [];
+  }
+
+  /**
+   * Generate the feature access checks and the locked placeholder
+   */
+  private static generateFeatureCode(config: GUIConfiguration): string {
+    return `${generateFeatureAccessCode(this.gatedFeatures(config), { invoke: 'invoke', hooks: '', verification: licenseVerificationKey(config.licensing) })}
+  const renderLocked = (componentId, featureId, message) => (
+    <div className="feature-locked" data-locked-component-id={componentId}>
+      <span>{featureAccess === null ? 'Checking license...' : \`Locked: \${message}\`}</span>
+      {featureAccess !== null && onUpgradeRequest && (
+        <button className="btn primary" onClick={() => onUpgradeRequest({ pluginId, featureId })}>Upgrade</button>
+      )}
+    </div>
+  );`;
+  }
+
   /**
    * Generate effect hooks
    */
@@ -262,14 +345,19 @@ export class GUICodeGenerator {
    */
   private static generateEventHandlers(config: GUIConfiguration, _options: CodeGenerationOptions): string {
     const handlers: string[] = [];
+    const steps = getSequencer(config).steps;
 
     config.components.forEach(component => {
+      for (const event of Object.keys(getComponentActions(component)) as ComponentEvent[]) {
+        handlers.push(markComponent(component.id, generateActionHandler(component, event, { invoke: 'invoke', tabbed: this.hasDesignerTabs(config), steps })));
+      }
+
       // Ensure valid component ID for handlers
       const pascalId = this.toPascalCase(component.id);
       
       switch (component.type) {
         case 'deviceConnector':
-          handlers.push(`  const handle${pascalId}Connect = useCallback(async () => {
+          handlers.push(markComponent(component.id, `  const handle${pascalId}Connect = useCallback(async () => {
     if (!centcomAPI) return;
     
     try {
@@ -303,11 +391,11 @@ export class GUICodeGenerator {
     } finally {
       setLoading(false);
     }
-  }, [centcomAPI, onError]);`);
+  }, [centcomAPI, onError]);`));
           break;
 
         case 'dataLogger':
-          handlers.push(`  const handle${pascalId}StartLogging = useCallback(async () => {
+          handlers.push(markComponent(component.id, `  const handle${pascalId}StartLogging = useCallback(async () => {
     if (!centcomAPI) return;
     
     try {
@@ -327,11 +415,11 @@ export class GUICodeGenerator {
       setError(err.message);
       onError?.(err.message);
     }
-  }, [onError]);`);
+  }, [onError]);`));
           break;
 
         case 'sequenceController':
-          handlers.push(`  const handle${pascalId}Start = useCallback(async () => {
+          handlers.push(markComponent(component.id, `  const handle${pascalId}Start = useCallback(async () => {
     if (!centcomAPI) return;
     
     try {
@@ -360,7 +448,7 @@ export class GUICodeGenerator {
       setError(err.message);
       onError?.(err.message);
     }
-  }, [onError]);`);
+  }, [onError]);`));
           break;
       }
     });
@@ -377,7 +465,9 @@ export class GUICodeGenerator {
     code.push('  return (');
     code.push('    <div className="plugin-gui-container">');
 
-    if (config.settings.layout === 'tabs') {
+    if (this.hasDesignerTabs(config)) {
+      code.push(this.generateDesignerTabLayout(config.tabs as GuiTab<GUIComponent>[], options, config.licensing));
+    } else if (config.settings.layout === 'tabs') {
       code.push(this.generateTabLayout(config, options));
     } else if (config.settings.layout === 'grid') {
       code.push(this.generateGridLayout(config, options));
@@ -391,6 +481,49 @@ export class GUICodeGenerator {
     return code.join('\n');
   }
 
+  /**
+   * Whether the design has more than one designer tab
+   */
+  private static hasDesignerTabs(config: GUIConfiguration): boolean {
+    return !!config.tabs && config.tabs.length > 1;
+  }
+
+  /**
+   * Generate layout for the tabs defined in the designer (gui.tabs).
+   * Inactive panels stay mounted so component state survives tab switches.
+   */
+  private static generateDesignerTabLayout(tabs: GuiTab<GUIComponent>[], options: CodeGenerationOptions, licensing?: any): string {
+    const code = [];
+    const ordered = [...tabs].sort((a, b) => a.order - b.order);
+
+    code.push('      {/* Tab Navigation */}');
+    code.push('      <div className="tab-navigation" role="tablist">');
+    ordered.forEach(tab => {
+      const tabId = JSON.stringify(tab.id);
+      code.push(`        <button role="tab" className={\`tab-button\${activeTab === ${tabId} ? ' active' : ''}\`} onClick={() => setActiveTab(${tabId})}>${this.escapeJSXText(tab.name)}</button>`);
+    });
+    code.push('      </div>');
+
+    code.push('      {/* Tab Content */}');
+    ordered.forEach(tab => {
+      const tabId = JSON.stringify(tab.id);
+      code.push(`      <div role="tabpanel" className="tab-content" style={{ display: activeTab === ${tabId} ? 'block' : 'none' }}>`);
+      tab.components.forEach(component => {
+        code.push(this.generateComponentJSX(component, options, licensing));
+      });
+      code.push('      </div>');
+    });
+
+    return code.join('\n');
+  }
+
+  /**
+   * Escape text for use as a JSX child
+   */
+  private static escapeJSXText(text: string): string {
+    return text.replace(/[{}<>]/g, ch => `{'${ch}'}`);
+  }
+
   /**
    * Generate tab layout
    */
@@ -409,7 +542,7 @@ export class GUICodeGenerator {
     Object.entries(tabs).forEach(([tabName, components]) => {
       code.push(`      <div className="tab-content ${tabName.toLowerCase()}-tab">`);
       components.forEach(component => {
-        code.push(this.generateComponentJSX(component, options));
+        code.push(this.generateComponentJSX(component, options, config.licensing));
       });
       code.push('      </div>');
     });
@@ -426,7 +559,7 @@ export class GUICodeGenerator {
     code.push('      <div className="grid-layout">');
     config.components.forEach(component => {
       code.push('        <div className="grid-item">');
-      code.push(this.generateComponentJSX(component, options));
+      code.push(this.generateComponentJSX(component, options, config.licensing));
       code.push('        </div>');
     });
     code.push('      </div>');
@@ -442,7 +575,7 @@ export class GUICodeGenerator {
 
     code.push('      <div className="flex-layout">');
     config.components.forEach(component => {
-      code.push(this.generateComponentJSX(component, options));
+      code.push(this.generateComponentJSX(component, options, config.licensing));
     });
     code.push('      </div>');
 
@@ -450,13 +583,38 @@ export class GUICodeGenerator {
   }
 
   /**
-   * Generate JSX for individual component
+   * Generate JSX for individual component, marked for the component source map
    */
-  private static generateComponentJSX(component: GUIComponent, _options: CodeGenerationOptions): string {
+  private static generateComponentJSX(component: GUIComponent, options: CodeGenerationOptions, licensing?: any): string {
+    const markup = this.generateComponentMarkup(component, options);
+    const featureId = featureGatesEnabled(licensing) ? getComponentFeature(component) : '';
+    if (!featureId) return markComponent(component.id, markup);
+
+    // Gated components render only when their feature is licensed
+    const indent = '        ';
+    const feature = JSON.stringify(featureId);
+    const message = JSON.stringify(lockedMessage(featureGate(licensing, featureId)));
+    return markComponent(component.id, `${indent}{hasFeature(${feature}) ? (
+${indent}  <>
+${markup}
+${indent}  </>
+${indent}) : renderLocked(${JSON.stringify(component.id)}, ${feature}, ${message})}`);
+  }
+
+  /**
+   * Generate the JSX markup for a single component type
+   */
+  private static generateComponentMarkup(component: GUIComponent, options: CodeGenerationOptions): string {
     const componentId = component.id;
     const indent = '        ';
+    // Bound events call their generated handler; unbound ones keep a stub for the developer
+    const actions = options.includeEventHandlers ? getComponentActions(component) : {};
 
     switch (component.type) {
+      case 'customCode':
+        // Verbatim React.createElement expression kept from the code view
+        return `${indent}{${component.props.code || 'null'}}`;
+
       case 'deviceConnector':
         return `${indent}<div className="device-connector" id="${componentId}">
 ${indent}  <div className="device-header">
@@ -550,9 +708,9 @@ ${indent}</div>`;
         return `${indent}<button 
 ${indent}  className={\`btn \${${JSON.stringify(component.props.variant || 'primary')}}\`}
 ${indent}  disabled={${component.props.disabled || false}}
-${indent}  onClick={() => {
+${indent}  onClick={${actions.onClick?.length ? `() => ${actionHandlerName(component, 'onClick')}()` : `() => {
 ${indent}    // ${component.props.onClick || 'handleButtonClick'} implementation
-${indent}  }}
+${indent}  }`}}
 ${indent}>
 ${indent}  ${component.props.text || 'Button'}
 ${indent}</button>`;
@@ -564,9 +722,9 @@ ${indent}  <input
 ${indent}    type="${component.props.type || 'text'}"
 ${indent}    placeholder="${component.props.placeholder || ''}"
 ${indent}    required={${component.props.required || false}}
-${indent}    onChange={(e) => {
+${indent}    onChange={${actions.onChange?.length ? `(e) => ${actionHandlerName(component, 'onChange')}(e.target.value)` : `(e) => {
 ${indent}      // ${component.props.onChange || 'handleInputChange'} implementation
-${indent}    }}
+${indent}    }`}}
 ${indent}  />
 ${indent}</div>`;
 
@@ -651,6 +809,17 @@ ${indent}</div>`;
   background: ${config.settings.theme === 'dark' ? '#1f2937' : '#f9fafb'};
 }
 
+.feature-locked {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 12px 16px;
+  margin-bottom: 16px;
+  border: 1px dashed #d1d5db;
+  border-radius: 8px;
+  opacity: 0.75;
+}
+
 .chart-icon {
   width: 48px;
   height: 48px;
@@ -0,0 +1,50 @@
+/**
+ * GUI Tabs
+ * Helpers for the multi-tab layout stored in `gui.tabs`
+ *
+ * `gui.tabs` is the source of truth for the designer. `gui.components` is kept as the
+ * flattened list of every tab's components so loaders and checks that only know the
+ * single-list layout keep working.
+ */
+
+export interface GuiTab<C = any> {
+  id: string;
+  name: string;
+  order: number;
+  components: C[];
+}
+
+export const DEFAULT_TAB_ID = 'tab-1';
+export const DEFAULT_TAB_NAME = 'Main';
+
+/**
+ * Read the tabs of a gui block sorted by order.
+ * Documents without tabs yield a single "Main" tab holding gui.components.
+ */
+export function getGuiTabs<C = any>(gui: any): GuiTab<C>[] {
+  if (Array.isArray(gui?.tabs) && gui.tabs.length > 0) {
+    return gui.tabs
+      .map((tab: any, index: number) => ({
+        id: tab.id || `tab-${index + 1}`,
+        name: tab.name || `Tab ${index + 1}`,
+        order: typeof tab.order === 'number' ? tab.order : index,
+        components: Array.isArray(tab.components) ? tab.components : []
+      }))
+      .sort((a: GuiTab<C>, b: GuiTab<C>) => a.order - b.order);
+  }
+  return [{ id: DEFAULT_TAB_ID, name: DEFAULT_TAB_NAME, order: 0, components: gui?.components || [] }];
+}
+
+/**
+ * Renumber tabs so `order` matches their array position
+ */
+export function normalizeTabOrder<C = any>(tabs: Array<Omit<GuiTab<C>, 'order'> & { order?: number }>): GuiTab<C>[] {
+  return tabs.map((tab, index) => ({ id: tab.id, name: tab.name, order: index, components: tab.components || [] }));
+}
+
+/**
+ * All components across tabs, in tab order
+ */
+export function flattenGuiTabs<C = any>(tabs: GuiTab<C>[]): C[] {
+  return [...tabs].sort((a, b) => a.order - b.order).flatMap(tab => tab.components);
+}
@@ -0,0 +1,266 @@
+/**
+ * Keystore
+ * Encrypted local store for license signing keys, license server API keys and the author key
+ *
+ * A .lycplugin is copied into every build and export, so it only names its secrets:
+ * `licensing.keyId` is the id of an entry here. The keystore is one JSON file kept outside
+ * the workspace (the studio's app data folder, which pds reads too). Each entry is encrypted
+ * with AES-GCM under a key derived from a passphrase with PBKDF2; a check value tells a wrong
+ * passphrase apart from a damaged entry. Nothing here touches the filesystem.
+ */
+
+import type { LicenseConfig } from './licensing';
+
+export const KEYSTORE_FILE = 'keystore.json';
+
+/** Secrets a plugin's licensing needs in the studio and never in a build */
+export interface KeystoreSecrets {
+  privateKey?: string;
+  apiKey?: string;
+}
+
+interface Sealed {
+  iv: string;
+  data: string;
+}
+
+/** The author key that signs plugin packages; one per keystore, whatever the plugin */
+export interface AuthorKey {
+  name: string;
+  publicKey: string;
+  privateKey: string;
+}
+
+export const AUTHOR_KEY_ID = 'author';
+
+export interface KeystoreEntry extends Sealed {
+  id: string;
+  /** Plugin the key was created for, for listing only; empty for the author key */
+  pluginId: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface KeystoreFile {
+  version: 1;
+  kdf: { name: 'PBKDF2'; hash: 'SHA-256'; iterations: number; salt: string };
+  check: Sealed;
+  entries: KeystoreEntry[];
+}
+
+export interface UnlockedKeystore {
+  file: KeystoreFile;
+  key: CryptoKey;
+}
+
+const KDF_ITERATIONS = 310000;
+const CHECK_TEXT = 'lyc-keystore';
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * A new, empty keystore protected by `passphrase`
+ */
+export async function createKeystore(passphrase: string): Promise<UnlockedKeystore> {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Keystore passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const kdf: KeystoreFile['kdf'] = { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: bytesToBase64(randomBytes(16)) };
+  const key = await deriveKey(passphrase, kdf);
+  return { key, file: { version: 1, kdf, check: await seal(key, CHECK_TEXT, 'check'), entries: [] } };
+}
+
+/**
+ * Parse a keystore file; null when there is none yet
+ */
+export function parseKeystore(text: string | null): KeystoreFile | null {
+  if (!text) return null;
+  let file: any;
+  try {
+    file = JSON.parse(text);
+  } catch (error: any) {
+    throw new Error(`Keystore is not valid JSON: ${error.message}`);
+  }
+  if (file?.version !== 1 || !file.kdf?.salt || !file.check?.data || !Array.isArray(file.entries)) {
+    throw new Error('Keystore file is not a version 1 keystore');
+  }
+  return file;
+}
+
+export function serializeKeystore(file: KeystoreFile): string {
+  return JSON.stringify(file, null, 2);
+}
+
+export async function unlockKeystore(file: KeystoreFile, passphrase: string): Promise<UnlockedKeystore> {
+  const key = await deriveKey(passphrase, file.kdf);
+  try {
+    if ((await open(key, file.check, 'check')) === CHECK_TEXT) return { file, key };
+  } catch {
+    // AES-GCM rejects the check value under the wrong key
+  }
+  throw new Error('Wrong keystore passphrase');
+}
+
+export async function readKeystoreSecrets(store: UnlockedKeystore, keyId: string): Promise<KeystoreSecrets> {
+  const entry = store.file.entries.find(e => e.id === keyId);
+  if (!entry) throw new Error(`Key ${keyId} is not in this keystore`);
+  return readEntry(store, entry);
+}
+
+/**
+ * Merge secrets into the entry `keyId`, creating it (under a new id when none is given).
+ * Resolves to the entry's id; save the keystore file afterwards.
+ */
+export async function writeKeystoreSecrets(store: UnlockedKeystore, keyId: string | undefined, pluginId: string, secrets: KeystoreSecrets): Promise<string> {
+  const id = keyId || `key_${Date.now().toString(36)}_${bytesToHex(randomBytes(4))}`;
+  if (id === AUTHOR_KEY_ID) throw new Error(`${AUTHOR_KEY_ID} is reserved for the author key`);
+  const existing = store.file.entries.some(e => e.id === id);
+  const merged = existing ? { ...(await readKeystoreSecrets(store, id)), ...secrets } : secrets;
+  await putEntry(store, id, pluginId, merged);
+  return id;
+}
+
+/**
+ * The author key, or null when none was created in this keystore yet
+ */
+export async function readAuthorKey(store: UnlockedKeystore): Promise<AuthorKey | null> {
+  const entry = store.file.entries.find(e => e.id === AUTHOR_KEY_ID);
+  return entry ? readEntry<AuthorKey>(store, entry) : null;
+}
+
+/**
+ * Store the author key, replacing any earlier one; save the keystore file afterwards
+ */
+export async function writeAuthorKey(store: UnlockedKeystore, key: AuthorKey): Promise<void> {
+  await putEntry(store, AUTHOR_KEY_ID, '', key);
+}
+
+export function removeKeystoreEntry(store: UnlockedKeystore, keyId: string): void {
+  store.file.entries = store.file.entries.filter(e => e.id !== keyId);
+}
+
+/**
+ * Secrets still stored in the plugin document itself, as studio versions before the keystore did
+ */
+export function inlineLicensingSecrets(licensing: Partial<LicenseConfig> | undefined): KeystoreSecrets {
+  const secrets: KeystoreSecrets = {};
+  if (licensing?.cryptography?.privateKey) secrets.privateKey = licensing.cryptography.privateKey;
+  if (licensing?.licenseServer?.apiKey) secrets.apiKey = licensing.licenseServer.apiKey;
+  return secrets;
+}
+
+/**
+ * The secrets at hand for a plugin: its keystore entry's while the keystore is unlocked,
+ * on top of any still inline in the document
+ */
+export async function licensingSecrets(licensing: Partial<LicenseConfig> | undefined, store: UnlockedKeystore | null): Promise<KeystoreSecrets> {
+  const inline = inlineLicensingSecrets(licensing);
+  if (!licensing?.keyId || !store) return inline;
+  return { ...inline, ...(await readKeystoreSecrets(store, licensing.keyId)) };
+}
+
+/**
+ * A copy of the licensing config with the secrets filled in, for signing and server calls
+ */
+export function applyLicensingSecrets<T extends Partial<LicenseConfig>>(licensing: T, secrets: KeystoreSecrets): T {
+  return {
+    ...licensing,
+    cryptography: { ...licensing.cryptography, ...(secrets.privateKey ? { privateKey: secrets.privateKey } : {}) },
+    licenseServer: { ...licensing.licenseServer, ...(secrets.apiKey ? { apiKey: secrets.apiKey } : {}) }
+  };
+}
+
+/**
+ * Move secrets stored in the document into the keystore, leaving `keyId` in their place.
+ * Changes `licensing` in place and resolves to the fields moved; save the keystore file first.
+ */
+export async function moveLicensingSecrets(licensing: Partial<LicenseConfig>, store: UnlockedKeystore, pluginId: string): Promise<string[]> {
+  const secrets = inlineLicensingSecrets(licensing);
+  const moved = [
+    ...(secrets.privateKey ? ['cryptography.privateKey'] : []),
+    ...(secrets.apiKey ? ['licenseServer.apiKey'] : [])
+  ];
+  if (moved.length === 0) return moved;
+  licensing.keyId = await writeKeystoreSecrets(store, licensing.keyId, pluginId, secrets);
+  if (licensing.cryptography) delete licensing.cryptography.privateKey;
+  if (licensing.licenseServer) licensing.licenseServer.apiKey = '';
+  return moved;
+}
+
+async function readEntry<T = KeystoreSecrets>(store: UnlockedKeystore, entry: KeystoreEntry): Promise<T> {
+  try {
+    return JSON.parse(await open(store.key, entry, entry.id));
+  } catch {
+    throw new Error(`Key ${entry.id} could not be decrypted; the keystore entry is damaged`);
+  }
+}
+
+async function putEntry(store: UnlockedKeystore, id: string, pluginId: string, value: object): Promise<void> {
+  const existing = store.file.entries.find(e => e.id === id);
+  const now = new Date().toISOString();
+  const entry: KeystoreEntry = {
+    id,
+    pluginId,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    ...(await seal(store.key, JSON.stringify(value), id))
+  };
+  store.file.entries = [...store.file.entries.filter(e => e.id !== id), entry];
+}
+
+async function deriveKey(passphrase: string, kdf: KeystoreFile['kdf']): Promise<CryptoKey> {
+  const subtle = webCrypto().subtle;
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// The entry id is authenticated with the data, so entries cannot be swapped between ids
+async function seal(key: CryptoKey, text: string, context: string): Promise<Sealed> {
+  const iv = randomBytes(12);
+  const data = await webCrypto().subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function open(key: CryptoKey, sealed: Sealed, context: string): Promise<string> {
+  const data = await webCrypto().subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(sealed.iv), additionalData: new TextEncoder().encode(context) },
+    key,
+    base64ToBytes(sealed.data)
+  );
+  return new TextDecoder().decode(data);
+}
+
+function webCrypto(): Crypto {
+  if (!globalThis.crypto?.subtle) throw new Error('WebCrypto is not available in this environment');
+  return globalThis.crypto;
+}
+
+function randomBytes(length: number): Uint8Array<ArrayBuffer> {
+  return webCrypto().getRandomValues(new Uint8Array(length));
+}
+
+function bytesToHex(bytes: Uint8Array): string {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
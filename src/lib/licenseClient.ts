@@ -4,6 +4,8 @@
  */
 
 import { licenseStorage, StoredLicense, LicenseDetails } from './licenseStorage';
+import { getMachineFingerprint, MachineFingerprint } from './machineFingerprint';
+import { licenseVerificationKey } from './licensing';
 
 export interface LicenseServerConfig {
   url: string;
@@ -19,6 +21,8 @@ export interface PurchaseRequest {
   billingAddress?: BillingAddress;
   paymentMethod?: PaymentMethod;
   couponCode?: string;
+  /** Node-locked plugins: the issued key comes back activated for this machine */
+  machine?: MachineFingerprint;
 }
 
 export interface UpgradeRequest {
@@ -26,6 +30,7 @@ export interface UpgradeRequest {
   currentLicenseKey: string;
   targetTierId: string;
   userEmail: string;
+  machine?: MachineFingerprint;
 }
 
 export interface BillingAddress {
@@ -77,6 +82,23 @@ export interface TrialRequest {
   userEmail: string;
   userName?: string;
   trialDays?: number;
+  machine?: MachineFingerprint;
+}
+
+export interface ActivationRequest {
+  pluginId: string;
+  licenseKey: string;
+  machine: MachineFingerprint;
+}
+
+export interface ActivationResponse {
+  success: boolean;
+  /** The license bound to the machine */
+  licenseKey?: string;
+  activationId?: string;
+  activations?: number;
+  maxActivations?: number;
+  error?: string;
 }
 
 /**
@@ -226,6 +248,44 @@ export class LicenseServerClient {
     }
   }
 
+  /**
+   * Activate a node-locked license on a machine
+   */
+  async activateLicense(request: ActivationRequest): Promise<ActivationResponse> {
+    try {
+      const response = await this.apiRequest<ActivationResponse>('/activate', 'POST', request);
+
+      if (response.success && response.licenseKey) {
+        await licenseStorage.installLicense(request.pluginId, response.licenseKey, 'activation');
+      }
+
+      return response;
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.message || 'Activation failed'
+      };
+    }
+  }
+
+  /**
+   * Release an activated license's machine; the response carries the unbound license key
+   */
+  async deactivateLicense(pluginId: string, licenseKey: string): Promise<{
+    success: boolean;
+    licenseKey?: string;
+    error?: string;
+  }> {
+    try {
+      return await this.apiRequest('/deactivate', 'POST', { pluginId, licenseKey });
+    } catch (error: any) {
+      return {
+        success: false,
+        error: error.message || 'Deactivation failed'
+      };
+    }
+  }
+
   /**
    * Validate license with server
    */
@@ -416,6 +476,10 @@ export class LicensePurchaseManager {
    * Auto-detect license server for a plugin
    */
   private getServerForPlugin(pluginId: string, pluginLicensing?: any): LicenseServerClient | null {
+    // Keys the server hands back are installed, and verified against the plugin's own public key
+    const verification = licenseVerificationKey(pluginLicensing);
+    if (verification) licenseStorage.setVerificationKey(pluginId, verification);
+
     // Try to get server from plugin metadata
     if (pluginLicensing?.licenseServer?.url) {
       const config: LicenseServerConfig = {
@@ -462,7 +526,8 @@ export class LicensePurchaseManager {
       userName: options?.userName,
       billingAddress: options?.billingAddress,
       paymentMethod: options?.paymentMethod,
-      couponCode: options?.couponCode
+      couponCode: options?.couponCode,
+      machine: await this.machineFor(pluginLicensing)
     };
 
     return client.purchaseLicense(request);
@@ -493,20 +558,22 @@ export class LicensePurchaseManager {
       pluginId,
       userEmail,
       userName: options?.userName,
-      trialDays: options?.trialDays
+      trialDays: options?.trialDays,
+      machine: await this.machineFor(pluginLicensing)
     };
 
     return client.startTrial(request);
   }
 
   /**
-   * Upgrade plugin license
+   * Upgrade plugin license; the current key defaults to the one in license storage
    */
   async upgradePluginLicense(
     pluginId: string,
     targetTierId: string,
     userEmail: string,
-    pluginLicensing?: any
+    pluginLicensing?: any,
+    currentLicenseKey?: string
   ): Promise<UpgradeResponse> {
     const client = this.getServerForPlugin(pluginId, pluginLicensing);
     
@@ -517,8 +584,8 @@ export class LicensePurchaseManager {
       };
     }
 
-    const currentLicense = licenseStorage.getLicense(pluginId);
-    if (!currentLicense) {
+    const licenseKey = currentLicenseKey || licenseStorage.getLicense(pluginId)?.licenseKey;
+    if (!licenseKey) {
       return {
         success: false,
         error: 'No current license found to upgrade'
@@ -527,14 +594,58 @@ export class LicensePurchaseManager {
 
     const request: UpgradeRequest = {
       pluginId,
-      currentLicenseKey: currentLicense.licenseKey,
+      currentLicenseKey: licenseKey,
       targetTierId,
-      userEmail
+      userEmail,
+      machine: await this.machineFor(pluginLicensing)
     };
 
     return client.upgradeLicense(request);
   }
 
+  /**
+   * Activate a node-locked plugin license on this machine
+   */
+  async activatePluginLicense(pluginId: string, licenseKey: string, pluginLicensing?: any): Promise<ActivationResponse> {
+    const client = this.getServerForPlugin(pluginId, pluginLicensing);
+
+    if (!client) {
+      return {
+        success: false,
+        error: 'No license server configured for this plugin'
+      };
+    }
+
+    return client.activateLicense({ pluginId, licenseKey, machine: await getMachineFingerprint() });
+  }
+
+  /**
+   * Deactivate a plugin license on this machine, freeing the activation for another one
+   */
+  async deactivatePluginLicense(pluginId: string, licenseKey: string, pluginLicensing?: any): Promise<{
+    success: boolean;
+    licenseKey?: string;
+    error?: string;
+  }> {
+    const client = this.getServerForPlugin(pluginId, pluginLicensing);
+
+    if (!client) {
+      return {
+        success: false,
+        error: 'No license server configured for this plugin'
+      };
+    }
+
+    return client.deactivateLicense(pluginId, licenseKey);
+  }
+
+  /**
+   * This machine's fingerprint when the plugin's licenses are node-locked
+   */
+  private async machineFor(pluginLicensing?: any): Promise<MachineFingerprint | undefined> {
+    return pluginLicensing?.nodeLocking?.enabled ? getMachineFingerprint() : undefined;
+  }
+
   /**
    * Get available tiers for a plugin
    */
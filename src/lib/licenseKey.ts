@@ -0,0 +1,425 @@
+/**
+ * License Key Format
+ * Encoding of a signed license payload into the key customers paste
+ *
+ * v1 keys are `LYC-` followed by base64 of `{ payload, signature, version, algorithm }` JSON.
+ * v2 keys are `LYC2-` followed by Crockford base32 in groups of five, of:
+ *
+ *   version (2) | algorithm | payload length (varint) | payload | signature | CRC-32
+ *
+ * The payload is a compact binary form of its JSON: dictionary words stand in for the usual
+ * field names, ISO timestamps and lowercase hex become numbers and bytes, and the signature is
+ * stored raw. Decoding gives back JSON whose canonical form is exactly what was signed, so
+ * signatures are unaffected by the format. The checksum catches mistyped and truncated keys;
+ * decoding ignores case, dashes and whitespace, and reads O as 0 and I or L as 1.
+ *
+ * Keys carry only the license claims (see licenseClaims in licensing.ts), which puts an
+ * ECDSA-P256 key at around 350 characters; RSA signatures alone are 256 bytes or more, so
+ * ECDSA suits keys people type.
+ *
+ * WORDS and TAG are part of the format, mirrored in src-tauri/src/license_key.rs: only
+ * ever append to them.
+ */
+
+export interface DecodedLicenseKey {
+  payload: any;
+  signature: string;
+  /** Format the key was written in */
+  version: 1 | 2;
+  algorithm?: string;
+}
+
+export const LICENSE_KEY_PREFIX_V1 = 'LYC-';
+export const LICENSE_KEY_PREFIX_V2 = 'LYC2-';
+
+const FORMAT_VERSION = 2;
+const GROUP_SIZE = 5;
+const BASE32_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ALGORITHMS = ['RSA-2048', 'RSA-4096', 'ECDSA-P256', 'ECDSA-P384'];
+
+const WORDS = [
+  // License payload
+  'id', 'pluginId', 'tierId', 'userId', 'userEmail', 'issuedAt', 'expiresAt', 'features', 'maxUsers', 'metadata',
+  'tierName', 'tierPrice', 'tierCurrency', 'stackable', 'nodeLocking', 'tolerance',
+  'machine', 'components', 'activatedAt', 'activationOf',
+  // Metadata from the ledger and the license server
+  'issuedBy', 'customerName', 'batchId', 'replaces', 'orderId', 'trial', 'trialDays', 'upgradedFrom', 'transferredFrom',
+  'studio-ledger', 'local-license-server',
+  // Fingerprint components
+  'machineId', 'hostname', 'platform', 'cpuCount', 'cpuModel', 'language', 'timeZone', 'screen',
+  // Currencies
+  'USD', 'EUR', 'GBP'
+];
+
+const TAG = {
+  Null: 0,
+  False: 1,
+  True: 2,
+  Unsigned: 3,
+  Negative: 4,
+  Float: 5,
+  Text: 6,
+  Word: 7,
+  Timestamp: 8,
+  Hex: 9,
+  Array: 10,
+  Object: 11
+} as const;
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const LOWER_HEX = /^(?:[0-9a-f]{2})+$/;
+
+/**
+ * Whether text looks like a license key of either version, as opposed to a license id
+ */
+export function isLicenseKey(text: string): boolean {
+  const trimmed = (text || '').trim();
+  return trimmed.startsWith(LICENSE_KEY_PREFIX_V1) || trimmed.toUpperCase().startsWith(LICENSE_KEY_PREFIX_V2);
+}
+
+/**
+ * Encode a payload and its base64 signature as a v2 key
+ */
+export function encodeLicenseKey(payload: any, signature: string, algorithm: string): string {
+  const algorithmCode = ALGORITHMS.indexOf(algorithm);
+  if (algorithmCode < 0) throw new Error(`Unsupported algorithm: ${algorithm}`);
+  const signatureBytes = base64ToBytes(signature);
+  if (bytesToBase64(signatureBytes) !== signature) throw new Error('Signature is not canonical base64');
+
+  const body = new ByteWriter();
+  // The JSON round trip drops undefined fields and applies toJSON, as signing does
+  writeValue(body, JSON.parse(JSON.stringify(payload)));
+  const payloadBytes = body.bytes();
+
+  const writer = new ByteWriter();
+  writer.byte(FORMAT_VERSION);
+  writer.byte(algorithmCode);
+  writer.varint(payloadBytes.length);
+  writer.append(payloadBytes);
+  writer.append(signatureBytes);
+  const data = writer.bytes();
+  const checksum = crc32(data);
+  const key = new Uint8Array(data.length + 4);
+  key.set(data);
+  new DataView(key.buffer).setUint32(data.length, checksum);
+
+  return LICENSE_KEY_PREFIX_V2 + group(base32Encode(key));
+}
+
+/**
+ * Decode a key of either version into its payload and signature without verifying it
+ */
+export function decodeLicenseKey(licenseKey: string): DecodedLicenseKey {
+  const trimmed = (licenseKey || '').trim();
+  if (trimmed.toUpperCase().startsWith(LICENSE_KEY_PREFIX_V2)) {
+    return decodeV2(trimmed.substring(LICENSE_KEY_PREFIX_V2.length));
+  }
+  if (trimmed.startsWith(LICENSE_KEY_PREFIX_V1)) {
+    return decodeV1(trimmed.substring(LICENSE_KEY_PREFIX_V1.length));
+  }
+  throw new Error('Invalid license key format');
+}
+
+/**
+ * The key as it should be stored and shown: v2 keys uppercase and regrouped with typo-prone
+ * characters resolved, v1 keys without the whitespace pasting adds
+ */
+export function normalizeLicenseKey(licenseKey: string): string {
+  const trimmed = (licenseKey || '').trim();
+  if (trimmed.toUpperCase().startsWith(LICENSE_KEY_PREFIX_V2)) {
+    return LICENSE_KEY_PREFIX_V2 + group(base32Clean(trimmed.substring(LICENSE_KEY_PREFIX_V2.length)));
+  }
+  return trimmed.replace(/\s+/g, '');
+}
+
+function decodeV1(encoded: string): DecodedLicenseKey {
+  const licenseData = JSON.parse(atob(encoded.replace(/\s+/g, '')));
+  if (!licenseData?.payload || !licenseData.signature) {
+    throw new Error('Invalid license data structure');
+  }
+  return { payload: licenseData.payload, signature: licenseData.signature, version: 1, algorithm: licenseData.algorithm };
+}
+
+function decodeV2(encoded: string): DecodedLicenseKey {
+  const bytes = base32Decode(base32Clean(encoded));
+  if (bytes.length < 7) throw new Error('License key is incomplete');
+  const data = bytes.subarray(0, bytes.length - 4);
+  const checksum = new DataView(bytes.buffer, bytes.byteOffset).getUint32(bytes.length - 4);
+  if (crc32(data) !== checksum) {
+    throw new Error('License key checksum does not match; check it for typos');
+  }
+  if (data[0] !== FORMAT_VERSION) throw new Error(`Unsupported license key version ${data[0]}`);
+
+  const reader = new ByteReader(data, 1);
+  const algorithm = ALGORITHMS[reader.byte()];
+  const payloadLength = reader.varint();
+  const payloadReader = new ByteReader(reader.take(payloadLength));
+  const payload = readValue(payloadReader);
+  const signature = reader.rest();
+  if (!algorithm || !payloadReader.done() || !payload || typeof payload !== 'object' || signature.length === 0) {
+    throw new Error('Invalid license data structure');
+  }
+  return { payload, signature: bytesToBase64(signature), version: 2, algorithm };
+}
+
+function writeValue(writer: ByteWriter, value: any): void {
+  if (value === null) {
+    writer.byte(TAG.Null);
+  } else if (typeof value === 'boolean') {
+    writer.byte(value ? TAG.True : TAG.False);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      writer.byte(value < 0 ? TAG.Negative : TAG.Unsigned);
+      writer.varint(Math.abs(value));
+    } else {
+      writer.byte(TAG.Float);
+      writer.float(value);
+    }
+  } else if (typeof value === 'string') {
+    writeString(writer, value);
+  } else if (Array.isArray(value)) {
+    writer.byte(TAG.Array);
+    writer.varint(value.length);
+    value.forEach(item => writeValue(writer, item));
+  } else {
+    const keys = Object.keys(value);
+    writer.byte(TAG.Object);
+    writer.varint(keys.length);
+    for (const key of keys) {
+      // Dictionary words by index + 1, other names as 0 and the text
+      const word = WORDS.indexOf(key);
+      if (word >= 0) {
+        writer.varint(word + 1);
+      } else {
+        const text = new TextEncoder().encode(key);
+        writer.varint(0);
+        writer.varint(text.length);
+        writer.append(text);
+      }
+      writeValue(writer, value[key]);
+    }
+  }
+}
+
+function writeString(writer: ByteWriter, value: string): void {
+  const word = WORDS.indexOf(value);
+  if (word >= 0) {
+    writer.byte(TAG.Word);
+    writer.varint(word);
+    return;
+  }
+  if (ISO_TIMESTAMP.test(value)) {
+    const time = Date.parse(value);
+    if (time >= 0 && new Date(time).toISOString() === value) {
+      writer.byte(TAG.Timestamp);
+      writer.varint(time);
+      return;
+    }
+  }
+  if (LOWER_HEX.test(value)) {
+    writer.byte(TAG.Hex);
+    writer.varint(value.length / 2);
+    for (let i = 0; i < value.length; i += 2) writer.byte(parseInt(value.substring(i, i + 2), 16));
+    return;
+  }
+  const text = new TextEncoder().encode(value);
+  writer.byte(TAG.Text);
+  writer.varint(text.length);
+  writer.append(text);
+}
+
+function readValue(reader: ByteReader): any {
+  const tag = reader.byte();
+  switch (tag) {
+    case TAG.Null:
+      return null;
+    case TAG.False:
+      return false;
+    case TAG.True:
+      return true;
+    case TAG.Unsigned:
+      return reader.varint();
+    case TAG.Negative:
+      return -reader.varint();
+    case TAG.Float:
+      return reader.float();
+    case TAG.Text:
+      return readText(reader);
+    case TAG.Word:
+      return word(reader.varint());
+    case TAG.Timestamp:
+      return new Date(reader.varint()).toISOString();
+    case TAG.Hex:
+      return Array.from(reader.take(reader.varint()), b => b.toString(16).padStart(2, '0')).join('');
+    case TAG.Array: {
+      const count = reader.varint();
+      const items: any[] = [];
+      for (let i = 0; i < count; i++) items.push(readValue(reader));
+      return items;
+    }
+    case TAG.Object: {
+      const count = reader.varint();
+      const object: Record<string, any> = {};
+      for (let i = 0; i < count; i++) {
+        const index = reader.varint();
+        const key = index > 0 ? word(index - 1) : readText(reader);
+        object[key] = readValue(reader);
+      }
+      return object;
+    }
+    default:
+      throw new Error('Invalid license data structure');
+  }
+}
+
+function readText(reader: ByteReader): string {
+  return new TextDecoder('utf-8', { fatal: true }).decode(reader.take(reader.varint()));
+}
+
+function word(index: number): string {
+  if (index >= WORDS.length) throw new Error('Invalid license data structure');
+  return WORDS[index];
+}
+
+class ByteWriter {
+  private chunks: number[] = [];
+
+  byte(value: number): void {
+    this.chunks.push(value & 0xff);
+  }
+
+  append(bytes: Uint8Array): void {
+    for (let i = 0; i < bytes.length; i++) this.chunks.push(bytes[i]);
+  }
+
+  /** Unsigned LEB128; arithmetic rather than bit operations, which stop at 32 bits */
+  varint(value: number): void {
+    let rest = value;
+    while (rest >= 0x80) {
+      this.chunks.push((rest % 0x80) | 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    this.chunks.push(rest);
+  }
+
+  float(value: number): void {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    this.append(bytes);
+  }
+
+  bytes(): Uint8Array {
+    return Uint8Array.from(this.chunks);
+  }
+}
+
+class ByteReader {
+  constructor(private data: Uint8Array, private offset = 0) {}
+
+  byte(): number {
+    if (this.offset >= this.data.length) throw new Error('Invalid license data structure');
+    return this.data[this.offset++];
+  }
+
+  varint(): number {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const b = this.byte();
+      value += (b & 0x7f) * scale;
+      if (b < 0x80) break;
+      scale *= 0x80;
+      if (scale > Number.MAX_SAFE_INTEGER) throw new Error('Invalid license data structure');
+    }
+    return value;
+  }
+
+  float(): number {
+    return new DataView(this.take(8).slice().buffer).getFloat64(0);
+  }
+
+  take(length: number): Uint8Array {
+    if (this.offset + length > this.data.length) throw new Error('Invalid license data structure');
+    const slice = this.data.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  rest(): Uint8Array {
+    return this.take(this.data.length - this.offset);
+  }
+
+  done(): boolean {
+    return this.offset === this.data.length;
+  }
+}
+
+function base32Clean(text: string): string {
+  return text.toUpperCase().replace(/[\s-]+/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+function base32Encode(bytes: Uint8Array): string {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const b of bytes) {
+    buffer = (buffer << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text: string): Uint8Array {
+  const bytes: number[] = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error(`License key contains an invalid character: ${char}`);
+    buffer = ((buffer << 5) | value) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+function group(text: string): string {
+  return text.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g'))?.join('-') || text;
+}
+
+let crcTable: Uint32Array | null = null;
+
+function crc32(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64: string): Uint8Array {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,366 @@
+/**
+ * License Ledger
+ * Record of every license the studio issued for a plugin, with batch issuance from CSV
+ *
+ * The ledger is kept next to the plugin as `license-ledger.json` (studio.ts and the pds CLI
+ * read and write it); nothing here touches the filesystem. Entries are never deleted:
+ * re-issuing or extending a license signs a new one and marks the old entry superseded, and
+ * both those and revocations add the old license to the plugin's signed revocation list, so
+ * callers persist `revocationList` along with the ledger.
+ */
+
+import { LicensingSystem, LicenseConfig, LicenseTier, SignedRevocationList } from './licensing';
+
+export const LICENSE_LEDGER_FILE = 'license-ledger.json';
+
+export type LedgerStatus = 'active' | 'revoked' | 'superseded';
+
+export interface LedgerEntry {
+  licenseId: string;
+  licenseKey: string;
+  tierId: string;
+  tierName: string;
+  userId: string;
+  userEmail: string;
+  customerName?: string;
+  features: string[];
+  issuedAt: string;
+  expiresAt?: string;
+  status: LedgerStatus;
+  /** Set on licenses issued together from one CSV */
+  batchId?: string;
+  /** The license this one re-issued or extended */
+  replaces?: string;
+  replacedBy?: string;
+  revokedAt?: string;
+  revokeReason?: string;
+}
+
+export interface LicenseLedger {
+  pluginId: string;
+  entries: LedgerEntry[];
+}
+
+/** One customer row of an issuance CSV */
+export interface IssuanceRow {
+  /** Line in the CSV, for messages */
+  line: number;
+  userEmail: string;
+  tierId: string;
+  customerName?: string;
+  /** Overrides the tier's duration */
+  expiresAt?: string;
+  /** Granted on top of the tier's features */
+  features: string[];
+}
+
+export interface BatchResult {
+  ledger: LicenseLedger;
+  issued: LedgerEntry[];
+  failures: { line: number; userEmail: string; error: string }[];
+}
+
+export interface LedgerChange {
+  ledger: LicenseLedger;
+  revocationList: SignedRevocationList;
+  /** The new license, for re-issues and extensions */
+  entry?: LedgerEntry;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const COLUMNS: Record<string, keyof Omit<IssuanceRow, 'line'>> = {
+  email: 'userEmail',
+  useremail: 'userEmail',
+  tier: 'tierId',
+  tierid: 'tierId',
+  name: 'customerName',
+  customer: 'customerName',
+  expiration: 'expiresAt',
+  expires: 'expiresAt',
+  expiresat: 'expiresAt',
+  features: 'features'
+};
+
+export function emptyLedger(pluginId: string): LicenseLedger {
+  return { pluginId, entries: [] };
+}
+
+/**
+ * Parse a ledger file; no file yet means an empty ledger. New licenses are issued for
+ * `pluginId`, the plugin's current id.
+ */
+export function parseLedger(text: string | null | undefined, pluginId: string): LicenseLedger {
+  if (!text) return emptyLedger(pluginId);
+  const data = JSON.parse(text);
+  return { pluginId, entries: Array.isArray(data?.entries) ? data.entries : [] };
+}
+
+/**
+ * Customers from a CSV with a header row. `email` and `tier` (id or name) are required;
+ * `name`, `expiration` (a date) and `features` (ids or names separated by `;` or `|`) are optional.
+ */
+export function parseIssuanceCsv(text: string, licensing: LicenseConfig): { rows: IssuanceRow[]; errors: string[] } {
+  const records = parseCsv(text);
+  const rows: IssuanceRow[] = [];
+  const errors: string[] = [];
+  if (records.length === 0) return { rows, errors: ['The CSV is empty'] };
+
+  const header = records[0].fields.map(name => COLUMNS[name.trim().toLowerCase().replace(/[\s_-]/g, '')]);
+  if (!header.includes('userEmail') || !header.includes('tierId')) {
+    return { rows, errors: ['The CSV needs a header row with at least "email" and "tier" columns'] };
+  }
+
+  for (const { line, fields } of records.slice(1)) {
+    if (fields.every(field => !field.trim())) continue;
+    const value = (column: keyof Omit<IssuanceRow, 'line'>) => (fields[header.indexOf(column)] || '').trim();
+    const problems: string[] = [];
+
+    const userEmail = value('userEmail');
+    if (!EMAIL_PATTERN.test(userEmail)) problems.push(`invalid email '${userEmail}'`);
+
+    const tier = findTier(licensing.tiers || [], value('tierId'));
+    if (!tier) problems.push(`unknown tier '${value('tierId')}'`);
+
+    let expiresAt: string | undefined;
+    if (value('expiresAt')) {
+      const date = new Date(value('expiresAt'));
+      if (Number.isNaN(date.getTime())) problems.push(`invalid expiration '${value('expiresAt')}'`);
+      else if (date.getTime() <= Date.now()) problems.push(`expiration ${value('expiresAt')} is in the past`);
+      else expiresAt = date.toISOString();
+    }
+
+    const features: string[] = [];
+    for (const name of value('features').split(/[;|]/).map(f => f.trim()).filter(Boolean)) {
+      const feature = (licensing.features || []).find(f => f.id === name || f.name.toLowerCase() === name.toLowerCase());
+      if (feature) features.push(feature.id);
+      else problems.push(`unknown feature '${name}'`);
+    }
+
+    if (problems.length > 0) {
+      errors.push(`Line ${line}: ${problems.join(', ')}`);
+    } else {
+      rows.push({ line, userEmail, tierId: tier!.id, customerName: value('customerName') || undefined, expiresAt, features });
+    }
+  }
+  if (rows.length === 0 && errors.length === 0) errors.push('The CSV has no customer rows');
+  return { rows, errors };
+}
+
+/**
+ * Sign a license per row and add them to the ledger as one batch. Rows that fail are reported
+ * and skipped; the rest are still issued.
+ */
+export async function issueBatch(system: LicensingSystem, ledger: LicenseLedger, licensing: LicenseConfig, rows: IssuanceRow[]): Promise<BatchResult> {
+  const batchId = `BATCH-${Date.now().toString(36).toUpperCase()}`;
+  const issued: LedgerEntry[] = [];
+  const failures: BatchResult['failures'] = [];
+  for (const row of rows) {
+    try {
+      const tier = findTier(licensing.tiers || [], row.tierId)!;
+      issued.push(await issueEntry(system, ledger.pluginId, tier, {
+        userId: row.userEmail,
+        userEmail: row.userEmail,
+        customerName: row.customerName,
+        expiresAt: row.expiresAt,
+        features: [...new Set([...(tier.features || []), ...row.features])],
+        batchId
+      }));
+    } catch (error: any) {
+      failures.push({ line: row.line, userEmail: row.userEmail, error: error?.message || String(error) });
+    }
+  }
+  return { ledger: { ...ledger, entries: [...ledger.entries, ...issued] }, issued, failures };
+}
+
+/**
+ * Entries matching every word of the query in email, name, license id, tier or batch
+ */
+export function searchLedger(ledger: LicenseLedger, query: string, status?: LedgerStatus): LedgerEntry[] {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return ledger.entries.filter(entry => {
+    if (status && entry.status !== status) return false;
+    const text = [entry.userEmail, entry.customerName, entry.licenseId, entry.tierId, entry.tierName, entry.batchId]
+      .filter(Boolean).join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * CSV of ledger entries, license keys included
+ */
+export function exportLedgerCsv(entries: LedgerEntry[]): string {
+  const columns: (keyof LedgerEntry)[] = [
+    'licenseId', 'userEmail', 'customerName', 'tierName', 'status', 'issuedAt', 'expiresAt',
+    'features', 'batchId', 'replaces', 'replacedBy', 'revokedAt', 'revokeReason', 'licenseKey'
+  ];
+  const lines = entries.map(entry => columns.map(column => {
+    const value = entry[column];
+    return csvField(Array.isArray(value) ? value.join(';') : value === undefined ? '' : String(value));
+  }).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Sign a new key with the same terms, e.g. for a customer who lost theirs
+ */
+export async function reissueLicense(system: LicensingSystem, ledger: LicenseLedger, licensing: LicenseConfig, licenseId: string): Promise<LedgerChange> {
+  const entry = activeEntry(ledger, licenseId);
+  return replaceEntry(system, ledger, licensing, entry, entry.expiresAt, 'Re-issued');
+}
+
+/**
+ * Sign a new key valid until `expiresAt`, which must be later than the current expiration
+ */
+export async function extendLicense(system: LicensingSystem, ledger: LicenseLedger, licensing: LicenseConfig, licenseId: string, expiresAt: string): Promise<LedgerChange> {
+  const entry = activeEntry(ledger, licenseId);
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid expiration: ${expiresAt}`);
+  if (!entry.expiresAt) throw new Error(`${licenseId} is perpetual and cannot be extended`);
+  if (date.getTime() <= new Date(entry.expiresAt).getTime()) {
+    throw new Error(`The new expiration must be after ${entry.expiresAt.slice(0, 10)}`);
+  }
+  return replaceEntry(system, ledger, licensing, entry, date.toISOString(), `Extended to ${date.toISOString().slice(0, 10)}`);
+}
+
+/**
+ * Revoke an issued license through the signed revocation list
+ */
+export async function revokeLedgerEntry(system: LicensingSystem, ledger: LicenseLedger, licenseId: string, reason: string): Promise<LedgerChange> {
+  const entry = activeEntry(ledger, licenseId);
+  const revokedAt = new Date().toISOString();
+  const revocationList = await system.addRevocations([{ licenseId, revokedAt, reason, userEmail: entry.userEmail }]);
+  return {
+    ledger: updateEntry(ledger, licenseId, { status: 'revoked', revokedAt, revokeReason: reason }),
+    revocationList
+  };
+}
+
+async function replaceEntry(
+  system: LicensingSystem,
+  ledger: LicenseLedger,
+  licensing: LicenseConfig,
+  entry: LedgerEntry,
+  expiresAt: string | undefined,
+  reason: string
+): Promise<LedgerChange> {
+  const tier = findTier(licensing.tiers || [], entry.tierId);
+  if (!tier) throw new Error(`Tier ${entry.tierId} no longer exists`);
+  // Without an expiration the tier's duration would apply, changing the terms
+  if (!expiresAt && tier.duration !== 'perpetual') {
+    throw new Error(`Tier ${tier.name} is no longer perpetual; extend the license with an explicit expiration instead`);
+  }
+  const replacement = await issueEntry(system, ledger.pluginId, tier, {
+    userId: entry.userId,
+    userEmail: entry.userEmail,
+    customerName: entry.customerName,
+    expiresAt,
+    features: entry.features,
+    replaces: entry.licenseId
+  });
+  const revokedAt = new Date().toISOString();
+  const revocationList = await system.addRevocations([{ licenseId: entry.licenseId, revokedAt, reason, userEmail: entry.userEmail }]);
+  const updated = updateEntry(ledger, entry.licenseId, { status: 'superseded', replacedBy: replacement.licenseId, revokedAt, revokeReason: reason });
+  return { ledger: { ...updated, entries: [...updated.entries, replacement] }, revocationList, entry: replacement };
+}
+
+async function issueEntry(
+  system: LicensingSystem,
+  pluginId: string,
+  tier: LicenseTier,
+  terms: { userId: string; userEmail: string; customerName?: string; expiresAt?: string; features: string[]; batchId?: string; replaces?: string }
+): Promise<LedgerEntry> {
+  const license = await system.generateLicense({
+    pluginId,
+    tierId: tier.id,
+    userId: terms.userId,
+    userEmail: terms.userEmail,
+    customExpiration: terms.expiresAt,
+    customFeatures: terms.features,
+    metadata: {
+      issuedBy: 'studio-ledger',
+      ...(terms.customerName ? { customerName: terms.customerName } : {}),
+      ...(terms.batchId ? { batchId: terms.batchId } : {}),
+      ...(terms.replaces ? { replaces: terms.replaces } : {})
+    }
+  });
+  return {
+    licenseId: license.id,
+    licenseKey: license.key,
+    tierId: tier.id,
+    tierName: tier.name,
+    userId: terms.userId,
+    userEmail: terms.userEmail,
+    ...(terms.customerName ? { customerName: terms.customerName } : {}),
+    features: license.features,
+    issuedAt: license.issuedAt,
+    ...(license.expiresAt ? { expiresAt: license.expiresAt } : {}),
+    status: 'active',
+    ...(terms.batchId ? { batchId: terms.batchId } : {}),
+    ...(terms.replaces ? { replaces: terms.replaces } : {})
+  };
+}
+
+function activeEntry(ledger: LicenseLedger, licenseId: string): LedgerEntry {
+  const entry = ledger.entries.find(e => e.licenseId === licenseId);
+  if (!entry) throw new Error(`License ${licenseId} is not in the ledger`);
+  if (entry.status !== 'active') throw new Error(`License ${licenseId} is ${entry.status}`);
+  return entry;
+}
+
+function updateEntry(ledger: LicenseLedger, licenseId: string, changes: Partial<LedgerEntry>): LicenseLedger {
+  return { ...ledger, entries: ledger.entries.map(e => e.licenseId === licenseId ? { ...e, ...changes } : e) };
+}
+
+function findTier(tiers: LicenseTier[], idOrName: string): LicenseTier | undefined {
+  const wanted = idOrName.trim().toLowerCase();
+  if (!wanted) return undefined;
+  return tiers.find(t => t.id.toLowerCase() === wanted) || tiers.find(t => (t.name || '').toLowerCase() === wanted);
+}
+
+/**
+ * RFC 4180 records: quoted fields may hold commas, quotes ("") and line breaks
+ */
+function parseCsv(text: string): { line: number; fields: string[] }[] {
+  const records: { line: number; fields: string[] }[] = [];
+  let fields: string[] = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else {
+        if (c === '\n') line++;
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: start, fields });
+      fields = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += c;
+    }
+  }
+  if (field || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: start, fields });
+  }
+  return records;
+}
+
+function csvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -4,6 +4,9 @@
  */
 
 import { invoke } from '@tauri-apps/api/core';
+import { readOfflineUsage, evaluateOfflineUsage, OfflineUsageRecord } from './offlineUsage';
+import { decodeLicenseKey, normalizeLicenseKey } from './licenseKey';
+import { verifyValidationReceipt, LicenseVerificationKey } from './licensing';
 
 export interface StoredLicense {
   pluginId: string;
@@ -13,21 +16,22 @@ export interface StoredLicense {
   validation: LicenseValidationResult;
   details?: LicenseDetails;
   userEmail?: string;
-  source: 'manual' | 'purchase' | 'trial' | 'upgrade';
+  source: 'manual' | 'purchase' | 'trial' | 'upgrade' | 'activation';
 }
 
+/** The claims a license key carries; keys issued before they were trimmed also name the user and tier */
 export interface LicenseDetails {
   id: string;
   pluginId: string;
   tierId: string;
-  tierName: string;
-  userId: string;
-  userEmail: string;
+  tierName?: string;
+  userId?: string;
+  userEmail?: string;
   issuedAt: string;
   expiresAt?: string;
   features: string[];
   maxUsers: number;
-  metadata: Record<string, any>;
+  metadata?: Record<string, any>;
 }
 
 export interface LicenseValidationResult {
@@ -36,11 +40,19 @@ export interface LicenseValidationResult {
   revoked: boolean;
   features: string[];
   errors: string[];
+  /** Problems that do not make the license invalid */
+  warnings?: string[];
   lastChecked: string;
   nextCheck?: string;
   offlineDaysUsed: number;
   remainingTrialDays?: number;
   required?: boolean;
+  /** The license has to be validated online before it can be used again */
+  validationRequired?: boolean;
+  /** Offline limit recorded by LicensingSystem, when the plugin validates online */
+  maxOfflineDays?: number;
+  /** Latest verified offline usage record, see offlineUsage.ts */
+  offlineUsage?: OfflineUsageRecord;
 }
 
 export interface LicenseUpgrade {
@@ -60,6 +72,7 @@ export class LicenseStorageManager {
   private static instance: LicenseStorageManager;
   private licenses: Map<string, StoredLicense> = new Map();
   private validationCache: Map<string, LicenseValidationResult> = new Map();
+  private verificationKeys: Map<string, LicenseVerificationKey> = new Map();
   private lastSyncTime: string | null = null;
 
   private constructor() {
@@ -73,6 +86,14 @@ export class LicenseStorageManager {
     return LicenseStorageManager.instance;
   }
 
+  /**
+   * Set the public key a plugin's licenses are verified against. It has to come from the
+   * plugin itself, so it is kept in memory only and never stored next to the licenses.
+   */
+  setVerificationKey(pluginId: string, key: LicenseVerificationKey): void {
+    this.verificationKeys.set(pluginId, key);
+  }
+
   /**
    * Load licenses from localStorage
    */
@@ -111,9 +132,12 @@ export class LicenseStorageManager {
   async installLicense(
     pluginId: string, 
     licenseKey: string, 
-    source: 'manual' | 'purchase' | 'trial' | 'upgrade' = 'manual',
+    source: 'manual' | 'purchase' | 'trial' | 'upgrade' | 'activation' = 'manual',
     userEmail?: string
   ): Promise<StoredLicense> {
+    // Pasted keys may be lowercase or broken over lines; store them in one form
+    licenseKey = normalizeLicenseKey(licenseKey);
+
     // Validate the license first
     const validation = await this.validateLicense(pluginId, licenseKey);
     
@@ -201,9 +225,14 @@ export class LicenseStorageManager {
    */
   async validateLicense(pluginId: string, licenseKey: string): Promise<LicenseValidationResult> {
     try {
+      const verification = this.verificationKeys.get(pluginId);
+      if (!verification) {
+        throw new Error(`No public key is known for ${pluginId}, so its license cannot be verified`);
+      }
       const result = await invoke<any>('validate_plugin_license', {
         pluginId,
-        licenseKey
+        licenseKey,
+        ...verification
       });
 
       // Convert Tauri result to our interface
@@ -217,7 +246,7 @@ export class LicenseStorageManager {
         offlineDaysUsed: 0
       };
 
-      return validation;
+      return await this.applyOfflineUsage(pluginId, licenseKey, validation, verification);
     } catch (error) {
       return {
         valid: false,
@@ -232,19 +261,50 @@ export class LicenseStorageManager {
   }
 
   /**
-   * Decode license to get details
+   * Apply the offline usage record LicensingSystem keeps for the license. Licenses without a
+   * record are left alone; the backend's check does not know whether the plugin validates online.
    */
-  async decodeLicense(licenseKey: string): Promise<LicenseDetails | null> {
+  private async applyOfflineUsage(pluginId: string, licenseKey: string, validation: LicenseValidationResult, verification: LicenseVerificationKey): Promise<LicenseValidationResult> {
+    let payload: any;
     try {
-      if (!licenseKey.startsWith('LYC-')) {
-        return null;
+      ({ payload } = decodeLicenseKey(licenseKey));
+    } catch {
+      return validation;
+    }
+    const usage = readOfflineUsage(pluginId, String(payload?.id), licenseKey);
+    if (!usage || usage.record === 'missing') return validation;
+
+    let checked = validation;
+    let error: string | null = null;
+    const receipt = typeof usage.record === 'object' ? usage.record.receipt : null;
+    if (usage.record === 'invalid' || (receipt && !(await verifyValidationReceipt(receipt, pluginId, String(payload.id), verification)))) {
+      error = 'Offline usage record cannot be read; online validation required';
+    } else {
+      const { record } = usage;
+      checked = {
+        ...validation,
+        offlineDaysUsed: usage.offlineDays,
+        offlineUsage: record,
+        ...(record.maxOfflineDays !== null ? { maxOfflineDays: record.maxOfflineDays } : {})
+      };
+      // Clock rollback only blocks plugins whose license server can clear it
+      if (usage.clockRollback && record.maxOfflineDays === null) {
+        checked = { ...checked, warnings: [...(checked.warnings || []), 'System clock is earlier than the last recorded use of this license'] };
+      } else if (usage.clockRollback) {
+        error = 'System clock is earlier than the last recorded use of this license; correct the clock or validate online';
+      } else if (record.maxOfflineDays !== null && usage.offlineDays > record.maxOfflineDays) {
+        error = `Offline usage limit exceeded (${usage.offlineDays}/${record.maxOfflineDays} days); online validation required`;
       }
+    }
+    return error ? { ...checked, valid: false, validationRequired: true, errors: [...checked.errors, error] } : checked;
+  }
 
-      const encoded = licenseKey.substring(4);
-      const decoded = atob(encoded);
-      const licenseData = JSON.parse(decoded);
-
-      return licenseData.payload as LicenseDetails;
+  /**
+   * Decode license to get details
+   */
+  async decodeLicense(licenseKey: string): Promise<LicenseDetails | null> {
+    try {
+      return decodeLicenseKey(licenseKey).payload as LicenseDetails;
     } catch (error) {
       console.error('Failed to decode license:', error);
       return null;
@@ -323,6 +383,10 @@ export class LicenseStorageManager {
     trialDaysRemaining?: number;
     tierName?: string;
     features: string[];
+    /** Offline too long, offline record unreadable or clock set back: validate online */
+    validationRequired: boolean;
+    offlineDaysUsed: number;
+    offlineDaysRemaining?: number;
   } {
     const license = this.getLicense(pluginId);
     
@@ -333,7 +397,9 @@ export class LicenseStorageManager {
         isExpired: false,
         isRevoked: false,
         isTrial: false,
-        features: []
+        features: [],
+        validationRequired: false,
+        offlineDaysUsed: 0
       };
     }
 
@@ -346,16 +412,27 @@ export class LicenseStorageManager {
       daysUntilExpiry = Math.ceil((expiryDate.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
     }
 
+    // Offline days keep counting between validations
+    const offline = validation.offlineUsage ? evaluateOfflineUsage(validation.offlineUsage) : null;
+    const offlineDaysUsed = offline ? offline.offlineDays : validation.offlineDaysUsed || 0;
+    const maxOfflineDays = validation.maxOfflineDays;
+    const validationRequired = !!validation.validationRequired ||
+      (!!offline?.clockRollback && maxOfflineDays !== undefined) ||
+      (maxOfflineDays !== undefined && offlineDaysUsed > maxOfflineDays);
+
     return {
       hasLicense: true,
-      isValid: validation.valid,
+      isValid: validation.valid && !validationRequired,
       isExpired: validation.expired,
       isRevoked: validation.revoked,
       isTrial: validation.remainingTrialDays !== undefined && validation.remainingTrialDays > 0,
       daysUntilExpiry,
       trialDaysRemaining: validation.remainingTrialDays,
       tierName: details?.tierName,
-      features: validation.features
+      features: validation.features,
+      validationRequired,
+      offlineDaysUsed,
+      ...(maxOfflineDays !== undefined ? { offlineDaysRemaining: Math.max(0, maxOfflineDays - offlineDaysUsed) } : {})
     };
   }
 
@@ -519,6 +596,10 @@ export const LicenseUtils = {
    * Get license status color
    */
   getStatusColor(license: StoredLicense): 'green' | 'yellow' | 'red' | 'gray' {
+    if (licenseStorage.getLicenseStatus(license.pluginId).validationRequired) {
+      return 'yellow';
+    }
+
     if (!license.validation.valid) {
       return 'red';
     }
@@ -547,6 +628,10 @@ export const LicenseUtils = {
    * Get human-readable license status
    */
   getStatusText(license: StoredLicense): string {
+    if (licenseStorage.getLicenseStatus(license.pluginId).validationRequired) {
+      return 'Validation required';
+    }
+
     if (!license.validation.valid) {
       return 'Invalid';
     }
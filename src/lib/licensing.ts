@@ -3,7 +3,10 @@
  * Provides cryptographic license generation, validation, and management
  */
 
-import { invoke } from '@tauri-apps/api/core';
+import { invoke, isTauri } from '@tauri-apps/api/core';
+import { getMachineFingerprint, compareFingerprint, MachineFingerprint, MachineBinding } from './machineFingerprint';
+import { readOfflineUsage, writeOfflineUsage, advanceLastSeen, OfflineUsageState, ValidationReceipt, SignedValidationReceipt } from './offlineUsage';
+import { encodeLicenseKey, decodeLicenseKey, normalizeLicenseKey, LICENSE_KEY_PREFIX_V2 } from './licenseKey';
 
 // Types for licensing system
 export interface LicenseConfig {
@@ -16,6 +19,11 @@ export interface LicenseConfig {
   cryptography: CryptographyConfig;
   features: PluginFeature[];
   licenseServer: LicenseServerConfig;
+  nodeLocking?: NodeLockingConfig;
+  /** Signed in the studio and shipped with every build */
+  revocationList?: SignedRevocationList;
+  /** Keystore entry holding the private key and API key, see keystore.ts */
+  keyId?: string;
 }
 
 export interface RemoteValidationConfig {
@@ -56,12 +64,34 @@ export interface CryptographyConfig {
   generated?: string;
 }
 
+/** The public half of CryptographyConfig: what a license is verified against */
+export type LicenseVerificationKey = Pick<CryptographyConfig, 'publicKey' | 'algorithm' | 'hashAlgorithm'>;
+
+/**
+ * The key a plugin's licenses are verified against, or null when its licensing has no public key
+ */
+export function licenseVerificationKey(licensing: any): LicenseVerificationKey | null {
+  const cryptography = licensing?.cryptography;
+  if (!cryptography?.publicKey) return null;
+  return { publicKey: cryptography.publicKey, algorithm: cryptography.algorithm, hashAlgorithm: cryptography.hashAlgorithm };
+}
+
 export interface LicenseServerConfig {
   url: string;
   apiKey: string;
   allowSelfSigned: boolean;
 }
 
+/**
+ * Node-locked licenses only work after activation, which signs the machine's fingerprint
+ * into the key. The tolerance is how many fingerprint components may change (new disk,
+ * renamed host) before the license needs to be activated again.
+ */
+export interface NodeLockingConfig {
+  enabled: boolean;
+  tolerance: number;
+}
+
 export interface License {
   id: string;
   key: string;
@@ -76,6 +106,10 @@ export interface License {
   signature: string;
   revoked: boolean;
   metadata: Record<string, any>;
+  /** Set on licenses issued while node locking was enabled */
+  nodeLocking?: { tolerance: number };
+  /** Set once the license is activated */
+  machine?: MachineBinding;
 }
 
 export interface LicenseValidationResult {
@@ -84,10 +118,16 @@ export interface LicenseValidationResult {
   revoked: boolean;
   features: string[];
   errors: string[];
+  /** Problems that do not make the license invalid */
+  warnings?: string[];
   lastChecked: string;
   nextCheck?: string;
   offlineDaysUsed: number;
   remainingTrialDays?: number;
+  /** The license is node-locked and not activated on this machine */
+  activationRequired?: boolean;
+  /** The license has to be validated online before it can be used again */
+  validationRequired?: boolean;
 }
 
 export interface LicenseGenerationRequest {
@@ -100,16 +140,228 @@ export interface LicenseGenerationRequest {
   metadata?: Record<string, any>;
 }
 
+export interface RevocationEntry {
+  licenseId: string;
+  revokedAt: string;
+  reason?: string;
+  /** For the studio's list only; not part of the check */
+  userEmail?: string;
+}
+
+/**
+ * Licenses revoked by the plugin's developer. Every change increments the version, and the
+ * highest validly signed version seen wins, so an older build cannot bring a license back.
+ */
+export interface RevocationList {
+  pluginId: string;
+  version: number;
+  issuedAt: string;
+  entries: RevocationEntry[];
+}
+
+export interface SignedRevocationList {
+  list: RevocationList;
+  signature: string;
+}
+
+export interface LicensingSystemOptions {
+  /**
+   * Fingerprint of the machine licenses are validated on. Return null where bindings cannot
+   * be checked, such as on a license server.
+   */
+  fingerprint?: () => Promise<MachineFingerprint | null>;
+}
+
+/**
+ * License signatures
+ *
+ * The payload is signed as canonical JSON (keys sorted at every level). RSA algorithms use
+ * RSA-PSS with a salt as long as the hash, ECDSA uses the raw r || s encoding; both are what
+ * WebCrypto produces, so keys and signatures from the Tauri backend and from the functions
+ * below are interchangeable. Keys are PEM (SPKI public, PKCS#8 private); bare base64 DER
+ * from older studio versions is accepted.
+ */
+
+type LicenseAlgorithm = CryptographyConfig['algorithm'];
+type LicenseHash = CryptographyConfig['hashAlgorithm'];
+
+/**
+ * JSON with object keys sorted at every level, so signer and verifier hash the same bytes
+ */
+export function canonicalJson(value: any): string {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value) ?? 'null';
+  if (typeof value.toJSON === 'function') return canonicalJson(value.toJSON());
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined || typeof item === 'function' ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .sort()
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+function subtle(): SubtleCrypto {
+  const api = globalThis.crypto?.subtle;
+  if (!api) throw new Error('WebCrypto is not available in this environment');
+  return api;
+}
+
+function keyAlgorithm(algorithm: LicenseAlgorithm, hash: LicenseHash): RsaHashedImportParams | EcKeyImportParams {
+  switch (algorithm) {
+    case 'RSA-2048':
+    case 'RSA-4096':
+      return { name: 'RSA-PSS', hash };
+    case 'ECDSA-P256':
+      return { name: 'ECDSA', namedCurve: 'P-256' };
+    case 'ECDSA-P384':
+      return { name: 'ECDSA', namedCurve: 'P-384' };
+    default:
+      throw new Error(`Unsupported algorithm: ${algorithm}`);
+  }
+}
+
+function signatureParams(algorithm: LicenseAlgorithm, hash: LicenseHash): RsaPssParams | EcdsaParams {
+  if (algorithm === 'RSA-2048' || algorithm === 'RSA-4096') {
+    const hashBytes: Record<LicenseHash, number> = { 'SHA-256': 32, 'SHA-384': 48, 'SHA-512': 64 };
+    if (!hashBytes[hash]) throw new Error(`Unsupported hash algorithm: ${hash}`);
+    return { name: 'RSA-PSS', saltLength: hashBytes[hash] };
+  }
+  return { name: 'ECDSA', hash };
+}
+
+function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64: string): Uint8Array<ArrayBuffer> {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function toPem(der: ArrayBuffer, label: 'PUBLIC KEY' | 'PRIVATE KEY'): string {
+  const lines = bytesToBase64(new Uint8Array(der)).match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+function fromPem(key: string): Uint8Array<ArrayBuffer> {
+  const body = key.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+  if (!body) throw new Error('Key is empty');
+  try {
+    return base64ToBytes(body);
+  } catch {
+    throw new Error('Key is not valid PEM or base64');
+  }
+}
+
+/**
+ * Generate a PEM key pair with WebCrypto
+ */
+export async function generateLicenseKeyPair(algorithm: LicenseAlgorithm, hash: LicenseHash = 'SHA-256'): Promise<{ publicKey: string; privateKey: string }> {
+  const params = keyAlgorithm(algorithm, hash);
+  const generateParams = params.name === 'RSA-PSS'
+    ? { ...params, modulusLength: algorithm === 'RSA-4096' ? 4096 : 2048, publicExponent: new Uint8Array([1, 0, 1]) }
+    : params;
+  const pair = await subtle().generateKey(generateParams as RsaHashedKeyGenParams | EcKeyGenParams, true, ['sign', 'verify']) as CryptoKeyPair;
+  return {
+    publicKey: toPem(await subtle().exportKey('spki', pair.publicKey), 'PUBLIC KEY'),
+    privateKey: toPem(await subtle().exportKey('pkcs8', pair.privateKey), 'PRIVATE KEY')
+  };
+}
+
+/**
+ * Sign a canonical payload string, returning a base64 signature
+ */
+export async function signLicensePayload(payload: string, privateKey: string, algorithm: LicenseAlgorithm, hash: LicenseHash): Promise<string> {
+  const key = await subtle().importKey('pkcs8', fromPem(privateKey), keyAlgorithm(algorithm, hash), false, ['sign']);
+  const signature = await subtle().sign(signatureParams(algorithm, hash), key, new TextEncoder().encode(payload));
+  return bytesToBase64(new Uint8Array(signature));
+}
+
+/**
+ * Verify a base64 signature over a canonical payload string. Resolves false for a signature
+ * that does not match and rejects only when the key or settings are unusable.
+ */
+export async function verifyLicensePayload(payload: string, signature: string, publicKey: string, algorithm: LicenseAlgorithm, hash: LicenseHash): Promise<boolean> {
+  const key = await subtle().importKey('spki', fromPem(publicKey), keyAlgorithm(algorithm, hash), false, ['verify']);
+  let signatureBytes: Uint8Array<ArrayBuffer>;
+  try {
+    signatureBytes = base64ToBytes(signature.trim());
+  } catch {
+    return false;
+  }
+  return subtle().verify(signatureParams(algorithm, hash), key, signatureBytes, new TextEncoder().encode(payload));
+}
+
+/**
+ * Revocation lists are signed under a prefix so their signatures can never pass as a license's
+ */
+function revocationListText(list: RevocationList): string {
+  return `lyc-revocation-list:${canonicalJson(list)}`;
+}
+
+/**
+ * Validation receipts get a prefix of their own for the same reason, see offlineUsage.ts
+ */
+function validationReceiptText(receipt: ValidationReceipt): string {
+  return `lyc-validation-receipt:${canonicalJson(receipt)}`;
+}
+
+function isReceiptFor(signed: any, pluginId: string, licenseId: string): signed is SignedValidationReceipt {
+  const receipt = signed?.receipt;
+  return typeof signed?.signature === 'string' && receipt?.pluginId === pluginId && receipt?.licenseId === licenseId
+    && typeof receipt.validatedAt === 'string' && !Number.isNaN(new Date(receipt.validatedAt).getTime());
+}
+
+/**
+ * Whether a validation receipt is intact, signed with the given key and for the given license
+ */
+export async function verifyValidationReceipt(signed: unknown, pluginId: string, licenseId: string, key: LicenseVerificationKey): Promise<boolean> {
+  if (!isReceiptFor(signed, pluginId, licenseId) || !key.publicKey) return false;
+  try {
+    return await verifyLicensePayload(validationReceiptText(signed.receipt), signed.signature, key.publicKey, key.algorithm, key.hashAlgorithm);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The part of a license that is signed and goes into its key: what validation and activation
+ * need. Who the license is for and what it cost stay with the issuer, in the ledger or on the
+ * license server, under the license id; that keeps keys short.
+ */
+function licenseClaims(license: any) {
+  return {
+    id: license.id,
+    pluginId: license.pluginId,
+    tierId: license.tierId,
+    issuedAt: license.issuedAt,
+    expiresAt: license.expiresAt,
+    features: license.features,
+    maxUsers: license.maxUsers,
+    // Revocations of the original license apply to its activated copies
+    metadata: license.metadata?.activationOf ? { activationOf: license.metadata.activationOf } : undefined,
+    nodeLocking: license.nodeLocking,
+    machine: license.machine
+  };
+}
+
 /**
  * Core licensing class with cryptographic operations
  */
 export class LicensingSystem {
   private config: LicenseConfig;
   private pluginId: string;
+  private fingerprint: () => Promise<MachineFingerprint | null>;
 
-  constructor(pluginId: string, config: LicenseConfig) {
+  constructor(pluginId: string, config: LicenseConfig, options: LicensingSystemOptions = {}) {
     this.pluginId = pluginId;
     this.config = config;
+    this.fingerprint = options.fingerprint || getMachineFingerprint;
   }
 
   /**
@@ -123,9 +375,9 @@ export class LicensingSystem {
         throw new Error(`License tier ${request.tierId} not found`);
       }
 
-      // Calculate expiration date
-      let expiresAt: string | undefined;
-      if (tier.duration !== 'perpetual') {
+      // Calculate expiration date; an explicit expiration (trials, transfers) wins over the tier's
+      let expiresAt: string | undefined = request.customExpiration;
+      if (!expiresAt && tier.duration !== 'perpetual') {
         const now = new Date();
         switch (tier.duration) {
           case 'days':
@@ -141,8 +393,7 @@ export class LicensingSystem {
         expiresAt = now.toISOString();
       }
 
-      // Create license payload
-      const licensePayload = {
+      const license = {
         id: this.generateLicenseId(),
         pluginId: request.pluginId,
         tierId: request.tierId,
@@ -158,28 +409,65 @@ export class LicensingSystem {
           tierCurrency: tier.currency,
           stackable: tier.stackable,
           ...request.metadata
-        }
+        },
+        nodeLocking: this.config.nodeLocking?.enabled ? { tolerance: this.nodeLockingTolerance() } : undefined
       };
 
-      // Generate cryptographic signature
-      const signature = await this.signLicense(licensePayload);
-
-      // Create license key (base64 encoded payload + signature)
-      const licenseKey = await this.encodeLicense(licensePayload, signature);
-
-      const license: License = {
-        ...licensePayload,
-        key: licenseKey,
+      // Only the claims are signed and encoded; the rest is returned for the issuer to keep
+      const claims = licenseClaims(license);
+      const signature = await this.signLicense(claims);
+      return {
+        ...license,
+        key: await this.encodeLicense(claims, signature),
         signature,
         revoked: false
       };
-
-      return license;
     } catch (error) {
       throw new Error(`Failed to generate license: ${error.message}`);
     }
   }
 
+  /**
+   * Bind a license to a machine: the returned license carries the fingerprint, signed, under
+   * a new id that records the original in metadata.activationOf
+   */
+  async activateLicense(licenseKey: string, machine: MachineFingerprint): Promise<License> {
+    try {
+      const { payload, signature } = await this.decodeLicense(licenseKey);
+      if (!(await this.verifySignature(payload, signature))) {
+        throw new Error('Invalid license signature');
+      }
+      if (payload.pluginId !== this.pluginId) {
+        throw new Error('License not valid for this plugin');
+      }
+      if (payload.expiresAt && new Date(payload.expiresAt) < new Date()) {
+        throw new Error('License has expired');
+      }
+      if (!machine?.id || Object.keys(machine.components || {}).length === 0) {
+        throw new Error('Machine fingerprint is empty');
+      }
+
+      const activated = {
+        ...payload,
+        id: this.generateLicenseId(),
+        metadata: { ...payload.metadata, activationOf: payload.metadata?.activationOf || payload.id },
+        nodeLocking: payload.nodeLocking || { tolerance: this.nodeLockingTolerance() },
+        machine: { id: machine.id, components: machine.components, activatedAt: new Date().toISOString() }
+      };
+      // Keys from before claims were trimmed come back trimmed too
+      const claims = licenseClaims(activated);
+      const activatedSignature = await this.signLicense(claims);
+      return {
+        ...activated,
+        key: await this.encodeLicense(claims, activatedSignature),
+        signature: activatedSignature,
+        revoked: false
+      };
+    } catch (error: any) {
+      throw new Error(`Failed to activate license: ${error.message}`);
+    }
+  }
+
   /**
    * Validate a license key
    */
@@ -222,8 +510,10 @@ export class LicensingSystem {
       const expiresAt = license.expiresAt ? new Date(license.expiresAt) : null;
 
       const errors: string[] = [];
+      const warnings: string[] = [];
       let expired = false;
       let revoked = false;
+      let activationRequired = false;
 
       // Check if expired
       if (expiresAt && now > expiresAt) {
@@ -241,27 +531,66 @@ export class LicensingSystem {
         errors.push('License not valid for this plugin');
       }
 
+      // Node-locked licenses must be activated on this machine
+      const bindingError = await this.checkMachineBinding(license);
+      if (bindingError) {
+        activationRequired = true;
+        errors.push(bindingError);
+      }
+
+      // The newest signed revocation list works offline; remote validation covers the rest
+      const revocation = await this.findRevocation(license);
+      if (revocation) {
+        revoked = true;
+        errors.push(`License has been revoked${revocation.reason ? `: ${revocation.reason}` : ''}`);
+      }
+
+      const usage = await this.readOfflineUsage(license.id, licenseKey);
+      let validatedOnline = false;
+      let receipt: SignedValidationReceipt | null = null;
+      let validationRequired = false;
+
       // Remote validation if enabled
-      if (this.config.remoteValidation.enabled) {
+      if (this.config.remoteValidation.enabled && !revoked) {
         try {
           const remoteResult = await this.performRemoteValidation(licenseKey);
+          validatedOnline = true;
+          // Only a receipt signed with the plugin's key restarts the offline grace period
+          if (remoteResult.receipt && (await this.verifyValidationReceipt(remoteResult.receipt, license.id))) {
+            receipt = remoteResult.receipt;
+          }
+          if (remoteResult.revocationList) {
+            await this.rememberRevocationList(remoteResult.revocationList);
+          }
           if (remoteResult.revoked) {
             revoked = true;
             errors.push('License has been revoked');
           }
         } catch (error) {
           // Handle offline mode
-          if (this.config.allowOffline) {
-            const offlineDays = await this.getOfflineDays(licenseKey);
-            if (offlineDays > this.config.maxOfflineDays) {
-              errors.push(`Offline usage limit exceeded (${offlineDays}/${this.config.maxOfflineDays} days)`);
-            }
-          } else {
-            errors.push('Unable to validate license remotely and offline mode is disabled');
+          const offlineError = this.config.allowOffline
+            ? this.offlineUsageError(usage)
+            : 'Unable to validate license remotely and offline mode is disabled';
+          if (offlineError) {
+            validationRequired = true;
+            errors.push(offlineError);
           }
         }
       }
 
+      // Setting the clock back would stretch expiry dates and the offline grace period. Only a
+      // license server can clear that, so without one it is a warning: a corrected clock that
+      // ran fast must not lock the user out.
+      if (!validatedOnline && usage?.clockRollback) {
+        if (this.config.remoteValidation.enabled) {
+          validationRequired = true;
+          errors.push('System clock is earlier than the last recorded use of this license; correct the clock or validate online');
+        } else {
+          warnings.push('System clock is earlier than the last recorded use of this license');
+        }
+      }
+      this.recordOfflineUsage(license, usage, validatedOnline, receipt);
+
       const valid = errors.length === 0 && !expired && !revoked;
 
       return {
@@ -270,9 +599,12 @@ export class LicensingSystem {
         revoked,
         features: license.features || [],
         errors,
+        ...(warnings.length > 0 ? { warnings } : {}),
         lastChecked: new Date().toISOString(),
-        offlineDaysUsed: await this.getOfflineDays(licenseKey),
-        remainingTrialDays: await this.getRemainingTrialDays(license)
+        offlineDaysUsed: receipt ? 0 : usage?.offlineDays ?? 0,
+        remainingTrialDays: await this.getRemainingTrialDays(license),
+        ...(activationRequired ? { activationRequired } : {}),
+        ...(validationRequired ? { validationRequired } : {})
       };
     } catch (error) {
       return {
@@ -305,70 +637,59 @@ export class LicensingSystem {
   }
 
   /**
-   * Generate RSA or ECDSA key pair
+   * Generate an RSA or ECDSA key pair for the configured algorithm, in the Tauri backend
+   * when available and with WebCrypto otherwise
    */
   async generateKeyPair(): Promise<{ publicKey: string; privateKey: string }> {
-    try {
-      // Call Tauri backend to generate keys
-      const result = await invoke<{ publicKey: string; privateKey: string }>('generate_license_keys', {
-        algorithm: this.config.cryptography.algorithm,
-        keySize: this.config.cryptography.keySize
-      });
-      
-      return result;
-    } catch (error) {
-      // Fallback to Web Crypto API for demo purposes
-      console.warn('Tauri key generation failed, using fallback:', error);
-      return this.generateKeyPairFallback();
+    const { algorithm, hashAlgorithm } = this.config.cryptography;
+    if (isTauri()) {
+      return invoke<{ publicKey: string; privateKey: string }>('generate_license_keys', { algorithm });
     }
+    return generateLicenseKeyPair(algorithm, hashAlgorithm);
   }
 
   /**
    * Sign license payload with private key
    */
   private async signLicense(payload: any): Promise<string> {
+    return this.signText(canonicalJson(payload));
+  }
+
+  private async signText(payloadJson: string): Promise<string> {
     try {
-      if (!this.config.cryptography.privateKey) {
+      const { privateKey, algorithm, hashAlgorithm } = this.config.cryptography;
+      if (!privateKey) {
         throw new Error('Private key not configured');
       }
 
-      const payloadJson = JSON.stringify(payload, Object.keys(payload).sort());
-      
-      // Call Tauri backend for signing
-      const signature = await invoke<string>('sign_license', {
-        payload: payloadJson,
-        privateKey: this.config.cryptography.privateKey,
-        algorithm: this.config.cryptography.algorithm,
-        hashAlgorithm: this.config.cryptography.hashAlgorithm
-      });
-
-      return signature;
+      if (isTauri()) {
+        return await invoke<string>('sign_license', { payload: payloadJson, privateKey, algorithm, hashAlgorithm });
+      }
+      return await signLicensePayload(payloadJson, privateKey, algorithm, hashAlgorithm);
     } catch (error) {
       throw new Error(`Failed to sign license: ${error.message}`);
     }
   }
 
   /**
-   * Verify license signature with public key
+   * Verify license signature with public key. WebCrypto is used wherever it exists, so
+   * verification also works in the plugin runtime and outside Tauri.
    */
   private async verifySignature(payload: any, signature: string): Promise<boolean> {
+    return this.verifyText(canonicalJson(payload), signature);
+  }
+
+  private async verifyText(payloadJson: string, signature: string): Promise<boolean> {
     try {
-      if (!this.config.cryptography.publicKey) {
+      const { publicKey, algorithm, hashAlgorithm } = this.config.cryptography;
+      if (!publicKey) {
         throw new Error('Public key not configured');
       }
 
-      const payloadJson = JSON.stringify(payload, Object.keys(payload).sort());
-      
-      // Call Tauri backend for verification
-      const isValid = await invoke<boolean>('verify_license_signature', {
-        payload: payloadJson,
-        signature,
-        publicKey: this.config.cryptography.publicKey,
-        algorithm: this.config.cryptography.algorithm,
-        hashAlgorithm: this.config.cryptography.hashAlgorithm
-      });
-
-      return isValid;
+      if (globalThis.crypto?.subtle || !isTauri()) {
+        return await verifyLicensePayload(payloadJson, signature, publicKey, algorithm, hashAlgorithm);
+      }
+      return await invoke<boolean>('verify_license_signature', { payload: payloadJson, signature, publicKey, algorithm, hashAlgorithm });
     } catch (error) {
       console.error('Signature verification failed:', error);
       return false;
@@ -376,49 +697,28 @@ export class LicensingSystem {
   }
 
   /**
-   * Encode license payload and signature into a license key
+   * Encode license payload and signature into a compact v2 license key, see licenseKey.ts
    */
   private async encodeLicense(payload: any, signature: string): Promise<string> {
-    const licenseData = {
-      payload,
-      signature,
-      version: '1.0',
-      algorithm: this.config.cryptography.algorithm
-    };
-
-    const json = JSON.stringify(licenseData);
-    const encoded = btoa(json);
-    
-    // Add prefix to identify license format
-    return `LYC-${encoded}`;
+    const licenseKey = encodeLicenseKey(payload, signature, this.config.cryptography.algorithm);
+    // The signature only holds if the key decodes to the payload that was signed
+    if (canonicalJson(decodeLicenseKey(licenseKey).payload) !== canonicalJson(payload)) {
+      throw new Error('License payload cannot be encoded in a license key');
+    }
+    return licenseKey;
   }
 
   /**
    * Decode license key into payload and signature
    */
   private async decodeLicense(licenseKey: string): Promise<{ payload: any; signature: string }> {
-    if (!licenseKey.startsWith('LYC-')) {
-      throw new Error('Invalid license key format');
-    }
-
-    const encoded = licenseKey.substring(4);
-    const json = atob(encoded);
-    const licenseData = JSON.parse(json);
-
-    if (!licenseData.payload || !licenseData.signature) {
-      throw new Error('Invalid license data structure');
-    }
-
-    return {
-      payload: licenseData.payload,
-      signature: licenseData.signature
-    };
+    return LicenseUtils.decodeLicenseKey(licenseKey);
   }
 
   /**
    * Perform remote license validation
    */
-  private async performRemoteValidation(licenseKey: string): Promise<{ revoked: boolean }> {
+  private async performRemoteValidation(licenseKey: string): Promise<{ revoked: boolean; revocationList?: SignedRevocationList; receipt?: SignedValidationReceipt }> {
     if (!this.config.remoteValidation.endpoint) {
       throw new Error('Remote validation endpoint not configured');
     }
@@ -444,26 +744,72 @@ export class LicensingSystem {
   }
 
   /**
-   * Get number of days used in offline mode
+   * Why the license cannot be used while the server is unreachable, or null when it can
    */
-  private async getOfflineDays(licenseKey: string): Promise<number> {
-    try {
-      const lastOnlineCheck = localStorage.getItem(`license_check_${licenseKey}`);
-      if (!lastOnlineCheck) {
-        // First time, store current time
-        localStorage.setItem(`license_check_${licenseKey}`, new Date().toISOString());
-        return 0;
-      }
+  private offlineUsageError(usage: OfflineUsageState | null): string | null {
+    // Without storage there is nothing to count against
+    if (!usage) return null;
+    if (usage.record === 'invalid') {
+      return 'Offline usage record cannot be read; online validation required';
+    }
+    if (usage.record === 'missing' || !(usage.record.receipt || usage.record.migratedOnlineAt)) {
+      return 'License has not been validated online on this machine; online validation required';
+    }
+    if (usage.offlineDays > this.config.maxOfflineDays) {
+      return `Offline usage limit exceeded (${usage.offlineDays}/${this.config.maxOfflineDays} days); online validation required`;
+    }
+    return null;
+  }
 
-      const lastCheck = new Date(lastOnlineCheck);
-      const now = new Date();
-      const diffMs = now.getTime() - lastCheck.getTime();
-      const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-      
-      return Math.max(0, diffDays);
-    } catch {
-      return 0;
+  /**
+   * The offline usage record of a license, counted unreadable when its receipt does not verify
+   */
+  private async readOfflineUsage(licenseId: string, licenseKey: string): Promise<OfflineUsageState | null> {
+    const usage = readOfflineUsage(this.pluginId, licenseId, licenseKey);
+    const receipt = typeof usage?.record === 'object' ? usage.record.receipt : null;
+    if (receipt && !(await this.verifyValidationReceipt(receipt, licenseId))) {
+      return { record: 'invalid', offlineDays: 0, clockRollback: false };
     }
+    return usage;
+  }
+
+  /**
+   * Move the offline usage record forward: a new receipt restarts the count, a successful
+   * remote check resets the last-seen time, otherwise it only advances
+   */
+  private recordOfflineUsage(license: License, usage: OfflineUsageState | null, validatedOnline: boolean, receipt: SignedValidationReceipt | null): void {
+    if (!usage) return;
+    const previous = typeof usage.record === 'object' ? usage.record : null;
+    const offlineGrace = this.config.remoteValidation.enabled && this.config.allowOffline;
+    const latestReceipt = receipt || previous?.receipt || null;
+    writeOfflineUsage({
+      pluginId: this.pluginId,
+      licenseId: license.id,
+      receipt: latestReceipt,
+      ...(!latestReceipt && previous?.migratedOnlineAt ? { migratedOnlineAt: previous.migratedOnlineAt } : {}),
+      lastSeenAt: validatedOnline ? new Date().toISOString() : advanceLastSeen(previous?.lastSeenAt),
+      maxOfflineDays: offlineGrace ? this.config.maxOfflineDays : null
+    });
+  }
+
+  /**
+   * Why the license cannot be used on this machine, or null when it can
+   */
+  private async checkMachineBinding(license: License): Promise<string | null> {
+    if (!license.machine) {
+      return license.nodeLocking || this.config.nodeLocking?.enabled ? 'License has not been activated on this machine' : null;
+    }
+    const current = await this.fingerprint();
+    if (!current) return null;
+
+    const tolerance = license.nodeLocking?.tolerance ?? 0;
+    const comparison = compareFingerprint(license.machine.components, current.components, tolerance);
+    if (comparison.matches) return null;
+    return `License is activated on a different machine (${comparison.changed.length} of ${comparison.total} hardware components changed, ${tolerance} allowed)`;
+  }
+
+  private nodeLockingTolerance(): number {
+    return Math.max(0, Math.floor(this.config.nodeLocking?.tolerance ?? 1));
   }
 
   /**
@@ -493,50 +839,139 @@ export class LicensingSystem {
   }
 
   /**
-   * Fallback key generation using Web Crypto API (for demo)
+   * The newest validly signed revocation list: the one in the configuration or the newest
+   * seen before on this machine, which is remembered per plugin
    */
-  private async generateKeyPairFallback(): Promise<{ publicKey: string; privateKey: string }> {
+  async getRevocationList(): Promise<RevocationList | null> {
+    const shipped = this.config.revocationList;
+    let cached: SignedRevocationList | null = null;
     try {
-      // Generate ECDSA key pair using Web Crypto API
-      const keyPair = await window.crypto.subtle.generateKey(
-        {
-          name: 'ECDSA',
-          namedCurve: 'P-256'
-        },
-        true,
-        ['sign', 'verify']
-      );
-
-      const publicKey = await window.crypto.subtle.exportKey('spki', keyPair.publicKey);
-      const privateKey = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+      const stored = localStorage.getItem(`license_revocations_${this.pluginId}`);
+      cached = stored ? JSON.parse(stored) : null;
+    } catch {
+      cached = null;
+    }
 
-      return {
-        publicKey: this.arrayBufferToBase64(publicKey),
-        privateKey: this.arrayBufferToBase64(privateKey)
-      };
-    } catch (error) {
-      throw new Error(`Fallback key generation failed: ${error.message}`);
+    const lists: RevocationList[] = [];
+    for (const signed of [shipped, cached]) {
+      if (signed && (await this.verifyRevocationList(signed))) lists.push(signed.list);
     }
+    const newest = lists.sort((a, b) => b.version - a.version)[0] || null;
+    if (newest && shipped && newest === shipped.list && newest.version > (cached?.list?.version ?? -1)) {
+      await this.rememberRevocationList(shipped);
+    }
+    return newest;
+  }
+
+  /**
+   * Whether a signed list is intact, signed with this plugin's key and meant for this plugin
+   */
+  async verifyRevocationList(signed: SignedRevocationList): Promise<boolean> {
+    if (!signed?.list || !Array.isArray(signed.list.entries) || typeof signed.signature !== 'string') return false;
+    if (signed.list.pluginId !== this.pluginId) return false;
+    return this.verifyText(revocationListText(signed.list), signed.signature);
   }
 
   /**
-   * Convert ArrayBuffer to base64 string
+   * Sign a receipt for a successful remote validation. License servers return it from their
+   * validation endpoint; clients count the offline grace period from it.
    */
-  private arrayBufferToBase64(buffer: ArrayBuffer): string {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let i = 0; i < bytes.byteLength; i++) {
-      binary += String.fromCharCode(bytes[i]);
+  async signValidationReceipt(licenseId: string): Promise<SignedValidationReceipt> {
+    const receipt: ValidationReceipt = { pluginId: this.pluginId, licenseId, validatedAt: new Date().toISOString() };
+    return { receipt, signature: await this.signText(validationReceiptText(receipt)) };
+  }
+
+  /**
+   * Whether a receipt is intact, signed with this plugin's key and for the given license
+   */
+  async verifyValidationReceipt(signed: SignedValidationReceipt, licenseId: string): Promise<boolean> {
+    if (!isReceiptFor(signed, this.pluginId, licenseId)) return false;
+    return this.verifyText(validationReceiptText(signed.receipt), signed.signature);
+  }
+
+  /**
+   * Add revocations to the plugin's list and sign it as a new version. The configuration is
+   * updated in place; callers persist `revocationList` so the next build ships it.
+   */
+  async addRevocations(entries: RevocationEntry[]): Promise<SignedRevocationList> {
+    const ids = new Set(entries.map(e => e.licenseId));
+    return this.signRevocationList([
+      ...(this.config.revocationList?.list.entries || []).filter(e => !ids.has(e.licenseId)),
+      ...entries
+    ]);
+  }
+
+  /**
+   * Take licenses off the revocation list, as a new signed version
+   */
+  async removeRevocations(licenseIds: string[]): Promise<SignedRevocationList> {
+    return this.signRevocationList((this.config.revocationList?.list.entries || []).filter(e => !licenseIds.includes(e.licenseId)));
+  }
+
+  /**
+   * Sign the current entries again, e.g. after the key pair was regenerated
+   */
+  async resignRevocationList(): Promise<SignedRevocationList> {
+    return this.signRevocationList(this.config.revocationList?.list.entries || []);
+  }
+
+  private async signRevocationList(entries: RevocationEntry[]): Promise<SignedRevocationList> {
+    const list: RevocationList = {
+      pluginId: this.pluginId,
+      version: (this.config.revocationList?.list.version || 0) + 1,
+      issuedAt: new Date().toISOString(),
+      entries
+    };
+    const signed = { list, signature: await this.signText(revocationListText(list)) };
+    this.config.revocationList = signed;
+    return signed;
+  }
+
+  /**
+   * Keep a list for offline use if it verifies and is newer than the one kept so far
+   */
+  private async rememberRevocationList(signed: SignedRevocationList): Promise<void> {
+    if (!(await this.verifyRevocationList(signed))) return;
+    try {
+      const key = `license_revocations_${this.pluginId}`;
+      const stored = localStorage.getItem(key);
+      if (stored && JSON.parse(stored)?.list?.version >= signed.list.version) return;
+      localStorage.setItem(key, JSON.stringify(signed));
+    } catch {
+      // No storage outside the browser: the shipped list is still consulted
     }
-    return btoa(binary);
   }
 
   /**
-   * Revoke a license remotely
+   * The entry revoking a license, or one revoking the license it was activated from
+   */
+  private async findRevocation(license: License): Promise<RevocationEntry | null> {
+    const list = await this.getRevocationList();
+    if (!list) return null;
+    const ids = [license.id, license.metadata?.activationOf].filter(Boolean);
+    return list.entries.find(entry => ids.includes(entry.licenseId)) || null;
+  }
+
+  /**
+   * Revoke a license: record it in the signed revocation list when the private key is at hand,
+   * and tell the license server when one is configured
    */
   async revokeLicense(licenseKey: string, reason?: string): Promise<boolean> {
+    let recorded = false;
+    if (this.config.cryptography.privateKey) {
+      const { payload } = await this.decodeLicense(licenseKey);
+      await this.addRevocations([{
+        // Revoking an activated copy revokes the license it was activated from
+        licenseId: payload.metadata?.activationOf || payload.id,
+        revokedAt: new Date().toISOString(),
+        reason: reason || 'Manual revocation'
+      }]);
+      recorded = true;
+    }
+
     try {
       if (!this.config.licenseServer.url) {
+        if (recorded) return true;
         throw new Error('License server not configured');
       }
 
@@ -552,10 +987,10 @@ export class LicensingSystem {
         })
       });
 
-      return response.ok;
+      return response.ok || recorded;
     } catch (error) {
       console.error('Failed to revoke license:', error);
-      return false;
+      return recorded;
     }
   }
 
@@ -611,6 +1046,10 @@ export const LicenseUtils = {
       if (config.remoteValidation.enabled && !config.remoteValidation.endpoint) {
         errors.push('Remote validation endpoint is required when remote validation is enabled');
       }
+
+      if (config.nodeLocking?.enabled && !(config.nodeLocking.tolerance >= 0 && config.nodeLocking.tolerance <= 3)) {
+        errors.push('Node locking tolerance must be between 0 and 3 changed components');
+      }
     }
 
     return errors;
@@ -642,15 +1081,29 @@ export const LicenseUtils = {
         url: '',
         apiKey: '',
         allowSelfSigned: false
+      },
+      nodeLocking: {
+        enabled: false,
+        tolerance: 1
       }
     };
   },
 
   /**
-   * Format license for display
+   * Decode a license key of either format into its payload and signature without verifying it
+   */
+  decodeLicenseKey(licenseKey: string): { payload: any; signature: string } {
+    const { payload, signature } = decodeLicenseKey(licenseKey);
+    return { payload, signature };
+  },
+
+  /**
+   * Format license for display: v2 keys in their checksummed groups, v1 keys in groups of 4
    */
   formatLicenseKey(licenseKey: string): string {
     if (!licenseKey) return '';
+    // v2 keys come in checksummed groups already
+    if (licenseKey.trim().toUpperCase().startsWith(LICENSE_KEY_PREFIX_V2)) return normalizeLicenseKey(licenseKey);
     
     // Remove prefix
     const key = licenseKey.startsWith('LYC-') ? licenseKey.substring(4) : licenseKey;
@@ -0,0 +1,93 @@
+/**
+ * Machine Fingerprint
+ * Deterministic identity of the machine a node-locked license is activated on
+ *
+ * A fingerprint is a set of named components, each the first 16 hex digits of
+ * SHA-256("name:value") for one identifier of the machine, so licenses never carry the raw
+ * values; its id is the SHA-256 of the "name=hash" lines in name order. Inside Tauri the
+ * backend gathers the components (machine id, hostname, platform, CPU), elsewhere the
+ * browser's coarser signals stand in. src-tauri/src/machine_fingerprint.rs compares bindings
+ * the same way as compareFingerprint.
+ */
+
+import { invoke, isTauri } from '@tauri-apps/api/core';
+
+export interface MachineFingerprint {
+  id: string;
+  components: Record<string, string>;
+}
+
+/** The machine a license was activated on, as signed into the license */
+export interface MachineBinding extends MachineFingerprint {
+  activatedAt: string;
+}
+
+export interface FingerprintComparison {
+  matches: boolean;
+  /** Names of bound components that differ here or are missing */
+  changed: string[];
+  total: number;
+}
+
+let current: Promise<MachineFingerprint> | null = null;
+
+/**
+ * This machine's fingerprint, gathered once per session
+ */
+export function getMachineFingerprint(): Promise<MachineFingerprint> {
+  if (!current) {
+    current = isTauri()
+      ? invoke<MachineFingerprint>('get_machine_fingerprint')
+      : fingerprintFromValues(browserValues());
+    current.catch(() => { current = null; });
+  }
+  return current;
+}
+
+/**
+ * A binding matches while at most `tolerance` components changed and at least one did not
+ */
+export function compareFingerprint(bound: Record<string, string>, components: Record<string, string>, tolerance: number): FingerprintComparison {
+  const names = Object.keys(bound || {});
+  const changed = names.filter(name => components[name] !== bound[name]);
+  return {
+    matches: names.length > 0 && changed.length <= Math.max(0, tolerance) && changed.length < names.length,
+    changed,
+    total: names.length
+  };
+}
+
+/**
+ * Short form of a fingerprint id for display and for sending to a vendor
+ */
+export function formatMachineId(id: string): string {
+  return (id || '').slice(0, 20).toUpperCase().match(/.{1,4}/g)?.join('-') || '';
+}
+
+async function fingerprintFromValues(values: Record<string, string>): Promise<MachineFingerprint> {
+  const components: Record<string, string> = {};
+  for (const name of Object.keys(values).sort()) {
+    components[name] = (await sha256Hex(`${name}:${values[name].trim()}`)).slice(0, 16);
+  }
+  const lines = Object.keys(components).map(name => `${name}=${components[name]}`);
+  return { id: await sha256Hex(lines.join('\n')), components };
+}
+
+function browserValues(): Record<string, string> {
+  const values: Record<string, string> = {};
+  const nav: any = typeof navigator === 'undefined' ? undefined : navigator;
+  const platform = nav?.userAgentData?.platform || nav?.platform;
+  if (platform) values.platform = String(platform);
+  if (nav?.hardwareConcurrency) values.cpuCount = String(nav.hardwareConcurrency);
+  if (nav?.language) values.language = String(nav.language);
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (timeZone) values.timeZone = timeZone;
+  const screen: any = typeof window === 'undefined' ? undefined : window.screen;
+  if (screen?.width) values.screen = `${screen.width}x${screen.height}x${screen.colorDepth}`;
+  return values;
+}
+
+async function sha256Hex(text: string): Promise<string> {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
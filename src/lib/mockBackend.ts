@@ -0,0 +1,179 @@
+/**
+ * Mock Backend
+ * Per-plugin mock definitions for the Tauri commands a plugin invokes, used by the simulator
+ *
+ * Mocks live in the .lycplugin under `simulator.mocks`, keyed by command name. A mock returns
+ * a canned response (or a list of responses, one per call, the last repeating), rejects with an error, waits for a delay, or
+ * runs a small JS handler `(args, state, call) => response` where `state` is shared by every
+ * handler for the lifetime of one simulator session.
+ */
+
+export interface CommandMock {
+  description?: string;
+  response?: any;
+  responses?: any[];
+  error?: string;
+  delayMs?: number;
+  handler?: string;
+}
+
+export type CommandMocks = Record<string, CommandMock>;
+
+const MOCK_KEYS = ['response', 'responses', 'error', 'delayMs', 'handler', 'description'];
+
+/**
+ * Mocks stored in a plugin document, or an empty table
+ */
+export function getPluginMocks(doc: any): CommandMocks {
+  const mocks = doc?.simulator?.mocks;
+  return mocks && typeof mocks === 'object' && !Array.isArray(mocks) ? mocks : {};
+}
+
+/**
+ * Parse a mock table edited as JSON
+ */
+export function parseCommandMocks(text: string): CommandMocks {
+  if (!text.trim()) return {};
+  let parsed: any;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e: any) {
+    throw new Error(`Mocks are not valid JSON: ${e?.message || e}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Mocks must be an object keyed by command name');
+  }
+  return parsed;
+}
+
+/**
+ * Return a copy of doc with its mock table replaced
+ */
+export function setPluginMocks(doc: any, mocks: CommandMocks): any {
+  return { ...doc, simulator: { ...(doc?.simulator || {}), mocks } };
+}
+
+/**
+ * Add a placeholder mock for every declared or sequenced command that has none yet
+ */
+export function addMissingMocks(doc: any, mocks: CommandMocks): CommandMocks {
+  const next: CommandMocks = { ...mocks };
+  for (const command of referencedCommands(doc)) {
+    if (!next[command]) next[command] = { response: { success: true, data: null }, delayMs: 100 };
+  }
+  return next;
+}
+
+/**
+ * Check a mock table for problems the simulator would hit at call time
+ */
+export function checkMocks(doc: any, mocks: CommandMocks = getPluginMocks(doc)): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const declared: string[] = Array.isArray(doc?.metadata?.tauriCommands) ? doc.metadata.tauriCommands : [];
+
+  for (const [command, mock] of Object.entries(mocks)) {
+    const label = `simulator.mocks.${command}`;
+    if (!mock || typeof mock !== 'object' || Array.isArray(mock)) {
+      errors.push(`${label} must be an object`);
+      continue;
+    }
+    for (const key of Object.keys(mock)) {
+      if (!MOCK_KEYS.includes(key)) warnings.push(`${label}: unknown key "${key}"`);
+    }
+    if (mock.delayMs !== undefined && (typeof mock.delayMs !== 'number' || mock.delayMs < 0)) {
+      errors.push(`${label}.delayMs must be a non-negative number`);
+    }
+    if (mock.responses !== undefined && (!Array.isArray(mock.responses) || mock.responses.length === 0)) {
+      errors.push(`${label}.responses must be a non-empty array`);
+    }
+    if (mock.error !== undefined && typeof mock.error !== 'string') {
+      errors.push(`${label}.error must be a string`);
+    }
+    if (mock.handler !== undefined) {
+      if (typeof mock.handler !== 'string') {
+        errors.push(`${label}.handler must be a string of JavaScript`);
+      } else {
+        try {
+          new Function('args', 'state', 'call', mock.handler);
+        } catch (e: any) {
+          errors.push(`${label}.handler: ${e?.message || e}`);
+        }
+      }
+    }
+    if (!declared.includes(command) && !command.startsWith('centcom.')) {
+      warnings.push(`${label} mocks a command not declared in metadata.tauriCommands`);
+    }
+  }
+
+  for (const command of declared) {
+    if (!mocks[command]) warnings.push(`No simulator mock for '${command}'; the default stub response is used`);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Resolve one mocked call. Runs inside the simulator iframe (serialized with toString), so it
+ * must only use its parameters and browser globals.
+ */
+export function resolveMockCall(mock: CommandMock, args: any, state: any, call: number): Promise<any> {
+  const clone = (value: any) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  const settle = (): Promise<any> => {
+    if (typeof mock.error === 'string') return Promise.reject(new Error(mock.error));
+    if (typeof mock.handler === 'string') {
+      const handler = new Function('args', 'state', 'call', mock.handler);
+      return Promise.resolve().then(() => handler(args, state, call));
+    }
+    if (Array.isArray(mock.responses) && mock.responses.length > 0) {
+      return Promise.resolve(clone(mock.responses[Math.min(call, mock.responses.length - 1)]));
+    }
+    return Promise.resolve(clone(mock.response));
+  };
+  const delay = typeof mock.delayMs === 'number' && mock.delayMs > 0 ? mock.delayMs : 0;
+  return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)).then(settle) : settle();
+}
+
+/**
+ * invoke() for code running in the studio itself (the sequencer runner), answering with the
+ * same rules as the simulator iframe: the plugin's mocks first, then the stub table, where
+ * '*' answers unlisted commands and `{ "$error": "message" }` rejects.
+ */
+export function createMockInvoke(
+  mocks: CommandMocks,
+  stubs: Record<string, any>,
+  onCall?: (call: { name: string; args: any; source: 'mock' | 'stub' | 'default'; response?: any; error?: string; durationMs: number }) => void
+): (command: string, args?: any) => Promise<any> {
+  const state: Record<string, any> = {};
+  const calls: Record<string, number> = {};
+  return (command, args) => {
+    const started = Date.now();
+    const mocked = Object.prototype.hasOwnProperty.call(mocks, command);
+    const listed = Object.prototype.hasOwnProperty.call(stubs, command);
+    const source = mocked ? 'mock' : listed ? 'stub' : 'default';
+    let result: Promise<any>;
+    if (mocked) {
+      const call = calls[command] = (calls[command] || 0) + 1;
+      result = resolveMockCall(mocks[command], args, state, call - 1);
+    } else {
+      const value = listed ? stubs[command] : stubs['*'];
+      result = value && typeof value === 'object' && typeof value.$error === 'string'
+        ? Promise.reject(new Error(value.$error))
+        : Promise.resolve(value === undefined ? null : JSON.parse(JSON.stringify(value)));
+    }
+    return result.then(
+      response => { onCall?.({ name: command, args, source, response, durationMs: Date.now() - started }); return response; },
+      error => { onCall?.({ name: command, args, source, error: error?.message || String(error), durationMs: Date.now() - started }); throw error; }
+    );
+  };
+}
+
+function referencedCommands(doc: any): string[] {
+  const commands = new Set<string>();
+  for (const command of Array.isArray(doc?.metadata?.tauriCommands) ? doc.metadata.tauriCommands : []) {
+    commands.add(String(command));
+  }
+  for (const step of Array.isArray(doc?.sequencer?.steps) ? doc.sequencer.steps : []) {
+    if (step?.command) commands.add(String(step.command));
+  }
+  return [...commands];
+}
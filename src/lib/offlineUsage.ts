@@ -0,0 +1,144 @@
+/**
+ * Offline Usage
+ * Record of when a license was last validated online on this machine
+ *
+ * LicensingSystem keeps one record per license in localStorage under `license_usage_<licenseId>`
+ * and counts the offline grace period from it. The grace period starts at a validation receipt:
+ * the license id and the time of a successful remote validation, signed by the license server
+ * with the plugin's private key. Only the receipt is trusted, so editing the record cannot move
+ * the start of the grace period; a record whose receipt does not verify counts as unreadable.
+ *
+ * `lastSeenAt` is the latest clock reading seen while validating and never decreases: offline
+ * days are counted up to it, and a clock earlier than it is reported as a rollback. The receipt
+ * carries the server's clock, so offline days are off by however far the two clocks differ. A
+ * missing or unreadable record carries no grace period, so clearing storage does not reset the
+ * count.
+ *
+ * Versions before the record kept the time of the first check in `license_check_<key>`. A
+ * license without a record starts from that entry, once: it is moved into `migratedOnlineAt`
+ * and removed. It is unsigned, so it only counts until the license's first receipt.
+ */
+
+export interface ValidationReceipt {
+  pluginId: string;
+  licenseId: string;
+  /** When the license server validated the license, by its own clock */
+  validatedAt: string;
+}
+
+export interface SignedValidationReceipt {
+  receipt: ValidationReceipt;
+  signature: string;
+}
+
+export interface OfflineUsageRecord {
+  pluginId: string;
+  licenseId: string;
+  /** Receipt of the last successful remote validation, null until there has been one on this machine */
+  receipt: SignedValidationReceipt | null;
+  /** Check time taken over from the `license_check_<key>` entry, until there is a receipt */
+  migratedOnlineAt?: string;
+  lastSeenAt: string;
+  /** The limit validation enforced, null when the plugin does not validate online */
+  maxOfflineDays: number | null;
+}
+
+export interface OfflineUsageState {
+  /** 'missing' when there is no record, 'invalid' when it cannot be read or is for another license */
+  record: OfflineUsageRecord | 'missing' | 'invalid';
+  offlineDays: number;
+  clockRollback: boolean;
+}
+
+/** Clock drift tolerated before an earlier time counts as a rollback */
+export const CLOCK_ROLLBACK_TOLERANCE_MS = 5 * 60 * 1000;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Read the record for a license; null where there is no storage to keep one. The receipt is
+ * not verified here: callers check it against the plugin's public key before trusting it.
+ */
+export function readOfflineUsage(pluginId: string, licenseId: string, licenseKey: string): OfflineUsageState | null {
+  let stored: string | null;
+  try {
+    stored = localStorage.getItem(storageKey(licenseId));
+  } catch {
+    return null;
+  }
+  if (!stored) {
+    const migrated = migrateLegacyCheck(pluginId, licenseId, licenseKey);
+    return migrated ? evaluateOfflineUsage(migrated) : { record: 'missing', offlineDays: 0, clockRollback: false };
+  }
+
+  try {
+    const { record } = JSON.parse(stored);
+    if (record?.pluginId !== pluginId || record?.licenseId !== licenseId || typeof record.lastSeenAt !== 'string' || record.receipt === undefined) {
+      return { record: 'invalid', offlineDays: 0, clockRollback: false };
+    }
+    return evaluateOfflineUsage(record);
+  } catch {
+    return { record: 'invalid', offlineDays: 0, clockRollback: false };
+  }
+}
+
+/**
+ * Store a record
+ */
+export function writeOfflineUsage(record: OfflineUsageRecord): void {
+  try {
+    localStorage.setItem(storageKey(record.licenseId), JSON.stringify({ record }));
+  } catch {
+    // No storage outside the browser; readOfflineUsage reports null there too
+  }
+}
+
+/**
+ * Offline days and clock rollback of a verified record at `now`
+ */
+export function evaluateOfflineUsage(record: OfflineUsageRecord, now: Date = new Date()): OfflineUsageState {
+  const lastOnlineAt = record.receipt ? record.receipt.receipt.validatedAt : record.migratedOnlineAt;
+  const lastOnline = lastOnlineAt ? new Date(lastOnlineAt).getTime() : null;
+  const lastSeen = new Date(record.lastSeenAt).getTime();
+  const clockRollback = now.getTime() < lastSeen - CLOCK_ROLLBACK_TOLERANCE_MS;
+  let offlineDays = 0;
+  if (lastOnline !== null) {
+    const latest = Math.max(now.getTime(), lastSeen);
+    offlineDays = Math.max(0, Math.floor((latest - lastOnline) / DAY_MS));
+  }
+  return { record, offlineDays, clockRollback };
+}
+
+/**
+ * Later of the recorded high-water mark and `now`, as an ISO string
+ */
+export function advanceLastSeen(lastSeenAt: string | undefined, now: Date = new Date()): string {
+  const lastSeen = lastSeenAt ? new Date(lastSeenAt).getTime() : NaN;
+  return Number.isFinite(lastSeen) && lastSeen > now.getTime() ? lastSeenAt! : now.toISOString();
+}
+
+/**
+ * Turn the `license_check_<key>` entry of older versions into a record, and remove it
+ */
+function migrateLegacyCheck(pluginId: string, licenseId: string, licenseKey: string): OfflineUsageRecord | null {
+  const legacyKey = `license_check_${licenseKey}`;
+  const checkedAt = new Date(localStorage.getItem(legacyKey) || NaN);
+  if (Number.isNaN(checkedAt.getTime())) return null;
+  const now = new Date();
+  const record: OfflineUsageRecord = {
+    pluginId,
+    licenseId,
+    receipt: null,
+    // An entry from the future would stretch the grace period
+    migratedOnlineAt: new Date(Math.min(checkedAt.getTime(), now.getTime())).toISOString(),
+    lastSeenAt: now.toISOString(),
+    maxOfflineDays: null
+  };
+  writeOfflineUsage(record);
+  localStorage.removeItem(legacyKey);
+  return record;
+}
+
+function storageKey(licenseId: string): string {
+  return `license_usage_${licenseId}`;
+}
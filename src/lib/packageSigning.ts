@@ -0,0 +1,173 @@
+/**
+ * Package Signing
+ * Author signatures over whole .lycplugin packages, and the trust check on import
+ *
+ * The author key (ECDSA P-256) lives in the keystore, never in the document. Signing adds a
+ * `signature` block holding the author's name, public key and key id and a signature over
+ * those and the canonical JSON of everything else, integrity block included. A package whose signature
+ * verifies is `trusted` only when its public key is in the trusted author list; otherwise it is
+ * `untrusted`. Key ids are for showing and comparing keys by eye, never for the trust decision. A signature that does not verify makes it `tampered`, as does an integrity
+ * block (buildManifest.ts) that no longer matches.
+ */
+
+import { canonicalJson, generateLicenseKeyPair, signLicensePayload, verifyLicensePayload } from './licensing';
+import { sha256Hex, verifyPluginIntegrity } from './buildManifest';
+import type { AuthorKey } from './keystore';
+
+export const TRUSTED_AUTHORS_FILE = 'trusted-authors.json';
+
+export interface PackageSignature {
+  algorithm: 'ECDSA-P256';
+  hash: 'SHA-256';
+  author: string;
+  keyId: string;
+  publicKey: string;
+  signedAt: string;
+  value: string;
+}
+
+export interface TrustedAuthor {
+  keyId: string;
+  name: string;
+  publicKey: string;
+  addedAt: string;
+}
+
+export type PackageTrust = 'trusted' | 'untrusted' | 'unsigned' | 'tampered';
+
+export interface PackageVerification {
+  trust: PackageTrust;
+  /** Signer as the package claims it; only vouched for when trusted */
+  author?: string;
+  keyId?: string;
+  problems: string[];
+}
+
+/**
+ * A new author key; store it with writeAuthorKey and trust its public key
+ */
+export async function generateAuthorKey(name: string): Promise<AuthorKey> {
+  if (!name.trim()) throw new Error('Author name is required');
+  return { name: name.trim(), ...(await generateLicenseKeyPair('ECDSA-P256', 'SHA-256')) };
+}
+
+/**
+ * Short id for a public key: the first 16 hex digits of the SHA-256 of its PEM body
+ */
+export async function authorKeyId(publicKey: string): Promise<string> {
+  return (await sha256Hex(keyBody(publicKey))).slice(0, 16);
+}
+
+/**
+ * A copy of the package signed by `key`, replacing any earlier signature
+ */
+export async function signPluginPackage(doc: any, key: AuthorKey): Promise<any> {
+  const content = unsigned(doc);
+  const signer: Omit<PackageSignature, 'value'> = {
+    algorithm: 'ECDSA-P256',
+    hash: 'SHA-256',
+    author: key.name,
+    keyId: await authorKeyId(key.publicKey),
+    publicKey: key.publicKey,
+    signedAt: new Date().toISOString()
+  };
+  const value = await signLicensePayload(packageText(content, signer), key.privateKey, 'ECDSA-P256', 'SHA-256');
+  return { ...content, signature: { ...signer, value } };
+}
+
+/**
+ * Check a package as read from disk, before migration changes it
+ */
+export async function verifyPluginPackage(doc: any, trusted: TrustedAuthor[]): Promise<PackageVerification> {
+  const problems: string[] = [];
+  const integrity = doc?.integrity ? await verifyPluginIntegrity(doc) : null;
+  if (integrity?.status === 'tampered') problems.push(...integrity.problems);
+
+  const signature: PackageSignature | undefined = doc?.signature;
+  if (!signature || typeof signature !== 'object') {
+    problems.unshift('The package is not signed');
+    return { trust: integrity?.status === 'tampered' ? 'tampered' : 'unsigned', problems };
+  }
+  const claimed = { author: String(signature.author || ''), keyId: String(signature.keyId || '') };
+  let verified = false;
+  try {
+    verified = signature.algorithm === 'ECDSA-P256'
+      && claimed.keyId === (await authorKeyId(String(signature.publicKey || '')))
+      && (await verifyLicensePayload(packageText(unsigned(doc), signature), String(signature.value || ''), signature.publicKey, 'ECDSA-P256', 'SHA-256'));
+  } catch (error: any) {
+    problems.push(`The signature could not be checked: ${error?.message || error}`);
+  }
+  if (!verified) {
+    problems.unshift('The package was changed after it was signed');
+    return { trust: 'tampered', ...claimed, problems };
+  }
+  if (problems.length > 0) return { trust: 'tampered', ...claimed, problems };
+  const signer = keyBody(String(signature.publicKey));
+  if (!trusted.some(author => keyBody(String(author.publicKey)) === signer)) {
+    return { trust: 'untrusted', ...claimed, problems: [`${claimed.author || 'The author'} (key ${claimed.keyId}) is not a trusted author`] };
+  }
+  return { trust: 'trusted', ...claimed, problems };
+}
+
+/**
+ * The trusted author entry for a public key, as added from settings or from a signed package
+ */
+export async function trustedAuthorFor(name: string, publicKey: string): Promise<TrustedAuthor> {
+  try {
+    // Verifying an empty signature imports the key without needing a real signature
+    await verifyLicensePayload('', '', publicKey, 'ECDSA-P256', 'SHA-256');
+  } catch {
+    throw new Error('Not an ECDSA P-256 public key in PEM form');
+  }
+  return { keyId: await authorKeyId(publicKey), name, publicKey, addedAt: new Date().toISOString() };
+}
+
+/**
+ * Parse the trusted author list; empty when there is none yet
+ */
+export function parseTrustedAuthors(text: string | null): TrustedAuthor[] {
+  if (!text) return [];
+  let list: any;
+  try {
+    list = JSON.parse(text);
+  } catch (error: any) {
+    throw new Error(`Trusted author list is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error('Trusted author list must be an array');
+  return list.filter(author => author?.keyId && author?.publicKey);
+}
+
+export function serializeTrustedAuthors(list: TrustedAuthor[]): string {
+  return JSON.stringify(list, null, 2);
+}
+
+/** Short label for a verification, for logs and badges */
+export function describePackageTrust(verification: PackageVerification): string {
+  switch (verification.trust) {
+    case 'trusted':
+      return `Signed by ${verification.author} (key ${verification.keyId})`;
+    case 'untrusted':
+      return `Signed by an untrusted author: ${verification.author || 'unknown'} (key ${verification.keyId})`;
+    case 'unsigned':
+      return 'Unsigned package';
+    case 'tampered':
+      return 'Tampered package: it does not match its signature or integrity block';
+  }
+}
+
+function unsigned(doc: any): any {
+  const { signature: _signature, ...content } = doc ?? {};
+  return content;
+}
+
+// The signer's details are signed with the package, so the author name cannot be swapped.
+// The prefix keeps a package signature from passing as any other signed payload.
+function packageText(content: any, signature: Omit<PackageSignature, 'value'>): string {
+  const { value: _value, ...signer } = signature as PackageSignature;
+  return `lyc-plugin-package:${canonicalJson({ package: content, signer })}`;
+}
+
+// The PEM body of a key, so line breaks and headers do not matter when comparing
+function keyBody(publicKey: string): string {
+  return publicKey.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+}
@@ -0,0 +1,145 @@
+/**
+ * Plugin Build
+ * Build steps shared by the studio UI and the pds CLI
+ *
+ * Nothing here touches Tauri or the filesystem: callers read and persist the document,
+ * run the npm scripts and copy artifacts with whatever runtime they have.
+ */
+
+import { SimpleGuiGenerator, convertToSimpleConfig } from './simpleGuiGenerator';
+import { getGuiTabs, flattenGuiTabs } from './guiTabs';
+import { LicensingSystem } from './licensing';
+import { KeystoreSecrets, applyLicensingSecrets } from './keystore';
+
+export type VersionPart = 'major' | 'minor' | 'patch';
+
+export type BuildFailureKind = 'esModule' | 'missingDependencies';
+
+export interface GeneratedFrontend {
+  componentCount: number;
+  code: string | null;
+}
+
+/**
+ * Regenerate frontend.main from the GUI designer tabs.
+ * Leaves the document untouched (and returns code: null) when the designer has no components.
+ */
+export function generateFrontendFromGui(doc: any): GeneratedFrontend {
+  const tabs = getGuiTabs(doc?.gui);
+  const components = flattenGuiTabs(tabs);
+  if (components.length === 0) return { componentCount: 0, code: null };
+
+  // Always use the simple generator: its output is transpilation-safe in Centcom
+  const simpleConfig = convertToSimpleConfig({
+    tabs,
+    components,
+    settings: doc?.gui?.settings || { layout: 'tabs', theme: 'default', responsive: true }
+  }, doc?.sequencer, doc?.licensing);
+  const code = SimpleGuiGenerator.generateSimpleComponent(simpleConfig, 'PluginGUI');
+
+  if (!doc.frontend) doc.frontend = {};
+  doc.frontend.main = code;
+  return { componentCount: components.length, code };
+}
+
+/**
+ * Make sure the revocation list shipped in the build verifies against the plugin's key.
+ * A list left behind by a regenerated key pair or a renamed plugin is signed again when
+ * the private key is at hand (in `secrets`, from the keystore), since the runtime ignores
+ * lists that do not verify.
+ */
+export async function prepareRevocationList(doc: any, secrets: KeystoreSecrets = {}): Promise<{ messages: string[]; errors: string[] }> {
+  const messages: string[] = [];
+  const errors: string[] = [];
+  const licensing = doc?.licensing;
+  const signed = licensing?.revocationList;
+  if (!licensing?.enabled || !signed) return { messages, errors };
+
+  const pluginId = String(doc?.metadata?.id || '');
+  // LicensingSystem replaces revocationList on the config it holds
+  const system = new LicensingSystem(pluginId, applyLicensingSecrets(licensing, secrets));
+  const count = (list: any) => `${list.entries.length} revoked license${list.entries.length === 1 ? '' : 's'}`;
+  if (await system.verifyRevocationList(signed)) {
+    messages.push(`Shipping revocation list v${signed.list.version} (${count(signed.list)})`);
+  } else if ((secrets.privateKey || licensing.cryptography?.privateKey) && Array.isArray(signed?.list?.entries)) {
+    try {
+      licensing.revocationList = await system.resignRevocationList();
+      messages.push(`Signed the revocation list again as v${licensing.revocationList.list.version} (${count(signed.list)}): its signature did not match the plugin's key`);
+    } catch (error: any) {
+      errors.push(`Could not sign the revocation list: ${error?.message || error}`);
+    }
+  } else {
+    errors.push(licensing.keyId
+      ? 'The revocation list does not verify against the plugin\'s key; unlock the keystore so it can be signed again'
+      : 'The revocation list does not verify against the plugin\'s key; generate keys or sign it again in the Licensing panel');
+  }
+  return { messages, errors };
+}
+
+/**
+ * Increment one part of a semver string. Versions that are not x.y.z fall back to 1.0.1.
+ */
+export function bumpVersion(version: string, part: VersionPart = 'patch'): string {
+  const parts = version.split('.').map(Number);
+  if (parts.length !== 3 || parts.some(n => !Number.isInteger(n) || n < 0)) return '1.0.1';
+  if (part === 'major') return `${parts[0] + 1}.0.0`;
+  if (part === 'minor') return `${parts[0]}.${parts[1] + 1}.0`;
+  return `${parts[0]}.${parts[1]}.${parts[2] + 1}`;
+}
+
+/**
+ * File name used when exporting a build: `<id>-v<version>.lycplugin`
+ */
+export function exportFileName(doc: any, pluginName: string): string {
+  const meta = doc?.metadata || {};
+  // Use plugin ID instead of display name to ensure consistency with route
+  const pluginId = (meta.id || pluginName).toString().toLowerCase().replace(/\s+/g, '-');
+  const version = (meta.version || '1.0.0').toString();
+  return `${pluginId}-v${version}.lycplugin`;
+}
+
+/**
+ * Recognise npm build failures the studio knows how to repair before retrying
+ */
+export function classifyBuildFailure(stderr: string): BuildFailureKind | null {
+  if (stderr.includes('require is not defined in ES module scope') || stderr.includes('can use import instead')) {
+    return 'esModule';
+  }
+  if (stderr.includes('Cannot find package') && (stderr.includes('vite') || stderr.includes('node_modules'))) {
+    return 'missingDependencies';
+  }
+  return null;
+}
+
+/**
+ * Problems in an exported artifact that would break the Centcom import
+ */
+export function checkExportedMetadata(doc: any): { errors: string[]; warnings: string[] } {
+  const meta = doc?.metadata || {};
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  if (!meta.route || String(meta.route).startsWith('#')) {
+    errors.push(`Exported plugin has invalid route: ${meta.route}`);
+  }
+  if (!meta.icon) {
+    warnings.push('Exported plugin has no icon');
+  }
+  if (meta.route !== `/${meta.id}`) {
+    warnings.push(`Route (${meta.route}) doesn't match expected (/${meta.id})`);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * scripts/build.js for a plugin folder: runs vite and copies the .lycplugin into dist/
+ */
+export function pluginBuildScript(pluginId: string): string {
+  return `import fs from 'fs';\nimport path from 'path';\nimport {exec} from 'child_process';\nconsole.log('Building plugin...');\nexec('npx vite build',(e,so,se)=>{if(so)process.stdout.write(so);if(se)process.stderr.write(se);if(e){console.error('Vite build failed');process.exit(1);}const root=process.cwd();const id='${pluginId}';const src=path.join(root,id+'.lycplugin');const dist=path.join(root,'dist');if(!fs.existsSync(dist))fs.mkdirSync(dist,{recursive:true});if(!fs.existsSync(src)){console.error('Missing .lycplugin at',src);process.exit(1);}fs.copyFileSync(src,path.join(dist,id+'.lycplugin'));console.log('Wrote',path.join(dist,id+'.lycplugin'));});\n`;
+}
+
+/**
+ * scripts/validate.js for a plugin folder
+ */
+export function pluginValidateScript(pluginId: string): string {
+  return `import fs from 'fs';\nimport path from 'path';\nconst p=path.join(process.cwd(),'${pluginId}.lycplugin');try{const d=JSON.parse(fs.readFileSync(p,'utf8'));if(!d.metadata||!d.metadata.id){console.error('Missing metadata.id');process.exit(1);}console.log('Validation OK');}catch(e){console.error('Validation error',e);process.exit(1);}\n`;
+}
@@ -1,17 +1,22 @@
 /**
  * Automated Plugin Debugging and Testing System for PDE
- * 
- * This utility provides comprehensive automated debugging for plugin transpilation,
- * dramatically reducing the time needed to identify and fix issues.
- * 
+ *
+ * This utility transpiles plugin code with the same AST pipeline used for export
+ * (see pluginTranspiler.ts) and then executes it against a mocked Centcom loader.
+ * Failures are reported with line and column positions in the original source;
+ * there is no fallback to placeholder components.
+ *
  * Used in the Plugin Development Environment (PDE) to test plugins before export.
  */
 
-interface DebugResult {
+import { transpilePluginCode, mapToOriginalPosition, buildCodeFrame, TranspileDiagnostic, LOADER_RETURN } from './pluginTranspiler';
+
+export interface DebugResult {
   success: boolean;
   error?: string;
   fixes: string[];
   warnings: string[];
+  diagnostics: TranspileDiagnostic[];
   metrics: {
     originalSize: number;
     transformedSize: number;
@@ -22,21 +27,17 @@ interface DebugResult {
   finalCode?: string;
 }
 
-interface TranspilationStrategy {
-  name: string;
-  description: string;
-  execute: (code: string) => string;
+interface ExecutionResult {
+  success: boolean;
+  error?: string;
+  line?: number;
+  column?: number;
 }
 
-class PluginDebugger {
-  private strategies: TranspilationStrategy[] = [];
-  private commonFixes: Array<{ pattern: RegExp; replacement: string; description: string }> = [];
-
-  constructor() {
-    this.initializeStrategies();
-    this.initializeCommonFixes();
-  }
+// new Function() prepends "function anonymous(<params>\n) {\n" to the body
+const FUNCTION_WRAPPER_LINES = 2;
 
+class PluginDebugger {
   /**
    * Test plugin transpilation with comprehensive debugging
    */
@@ -46,6 +47,7 @@ class PluginDebugger {
       success: false,
       fixes: [],
       warnings: [],
+      diagnostics: [],
       metrics: {
         originalSize: pluginCode.length,
         transformedSize: 0,
@@ -62,155 +64,58 @@ class PluginDebugger {
     const analysis = this.analyzeCode(pluginCode);
     result.warnings.push(...analysis.warnings);
 
-    // Step 2: Try strategies in order of preference, with special handling for Enhanced Conservative
-    for (const strategy of this.strategies) {
-      console.log(`🔄 [STRATEGY] Trying: ${strategy.name}`);
-      
-      try {
-        const transformedCode = strategy.execute(pluginCode);
-        const testResult = await this.testCodeExecution(transformedCode, pluginName);
-        
-        if (testResult.success) {
-          console.log(`✅ [SUCCESS] Strategy '${strategy.name}' worked!`);
-          result.success = true;
-          result.finalCode = transformedCode;
-          result.metrics.transformedSize = transformedCode.length;
-          result.fixes.push(`Strategy: ${strategy.name} - ${strategy.description}`);
-          
-          // Add detailed fixes information for Enhanced Conservative
-          if (strategy.name === "Enhanced Conservative") {
-            result.fixes.push('Applied comprehensive syntax fixes based on Centcom transpilation patterns');
-            result.fixes.push('Fixed React.createElement concatenation issues');
-            result.fixes.push('Corrected parentheses imbalance');
-            result.fixes.push('Resolved style object syntax errors');
-          }
-          
-          break;
-        } else {
-          console.log(`❌ [FAILED] Strategy '${strategy.name}': ${testResult.error}`);
-          result.warnings.push(`Strategy '${strategy.name}' failed: ${testResult.error}`);
-          
-          // For Enhanced Conservative, provide more detailed error info
-          if (strategy.name === "Enhanced Conservative") {
-            result.warnings.push('Enhanced Conservative strategy could not resolve all syntax issues');
-            result.warnings.push('Consider checking the generated code for complex JSX patterns');
-          }
-        }
-      } catch (error) {
-        console.log(`💥 [ERROR] Strategy '${strategy.name}' crashed:`, error);
-        result.warnings.push(`Strategy '${strategy.name}' crashed: ${error}`);
-      }
-    }
-
-    result.metrics.executionTime = Date.now() - startTime;
-    
-    // Step 3: Generate detailed report
-    this.generateDetailedReport(result, pluginName);
-    
-    return result;
-  }
-
-  /**
-   * Initialize transpilation strategies
-   */
-  private initializeStrategies() {
-    // Strategy 1: Minimal transpilation (fastest)
-    this.strategies.push({
-      name: "Minimal",
-      description: "Basic import removal and simple JSX replacement",
-      execute: (code: string) => {
-        let transformed = code;
-        // Remove imports
-        transformed = transformed.replace(/import\s+.*?from\s+['"][^'"]*['"];?\s*/g, '// Removed import\n');
-        // Remove interfaces
-        transformed = transformed.replace(/interface\s+\w+\s*\{[^}]*\}/g, '// Removed interface block\n');
-        
-        // Remove TypeScript annotations to avoid conflicts with JSX replacement
-        transformed = transformed.replace(/:\s*React\.FC<[^>]+>/g, '');
-        transformed = transformed.replace(/:\s*React\.FC/g, '');
-        
-        // Simple JSX replacement - now safe to do broadly
-        transformed = transformed.replace(/<[^>]+>/g, 'React.createElement("div", null)');
-        return transformed;
-      }
-    });
+    // Step 2: Transpile (types, JSX, imports) with the AST pipeline
+    const transpiled = await transpilePluginCode(pluginCode);
+    result.diagnostics = transpiled.diagnostics;
+    result.fixes.push(...transpiled.transforms);
+    result.metrics.fixesApplied = transpiled.transforms.length;
+    result.metrics.syntaxErrors = transpiled.diagnostics.filter(d => d.severity === 'error').length;
+    transpiled.diagnostics
+      .filter(d => d.severity === 'warning')
+      .forEach(d => result.warnings.push(`Line ${d.line}, column ${d.column}: ${d.message}`));
 
-    // Strategy 2: Conservative (current approach but simplified)
-    this.strategies.push({
-      name: "Conservative",
-      description: "Careful JSX replacement with style preservation",
-      execute: (code: string) => {
-        return this.applyConservativeTranspilation(code);
-      }
-    });
+    if (!transpiled.success || !transpiled.code) {
+      const first = transpiled.diagnostics.find(d => d.severity === 'error');
+      result.error = first
+        ? `Line ${first.line}, column ${first.column}: ${first.message}`
+        : 'Transpilation failed';
+      console.log(`❌ [TRANSPILE] ${result.error}`);
+      return this.finish(result, startTime, pluginName);
+    }
 
-    // Strategy 2.5: Enhanced Conservative with better error handling
-    this.strategies.push({
-      name: "Enhanced Conservative",
-      description: "Advanced JSX transpilation with comprehensive syntax fixes",
-      execute: (code: string) => {
-        return this.applyEnhancedConservativeTranspilation(code);
-      }
-    });
+    result.finalCode = transpiled.code;
+    result.metrics.transformedSize = transpiled.code.length;
+    console.log(`✅ [TRANSPILE] Exposed component as ${transpiled.exportName}`);
 
-    // Strategy 3: Aggressive replacement
-    this.strategies.push({
-      name: "Aggressive",
-      description: "Replace all JSX with simple placeholder structure",
-      execute: (code: string) => {
-        let transformed = code;
-        // Remove all imports and interfaces
-        transformed = transformed.replace(/import\s+.*$/gm, '');
-        transformed = transformed.replace(/interface\s+[\s\S]*?(?=\n\n|\nconst|\nexport|$)/g, '');
-        
-        // Replace entire JSX return with simple structure
-        transformed = transformed.replace(
-          /return\s*\([^;]*?\);/gs, 
-          `return React.createElement('div', { className: 'plugin-container' }, 
-            React.createElement('h1', null, 'Plugin Loaded'), 
-            React.createElement('p', null, 'Plugin is functioning correctly')
-          );`
-        );
-        
-        return transformed;
+    // Step 3: Execute against the mocked loader
+    const execution = this.testCodeExecution(transpiled.code, pluginName);
+    if (execution.success) {
+      result.success = true;
+    } else {
+      const original = execution.line && transpiled.sourceMap
+        ? mapToOriginalPosition(transpiled.sourceMap, execution.line, execution.column || 1)
+        : null;
+      if (original) {
+        result.error = `Line ${original.line}, column ${original.column}: ${execution.error}`;
+        result.diagnostics.push({
+          severity: 'error',
+          message: execution.error || 'Runtime error',
+          line: original.line,
+          column: original.column,
+          frame: buildCodeFrame(pluginCode.split('\n'), original.line, original.column)
+        });
+      } else {
+        result.error = execution.error;
       }
-    });
+    }
 
-    // Strategy 4: Fallback to template
-    this.strategies.push({
-      name: "Template",
-      description: "Use pre-built template with plugin metadata",
-      execute: (code: string) => {
-        const componentName = this.extractComponentName(code);
-        return this.generateTemplateComponent(componentName);
-      }
-    });
+    return this.finish(result, startTime, pluginName);
   }
 
-  /**
-   * Initialize common fixes
-   */
-  private initializeCommonFixes() {
-    this.commonFixes = [
-      { pattern: /undefined/g, replacement: 'null', description: 'Replace undefined with null' },
-      { pattern: /key="undefined"/g, replacement: 'key="auto"', description: 'Fix undefined keys' },
-      { pattern: /""null/g, replacement: '""', description: 'Fix double-quoted null' },
-      { pattern: /Device\s+Connection/g, replacement: '"Device Connection"', description: 'Quote Device Connection' },
-      { pattern: /Device\s+name/g, replacement: '"Device name"', description: 'Quote Device name' },
-      { pattern: /Device\s+connected\s+successfully/g, replacement: '"Device connected successfully"', description: 'Quote Device status messages' },
-      
-      // Fix specific syntax issues from Centcom errors
-      { pattern: /style:\s*\{([^}]*)\s*:\s*([^,}]+)\s*([^,}])/g, replacement: 'style: { $1: $2, $3', description: 'Fix malformed style objects' },
-      { pattern: /([a-zA-Z]+):\s*'([^']*)'(?=\s*[a-zA-Z])/g, replacement: "$1: '$2', ", description: 'Add missing commas after object properties' },
-      { pattern: /}\s*React\.createElement/g, replacement: '}), React.createElement', description: 'Fix React.createElement concatenation' },
-      { pattern: /null\s*React\.createElement/g, replacement: 'null), React.createElement', description: 'Fix null concatenation with React.createElement' },
-      
-      // Fix style object syntax specifically
-      { pattern: /fontFamily:\s*'([^']*)'(?!\s*[,}])/g, replacement: "fontFamily: '$1',", description: 'Add commas after fontFamily' },
-      { pattern: /padding:\s*'([^']*)'(?!\s*[,}])/g, replacement: "padding: '$1',", description: 'Add commas after padding' },
-      { pattern: /margin:\s*'([^']*)'(?!\s*[,}])/g, replacement: "margin: '$1',", description: 'Add commas after margin' },
-      { pattern: /background:\s*'([^']*)'(?!\s*[,}])/g, replacement: "background: '$1',", description: 'Add commas after background' },
-    ];
+  private finish(result: DebugResult, startTime: number, pluginName: string): DebugResult {
+    result.metrics.executionTime = Date.now() - startTime;
+    this.generateDetailedReport(result, pluginName);
+    return result;
   }
 
   /**
@@ -218,293 +123,101 @@ class PluginDebugger {
    */
   private analyzeCode(code: string): { warnings: string[] } {
     const warnings: string[] = [];
-    
-    // Check for common problematic patterns
-    if (code.includes('undefined')) {
-      warnings.push('Code contains "undefined" values that may cause issues');
-    }
-    
+
     if (code.match(/key="undefined"/)) {
       warnings.push('Found undefined keys in JSX attributes');
     }
-    
+
     if (code.match(/React\.createElement.*</)) {
       warnings.push('Mixed JSX and React.createElement syntax detected');
     }
-    
+
     const jsxCount = (code.match(/<[^>]+>/g) || []).length;
     if (jsxCount > 50) {
       warnings.push(`High JSX complexity detected (${jsxCount} elements)`);
     }
-    
+
     return { warnings };
   }
 
   /**
-   * Test if transpiled code can execute
+   * Execute transpiled code the way Centcom's loader does and render it once with mock hooks
    */
-  private async testCodeExecution(code: string, pluginName: string): Promise<{ success: boolean; error?: string }> {
+  private testCodeExecution(code: string, pluginName: string): ExecutionResult {
+    // Mock React: createElement returns a plain element description so render output can be inspected
+    const createElement = (type: any, props: any, ...children: any[]) => ({ type, props, children });
+    const TestReact = {
+      createElement,
+      Fragment: 'Fragment',
+      useState: (initial: any) => [typeof initial === 'function' ? initial() : initial, () => {}],
+      useEffect: () => {},
+      useCallback: (fn: any) => fn,
+      useMemo: (fn: any) => fn(),
+      useRef: (initial: any = null) => ({ current: initial }),
+      useContext: () => undefined,
+      useReducer: (_reducer: any, initial: any) => [initial, () => {}]
+    };
+
+    // Mock Centcom API for testing
+    const mockCentcomAPI = () => ({
+      destroy: () => console.log('Mock API destroyed'),
+      connectDevice: () => Promise.resolve(true),
+      sendData: () => Promise.resolve()
+    });
+
+    const mockCentcomUtils = {
+      formatData: (data: any) => data,
+      validateInput: () => true
+    };
+
+    let Component: any;
     try {
-      console.log(`🔍 [DEBUG] Testing code for ${pluginName}, length: ${code.length}`);
-      
-      // Log first 500 characters to see the problematic code
-      console.log(`🔍 [DEBUG] Code preview:\n${code.substring(0, 500)}...`);
-      
-      // Look for potential const declaration issues
-      const constDeclarations = code.match(/const\s+[^=;]*;/g);
-      if (constDeclarations) {
-        console.log(`⚠️ [DEBUG] Found ${constDeclarations.length} potentially problematic const declarations:`);
-        constDeclarations.forEach((decl, index) => {
-          console.log(`   ${index + 1}: ${decl}`);
-        });
-      }
-      
-      // Look for more specific patterns that could cause issues
-      const problematicPatterns = [
-        /const\s+\[.*\]\s*;/g, // const [var]; without assignment
-        /const\s+\w+\s*;/g,     // const var; without assignment  
-        /const\s+[^=]*\s*;/g    // any const without =
-      ];
-      
-      problematicPatterns.forEach((pattern, patternIndex) => {
-        const matches = code.match(pattern);
-        if (matches) {
-          console.log(`⚠️ [DEBUG] Pattern ${patternIndex + 1} matches (${matches.length}):`, matches);
-        }
-      });
-      
-      // Create a safe test environment
-      const React = { createElement: () => null };
-      const useState = () => [null, () => {}];
-      const useEffect = () => {};
-      const useCallback = () => {};
-      const useMemo = () => {};
-      const useRef = () => ({ current: null });
-      const createCentcomAPI = () => ({ destroy: () => {} });
-      const CentcomUtils = {};
-
-      // Add component return
-      const functionCode = code + '\nreturn PluginGUI || Component || function() { return React.createElement("div", null, "Test"); };';
-      
-      // Set up proper React environment for testing
-      const TestReact = {
-        ...React,
-        useState: useState,
-        useEffect: useEffect,
-        useCallback: useCallback,
-        useMemo: useMemo,
-        useRef: useRef,
-        createElement: React.createElement
-      };
-      
-      // Mock Centcom API for testing
-      const mockCentcomAPI = () => ({
-        destroy: () => console.log('Mock API destroyed'),
-        connectDevice: () => Promise.resolve(true),
-        sendData: () => Promise.resolve()
-      });
-      
-      const mockCentcomUtils = {
-        formatData: (data) => data,
-        validateInput: () => true
-      };
-      
-      // Test execution
-      const ComponentFactory = new Function(
+      const factory = new Function(
         'React', 'useState', 'useEffect', 'useCallback', 'useMemo', 'useRef', 'createCentcomAPI', 'CentcomUtils',
-        functionCode
+        code + LOADER_RETURN
       );
-      
-      const Component = ComponentFactory(
-        TestReact, useState, useEffect, useCallback, useMemo, useRef, mockCentcomAPI, mockCentcomUtils
+      Component = factory(
+        TestReact, TestReact.useState, TestReact.useEffect, TestReact.useCallback, TestReact.useMemo,
+        TestReact.useRef, mockCentcomAPI, mockCentcomUtils
       );
-      
-      // Test if it's a valid component
-      if (typeof Component === 'function') {
-        // Enhanced test: Actually render the component with realistic props like Centcom
-        try {
-          const testProps = {
-            pluginId: 'test-plugin-id',
-            onDataUpdate: () => console.log('Data update callback'),
-            onError: (error) => console.log('Error callback:', error)
-          };
-          
-          // Attempt to call the component function with props (simulate React rendering)
-          const result = Component(testProps);
-          
-          // Check if the result looks like a React element structure
-          if (result && (typeof result === 'object' || typeof result === 'function')) {
-            console.log(`✅ [DEBUG] Component renders successfully with props`);
-            console.log(`✅ [DEBUG] Code execution successful for ${pluginName}`);
-            return { success: true };
-          } else {
-            console.log(`❌ [DEBUG] Component did not return valid React element: ${typeof result}`);
-            return { success: false, error: 'Component does not return valid React element' };
-          }
-        } catch (renderError) {
-          console.log(`❌ [DEBUG] Component rendering failed: ${renderError.message}`);
-          return { success: false, error: `Component rendering failed: ${renderError.message}` };
-        }
-      } else {
-        console.log(`❌ [DEBUG] Component is not a function: ${typeof Component}`);
-        return { success: false, error: 'Not a valid React component function' };
-      }
-      
-    } catch (error) {
-      console.log(`❌ [DEBUG] Code execution failed for ${pluginName}: ${error.message}`);
-      
-      // Try to extract line information from syntax errors
-      if (error.message.includes('line')) {
-        const lines = code.split('\n');
-        const lineMatch = error.message.match(/line (\d+)/);
-        if (lineMatch) {
-          const lineNum = parseInt(lineMatch[1]);
-          console.log(`🔍 [DEBUG] Problematic line ${lineNum}: ${lines[lineNum - 1]}`);
-          
-          // Show context around the error
-          const start = Math.max(0, lineNum - 3);
-          const end = Math.min(lines.length, lineNum + 2);
-          console.log(`🔍 [DEBUG] Context around line ${lineNum}:`);
-          for (let i = start; i < end; i++) {
-            const marker = (i === lineNum - 1) ? '>>>>' : '    ';
-            console.log(`${marker} ${i + 1}: ${lines[i]}`);
-          }
-        }
-      }
-      
-      return { success: false, error: error.message };
+    } catch (error: any) {
+      console.log(`❌ [DEBUG] Code evaluation failed for ${pluginName}: ${error?.message}`);
+      return { success: false, error: `Evaluation failed: ${error?.message || error}`, ...this.extractPosition(error) };
     }
-  }
 
-  /**
-   * Conservative transpilation approach
-   */
-  private applyConservativeTranspilation(code: string): string {
-    let transformed = code;
-    
-    // Apply common fixes first
-    this.commonFixes.forEach(fix => {
-      const beforeCount = (transformed.match(fix.pattern) || []).length;
-      transformed = transformed.replace(fix.pattern, fix.replacement);
-      const afterCount = (transformed.match(fix.pattern) || []).length;
-      
-      if (beforeCount > afterCount) {
-        console.log(`🔧 Applied fix: ${fix.description} (${beforeCount - afterCount} instances)`);
-      }
-    });
-    
-    // Remove imports and interfaces
-    transformed = transformed.replace(/import\s+.*$/gm, '// Removed import');
-    transformed = transformed.replace(/interface\s+[\s\S]*?(?=\n\n|\nconst|\nexport|$)/g, '// Removed interface block\n');
-    
-    // Simple JSX replacement for testing
-    transformed = transformed.replace(
-      /return\s*\([^;]*?\);/gs,
-      `return React.createElement('div', { className: 'plugin-gui-container' }, 
-        React.createElement('div', { style: { padding: '20px', textAlign: 'center' } },
-          React.createElement('h2', null, 'Plugin Loaded Successfully'),
-          React.createElement('p', null, 'All transpilation checks passed')
-        )
-      );`
-    );
-    
-    return transformed;
-  }
+    if (typeof Component !== 'function') {
+      console.log(`❌ [DEBUG] Component is not a function: ${typeof Component}`);
+      return { success: false, error: 'Not a valid React component function' };
+    }
 
-  /**
-   * Enhanced conservative transpilation that mirrors Centcom's transpilation logic
-   */
-  private applyEnhancedConservativeTranspilation(code: string): string {
-    let transformed = code;
-    
-    console.log(`🔧 [Enhanced Conservative] Starting transpilation...`);
-    
-    // Step 1: Remove imports and interfaces (like Centcom does)
-    transformed = transformed.replace(/import\s+.*$/gm, '// Removed import');
-    transformed = transformed.replace(/interface\s+[\s\S]*?(?=\n\n|\nconst|\nexport|$)/g, '// Removed interface block\n');
-    
-    // Step 2: Apply fixes for common issues (based on Centcom errors)
-    this.commonFixes.forEach(fix => {
-      const beforeCount = (transformed.match(fix.pattern) || []).length;
-      transformed = transformed.replace(fix.pattern, fix.replacement);
-      const afterCount = (transformed.match(fix.pattern) || []).length;
-      
-      if (beforeCount > afterCount) {
-        console.log(`🔧 Applied fix: ${fix.description} (${beforeCount - afterCount} instances)`);
+    try {
+      const testProps = {
+        pluginId: 'test-plugin-id',
+        onDataUpdate: () => console.log('Data update callback'),
+        onError: (error: any) => console.log('Error callback:', error)
+      };
+      const rendered = Component(testProps);
+      if (rendered === null || typeof rendered === 'object') {
+        console.log(`✅ [DEBUG] Component renders successfully with props`);
+        return { success: true };
       }
-    });
-    
-    // Step 3: Fix specific issues that cause "Unexpected token ':'" 
-    // Fix style object syntax issues
-    transformed = transformed.replace(/style:\s*\{\s*([^}]*)\s*$/gm, 'style: { $1 }');
-    transformed = transformed.replace(/className:\s*'([^']*)'(?!\s*[,}])/g, "className: '$1',");
-    transformed = transformed.replace(/([a-zA-Z]+):\s*'([^']*)'(?=\s*[a-zA-Z])/g, "$1: '$2', ");
-    
-    // Step 4: Fix React.createElement concatenation issues (from Centcom logs)
-    transformed = transformed.replace(/React\.createElement\([^)]*\)React\.createElement/g, (match) => {
-      return match.replace(')React.createElement', '), React.createElement');
-    });
-    transformed = transformed.replace(/nullReact\.createElement/g, 'null), React.createElement');
-    transformed = transformed.replace(/\)\s*React\.createElement(?!\()/g, '), React.createElement');
-    
-    // Step 5: Fix parentheses imbalance (from Centcom logs)
-    const openParens = (transformed.match(/\(/g) || []).length;
-    const closeParens = (transformed.match(/\)/g) || []).length;
-    if (closeParens > openParens) {
-      const excess = closeParens - openParens;
-      console.log(`🔧 Removing ${excess} excess closing parentheses`);
-      let count = 0;
-      transformed = transformed.replace(/\)/g, (match) => {
-        if (count < excess) {
-          count++;
-          return '';
-        }
-        return match;
-      });
+      return { success: false, error: `Component returned ${typeof rendered} instead of a React element` };
+    } catch (error: any) {
+      console.log(`❌ [DEBUG] Component rendering failed: ${error?.message}`);
+      return { success: false, error: `Component rendering failed: ${error?.message || error}`, ...this.extractPosition(error) };
     }
-    
-    // Step 6: Ensure no malformed object literals
-    transformed = transformed.replace(/\{\s*([^:,}]+)\s*:\s*([^,}]+)\s*([^,}])/g, '{ $1: $2, $3');
-    
-    console.log(`🔧 [Enhanced Conservative] Completed transpilation fixes`);
-    
-    return transformed;
   }
 
   /**
-   * Extract component name from code
+   * Pull the line/column of the plugin body out of a V8 stack trace for code run via new Function
    */
-  private extractComponentName(code: string): string {
-    const match = code.match(/const\s+(\w+):\s*React\.FC|function\s+(\w+)|const\s+(\w+)\s*=.*=>/);
-    return match?.[1] || match?.[2] || match?.[3] || 'PluginComponent';
-  }
-
-  /**
-   * Generate template component
-   */
-  private generateTemplateComponent(componentName: string): string {
-    return `
-const ${componentName} = ({ pluginId, onDataUpdate, onError }) => {
-  const [loading, setLoading] = React.useState(false);
-  
-  React.useEffect(() => {
-    console.log('Plugin loaded:', pluginId);
-  }, [pluginId]);
-
-  return React.createElement('div', {
-    className: 'plugin-container',
-    style: { padding: '20px', fontFamily: 'system-ui, sans-serif' }
-  },
-    React.createElement('h1', null, 'Plugin Active'),
-    React.createElement('p', null, 'Plugin ID: ' + pluginId),
-    React.createElement('div', { style: { marginTop: '20px' } },
-      React.createElement('button', {
-        onClick: () => setLoading(!loading),
-        style: { padding: '10px 20px', backgroundColor: '#3b82f6', color: 'white', border: 'none', borderRadius: '4px' }
-      }, loading ? 'Loading...' : 'Test Plugin')
-    )
-  );
-};`;
+  private extractPosition(error: any): { line?: number; column?: number } {
+    const stack = typeof error?.stack === 'string' ? error.stack : '';
+    const match = stack.match(/<anonymous>:(\d+):(\d+)/);
+    if (!match) return {};
+    const line = parseInt(match[1], 10) - FUNCTION_WRAPPER_LINES;
+    if (line < 1) return {};
+    return { line, column: parseInt(match[2], 10) };
   }
 
   /**
@@ -517,23 +230,23 @@ const ${componentName} = ({ pluginId, onDataUpdate, onError }) => {
     console.log(`⏱️  Execution Time: ${result.metrics.executionTime}ms`);
     console.log(`📦 Original Size: ${result.metrics.originalSize} chars`);
     console.log(`📦 Transformed Size: ${result.metrics.transformedSize} chars`);
-    console.log(`🔧 Fixes Applied: ${result.fixes.length}`);
+    console.log(`🔧 Transforms Applied: ${result.fixes.length}`);
     console.log(`⚠️  Warnings: ${result.warnings.length}`);
-    
+
     if (result.fixes.length > 0) {
-      console.log(`\n🔧 Applied Fixes:`);
+      console.log(`\n🔧 Transforms:`);
       result.fixes.forEach(fix => console.log(`  - ${fix}`));
     }
-    
+
     if (result.warnings.length > 0) {
       console.log(`\n⚠️  Warnings:`);
       result.warnings.forEach(warning => console.log(`  - ${warning}`));
     }
-    
-    if (result.error) {
-      console.log(`\n❌ Final Error: ${result.error}`);
-    }
-    
+
+    result.diagnostics
+      .filter(d => d.severity === 'error')
+      .forEach(d => console.log(`\n❌ ${d.line}:${d.column} ${d.message}${d.frame ? `\n${d.frame}` : ''}`));
+
     console.log(`${'='.repeat(50)}\n`);
   }
 }
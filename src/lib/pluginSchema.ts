@@ -0,0 +1,220 @@
+/**
+ * .lycplugin Schema and Migrations
+ * Versioned document schema plus the pipeline that upgrades older plugin documents
+ *
+ * Every document the studio writes carries a `formatVersion`. Documents without one
+ * (everything exported before the schema existed) are treated as version 0 and are
+ * walked through MIGRATIONS one step at a time until they reach CURRENT_FORMAT_VERSION.
+ */
+
+import lycpluginSchema from './lycplugin.schema.json';
+
+export const CURRENT_FORMAT_VERSION = 2;
+
+export const LYCPLUGIN_SCHEMA: JsonSchema = lycpluginSchema as JsonSchema;
+
+export interface JsonSchema {
+  type?: string;
+  required?: string[];
+  properties?: Record<string, JsonSchema>;
+  items?: JsonSchema;
+  enum?: any[];
+  pattern?: string;
+  minimum?: number;
+  definitions?: Record<string, JsonSchema>;
+  $ref?: string;
+  [key: string]: any;
+}
+
+export interface PluginMigration {
+  from: number;
+  to: number;
+  description: string;
+  migrate: (doc: any) => any;
+}
+
+export interface MigrationResult {
+  doc: any;
+  fromVersion: number;
+  toVersion: number;
+  migrated: boolean;
+  applied: string[];
+}
+
+/**
+ * Ordered list of migrations. Each entry upgrades a document by exactly one version
+ * and must never mutate its input.
+ */
+const MIGRATIONS: PluginMigration[] = [
+  {
+    from: 0,
+    to: 1,
+    description: 'Move backend.sequencer to top-level sequencer and stamp gui.version',
+    migrate: (doc: any) => {
+      const next = { ...doc };
+      if (next.backend && next.backend.sequencer) {
+        const { sequencer, ...backend } = next.backend;
+        next.backend = backend;
+        if (!next.sequencer) next.sequencer = sequencer;
+      }
+      if (next.gui && !next.gui.version) {
+        next.gui = { ...next.gui, version: '1.0' };
+      }
+      return next;
+    }
+  },
+  {
+    from: 1,
+    to: 2,
+    description: 'Wrap gui.components in a single "Main" tab under gui.tabs',
+    migrate: (doc: any) => {
+      if (!doc.gui || Array.isArray(doc.gui.tabs)) return { ...doc };
+      const components = Array.isArray(doc.gui.components) ? doc.gui.components : [];
+      return {
+        ...doc,
+        gui: {
+          ...doc.gui,
+          components,
+          tabs: [{ id: 'tab-1', name: 'Main', order: 0, components }]
+        }
+      };
+    }
+  }
+];
+
+/**
+ * Read the format version of a document (0 when missing)
+ */
+export function getFormatVersion(doc: any): number {
+  const v = doc?.formatVersion;
+  return typeof v === 'number' && Number.isInteger(v) && v >= 0 ? v : 0;
+}
+
+/**
+ * Upgrade a plugin document to CURRENT_FORMAT_VERSION.
+ * Throws if the document was written by a newer studio than this one.
+ */
+export function migratePluginDoc(doc: any): MigrationResult {
+  const fromVersion = getFormatVersion(doc);
+  if (fromVersion > CURRENT_FORMAT_VERSION) {
+    throw new Error(
+      `Plugin formatVersion ${fromVersion} is newer than this studio supports (${CURRENT_FORMAT_VERSION})`
+    );
+  }
+
+  const applied: string[] = [];
+  let current = doc;
+  let version = fromVersion;
+  while (version < CURRENT_FORMAT_VERSION) {
+    const step = MIGRATIONS.find(m => m.from === version);
+    if (!step) {
+      throw new Error(`No migration registered from formatVersion ${version}`);
+    }
+    current = { ...step.migrate(current), formatVersion: step.to };
+    applied.push(`v${step.from} → v${step.to}: ${step.description}`);
+    version = step.to;
+  }
+
+  return {
+    doc: current,
+    fromVersion,
+    toVersion: version,
+    migrated: applied.length > 0,
+    applied
+  };
+}
+
+/**
+ * Validate a document against the .lycplugin schema.
+ * Supports the subset of JSON Schema used by lycplugin.schema.json
+ * (type, required, properties, items, enum, pattern, minimum, local $ref).
+ * Returns a list of human-readable violations; empty when the document conforms.
+ */
+export function validateAgainstSchema(doc: any, schema: JsonSchema = LYCPLUGIN_SCHEMA): string[] {
+  const errors: string[] = [];
+  checkNode(doc, schema, '', schema, errors);
+  return errors;
+}
+
+function checkNode(value: any, schema: JsonSchema, path: string, root: JsonSchema, errors: string[]) {
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, root);
+    if (!resolved) {
+      errors.push(`${path || '(root)'}: unresolved schema reference ${schema.$ref}`);
+      return;
+    }
+    checkNode(value, resolved, path, root, errors);
+    return;
+  }
+
+  const label = path || '(root)';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${label}: expected ${schema.type}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${label}: "${value}" does not match pattern ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${label}: must be >= ${schema.minimum}`);
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        checkNode(value[key], child, path ? `${path}.${key}` : key, root, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, idx) => checkNode(item, schema.items as JsonSchema, `${label}[${idx}]`, root, errors));
+  }
+}
+
+function resolveRef(ref: string, root: JsonSchema): JsonSchema | null {
+  if (!ref.startsWith('#/')) return null;
+  let node: any = root;
+  for (const part of ref.slice(2).split('/')) {
+    node = node?.[part];
+    if (node === undefined) return null;
+  }
+  return node as JsonSchema;
+}
+
+function matchesType(value: any, type: string): boolean {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function describeType(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,387 @@
+/**
+ * Plugin Transpiler
+ * AST-based transform of plugin source (TSX/JSX) into the code shape Centcom's loader runs
+ *
+ * Centcom evaluates plugin code with `new Function(React, useState, useEffect, useCallback,
+ * useMemo, useRef, createCentcomAPI, CentcomUtils, code + 'return PluginGUI || Component')`.
+ * That means the output must contain no import/export statements, no types and no JSX,
+ * and the default export must be reachable as `PluginGUI` or `Component`.
+ */
+
+import type * as TS from 'typescript';
+
+export interface TranspileDiagnostic {
+  severity: 'error' | 'warning';
+  message: string;
+  line: number; // 1-based
+  column: number; // 1-based
+  code?: number;
+  frame?: string;
+}
+
+export interface TranspileResult {
+  success: boolean;
+  code?: string;
+  sourceMap?: string;
+  diagnostics: TranspileDiagnostic[];
+  transforms: string[];
+  exportName?: string;
+}
+
+/** Identifiers the Centcom loader passes into the plugin function */
+export const LOADER_GLOBALS = [
+  'React',
+  'useState',
+  'useEffect',
+  'useCallback',
+  'useMemo',
+  'useRef',
+  'createCentcomAPI',
+  'CentcomUtils'
+];
+
+/** Tail appended to plugin code so the loader function returns the component */
+export const LOADER_RETURN = '\nreturn typeof PluginGUI !== "undefined" ? PluginGUI : Component;';
+
+/** Runtime path each supported module specifier resolves to inside the loader */
+export const MODULE_BINDINGS: Record<string, string> = {
+  'react': 'React',
+  '@tauri-apps/api': 'window',
+  '@tauri-apps/api/core': 'window',
+  '@tauri-apps/api/tauri': 'window',
+  '@heroicons/react/24/outline': 'window.HeroIcons',
+  '@heroicons/react/24/solid': 'window.HeroIcons'
+};
+
+/** Names the loader reads the component from, in order */
+const LOADER_EXPORT_NAMES = ['PluginGUI', 'Component'];
+
+let tsModule: typeof TS | null = null;
+
+/**
+ * Lazy-load the TypeScript compiler so it stays out of the main bundle
+ */
+export async function loadTypeScript(): Promise<typeof TS> {
+  if (!tsModule) {
+    const mod: any = await import('typescript');
+    tsModule = (mod.default || mod) as typeof TS;
+  }
+  return tsModule;
+}
+
+/**
+ * Resolve a module specifier to its loader binding, or null when Centcom cannot provide it
+ */
+function resolveModule(specifier: string): string | null {
+  if (MODULE_BINDINGS[specifier]) return MODULE_BINDINGS[specifier];
+  // Generated code imports the Centcom API helpers by relative path
+  if (/(^|\/)centcomAPI$/.test(specifier)) return 'CentcomUtils';
+  return null;
+}
+
+/**
+ * Transpile plugin source into loader-ready JavaScript.
+ * Syntax errors and unresolvable imports are reported with 1-based line/column positions
+ * in the original source; no output is produced when any error is found.
+ */
+export async function transpilePluginCode(source: string, fileName: string = 'plugin.tsx'): Promise<TranspileResult> {
+  const ts = await loadTypeScript();
+  const diagnostics: TranspileDiagnostic[] = [];
+  const transforms: string[] = [];
+  const lines = source.split('\n');
+  let exportName: string | undefined;
+
+  const pushDiagnostic = (severity: 'error' | 'warning', message: string, sourceFile: TS.SourceFile, pos: number, code?: number) => {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(pos);
+    diagnostics.push({
+      severity,
+      message,
+      line: line + 1,
+      column: character + 1,
+      code,
+      frame: buildCodeFrame(lines, line + 1, character + 1)
+    });
+  };
+
+  const rewriteModules: TS.TransformerFactory<TS.SourceFile> = (context) => (sourceFile) => {
+    const f = context.factory;
+    const statements: TS.Statement[] = [];
+    const topLevelNames = collectTopLevelNames(ts, sourceFile);
+    const counts = countSyntax(ts, sourceFile);
+    if (counts.types > 0) transforms.push(`Stripped ${counts.types} TypeScript type construct(s)`);
+    if (counts.jsx > 0) transforms.push(`Compiled ${counts.jsx} JSX element(s) to React.createElement`);
+    let defaultExport: TS.Expression | null = null;
+    let defaultExportPos = 0;
+
+    const bind = (name: string, path: string, imported?: string) => {
+      const [head, ...rest] = path.split('.');
+      const init = rest.reduce<TS.Expression>(
+        (expr, prop) => f.createPropertyAccessExpression(expr, prop),
+        f.createIdentifier(head)
+      );
+      const declaration = imported
+        ? f.createVariableDeclaration(
+            f.createObjectBindingPattern([
+              f.createBindingElement(undefined, imported === name ? undefined : imported, name)
+            ]),
+            undefined,
+            undefined,
+            init
+          )
+        : f.createVariableDeclaration(name, undefined, undefined, init);
+      statements.push(
+        f.createVariableStatement(undefined, f.createVariableDeclarationList([declaration], ts.NodeFlags.Const))
+      );
+    };
+
+    for (const statement of sourceFile.statements) {
+      if (ts.isImportDeclaration(statement)) {
+        const specifier = (statement.moduleSpecifier as TS.StringLiteral).text;
+        const clause = statement.importClause;
+        if (!clause || clause.isTypeOnly) {
+          transforms.push(`Removed ${clause ? 'type-only ' : 'side-effect '}import of '${specifier}'`);
+          continue;
+        }
+        const target = resolveModule(specifier);
+        if (!target) {
+          pushDiagnostic('error', `Module '${specifier}' is not available in the Centcom plugin loader`, sourceFile, statement.moduleSpecifier.getStart(sourceFile));
+          continue;
+        }
+        if (clause.name && clause.name.text !== target) bind(clause.name.text, target);
+        const named = clause.namedBindings;
+        if (named && ts.isNamespaceImport(named)) {
+          if (named.name.text !== target) bind(named.name.text, target);
+        } else if (named) {
+          for (const el of named.elements) {
+            if (el.isTypeOnly) continue;
+            const local = el.name.text;
+            const imported = el.propertyName ? el.propertyName.text : local;
+            // Loader parameters are already in scope; redeclaring them would be a SyntaxError
+            if (LOADER_GLOBALS.includes(local) && local === imported) continue;
+            bind(local, target, imported);
+          }
+        }
+        transforms.push(`Rewrote import of '${specifier}' to ${target}`);
+        continue;
+      }
+
+      if (ts.isExportAssignment(statement)) {
+        defaultExport = statement.expression;
+        defaultExportPos = statement.getStart(sourceFile);
+        continue;
+      }
+
+      if (ts.isExportDeclaration(statement)) {
+        if (statement.moduleSpecifier) {
+          pushDiagnostic('error', 'Re-exports from other modules are not supported by the Centcom plugin loader', sourceFile, statement.getStart(sourceFile));
+        }
+        transforms.push('Removed export list');
+        continue;
+      }
+
+      const modifiers = ts.canHaveModifiers(statement) ? ts.getModifiers(statement) : undefined;
+      const isExported = modifiers?.some(m => m.kind === ts.SyntaxKind.ExportKeyword);
+      if (isExported) {
+        const isDefault = modifiers?.some(m => m.kind === ts.SyntaxKind.DefaultKeyword);
+        const kept = modifiers!.filter(m => m.kind !== ts.SyntaxKind.ExportKeyword && m.kind !== ts.SyntaxKind.DefaultKeyword);
+        let stripped: TS.Statement = statement;
+        if (ts.isFunctionDeclaration(statement)) {
+          stripped = f.updateFunctionDeclaration(statement, kept, statement.asteriskToken, statement.name, statement.typeParameters, statement.parameters, statement.type, statement.body);
+          if (isDefault) {
+            if (!statement.name) {
+              pushDiagnostic('error', 'Anonymous default-exported functions cannot be loaded; give the component a name', sourceFile, statement.getStart(sourceFile));
+            } else {
+              defaultExport = statement.name;
+              defaultExportPos = statement.getStart(sourceFile);
+            }
+          }
+        } else if (ts.isClassDeclaration(statement)) {
+          stripped = f.updateClassDeclaration(statement, kept, statement.name, statement.typeParameters, statement.heritageClauses, statement.members);
+          if (isDefault && statement.name) {
+            defaultExport = statement.name;
+            defaultExportPos = statement.getStart(sourceFile);
+          }
+        } else if (ts.isVariableStatement(statement)) {
+          stripped = f.updateVariableStatement(statement, kept, statement.declarationList);
+        }
+        statements.push(stripped);
+        continue;
+      }
+
+      statements.push(statement);
+    }
+
+    if (defaultExport) {
+      if (ts.isIdentifier(defaultExport) && LOADER_EXPORT_NAMES.includes(defaultExport.text)) {
+        exportName = defaultExport.text;
+      } else {
+        const alias = LOADER_EXPORT_NAMES.find(n => !topLevelNames.has(n));
+        if (!alias) {
+          pushDiagnostic('error', `Cannot expose default export: both ${LOADER_EXPORT_NAMES.join(' and ')} are already declared`, sourceFile, defaultExportPos);
+        } else {
+          exportName = alias;
+          statements.push(
+            f.createVariableStatement(
+              undefined,
+              f.createVariableDeclarationList([f.createVariableDeclaration(alias, undefined, undefined, defaultExport)], ts.NodeFlags.Const)
+            )
+          );
+          transforms.push(`Exposed default export as ${alias}`);
+        }
+      }
+    } else {
+      exportName = LOADER_EXPORT_NAMES.find(n => topLevelNames.has(n));
+      if (!exportName) {
+        pushDiagnostic('error', `No component found: export a default component or declare ${LOADER_EXPORT_NAMES.join(' or ')}`, sourceFile, 0);
+      }
+    }
+
+    return f.updateSourceFile(sourceFile, statements);
+  };
+
+  const output = ts.transpileModule(source, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: {
+      target: ts.ScriptTarget.ES2019,
+      module: ts.ModuleKind.ESNext,
+      jsx: ts.JsxEmit.React,
+      jsxFactory: 'React.createElement',
+      jsxFragmentFactory: 'React.Fragment',
+      sourceMap: true
+    },
+    transformers: { before: [rewriteModules] }
+  });
+
+  for (const d of output.diagnostics || []) {
+    const message = ts.flattenDiagnosticMessageText(d.messageText, '\n');
+    if (d.file && typeof d.start === 'number') {
+      pushDiagnostic(d.category === ts.DiagnosticCategory.Error ? 'error' : 'warning', message, d.file, d.start, d.code);
+    } else {
+      diagnostics.push({ severity: 'error', message, line: 1, column: 1, code: d.code });
+    }
+  }
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  const hasErrors = diagnostics.some(d => d.severity === 'error');
+  if (hasErrors) {
+    return { success: false, diagnostics, transforms };
+  }
+
+  // TypeScript appends `export {};` to files that were modules before our rewrite
+  const code = output.outputText
+    .replace(/\n\/\/# sourceMappingURL=.*$/, '')
+    .replace(/^export \{\};\s*$/m, '');
+  return {
+    success: true,
+    code,
+    sourceMap: output.sourceMapText,
+    diagnostics,
+    transforms,
+    exportName
+  };
+}
+
+/**
+ * Map a 1-based line/column in transpiled output back to the original source using the
+ * source map produced by transpilePluginCode. Returns null when no mapping covers the position.
+ */
+export function mapToOriginalPosition(sourceMap: string, line: number, column: number): { line: number; column: number } | null {
+  let map: { mappings: string };
+  try {
+    map = JSON.parse(sourceMap);
+  } catch {
+    return null;
+  }
+  const generatedLines = map.mappings.split(';');
+  let srcLine = 0;
+  let srcCol = 0;
+  let best: { line: number; column: number } | null = null;
+
+  for (let i = 0; i < generatedLines.length && i < line; i++) {
+    let genCol = 0;
+    for (const segment of generatedLines[i].split(',')) {
+      if (!segment) continue;
+      const fields = decodeVlq(segment);
+      genCol += fields[0];
+      if (fields.length >= 4) {
+        srcLine += fields[2];
+        srcCol += fields[3];
+        if (i === line - 1 && genCol <= column - 1) {
+          best = { line: srcLine + 1, column: srcCol + 1 };
+        }
+      }
+    }
+  }
+  return best;
+}
+
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function decodeVlq(segment: string): number[] {
+  const values: number[] = [];
+  let shift = 0;
+  let value = 0;
+  for (const ch of segment) {
+    const digit = VLQ_CHARS.indexOf(ch);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >> 1) : value >> 1);
+      shift = 0;
+      value = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Render a few lines of source around a position with a caret under the column
+ */
+export function buildCodeFrame(lines: string[], line: number, column: number, context: number = 2): string {
+  const start = Math.max(1, line - context);
+  const end = Math.min(lines.length, line + context);
+  const width = String(end).length;
+  const out: string[] = [];
+  for (let n = start; n <= end; n++) {
+    const marker = n === line ? '>' : ' ';
+    out.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1] ?? ''}`);
+    if (n === line) {
+      out.push(`  ${' '.repeat(width)} | ${' '.repeat(Math.max(0, column - 1))}^`);
+    }
+  }
+  return out.join('\n');
+}
+
+function collectTopLevelNames(ts: typeof TS, sourceFile: TS.SourceFile): Set<string> {
+  const names = new Set<string>();
+  for (const statement of sourceFile.statements) {
+    if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+      names.add(statement.name.text);
+    } else if (ts.isVariableStatement(statement)) {
+      for (const decl of statement.declarationList.declarations) {
+        if (ts.isIdentifier(decl.name)) names.add(decl.name.text);
+      }
+    }
+  }
+  return names;
+}
+
+function countSyntax(ts: typeof TS, sourceFile: TS.SourceFile): { jsx: number; types: number } {
+  const counts = { jsx: 0, types: 0 };
+  const visit = (node: TS.Node) => {
+    if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node)) {
+      counts.jsx++;
+    } else if (ts.isInterfaceDeclaration(node) || ts.isTypeAliasDeclaration(node)) {
+      counts.types++;
+      return;
+    } else if (ts.isTypeNode(node)) {
+      counts.types++;
+      return;
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return counts;
+}
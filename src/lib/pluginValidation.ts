@@ -0,0 +1,224 @@
+/**
+ * Plugin Validation
+ * Metadata, frontend, sequencer and licensing checks for a .lycplugin document
+ *
+ * Kept free of Tauri imports so the studio UI and the pds CLI run exactly the same checks.
+ */
+
+import { validateAgainstSchema, getFormatVersion, CURRENT_FORMAT_VERSION } from './pluginSchema';
+import { getPluginMocks, checkMocks } from './mockBackend';
+import { checkSequencer } from './sequencer';
+import { checkComponentActions, getComponentActions } from './componentActions';
+import { checkComponentFeatures } from './featureGates';
+import { getGuiTabs, flattenGuiTabs } from './guiTabs';
+
+export interface PluginValidationReport {
+  ok: boolean;
+  errors: string[];
+  warnings: string[];
+  info: string[];
+}
+
+function validatePluginDocInternal(doc: any, infoSeed: string[] = []): PluginValidationReport {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const info: string[] = [...infoSeed];
+
+  const formatVersion = getFormatVersion(doc);
+  if (formatVersion < CURRENT_FORMAT_VERSION) {
+    warnings.push(`formatVersion ${formatVersion} is older than ${CURRENT_FORMAT_VERSION}; the document will be migrated when loaded`);
+  } else if (formatVersion > CURRENT_FORMAT_VERSION) {
+    errors.push(`formatVersion ${formatVersion} is newer than this studio supports (${CURRENT_FORMAT_VERSION})`);
+  }
+
+  const meta = doc?.metadata || {};
+  if (!meta.id || typeof meta.id !== 'string') errors.push('metadata.id is required');
+  if (!meta.name || typeof meta.name !== 'string') errors.push('metadata.name is required');
+  if (!meta.version || typeof meta.version !== 'string') warnings.push('metadata.version missing, defaulting to 1.0.0');
+  
+  // Enhanced route validation and auto-fix
+  const expectedRoute = `/${meta.id || 'plugin'}`;
+  
+  // Check for problematic routes
+  if (!meta.route || typeof meta.route !== 'string' || 
+      meta.route.startsWith('#') || 
+      meta.route.trim() === '' ||
+      meta.route === '/') {
+    warnings.push(`metadata.route missing or invalid (${meta.route}), auto-setting to: ${expectedRoute}`);
+    if (doc.metadata) {
+      doc.metadata.route = expectedRoute;
+    } else {
+      doc.metadata = { ...meta, route: expectedRoute };
+    }
+  }
+  // Check if route doesn't match the plugin ID (common mismatch issue)
+  else if (meta.route !== expectedRoute && !meta.route.startsWith('/api/')) {
+    warnings.push(`metadata.route (${meta.route}) doesn't match plugin ID, updating to: ${expectedRoute}`);
+    if (doc.metadata) {
+      doc.metadata.route = expectedRoute;
+    } else {
+      doc.metadata = { ...meta, route: expectedRoute };
+    }
+  }
+  
+  // Validate and fix icon field
+  if (!meta.icon || typeof meta.icon !== 'string' || meta.icon.trim() === '') {
+    warnings.push(`metadata.icon missing, defaulting to: CubeIcon`);
+    if (doc.metadata) {
+      doc.metadata.icon = 'CubeIcon';
+    } else {
+      doc.metadata = { ...meta, icon: 'CubeIcon' };
+    }
+  } else {
+    // Check if icon name is valid (should not contain URLs or paths)
+    if (meta.icon.includes('/') || meta.icon.includes('http') || meta.icon.includes('.')) {
+      warnings.push(`metadata.icon contains invalid characters (${meta.icon}), defaulting to: CubeIcon`);
+      if (doc.metadata) {
+        doc.metadata.icon = 'CubeIcon';
+      } else {
+        doc.metadata = { ...meta, icon: 'CubeIcon' };
+      }
+    }
+  }
+  if (Array.isArray(meta.permissions) && meta.permissions.length === 0) warnings.push('metadata.permissions is empty');
+
+  if (!doc.frontend || (!doc.frontend.main && !doc.frontend.previewHtml && !doc.frontend.bundle)) {
+    errors.push('frontend.main, frontend.previewHtml or frontend.bundle required');
+  } else {
+    if (typeof doc.frontend.main === 'string' && doc.frontend.main.trim().length > 0) info.push('frontend.main exists');
+    if (typeof doc.frontend.previewHtml === 'string' && doc.frontend.previewHtml.trim().length > 0) info.push('frontend.previewHtml exists');
+    if (typeof doc.frontend.bundle === 'string' && doc.frontend.bundle.trim().length > 0) info.push('frontend.bundle exists');
+  }
+
+  if (!doc.backend || typeof doc.backend.main !== 'string' || doc.backend.main.trim().length === 0) {
+    warnings.push('backend.main (Rust source) missing; backend commands will not be available in Centcom');
+  } else {
+    info.push('backend.main exists');
+  }
+
+  if (doc.sequencer && Array.isArray(doc.sequencer.steps)) {
+    const steps = doc.sequencer.steps;
+    if (steps.length === 0) warnings.push('sequencer.steps is empty');
+    const seqCheck = checkSequencer(doc);
+    errors.push(...seqCheck.errors);
+    warnings.push(...seqCheck.warnings);
+    info.push(`Sequencer: ${steps.length} step(s)`);
+  }
+
+  const declared: string[] = Array.isArray(meta.tauriCommands) ? meta.tauriCommands : [];
+  const used = new Set<string>();
+  if (doc.sequencer && Array.isArray(doc.sequencer.steps)) {
+    for (const s of doc.sequencer.steps) if (s?.command) used.add(String(s.command));
+  }
+  for (const u of used) {
+    if (!declared.includes(u)) warnings.push(`Command '${u}' used in sequencer but not declared in metadata.tauriCommands`);
+  }
+
+  // Event actions bound to GUI components
+  const guiComponents = doc.gui ? flattenGuiTabs(getGuiTabs(doc.gui)) : [];
+  const actionCheck = checkComponentActions(doc, guiComponents);
+  errors.push(...actionCheck.errors.map(e => `gui actions: ${e}`));
+  warnings.push(...actionCheck.warnings.map(w => `gui actions: ${w}`));
+  for (const component of guiComponents) {
+    for (const list of Object.values(getComponentActions(component))) {
+      for (const action of list || []) if (action.type === 'invoke' && action.command) used.add(action.command);
+    }
+  }
+  if (declared.length && used.size === 0) warnings.push('metadata.tauriCommands declared but not referenced by sequencer or GUI actions');
+
+  // Licensing features gating GUI components
+  const featureCheck = checkComponentFeatures(doc, guiComponents);
+  errors.push(...featureCheck.errors.map(e => `gui features: ${e}`));
+  warnings.push(...featureCheck.warnings.map(w => `gui features: ${w}`));
+
+  // Simulator mocks never reach Centcom, so their problems are warnings only
+  const mocks = getPluginMocks(doc);
+  if (Object.keys(mocks).length > 0) {
+    const mockCheck = checkMocks(doc, mocks);
+    mockCheck.errors.forEach(e => warnings.push(`Simulator: ${e}`));
+    info.push(`Simulator mocks: ${Object.keys(mocks).length} command(s)`);
+  }
+
+  // Validate licensing configuration if enabled
+  if (doc.licensing && doc.licensing.enabled) {
+    info.push('Licensing system enabled');
+    
+    if (doc.licensing.requiresLicense) {
+      info.push('Plugin requires valid license');
+      
+      // Check license tiers
+      if (!doc.licensing.tiers || doc.licensing.tiers.length === 0) {
+        errors.push('At least one license tier must be defined when licensing is required');
+      } else {
+        doc.licensing.tiers.forEach((tier: any, index: number) => {
+          if (!tier.name) {
+            errors.push(`License tier ${index + 1}: name is required`);
+          }
+          if (tier.price < 0) {
+            errors.push(`License tier ${index + 1}: price cannot be negative`);
+          }
+          if (tier.duration !== 'perpetual' && (!tier.durationValue || tier.durationValue <= 0)) {
+            errors.push(`License tier ${index + 1}: duration value must be positive for non-perpetual licenses`);
+          }
+        });
+        info.push(`License tiers: ${doc.licensing.tiers.length} defined`);
+      }
+      
+      // Check cryptography configuration
+      if (!doc.licensing.cryptography) {
+        warnings.push('Cryptography configuration missing - using defaults');
+      } else {
+        if (!doc.licensing.cryptography.publicKey && !doc.licensing.cryptography.privateKey && !doc.licensing.keyId) {
+          warnings.push('No cryptographic keys generated - licenses cannot be signed or verified');
+        }
+        info.push(`Cryptography: ${doc.licensing.cryptography.algorithm || 'RSA-2048'}`);
+      }
+      
+      // Check remote validation
+      if (doc.licensing.remoteValidation && doc.licensing.remoteValidation.enabled) {
+        if (!doc.licensing.remoteValidation.endpoint) {
+          errors.push('Remote validation endpoint is required when remote validation is enabled');
+        } else {
+          info.push('Remote license validation enabled');
+        }
+      }
+      
+      // Check features
+      if (doc.licensing.features && doc.licensing.features.length > 0) {
+        info.push(`License-controlled features: ${doc.licensing.features.length}`);
+      }
+    } else {
+      info.push('Plugin licensing enabled but not required (optional licensing)');
+    }
+
+    // The signature is checked at build time, see prepareRevocationList
+    const revocations = doc.licensing.revocationList?.list;
+    if (revocations && Array.isArray(revocations.entries)) {
+      info.push(`Revocation list: v${revocations.version}, ${revocations.entries.length} revoked license(s)`);
+    }
+  }
+
+  // Exports strip these, but the document itself is shared through the workspace
+  if (doc.licensing?.cryptography?.privateKey) {
+    warnings.push('The license signing key is stored in the plugin document; move it into the keystore');
+  }
+  if (doc.licensing?.licenseServer?.apiKey) {
+    warnings.push('The license server API key is stored in the plugin document; move it into the keystore');
+  }
+
+  // Structural check against the published .lycplugin schema
+  const schemaViolations = validateAgainstSchema(doc).filter(v => !v.startsWith('formatVersion'));
+  for (const v of schemaViolations) warnings.push(`Schema: ${v}`);
+  if (schemaViolations.length === 0) info.push(`Schema: conforms to .lycplugin v${CURRENT_FORMAT_VERSION}`);
+
+  const ok = errors.length === 0;
+  if (ok) info.push('Validation OK');
+  return { ok, errors, warnings, info };
+}
+
+/**
+ * Validate a plugin document. Route and icon problems are auto-fixed in place.
+ */
+export function validatePluginDoc(doc: any, seedInfo: string[] = []): PluginValidationReport {
+  return validatePluginDocInternal(doc, seedInfo);
+}
@@ -0,0 +1,216 @@
+/**
+ * Sequencer
+ * Helpers for the automation steps stored in `sequencer.steps` and `sequencer.variables`
+ *
+ * A step runs a Tauri command (`device_command`, `measurement`), waits (`delay`), tests an
+ * expression (`condition`) or transforms variables (`data_processing`). After a step the sequence
+ * follows `onSuccess` or `onError`: another step id, or one of the reserved targets below.
+ * A condition step takes `onSuccess` when its expression is truthy and `onError` otherwise.
+ */
+
+import type { CentcomSequenceStep } from './centcomAPI';
+
+export type SequencerStepType = CentcomSequenceStep['type'];
+
+export interface SequencerParameter {
+  name: string;
+  type: 'string' | 'number' | 'boolean' | 'array' | 'object';
+  description?: string;
+  default?: any;
+  min?: number;
+  max?: number;
+}
+
+export interface SequencerStep {
+  id: string;
+  name: string;
+  type?: SequencerStepType;
+  description?: string;
+  command?: string;
+  parameters: SequencerParameter[];
+  outputs: string[];
+  timeout?: number;
+  delayMs?: number;
+  expression?: string;
+  onSuccess?: string;
+  onError?: string;
+}
+
+export interface SequencerConfig {
+  steps: SequencerStep[];
+  variables: Record<string, any>;
+}
+
+/** Continue with the following step (default for onSuccess) */
+export const TARGET_NEXT = 'next';
+/** Finish the sequence successfully */
+export const TARGET_END = 'end';
+/** Stop the sequence as failed (default for onError) */
+export const TARGET_ABORT = 'abort';
+
+export const RESERVED_TARGETS = [TARGET_NEXT, TARGET_END, TARGET_ABORT];
+
+export const STEP_TYPES: Array<{ type: SequencerStepType; label: string; description: string }> = [
+  { type: 'device_command', label: 'Device command', description: 'Invoke a Tauri command on the device' },
+  { type: 'measurement', label: 'Measurement', description: 'Invoke a Tauri command and store its result' },
+  { type: 'delay', label: 'Delay', description: 'Wait for delayMs milliseconds' },
+  { type: 'condition', label: 'Condition', description: 'Branch on a JavaScript expression over the variables' },
+  { type: 'data_processing', label: 'Data processing', description: 'Evaluate a JavaScript expression and store its result' }
+];
+
+export const PARAMETER_TYPES: SequencerParameter['type'][] = ['string', 'number', 'boolean', 'array', 'object'];
+
+/**
+ * Step type, inferred for older steps that only carry a command
+ */
+export function stepTypeOf(step: Partial<SequencerStep>): SequencerStepType {
+  return step.type || 'device_command';
+}
+
+/**
+ * Whether a step type runs a Tauri command
+ */
+export function stepUsesCommand(type: SequencerStepType): boolean {
+  return type === 'device_command' || type === 'measurement';
+}
+
+/**
+ * Read the sequencer block of a document, filling in missing arrays
+ */
+export function getSequencer(doc: any): SequencerConfig {
+  const seq = doc?.sequencer || {};
+  const steps = Array.isArray(seq.steps) ? seq.steps : [];
+  return {
+    steps: steps.map((step: any) => ({
+      ...step,
+      parameters: Array.isArray(step?.parameters) ? step.parameters : [],
+      outputs: Array.isArray(step?.outputs) ? step.outputs : []
+    })),
+    variables: seq.variables && typeof seq.variables === 'object' && !Array.isArray(seq.variables) ? seq.variables : {}
+  };
+}
+
+/**
+ * Return a copy of doc with its sequencer replaced
+ */
+export function setSequencer(doc: any, seq: SequencerConfig): any {
+  return { ...doc, sequencer: { ...(doc?.sequencer || {}), steps: seq.steps, variables: seq.variables } };
+}
+
+/**
+ * New step of the given type with an id not used by any existing step
+ */
+export function createStep(type: SequencerStepType, steps: SequencerStep[]): SequencerStep {
+  const label = STEP_TYPES.find(t => t.type === type)?.label || 'Step';
+  let n = steps.length + 1;
+  while (steps.some(s => s.id === `${type}_${n}`)) n++;
+  const step: SequencerStep = { id: `${type}_${n}`, name: `${label} ${n}`, type, parameters: [], outputs: [], timeout: 30000 };
+  if (stepUsesCommand(type)) step.command = '';
+  if (type === 'delay') step.delayMs = 1000;
+  if (type === 'condition' || type === 'data_processing') step.expression = '';
+  return step;
+}
+
+/**
+ * Move the step at `from` to position `to`
+ */
+export function moveStep(steps: SequencerStep[], from: number, to: number): SequencerStep[] {
+  if (from === to || from < 0 || from >= steps.length) return steps;
+  const next = [...steps];
+  const [step] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(to, next.length)), 0, step);
+  return next;
+}
+
+/**
+ * Change a step id and every branch that points at it
+ */
+export function renameStep(steps: SequencerStep[], oldId: string, newId: string): SequencerStep[] {
+  const retarget = (target?: string) => (target === oldId ? newId : target);
+  return steps.map(step => ({
+    ...step,
+    id: step.id === oldId ? newId : step.id,
+    onSuccess: retarget(step.onSuccess),
+    onError: retarget(step.onError)
+  }));
+}
+
+/**
+ * Remove a step; branches that pointed at it fall back to their defaults
+ */
+export function removeStep(steps: SequencerStep[], id: string): SequencerStep[] {
+  const retarget = (target?: string) => (target === id ? undefined : target);
+  return steps
+    .filter(step => step.id !== id)
+    .map(step => ({ ...step, onSuccess: retarget(step.onSuccess), onError: retarget(step.onError) }));
+}
+
+/**
+ * Check the sequencer of a document for problems Centcom would hit when running it
+ */
+export function checkSequencer(doc: any): { errors: string[]; warnings: string[] } {
+  const errors: string[] = [];
+  const warnings: string[] = [];
+  const { steps, variables } = getSequencer(doc);
+  const ids = new Set<string>();
+  const known = new Set<string>([...Object.keys(variables), ...steps.flatMap(s => s.outputs.map(String))]);
+
+  steps.forEach((step, idx) => {
+    const label = `sequencer.steps[${idx}]`;
+    const type = stepTypeOf(step);
+    if (!step.id) {
+      errors.push(`${label}.id is required`);
+    } else if (ids.has(step.id)) {
+      errors.push(`${label}.id '${step.id}' is used by another step`);
+    } else if (RESERVED_TARGETS.includes(step.id)) {
+      errors.push(`${label}.id '${step.id}' is reserved for branching`);
+    }
+    if (step.id) ids.add(step.id);
+
+    if (!STEP_TYPES.some(t => t.type === type)) errors.push(`${label}.type '${type}' is not a sequencer step type`);
+    if (stepUsesCommand(type) && !step.command) warnings.push(`${label}.command is missing`);
+    if (type === 'delay' && !(typeof step.delayMs === 'number' && step.delayMs >= 0)) {
+      errors.push(`${label}.delayMs must be a non-negative number`);
+    }
+    if ((type === 'condition' || type === 'data_processing') && !step.expression?.trim()) {
+      errors.push(`${label}.expression is required for ${type} steps`);
+    }
+    if (step.timeout !== undefined && !(typeof step.timeout === 'number' && step.timeout > 0)) {
+      errors.push(`${label}.timeout must be a positive number of milliseconds`);
+    }
+
+    const names = new Set<string>();
+    step.parameters.forEach((param, p) => {
+      const plabel = `${label}.parameters[${p}]`;
+      if (!param?.name) {
+        errors.push(`${plabel}.name is required`);
+        return;
+      }
+      if (names.has(param.name)) errors.push(`${plabel}.name '${param.name}' is duplicated`);
+      names.add(param.name);
+      if (typeof param.default === 'number') {
+        if (typeof param.min === 'number' && param.default < param.min) warnings.push(`${plabel}.default is below min`);
+        if (typeof param.max === 'number' && param.default > param.max) warnings.push(`${plabel}.default is above max`);
+      }
+      if (typeof param.default === 'string') {
+        for (const [, ref] of param.default.matchAll(/\$\{(\w+)\}/g)) {
+          if (!known.has(ref)) warnings.push(`${plabel}.default references unknown variable '${ref}'`);
+        }
+      }
+    });
+  });
+
+  steps.forEach((step, idx) => {
+    for (const key of ['onSuccess', 'onError'] as const) {
+      const target = step[key];
+      if (target && !RESERVED_TARGETS.includes(target) && !ids.has(target)) {
+        errors.push(`sequencer.steps[${idx}].${key} points to unknown step '${target}'`);
+      }
+    }
+    if (step.onSuccess === step.id && step.id && stepTypeOf(step) !== 'condition') {
+      warnings.push(`sequencer.steps[${idx}].onSuccess loops back to itself`);
+    }
+  });
+
+  return { errors, warnings };
+}
@@ -0,0 +1,336 @@
+/**
+ * Sequencer Engine
+ * Executes `sequencer.steps` in the studio against a mocked invoke
+ *
+ * The engine is a small state machine: run() executes steps until the sequence ends, a
+ * breakpoint is reached or pause() is called; step() executes exactly one step. Every step
+ * result is appended to a timeline together with a snapshot of the variables, and listeners
+ * are notified after each change so the UI can render progress live.
+ */
+
+import {
+  SequencerConfig,
+  SequencerStep,
+  TARGET_NEXT,
+  TARGET_END,
+  TARGET_ABORT,
+  stepTypeOf,
+  stepUsesCommand
+} from './sequencer';
+
+export type SequencerRunState = 'idle' | 'running' | 'paused' | 'completed' | 'failed' | 'stopped';
+export type StepStatus = 'success' | 'error' | 'timeout';
+
+export interface StepResult {
+  index: number;
+  stepId: string;
+  name: string;
+  status: StepStatus;
+  /** Milliseconds since the run started */
+  startedAt: number;
+  durationMs: number;
+  args?: Record<string, any>;
+  output?: any;
+  error?: string;
+  /** Branch taken after the step: a step id, next, end or abort */
+  next: string;
+  variables: Record<string, any>;
+}
+
+export interface SequencerSnapshot {
+  state: SequencerRunState;
+  /** Index of the step that runs next, or -1 once the run is over */
+  currentIndex: number;
+  results: StepResult[];
+  variables: Record<string, any>;
+  error?: string;
+}
+
+export interface SequencerEngineOptions {
+  invoke: (command: string, args?: Record<string, any>) => Promise<any>;
+  /** Step ids to pause before */
+  breakpoints?: Iterable<string>;
+  /** Steps executed before the run is failed, to catch onSuccess/onError loops */
+  maxSteps?: number;
+  /** Timeout for steps that do not set one */
+  defaultTimeout?: number;
+}
+
+type Listener = (snapshot: SequencerSnapshot) => void;
+
+class StepTimeoutError extends Error {
+  constructor(ms: number) {
+    super(`Step timed out after ${ms} ms`);
+    this.name = 'StepTimeoutError';
+  }
+}
+
+const clone = (value: any) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Evaluate an expression with every variable in scope by name
+ */
+export function evaluateExpression(expression: string, variables: Record<string, any>): any {
+  const names = Object.keys(variables).filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+  const fn = new Function('vars', ...names, `return (${expression});`);
+  return fn(variables, ...names.map(name => variables[name]));
+}
+
+/**
+ * Replace `${name}` references with variable values. A string that is a single reference
+ * yields the variable itself, so numbers and objects keep their type.
+ */
+export function interpolate(value: any, variables: Record<string, any>): any {
+  if (typeof value !== 'string') return value;
+  const whole = value.match(/^\$\{(\w+)\}$/);
+  if (whole) return whole[1] in variables ? variables[whole[1]] : value;
+  return value.replace(/\$\{(\w+)\}/g, (ref, name) => (name in variables ? String(variables[name]) : ref));
+}
+
+export class SequencerEngine {
+  private readonly steps: SequencerStep[];
+  private readonly initialVariables: Record<string, any>;
+  private readonly listeners = new Set<Listener>();
+  private breakpoints: Set<string>;
+  private snap: SequencerSnapshot;
+  private startedAt = 0;
+  private executed = 0;
+  private pauseRequested = false;
+  /** Incremented by stop() and reset() so an in-flight step does not report into a new run */
+  private generation = 0;
+  /** Index resumed from a breakpoint, so it runs instead of pausing again */
+  private resumeIndex = -1;
+
+  constructor(sequencer: SequencerConfig, private readonly options: SequencerEngineOptions) {
+    this.steps = sequencer.steps;
+    this.initialVariables = sequencer.variables;
+    this.breakpoints = new Set(options.breakpoints || []);
+    this.snap = this.initialSnapshot();
+  }
+
+  subscribe(listener: Listener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  snapshot(): SequencerSnapshot {
+    return this.snap;
+  }
+
+  setBreakpoints(ids: Iterable<string>): void {
+    this.breakpoints = new Set(ids);
+  }
+
+  /**
+   * Run until the sequence ends, a breakpoint is hit or pause() is called.
+   * Also resumes a paused run.
+   */
+  async run(): Promise<SequencerSnapshot> {
+    if (!this.canContinue()) return this.snap;
+    this.pauseRequested = false;
+    this.update({ state: 'running' });
+    const generation = this.generation;
+    while (this.isActive(generation)) {
+      const index = this.snap.currentIndex;
+      if (this.pauseRequested || (index !== this.resumeIndex && this.breakpoints.has(this.steps[index]?.id))) {
+        this.resumeIndex = index;
+        this.update({ state: 'paused' });
+        break;
+      }
+      this.resumeIndex = -1;
+      await this.executeCurrent(generation);
+      // Yield so the UI can render the step and pause() can land between steps
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return this.snap;
+  }
+
+  /**
+   * Execute one step and pause before the next
+   */
+  async step(): Promise<SequencerSnapshot> {
+    if (!this.canContinue()) return this.snap;
+    this.update({ state: 'running' });
+    const generation = this.generation;
+    await this.executeCurrent(generation);
+    if (this.isActive(generation)) {
+      this.resumeIndex = this.snap.currentIndex;
+      this.update({ state: 'paused' });
+    }
+    return this.snap;
+  }
+
+  /**
+   * Pause after the step that is currently executing
+   */
+  pause(): void {
+    if (this.snap.state === 'running') this.pauseRequested = true;
+  }
+
+  /**
+   * Abandon the run; a step that is still executing is discarded
+   */
+  stop(): void {
+    if (this.snap.state !== 'running' && this.snap.state !== 'paused') return;
+    this.generation++;
+    this.update({ state: 'stopped', currentIndex: -1 });
+  }
+
+  reset(): void {
+    this.generation++;
+    this.pauseRequested = false;
+    this.resumeIndex = -1;
+    this.snap = this.initialSnapshot();
+    this.emit();
+  }
+
+  private initialSnapshot(): SequencerSnapshot {
+    this.executed = 0;
+    return { state: 'idle', currentIndex: this.steps.length > 0 ? 0 : -1, results: [], variables: clone(this.initialVariables) || {} };
+  }
+
+  private canContinue(): boolean {
+    if (this.snap.state === 'idle') {
+      if (this.steps.length === 0) {
+        this.update({ state: 'completed', currentIndex: -1 });
+        return false;
+      }
+      this.startedAt = Date.now();
+      return true;
+    }
+    return this.snap.state === 'paused';
+  }
+
+  private isActive(generation: number): boolean {
+    return generation === this.generation && this.snap.state === 'running';
+  }
+
+  private async executeCurrent(generation: number): Promise<void> {
+    const index = this.snap.currentIndex;
+    const step = this.steps[index];
+    if (this.executed >= (this.options.maxSteps ?? 1000)) {
+      this.update({ state: 'failed', currentIndex: -1, error: `Stopped after ${this.executed} steps; check onSuccess/onError for a loop` });
+      return;
+    }
+    this.executed++;
+
+    const started = Date.now();
+    const variables = { ...this.snap.variables };
+    let status: StepStatus = 'success';
+    let output: any;
+    let error: string | undefined;
+    let args: Record<string, any> | undefined;
+    let branch: 'onSuccess' | 'onError' = 'onSuccess';
+
+    try {
+      const type = stepTypeOf(step);
+      if (stepUsesCommand(type)) args = this.resolveArgs(step, variables);
+      output = await this.withTimeout(step, this.perform(step, args, variables));
+      if (stepUsesCommand(type) && output && typeof output === 'object' && output.success === false) {
+        throw new Error(output.error || output.message || `${step.command} reported success: false`);
+      }
+      if (type === 'condition') {
+        if (!output) branch = 'onError';
+      } else {
+        this.storeOutputs(step, output, variables);
+      }
+    } catch (e: any) {
+      status = e instanceof StepTimeoutError ? 'timeout' : 'error';
+      error = e?.message || String(e);
+      branch = 'onError';
+    }
+    if (generation !== this.generation) return;
+
+    // A false condition continues by default; failures abort unless onError says otherwise
+    const next = step[branch] || (status === 'success' ? TARGET_NEXT : TARGET_ABORT);
+    const result: StepResult = {
+      index,
+      stepId: step.id,
+      name: step.name || step.id,
+      status,
+      startedAt: started - this.startedAt,
+      durationMs: Date.now() - started,
+      args,
+      output,
+      error,
+      next,
+      variables: clone(variables)
+    };
+    const results = [...this.snap.results, result];
+
+    if (next === TARGET_END || (next === TARGET_NEXT && index + 1 >= this.steps.length)) {
+      this.update({ state: 'completed', currentIndex: -1, results, variables });
+    } else if (next === TARGET_ABORT) {
+      this.update({ state: 'failed', currentIndex: -1, results, variables, error: `${result.name}: ${error || 'aborted'}` });
+    } else if (next === TARGET_NEXT) {
+      this.update({ currentIndex: index + 1, results, variables });
+    } else {
+      const target = this.steps.findIndex(s => s.id === next);
+      if (target < 0) {
+        this.update({ state: 'failed', currentIndex: -1, results, variables, error: `${result.name}: ${branch} points to unknown step '${next}'` });
+      } else {
+        this.update({ currentIndex: target, results, variables });
+      }
+    }
+  }
+
+  private perform(step: SequencerStep, args: Record<string, any> | undefined, variables: Record<string, any>): Promise<any> {
+    switch (stepTypeOf(step)) {
+      case 'delay':
+        return new Promise(resolve => setTimeout(() => resolve(null), Math.max(0, step.delayMs || 0)));
+      case 'condition':
+      case 'data_processing':
+        return Promise.resolve().then(() => evaluateExpression(step.expression || 'undefined', variables));
+      default:
+        if (!step.command) return Promise.reject(new Error('No command set'));
+        return this.options.invoke(step.command, args);
+    }
+  }
+
+  private withTimeout<T>(step: SequencerStep, work: Promise<T>): Promise<T> {
+    const ms = step.timeout ?? this.options.defaultTimeout ?? 30000;
+    if (!(ms > 0) || stepTypeOf(step) === 'delay') return work;
+    let timer: ReturnType<typeof setTimeout>;
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new StepTimeoutError(ms)), ms);
+    });
+    return Promise.race([work, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Parameter values: a variable of the same name wins, otherwise the interpolated default
+   */
+  private resolveArgs(step: SequencerStep, variables: Record<string, any>): Record<string, any> {
+    const args: Record<string, any> = {};
+    for (const param of step.parameters) {
+      if (!param?.name) continue;
+      const value = param.name in variables ? variables[param.name] : interpolate(param.default, variables);
+      if (value !== undefined) args[param.name] = value;
+    }
+    return args;
+  }
+
+  /**
+   * A single output receives the whole result (unwrapping `{ success, data }`); several
+   * outputs pick same-named fields from it
+   */
+  private storeOutputs(step: SequencerStep, output: any, variables: Record<string, any>): void {
+    const value = output && typeof output === 'object' && 'data' in output && 'success' in output ? output.data : output;
+    if (step.outputs.length === 1) {
+      variables[step.outputs[0]] = value;
+      return;
+    }
+    for (const name of step.outputs) {
+      variables[name] = value && typeof value === 'object' && name in value ? value[name] : value;
+    }
+  }
+
+  private update(changes: Partial<SequencerSnapshot>): void {
+    this.snap = { ...this.snap, ...changes };
+    this.emit();
+  }
+
+  private emit(): void {
+    for (const listener of this.listeners) listener(this.snap);
+  }
+}
@@ -10,17 +10,43 @@
  * - No dynamic imports/dependencies
  */
 
+import { markComponent, extractComponentSourceMap, GeneratedCode } from './componentSourceMap';
+import { getGuiTabs, flattenGuiTabs } from './guiTabs';
+import { getSequencer } from './sequencer';
+import { ComponentActions, ComponentEvent, getComponentActions, hasComponentActions, actionStateVariables, actionHandlerName, generateActionHandler } from './componentActions';
+import { getComponentFeature, featureGatesEnabled, gatedFeatureIds, featureGate, lockedMessage, generateFeatureAccessCode } from './featureGates';
+import { licenseVerificationKey, LicenseVerificationKey } from './licensing';
+
 interface SimpleGUIComponent {
   id: string;
   type: string;
   text?: string;
+  code?: string; // verbatim expression for customCode blocks
   style?: Record<string, string>;
   children?: SimpleGUIComponent[];
+  // Event bindings and the library handler names they are generated under
+  actions?: ComponentActions;
+  handlers?: Partial<Record<ComponentEvent, string>>;
+  // Licensing feature the component is gated on, set only while licensing is enabled
+  feature?: string;
+  // Text of the locked placeholder
+  lockedMessage?: string;
+}
+
+interface SimpleGUITab {
+  id: string;
+  name: string;
+  components: SimpleGUIComponent[];
 }
 
 interface SimpleGUIConfig {
   title: string;
   components: SimpleGUIComponent[];
+  tabs?: SimpleGUITab[];
+  // Document sequencer block, read by runStep actions
+  sequencer?: any;
+  // Public key gated features are checked against
+  verification?: LicenseVerificationKey | null;
 }
 
 export class SimpleGuiGenerator {
@@ -32,6 +58,16 @@ export class SimpleGuiGenerator {
     config: SimpleGUIConfig,
     componentName: string = 'PluginGUI'
   ): string {
+    return this.generateSimpleComponentWithSourceMap(config, componentName).code;
+  }
+
+  /**
+   * Generate the component together with a source map keyed by component.id
+   */
+  static generateSimpleComponentWithSourceMap(
+    config: SimpleGUIConfig,
+    componentName: string = 'PluginGUI'
+  ): GeneratedCode {
     
     // Create clean, simple component with minimal complexity
     const code = `
@@ -45,7 +81,7 @@ const ${componentName} = function(props) {
   var setLoading = React.useState(false)[1];
   var theme = React.useState('light')[0];
   var setTheme = React.useState('light')[1];
-  
+${this.generateTabState(config)}${this.generateActionCode(config)}${this.generateFeatureCode(config)}${this.generateCommandHelper(config)}  
   // Simple effect for plugin initialization
   React.useEffect(function() {
     console.log('Plugin loaded: ' + (pluginId || 'NO_ID_PROVIDED'));
@@ -119,13 +155,13 @@ const ${componentName} = function(props) {
     return React.createElement('div', {
       className: 'plugin-container plugin-theme-' + theme,
       style: containerStyle
-    }, ${this.generateComponentElements(config.components)});
+    }, ${this.isTabbed(config) ? this.generateTabElements(config.tabs || []) : this.generateComponentElements(config.components)});
   }
   
   return renderComponent();
 };`.trim();
     
-    return code;
+    return extractComponentSourceMap(code, 'simple');
   }
   
   /**
@@ -146,27 +182,203 @@ const ${componentName} = function(props) {
     return elements.join(',\n    ');
   }
   
+  /**
+   * Tabs are only rendered when the design has more than one
+   */
+  private static isTabbed(config: SimpleGUIConfig): boolean {
+    return !!config.tabs && config.tabs.length > 1;
+  }
+
+  /**
+   * Generate the active tab state for tabbed layouts
+   */
+  private static generateTabState(config: SimpleGUIConfig): string {
+    if (!this.isTabbed(config)) return '';
+    const firstTabId = JSON.stringify((config.tabs as SimpleGUITab[])[0].id);
+    return `  var tabState = React.useState(${firstTabId});
+  var activeTab = tabState[0];
+  var setActiveTab = tabState[1];
+`;
+  }
+
+  /**
+   * Generate the state and handler functions for components with event bindings
+   */
+  private static generateActionCode(config: SimpleGUIConfig): string {
+    const bound: SimpleGUIComponent[] = [];
+    const visit = (component: SimpleGUIComponent) => {
+      if (hasComponentActions(this.actionSource(component))) bound.push(component);
+      (component.children || []).forEach(visit);
+    };
+    config.components.forEach(visit);
+    if (bound.length === 0) return '';
+
+    const steps = getSequencer({ sequencer: config.sequencer }).steps;
+    const initial: Record<string, any> = {};
+    for (const name of actionStateVariables(bound.map(c => this.actionSource(c)), steps)) initial[name] = null;
+
+    const handlers = bound.flatMap(component => {
+      const source = this.actionSource(component);
+      return (Object.keys(getComponentActions(source)) as ComponentEvent[]).map(event =>
+        markComponent(component.id, generateActionHandler(source, event, { invoke: 'callCommand', tabbed: this.isTabbed(config), steps }))
+      );
+    });
+
+    return `
+  // State written by component actions
+  var actionState = React.useState(${JSON.stringify(initial)});
+  var state = actionState[0];
+  var setState = actionState[1];
+  function setStateValue(name, value) {
+    setState(function(prev) {
+      var next = Object.assign({}, prev);
+      next[name] = value;
+      return next;
+    });
+  }
+${handlers.join('\n')}
+`;
+  }
+
+  /**
+   * Generate license feature checks and the locked placeholder for gated components
+   */
+  private static generateFeatureCode(config: SimpleGUIConfig): string {
+    const featureIds = gatedFeatureIds(config.components, component => component.feature || '');
+    if (featureIds.length === 0) return '';
+
+    return `
+  var licenseKey = props.licenseKey;
+  var licenseFeatures = props.licenseFeatures;
+  var onUpgradeRequest = props.onUpgradeRequest;
+${generateFeatureAccessCode(featureIds, { invoke: 'callCommand', hooks: 'React.', verification: config.verification || null })}
+  function renderLocked(componentId, featureId, message) {
+    return React.createElement('div', {
+      className: 'plugin-feature-locked',
+      'data-locked-component-id': componentId,
+      style: {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '12px',
+        padding: '12px 16px',
+        marginBottom: '8px',
+        border: '1px dashed var(--theme-border)',
+        borderRadius: '6px',
+        color: 'var(--theme-text)',
+        opacity: 0.75
+      }
+    },
+      React.createElement('span', null, featureAccess === null ? 'Checking license...' : 'Locked: ' + message),
+      featureAccess !== null && onUpgradeRequest ? React.createElement('button', {
+        type: 'button',
+        style: { padding: '4px 12px', border: 'none', borderRadius: '4px', cursor: 'pointer', backgroundColor: 'var(--theme-primary)', color: 'var(--theme-primary-text)' },
+        onClick: function() { onUpgradeRequest({ pluginId: pluginId, featureId: featureId }); }
+      }, 'Upgrade') : null
+    );
+  }
+`;
+  }
+
+  /**
+   * Generate callCommand, used by component actions and feature checks
+   */
+  private static generateCommandHelper(config: SimpleGUIConfig): string {
+    const uses = (component: SimpleGUIComponent): boolean =>
+      hasComponentActions(this.actionSource(component)) || !!component.feature || (component.children || []).some(uses);
+    if (!config.components.some(uses)) return '';
+    return `  function callCommand(command, args) {
+    var tauri = window.__TAURI__;
+    var invoke = (tauri && tauri.core && tauri.core.invoke) || (tauri && tauri.invoke) || window.invoke;
+    if (!invoke) return Promise.reject(new Error('Tauri invoke is not available'));
+    return invoke(command, args);
+  }
+`;
+  }
+
+  /**
+   * Component shape the action helpers expect
+   */
+  private static actionSource(component: SimpleGUIComponent): any {
+    return { id: component.id, props: { ...(component.handlers || {}), actions: component.actions } };
+  }
+
+  /**
+   * Generate the tab bar plus one panel per tab.
+   * Inactive panels stay mounted (display: none) so their state survives tab switches.
+   */
+  private static generateTabElements(tabs: SimpleGUITab[]): string {
+    const buttons = tabs.map(tab => {
+      const tabId = JSON.stringify(tab.id);
+      return `React.createElement('button', {
+        key: ${tabId},
+        role: 'tab',
+        className: 'plugin-tab' + (activeTab === ${tabId} ? ' plugin-tab-active' : ''),
+        style: {
+          padding: '8px 16px',
+          border: 'none',
+          borderBottom: activeTab === ${tabId} ? '2px solid var(--theme-primary)' : '2px solid transparent',
+          background: 'transparent',
+          color: 'var(--theme-text)',
+          fontWeight: activeTab === ${tabId} ? '600' : '400',
+          cursor: 'pointer'
+        },
+        onClick: function() { setActiveTab(${tabId}); }
+      }, ${JSON.stringify(tab.name)})`;
+    });
+
+    const panels = tabs.map(tab => {
+      const tabId = JSON.stringify(tab.id);
+      return `React.createElement('div', {
+        key: ${tabId},
+        role: 'tabpanel',
+        className: 'plugin-tab-panel',
+        style: { display: activeTab === ${tabId} ? 'flex' : 'none', flexDirection: 'column', gap: 'clamp(12px, 2vw, 16px)' }
+      }, ${this.generateComponentElements(tab.components)})`;
+    });
+
+    return [
+      `React.createElement('div', {
+        className: 'plugin-tab-bar',
+        role: 'tablist',
+        style: { display: 'flex', gap: '4px', borderBottom: '1px solid var(--theme-border)' }
+      }, ${buttons.join(',\n      ')})`,
+      ...panels
+    ].join(',\n    ');
+  }
+
   /**
    * Generate a single element with simple syntax
    */
   private static generateSingleElement(component: SimpleGUIComponent): string {
+    // Custom code blocks are emitted exactly as written in the code view
+    if (component.type === 'customCode') {
+      return markComponent(component.id, this.gateElement(component, component.code || 'null'));
+    }
+
     const safeId = this.getSafeVariableName(component.id);
     const elementType = this.getHTMLElementType(component.type);
     
     // Build simple props object
     const props = this.buildSimpleProps(component, safeId);
     
-    // Handle button clicks separately (can't JSON.stringify functions)
+    // Event handlers are appended as code (can't JSON.stringify functions)
+    const source = this.actionSource(component);
+    const actions = getComponentActions(source);
+    const handlerProps: string[] = [];
+    if (actions.onClick?.length) {
+      handlerProps.push(`onClick: function() { ${actionHandlerName(source, 'onClick')}(); }`);
+    } else if (component.type === 'button') {
+      handlerProps.push('onClick: function() { console.log("Button clicked: ' + safeId + '"); }');
+    }
+    if (actions.onChange?.length && elementType === 'input') {
+      delete props.readOnly;
+      handlerProps.push(`onChange: function(e) { ${actionHandlerName(source, 'onChange')}(e.target.value); }`);
+    }
+
     let propsString = 'null';
     if (Object.keys(props).length > 0) {
-      if (component.type === 'button') {
-        // Create props object with onClick function
-        const propsWithoutClick = { ...props };
-        const propsJson = JSON.stringify(propsWithoutClick);
-        propsString = propsJson.slice(0, -1) + ', onClick: function() { console.log("Button clicked: ' + safeId + '"); }}';
-      } else {
-        propsString = JSON.stringify(props);
-      }
+      const propsJson = JSON.stringify(props);
+      propsString = handlerProps.length > 0 ? propsJson.slice(0, -1) + ', ' + handlerProps.join(', ') + '}' : propsJson;
     }
     
     // Build children (avoid children for self-closing elements)
@@ -178,13 +390,29 @@ const ${componentName} = function(props) {
       childrenString = childElements.join(', ');
     }
     
-    if (childrenString) {
-      return `React.createElement('${elementType}', ${propsString}, ${childrenString})`;
-    } else {
-      return `React.createElement('${elementType}', ${propsString})`;
-    }
+    const element = childrenString
+      ? `React.createElement('${elementType}', ${propsString}, ${childrenString})`
+      : `React.createElement('${elementType}', ${propsString})`;
+    return markComponent(component.id, this.gateElement(component, element));
+  }
+
+  /**
+   * Render a gated component only when its feature is licensed (simpleGuiParser.ts reads this form back)
+   */
+  private static gateElement(component: SimpleGUIComponent, element: string): string {
+    if (!component.feature) return element;
+    const feature = JSON.stringify(component.feature);
+    const message = JSON.stringify(component.lockedMessage || component.feature);
+    return `hasFeature(${feature}) ? ${element} : renderLocked(${JSON.stringify(component.id)}, ${feature}, ${message})`;
   }
   
+  /**
+   * Style the generator applies to a component type when no custom style is set
+   */
+  static getDefaultStyle(type: string): Record<string, string> {
+    return this.buildSimpleProps({ id: 'default', type }, 'default').style;
+  }
+
   /**
    * Get safe variable name (no special characters)
    */
@@ -220,6 +448,10 @@ const ${componentName} = function(props) {
     
     // Add className
     props.className = `plugin-${safeId}`;
+
+    // Identify the canvas component so edited code can be parsed back (see simpleGuiParser.ts)
+    props['data-component-id'] = component.id;
+    props['data-component-type'] = component.type;
     
     // Build theme-aware styles
     const baseStyle = { ...component.style };
@@ -299,6 +531,8 @@ const ${componentName} = function(props) {
         break;
     }
     
+    // Explicit component styles (e.g. edited in the code view) win over the defaults
+    Object.assign(baseStyle, component.style);
     props.style = baseStyle;
     
     // Add input-specific props
@@ -324,19 +558,33 @@ const ${componentName} = function(props) {
 /**
  * Helper function to convert from current complex config to simple config
  */
-export function convertToSimpleConfig(complexConfig: any): SimpleGUIConfig {
+export function convertToSimpleConfig(complexConfig: any, sequencer?: any, licensing?: any): SimpleGUIConfig {
+  const tabs = Array.isArray(complexConfig.tabs) && complexConfig.tabs.length > 0
+    ? getGuiTabs({ tabs: complexConfig.tabs })
+    : null;
+  const components = complexConfig.components || (tabs ? flattenGuiTabs(tabs) : []);
+  const convert = (comp: any) => convertComponent(comp, licensing);
+
   return {
     title: complexConfig.title || 'Plugin Interface',
-    components: complexConfig.components?.map(convertComponent) || []
+    components: components.map(convert),
+    tabs: tabs?.map(tab => ({ id: tab.id, name: tab.name, components: tab.components.map(convert) })),
+    sequencer,
+    verification: licenseVerificationKey(licensing)
   };
 }
 
-function convertComponent(comp: any): SimpleGUIComponent {
+function convertComponent(comp: any, licensing?: any): SimpleGUIComponent {
+  const feature = featureGatesEnabled(licensing) ? getComponentFeature(comp) : '';
   return {
     id: comp.id || 'component',
     type: comp.type || 'div',
     text: comp.props?.text || comp.props?.label || comp.props?.children,
+    code: comp.props?.code,
     style: comp.props?.style || {},
-    children: comp.children?.map(convertComponent) || []
+    children: comp.children?.map((child: any) => convertComponent(child, licensing)) || [],
+    actions: comp.props?.actions,
+    handlers: { onClick: comp.props?.onClick, onChange: comp.props?.onChange },
+    ...(feature ? { feature, lockedMessage: lockedMessage(featureGate(licensing, feature)) } : {})
   };
 }
@@ -0,0 +1,384 @@
+/**
+ * Simple GUI Parser
+ * Reads code produced by SimpleGuiGenerator back into canvas components
+ *
+ * Elements are matched to existing components through the data-component-id attribute the
+ * generator emits, so position, size and props the generator does not render survive the
+ * round trip. Any expression in the component list that cannot be mapped to a component is
+ * kept verbatim as a `customCode` block instead of being dropped. Feature gates
+ * (`hasFeature(id) ? element : renderLocked(...)`) set or clear `props.feature`.
+ */
+
+import type * as TS from 'typescript';
+import { loadTypeScript } from './pluginTranspiler';
+import { SimpleGuiGenerator, convertToSimpleConfig } from './simpleGuiGenerator';
+import { featureGatesEnabled } from './featureGates';
+
+export interface ParsedGuiResult {
+  success: boolean;
+  components: any[];
+  customBlocks: number;
+  warnings: string[];
+  error?: string;
+}
+
+// Props the generator derives from the component itself; they carry no extra information
+const DERIVED_PROPS = ['className', 'style', 'data-component-id', 'data-component-type', 'type', 'placeholder', 'defaultValue', 'readOnly', 'onClick', 'onChange'];
+
+// Handlers the generator emits: the logging click handler and calls into action handlers
+const GENERATED_HANDLERS: Record<string, RegExp> = {
+  onClick: /^function\s*\(\)\s*\{\s*(console\.log\("Button clicked: [^"]*"\)|[A-Za-z_$][\w$]*\(\));?\s*\}$/,
+  onChange: /^function\s*\(e\)\s*\{\s*[A-Za-z_$][\w$]*\(e\.target\.value\);?\s*\}$/
+};
+
+// Reverse of SimpleGuiGenerator's type → element mapping, for elements written by hand
+const ELEMENT_TYPES: Record<string, string> = {
+  button: 'button',
+  input: 'input',
+  span: 'text',
+  p: 'text',
+  h2: 'title',
+  h3: 'subtitle',
+  label: 'label',
+  div: 'container'
+};
+
+const EMPTY_PLACEHOLDER = 'No components configured';
+const DEFAULT_SIZE = { width: 200, height: 50 };
+const NOT_LITERAL = Symbol('not-literal');
+
+/**
+ * Parse SimpleGuiGenerator output (possibly edited) into canvas components.
+ * `existing` are the components the code was generated from; matched components keep
+ * their position, size and any props the generator does not emit, including action bindings.
+ * `sequencer` and `licensing` are the document blocks the code was generated with.
+ */
+export async function parseSimpleComponentCode(code: string, existing: any[] = [], sequencer?: any, licensing?: any): Promise<ParsedGuiResult> {
+  const ts = await loadTypeScript();
+  const result: ParsedGuiResult = { success: false, components: [], customBlocks: 0, warnings: [] };
+
+  const syntax = ts.transpileModule(code, { reportDiagnostics: true, compilerOptions: { allowJs: true } });
+  const syntaxError = (syntax.diagnostics || []).find(d => d.category === ts.DiagnosticCategory.Error);
+  if (syntaxError) {
+    const message = ts.flattenDiagnosticMessageText(syntaxError.messageText, '\n');
+    if (syntaxError.file && syntaxError.start !== undefined) {
+      const pos = syntaxError.file.getLineAndCharacterOfPosition(syntaxError.start);
+      result.error = `Line ${pos.line + 1}, column ${pos.character + 1}: ${message}`;
+    } else {
+      result.error = message;
+    }
+    return result;
+  }
+
+  const sourceFile = ts.createSourceFile('plugin.js', code, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+  const container = findContainer(ts, sourceFile);
+  if (!container) {
+    result.error = "Could not find the plugin container (React.createElement('div', { className: 'plugin-container ...' }, ...))";
+    return result;
+  }
+
+  const existingById = new Map<string, any>();
+  collectComponents(existing, existingById);
+
+  const context: ParseContext = { ts, sourceFile, existingById, usedIds: new Set(), result, gatesEnabled: featureGatesEnabled(licensing) };
+  const children = container.arguments.slice(2).filter(child => !isEmptyPlaceholder(ts, child));
+  result.components = children.map(child => toComponent(child, context));
+  placeNewComponents(result.components);
+
+  if (!shellMatchesGenerator(ts, code, container, result.components, sequencer, licensing)) {
+    result.warnings.push('Edits outside the component list are not kept; the plugin shell is regenerated from the canvas');
+  }
+
+  result.success = true;
+  return result;
+}
+
+interface ParseContext {
+  ts: typeof TS;
+  sourceFile: TS.SourceFile;
+  existingById: Map<string, any>;
+  usedIds: Set<string>;
+  result: ParsedGuiResult;
+  // Without licensing no gates are generated, so a missing gate keeps the component's feature
+  gatesEnabled: boolean;
+}
+
+function collectComponents(components: any[], into: Map<string, any>) {
+  for (const component of components || []) {
+    if (component?.id) into.set(component.id, component);
+    if (Array.isArray(component?.children)) collectComponents(component.children, into);
+  }
+}
+
+function isCreateElement(ts: typeof TS, node: TS.Node): node is TS.CallExpression {
+  if (!ts.isCallExpression(node)) return false;
+  const callee = node.expression;
+  return ts.isPropertyAccessExpression(callee)
+    && callee.name.text === 'createElement'
+    && ts.isIdentifier(callee.expression)
+    && callee.expression.text === 'React';
+}
+
+/**
+ * The generator renders every component as a child of the `plugin-container` div
+ */
+function findContainer(ts: typeof TS, sourceFile: TS.SourceFile): TS.CallExpression | null {
+  let found: TS.CallExpression | null = null;
+  const visit = (node: TS.Node) => {
+    if (found) return;
+    if (isCreateElement(ts, node) && node.arguments.length >= 2 && ts.isObjectLiteralExpression(node.arguments[1])) {
+      const className = node.arguments[1].properties.find(p => propertyName(ts, p) === 'className');
+      if (className && ts.isPropertyAssignment(className) && leadingString(ts, className.initializer)?.startsWith('plugin-container')) {
+        found = node;
+        return;
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return found;
+}
+
+function leadingString(ts: typeof TS, node: TS.Expression): string | null {
+  if (ts.isStringLiteralLike(node)) return node.text;
+  if (ts.isBinaryExpression(node)) return leadingString(ts, node.left);
+  return null;
+}
+
+function propertyName(ts: typeof TS, property: TS.ObjectLiteralElementLike): string | null {
+  if (!property.name) return null;
+  if (ts.isIdentifier(property.name) || ts.isStringLiteralLike(property.name) || ts.isNumericLiteral(property.name)) {
+    return property.name.text;
+  }
+  return null;
+}
+
+function isEmptyPlaceholder(ts: typeof TS, node: TS.Expression): boolean {
+  return isCreateElement(ts, node)
+    && node.arguments.length === 3
+    && ts.isStringLiteralLike(node.arguments[0]) && node.arguments[0].text === 'p'
+    && ts.isStringLiteralLike(node.arguments[2]) && node.arguments[2].text === EMPTY_PLACEHOLDER;
+}
+
+/**
+ * Map one child expression to a canvas component, falling back to a customCode block
+ */
+function toComponent(node: TS.Expression, context: ParseContext): any {
+  const gate = readFeatureGate(node, context);
+  const inner = gate ? gate.element : node;
+  const component = mapElement(inner, context) || toCustomCode(inner, context);
+  if (gate || context.gatesEnabled) {
+    const props = { ...(component.props || {}) };
+    if (gate) props.feature = gate.feature;
+    else delete props.feature;
+    return { ...component, props };
+  }
+  return component;
+}
+
+/**
+ * `hasFeature("id") ? element : renderLocked(...)`, as SimpleGuiGenerator gates components
+ */
+function readFeatureGate(node: TS.Expression, context: ParseContext): { feature: string; element: TS.Expression } | null {
+  const { ts } = context;
+  if (!ts.isConditionalExpression(node)) return null;
+  const { condition, whenFalse } = node;
+  const isCall = (expr: TS.Expression, name: string): expr is TS.CallExpression =>
+    ts.isCallExpression(expr) && ts.isIdentifier(expr.expression) && expr.expression.text === name;
+  if (!isCall(condition, 'hasFeature') || condition.arguments.length !== 1 || !ts.isStringLiteralLike(condition.arguments[0])) return null;
+  if (!isCall(whenFalse, 'renderLocked')) return null;
+  let element = node.whenTrue;
+  while (ts.isParenthesizedExpression(element)) element = element.expression;
+  return { feature: condition.arguments[0].text, element };
+}
+
+function toCustomCode(node: TS.Expression, context: ParseContext): any {
+  context.result.customBlocks++;
+  const code = node.getText(context.sourceFile);
+  const previous = [...context.existingById.values()].find(c => c.type === 'customCode' && c.props?.code === code && !context.usedIds.has(c.id));
+  if (previous) {
+    context.usedIds.add(previous.id);
+    return previous;
+  }
+  return {
+    id: uniqueId(context, 'custom'),
+    type: 'customCode',
+    props: { code },
+    size: { ...DEFAULT_SIZE }
+  };
+}
+
+function mapElement(node: TS.Expression, context: ParseContext): any | null {
+  const { ts } = context;
+  if (!isCreateElement(ts, node) || node.arguments.length < 1) return null;
+  const [tagArg, propsArg, ...childArgs] = node.arguments;
+  if (!ts.isStringLiteralLike(tagArg)) return null;
+
+  const props = readProps(propsArg, context);
+  if (!props) return null;
+
+  const existingId = typeof props['data-component-id'] === 'string' ? props['data-component-id'] : null;
+  const previous = existingId && !context.usedIds.has(existingId) ? context.existingById.get(existingId) : null;
+  const type = props['data-component-type'] || previous?.type || ELEMENT_TYPES[tagArg.text];
+  if (!type) return null;
+
+  // Children: a single string is the component text, elements become nested components
+  const singleText = childArgs.length === 1 && ts.isStringLiteralLike(childArgs[0]);
+  if (!singleText && !childArgs.every(child => isCreateElement(ts, child) || readFeatureGate(child, context))) return null;
+  let text = singleText ? (childArgs[0] as TS.StringLiteralLike).text : undefined;
+  const children = singleText ? [] : childArgs.map(child => toComponent(child, context));
+  if (type === 'input' && typeof props.placeholder === 'string' && props.placeholder !== 'Enter value...') {
+    text = props.placeholder;
+  }
+
+  const id = previous ? previous.id : uniqueId(context, type);
+  context.usedIds.add(id);
+
+  const nextProps: Record<string, any> = { ...(previous?.props || {}) };
+  const textKey = previous ? textPropKey(previous) : 'text';
+  if (text !== undefined) {
+    nextProps[textKey] = text;
+  } else if (textKey === 'text' || textKey === 'children') {
+    delete nextProps[textKey];
+  }
+
+  const customStyle = diffStyle(props.style || {}, SimpleGuiGenerator.getDefaultStyle(type));
+  if (Object.keys(customStyle).length > 0) {
+    nextProps.style = customStyle;
+  } else {
+    delete nextProps.style;
+  }
+
+  const component: any = {
+    ...(previous || {}),
+    id,
+    type,
+    props: nextProps
+  };
+  if (children.length > 0) {
+    component.children = children;
+  } else {
+    delete component.children;
+  }
+  if (!previous) component.size = { ...DEFAULT_SIZE };
+  return component;
+}
+
+/**
+ * Read an element's props object. Returns null when it holds anything the generator
+ * could not have produced (non-literal values, spreads, hand-written handlers).
+ */
+function readProps(node: TS.Expression | undefined, context: ParseContext): Record<string, any> | null {
+  const { ts } = context;
+  if (!node || node.kind === ts.SyntaxKind.NullKeyword) return {};
+  if (!ts.isObjectLiteralExpression(node)) return null;
+
+  const props: Record<string, any> = {};
+  for (const property of node.properties) {
+    const name = propertyName(ts, property);
+    if (!name || !ts.isPropertyAssignment(property)) return null;
+    if (Object.prototype.hasOwnProperty.call(GENERATED_HANDLERS, name)) {
+      // Only handlers the generator emits can be regenerated; bindings are kept on the component
+      if (!GENERATED_HANDLERS[name].test(property.initializer.getText(context.sourceFile))) {
+        return null;
+      }
+      continue;
+    }
+    const value = literalValue(ts, property.initializer);
+    if (value === NOT_LITERAL) return null;
+    props[name] = value;
+  }
+
+  // Props the generator never emits cannot be represented on the canvas
+  if (Object.keys(props).some(name => !DERIVED_PROPS.includes(name))) return null;
+  return props;
+}
+
+function literalValue(ts: typeof TS, node: TS.Expression): any {
+  if (ts.isStringLiteralLike(node)) return node.text;
+  if (ts.isNumericLiteral(node)) return Number(node.text);
+  if (ts.isPrefixUnaryExpression(node) && node.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(node.operand)) {
+    return -Number(node.operand.text);
+  }
+  if (node.kind === ts.SyntaxKind.TrueKeyword) return true;
+  if (node.kind === ts.SyntaxKind.FalseKeyword) return false;
+  if (node.kind === ts.SyntaxKind.NullKeyword) return null;
+  if (ts.isArrayLiteralExpression(node)) {
+    const items = node.elements.map(el => literalValue(ts, el));
+    return items.includes(NOT_LITERAL) ? NOT_LITERAL : items;
+  }
+  if (ts.isObjectLiteralExpression(node)) {
+    const obj: Record<string, any> = {};
+    for (const property of node.properties) {
+      const name = propertyName(ts, property);
+      if (!name || !ts.isPropertyAssignment(property)) return NOT_LITERAL;
+      const value = literalValue(ts, property.initializer);
+      if (value === NOT_LITERAL) return NOT_LITERAL;
+      obj[name] = value;
+    }
+    return obj;
+  }
+  return NOT_LITERAL;
+}
+
+/**
+ * Which prop convertToSimpleConfig read the component text from
+ */
+function textPropKey(component: any): string {
+  const props = component.props || {};
+  if (props.text) return 'text';
+  if (props.label) return 'label';
+  if (props.children) return 'children';
+  return 'text';
+}
+
+function diffStyle(style: Record<string, any>, defaults: Record<string, string>): Record<string, any> {
+  const custom: Record<string, any> = {};
+  for (const [key, value] of Object.entries(style)) {
+    if (defaults[key] !== value) custom[key] = value;
+  }
+  return custom;
+}
+
+function uniqueId(context: ParseContext, prefix: string): string {
+  let id: string;
+  do {
+    id = `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+  } while (context.existingById.has(id) || context.usedIds.has(id));
+  context.usedIds.add(id);
+  return id;
+}
+
+/**
+ * Components added in code have no canvas position; stack them below everything else
+ */
+function placeNewComponents(components: any[]) {
+  let nextY = components
+    .filter(c => c.position)
+    .reduce((max, c) => Math.max(max, c.position.y + (c.size?.height || 0)), 0) + 20;
+  for (const component of components) {
+    if (component.position) continue;
+    component.position = { x: 20, y: nextY };
+    nextY += (component.size?.height || DEFAULT_SIZE.height) + 20;
+  }
+}
+
+/**
+ * Compare everything outside the component list with what the generator would emit,
+ * to tell the user when edits there will be regenerated away
+ */
+function shellMatchesGenerator(ts: typeof TS, code: string, container: TS.CallExpression, components: any[], sequencer?: any, licensing?: any): boolean {
+  const regenerated = SimpleGuiGenerator.generateSimpleComponent(convertToSimpleConfig({ components }, sequencer, licensing), 'PluginGUI');
+  const regeneratedFile = ts.createSourceFile('plugin.js', regenerated, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+  const regeneratedContainer = findContainer(ts, regeneratedFile);
+  if (!regeneratedContainer) return false;
+  return shellText(code, container) === shellText(regenerated, regeneratedContainer);
+}
+
+function shellText(code: string, container: TS.CallExpression): string {
+  const children = container.arguments.slice(2);
+  const shell = children.length === 0
+    ? code
+    : code.slice(0, children[0].getFullStart()) + code.slice(children[children.length - 1].getEnd());
+  return shell.replace(/\s+/g, '');
+}
@@ -0,0 +1,324 @@
+/**
+ * Simulator Runtime
+ * Builds the self-contained HTML the Centcom Simulator iframe runs
+ *
+ * frontend.main is transpiled and evaluated with the same `new Function(...)` contract as
+ * Centcom's loader, then rendered with a React runtime embedded in the page so the preview
+ * works offline. invoke() is answered by the plugin's mock backend (simulator.mocks) and then
+ * by a user-editable stub table, as are dialog and createCentcomAPI; every call is reported to
+ * the parent window with postMessage.
+ */
+
+import reactSource from '../../node_modules/react/cjs/react.production.js?raw';
+import reactDomSource from '../../node_modules/react-dom/cjs/react-dom.production.js?raw';
+import reactDomClientSource from '../../node_modules/react-dom/cjs/react-dom-client.production.js?raw';
+import schedulerSource from '../../node_modules/scheduler/cjs/scheduler.production.js?raw';
+import { transpilePluginCode, LOADER_GLOBALS, LOADER_RETURN } from './pluginTranspiler';
+import { CentcomUtils } from './centcomAPI';
+import { CommandMocks, getPluginMocks, resolveMockCall } from './mockBackend';
+
+/**
+ * Responses for the stubbed host APIs, keyed by command (invoke) or method (dialog).
+ * '*' answers anything not listed; `{ "$error": "message" }` makes the call reject.
+ */
+export interface SimulatorStubs {
+  invoke: Record<string, any>;
+  dialog: Record<string, any>;
+  /** Per-plugin command mocks; defaults to the document's simulator.mocks */
+  mocks?: CommandMocks;
+}
+
+export const DEFAULT_SIMULATOR_STUBS: SimulatorStubs = {
+  invoke: { '*': { success: true } },
+  dialog: { '*': null }
+};
+
+/**
+ * Parse the stub table edited in the simulator panel
+ */
+export function parseSimulatorStubs(text: string): SimulatorStubs {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e: any) {
+    throw new Error(`Stub responses are not valid JSON: ${e?.message || e}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Stub responses must be an object with "invoke" and "dialog" tables');
+  }
+  for (const key of ['invoke', 'dialog'] as const) {
+    const table = parsed[key];
+    if (table !== undefined && (typeof table !== 'object' || table === null || Array.isArray(table))) {
+      throw new Error(`"${key}" must map names to responses`);
+    }
+  }
+  return {
+    invoke: parsed.invoke || DEFAULT_SIMULATOR_STUBS.invoke,
+    dialog: parsed.dialog || DEFAULT_SIMULATOR_STUBS.dialog
+  };
+}
+
+/**
+ * JSON that is safe to place inside an inline <script>
+ */
+function toScriptJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function pageShell(title: string, body: string): string {
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width" />
+    <title>${escapeHtml(title)}</title>
+    <style>html,body,#root{height:100%;margin:0}body{font-family:ui-sans-serif,system-ui,Segoe UI,Roboto,Helvetica,Arial}</style>
+    <script>window.__SIM_PARENT_ORIGIN='*';</script>
+  </head>
+  <body>
+    <div id="root"></div>
+${body}
+  </body>
+</html>`;
+}
+
+function messageBox(text: string, tone: 'info' | 'error' = 'info'): string {
+  const style = tone === 'error'
+    ? 'margin:12px;padding:12px;border:1px solid #fca5a5;border-radius:6px;background:#fef2f2;color:#991b1b;font-size:12px;white-space:pre-wrap'
+    : 'padding:12px;color:#374151;font-size:14px;';
+  return `<div style="${style}">${escapeHtml(text)}</div>`;
+}
+
+/**
+ * Host stubs shared by every preview mode: invoke, dialog, console forwarding and error reporting
+ */
+function hostStubsScript(stubs: SimulatorStubs): string {
+  return `<script>(function(){
+  var stubs = ${toScriptJson({ invoke: stubs.invoke, dialog: stubs.dialog })};
+  var mocks = ${toScriptJson(stubs.mocks || {})};
+  var resolveMockCall = ${resolveMockCall.toString()};
+  var mockState = {};
+  var mockCalls = {};
+  var send = function(payload){ try { parent.postMessage(Object.assign({ __sim: true }, payload), window.__SIM_PARENT_ORIGIN); } catch (e) {} };
+  var describe = function(value){
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return value.message;
+    try { return JSON.stringify(value); } catch (e) { return String(value); }
+  };
+  var respond = function(table, name, kind, args){
+    var listed = Object.prototype.hasOwnProperty.call(table, name);
+    var value = listed ? table[name] : table['*'];
+    var failed = value && typeof value === 'object' && typeof value.$error === 'string';
+    send({ type: 'sim-' + kind, name: name, args: describe(args), source: listed ? 'stub' : 'default', response: failed ? undefined : describe(value), error: failed ? value.$error : undefined });
+    if (failed) return Promise.reject(new Error(value.$error));
+    return Promise.resolve(value === undefined ? null : JSON.parse(JSON.stringify(value)));
+  };
+  var invoke = function(cmd, args){
+    var name = String(cmd);
+    if (!Object.prototype.hasOwnProperty.call(mocks, name)) return respond(stubs.invoke || {}, name, 'invoke', args);
+    var call = mockCalls[name] = (mockCalls[name] || 0) + 1;
+    var started = Date.now();
+    var report = function(extra){
+      send(Object.assign({ type: 'sim-invoke', name: name, args: describe(args), source: 'mock', call: call, durationMs: Date.now() - started }, extra));
+    };
+    return resolveMockCall(mocks[name], args, mockState, call - 1).then(
+      function(value){ report({ response: describe(value) }); return value; },
+      function(error){ report({ error: describe(error) }); throw error; }
+    );
+  };
+  var dialog = new Proxy({}, { get: function(_, name){
+    if (typeof name !== 'string' || name === 'then') return undefined;
+    return function(options){ return respond(stubs.dialog || {}, name, 'dialog', options); };
+  } });
+  window.__simSend = send;
+  window.__simDescribe = describe;
+  window.invoke = invoke;
+  window.dialog = dialog;
+  window.__TAURI__ = { core: { invoke: invoke }, invoke: invoke, dialog: dialog };
+  ['log', 'info', 'warn', 'error'].forEach(function(level){
+    var original = console[level];
+    console[level] = function(){
+      send({ type: 'sim-log', level: level, value: Array.prototype.map.call(arguments, describe).join(' ') });
+      original.apply(console, arguments);
+    };
+  });
+  window.addEventListener('error', function(e){ send({ type: 'sim-error', message: e.message, line: e.lineno, column: e.colno }); });
+  window.addEventListener('unhandledrejection', function(e){ send({ type: 'sim-error', message: 'Unhandled rejection: ' + describe(e.reason && e.reason.message || e.reason) }); });
+})();</script>`;
+}
+
+/**
+ * React, ReactDOM and scheduler evaluated from their CommonJS builds, exposed as window.React / window.ReactDOM
+ */
+function reactRuntimeScript(): string {
+  const sources = {
+    'react': reactSource,
+    'react-dom': reactDomSource,
+    'react-dom/client': reactDomClientSource,
+    'scheduler': schedulerSource
+  };
+  return `<script>(function(){
+  var sources = ${toScriptJson(sources)};
+  var cache = {};
+  var require = function(name){
+    if (cache[name]) return cache[name].exports;
+    if (!Object.prototype.hasOwnProperty.call(sources, name)) throw new Error('Simulator runtime has no module ' + name);
+    var module = cache[name] = { exports: {} };
+    new Function('module', 'exports', 'require', sources[name] + '\\n//# sourceURL=simulator/' + name + '.js')(module, module.exports, require);
+    return module.exports;
+  };
+  window.React = require('react');
+  window.ReactDOM = require('react-dom/client');
+})();</script>`;
+}
+
+/**
+ * CentcomUtils methods as an object literal source. Methods are self-contained so toString() round-trips.
+ */
+function centcomUtilsSource(): string {
+  const members = Object.entries(CentcomUtils).map(([name, fn]) => {
+    const source = (fn as Function).toString();
+    // Shorthand methods serialize as `name(args) {...}`; functions and arrows need a key
+    return /^(async\s+)?(function\b|\(|[A-Za-z_$][\w$]*\s*=>)/.test(source) ? `${JSON.stringify(name)}: ${source}` : source;
+  });
+  return `{\n${members.join(',\n')}\n}`;
+}
+
+/**
+ * Evaluate loader-shaped plugin code like Centcom does and render it into #root
+ */
+function pluginLoaderScript(code: string, pluginId: string): string {
+  const params = LOADER_GLOBALS.map(name => JSON.stringify(name)).join(', ');
+  return `<script>(function(){
+  var send = window.__simSend;
+  var describe = window.__simDescribe;
+  var React = window.React;
+  var root = document.getElementById('root');
+  var showError = function(title, error){
+    send({ type: 'sim-error', message: title + ': ' + (error && error.message || error) });
+    var box = document.createElement('pre');
+    box.style.cssText = 'margin:12px;padding:12px;border:1px solid #fca5a5;border-radius:6px;background:#fef2f2;color:#991b1b;font-size:12px;white-space:pre-wrap';
+    box.textContent = title + '\\n' + (error && (error.stack || error.message) || error);
+    root.innerHTML = '';
+    root.appendChild(box);
+  };
+
+  // Heroicons are provided by the Centcom host; the simulator draws a placeholder per icon name
+  var icons = {};
+  window.HeroIcons = new Proxy({}, { get: function(_, name){
+    if (typeof name !== 'string' || name === 'then') return undefined;
+    if (!icons[name]) icons[name] = function(props){
+      return React.createElement('svg', Object.assign({ viewBox: '0 0 24 24', width: 24, height: 24, fill: 'none', stroke: 'currentColor', strokeWidth: 1.5, 'aria-label': name }, props),
+        React.createElement('rect', { x: 4, y: 4, width: 16, height: 16, rx: 3 }));
+    };
+    return icons[name];
+  } });
+
+  // createCentcomAPI: every API method becomes invoke('centcom.<method>') so it is answered by the stub table
+  var createCentcomAPI = function(id){
+    var listeners = {};
+    var local = {
+      on: function(event, callback){ (listeners[event] = listeners[event] || []).push(callback); },
+      off: function(event, callback){ listeners[event] = (listeners[event] || []).filter(function(cb){ return cb !== callback; }); },
+      destroy: function(){ listeners = {}; }
+    };
+    return new Proxy(local, { get: function(target, name){
+      if (typeof name !== 'string' || name === 'then') return undefined;
+      if (name in target) return target[name];
+      return function(){ return window.invoke('centcom.' + name, { pluginId: id, args: Array.prototype.slice.call(arguments) }); };
+    } });
+  };
+  var CentcomUtils = ${centcomUtilsSource()};
+
+  var Component;
+  try {
+    var factory = new Function(${params}, ${toScriptJson(code)} + ${toScriptJson(LOADER_RETURN)});
+    Component = factory(React, React.useState, React.useEffect, React.useCallback, React.useMemo, React.useRef, createCentcomAPI, CentcomUtils);
+  } catch (error) {
+    showError('Plugin evaluation failed', error);
+    return;
+  }
+  if (typeof Component !== 'function') {
+    showError('Plugin evaluation failed', 'frontend.main did not define PluginGUI or Component');
+    return;
+  }
+
+  class SimulatorBoundary extends React.Component {
+    constructor(props){ super(props); this.state = { error: null }; }
+    static getDerivedStateFromError(error){ return { error: error }; }
+    componentDidCatch(error){ send({ type: 'sim-error', message: 'Render failed: ' + (error && error.message || error) }); }
+    render(){
+      if (!this.state.error) return this.props.children;
+      return React.createElement('pre', { style: { margin: 12, padding: 12, border: '1px solid #fca5a5', borderRadius: 6, background: '#fef2f2', color: '#991b1b', fontSize: 12, whiteSpace: 'pre-wrap' } },
+        'Render failed\\n' + (this.state.error.stack || this.state.error.message || String(this.state.error)));
+    }
+  }
+
+  var props = {
+    pluginId: ${toScriptJson(pluginId)},
+    onDataUpdate: function(data){ send({ type: 'sim-data', value: describe(data) }); },
+    onError: function(error){ send({ type: 'sim-error', message: describe(error && error.message || error) }); }
+  };
+  window.ReactDOM.createRoot(root).render(React.createElement(SimulatorBoundary, null, React.createElement(Component, props)));
+  send({ type: 'sim-ready', pluginId: props.pluginId });
+})();</script>`;
+}
+
+/**
+ * Create a self-contained HTML string for the simulator preview from previewHtml or bundle.
+ * Priority:
+ *  - If frontend.previewHtml exists, use it directly inside our shell.
+ *  - Else if frontend.bundle exists (string of JS), inject it in a <script>.
+ *  - Else fallback to a placeholder message (we avoid JSX and external CDNs to keep offline and safe).
+ */
+export function buildSimulatorPreviewHtml(pluginJson: any, stubs: SimulatorStubs = DEFAULT_SIMULATOR_STUBS): string {
+  stubs = { ...stubs, mocks: stubs.mocks ?? getPluginMocks(pluginJson) };
+  const name = (pluginJson?.metadata?.name || 'Plugin Preview').toString();
+  const previewHtml = pluginJson?.frontend?.previewHtml;
+  const bundleJs = pluginJson?.frontend?.bundle;
+
+  // If explicit preview HTML is provided, use it
+  if (typeof previewHtml === 'string' && previewHtml.trim().length > 0) {
+    return pageShell(name, `${hostStubsScript(stubs)}${previewHtml}`);
+  }
+
+  // If we have a bundle, inject it with the host stubs and the React runtime
+  if (typeof bundleJs === 'string' && bundleJs.trim().length > 0) {
+    const bundle = `<script>${bundleJs.replace(/<\/script/gi, '<\\/script')}\n//# sourceURL=plugin-bundle.js</script>`;
+    return pageShell(name, `${hostStubsScript(stubs)}${reactRuntimeScript()}${bundle}`);
+  }
+
+  // Fallback: message
+  return pageShell(name, messageBox(`Preview unavailable. Provide 'frontend.main', 'frontend.previewHtml' or a compiled 'frontend.bundle' in your .lycplugin to enable the in-app preview.`));
+}
+
+/**
+ * Build the simulator page for a plugin the way Centcom would show it.
+ * frontend.main is transpiled and run through the loader contract; plugins without it fall
+ * back to previewHtml or bundle.
+ */
+export async function buildCentcomPreviewHtml(pluginJson: any, stubs: SimulatorStubs = DEFAULT_SIMULATOR_STUBS): Promise<string> {
+  const main = pluginJson?.frontend?.main;
+  if (typeof main !== 'string' || main.trim().length === 0) {
+    return buildSimulatorPreviewHtml(pluginJson, stubs);
+  }
+
+  const meta = pluginJson?.metadata || {};
+  const name = (meta.name || 'Plugin Preview').toString();
+  const transpiled = await transpilePluginCode(main, `${meta.id || 'plugin'}.tsx`);
+  if (!transpiled.success || !transpiled.code) {
+    const details = transpiled.diagnostics
+      .filter(d => d.severity === 'error')
+      .map(d => `${d.line}:${d.column} ${d.message}${d.frame ? `\n${d.frame}` : ''}`)
+      .join('\n\n');
+    return pageShell(name, messageBox(`frontend.main failed to transpile\n\n${details}`, 'error'));
+  }
+
+  const pluginId = String(meta.id || 'simulator-plugin');
+  stubs = { ...stubs, mocks: stubs.mocks ?? getPluginMocks(pluginJson) };
+  return pageShell(name, `${hostStubsScript(stubs)}${reactRuntimeScript()}${pluginLoaderScript(transpiled.code, pluginId)}`);
+}
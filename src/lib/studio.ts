@@ -1,10 +1,73 @@
 // src/lib/studio.ts
-import { readTextFile, writeTextFile, mkdir, BaseDirectory } from '@tauri-apps/plugin-fs';
+import { readTextFile, writeTextFile, mkdir, exists, BaseDirectory } from '@tauri-apps/plugin-fs';
 import { join, appDataDir, downloadDir } from '@tauri-apps/api/path';
 import { invoke } from '@tauri-apps/api/core';
+import { migratePluginDoc } from './pluginSchema';
+import { validatePluginDoc } from './pluginValidation';
+import { exportFileName, pluginBuildScript, pluginValidateScript } from './pluginBuild';
+import { buildSimulatorPreviewHtml } from './simulatorRuntime';
+import { LICENSE_LEDGER_FILE, LicenseLedger, parseLedger } from './licenseLedger';
+import {
+  AuthorKey,
+  KEYSTORE_FILE,
+  UnlockedKeystore,
+  createKeystore,
+  licensingSecrets,
+  parseKeystore,
+  readAuthorKey,
+  serializeKeystore,
+  unlockKeystore,
+  writeAuthorKey
+} from './keystore';
+import { sanitizePluginForExport } from './exportSanitizer';
+import {
+  BuildManifest,
+  BuildProvenance,
+  MANIFEST_SUFFIX,
+  createBuildManifest,
+  manifestPathFor,
+  sealPluginIntegrity,
+  serializeBuildManifest,
+  sha256Hex,
+  verifyPluginIntegrity
+} from './buildManifest';
+import {
+  BUILD_LOG_FILE,
+  BUILD_REGISTRY_DIR,
+  BUILD_REGISTRY_FILE,
+  BuildRecord,
+  BuildRegistry,
+  RetentionPolicy,
+  RetentionResult,
+  addBuildRecord,
+  applyRetention,
+  emptyRegistry,
+  mergeBuildHistory,
+  mergeLegacyBuilds,
+  nextBuildKey,
+  parseRegistry,
+  partitionLegacyBuilds,
+  removeBuildRecord,
+  serializeRegistry
+} from './buildRegistry';
+import {
+  TRUSTED_AUTHORS_FILE,
+  PackageVerification,
+  TrustedAuthor,
+  generateAuthorKey,
+  parseTrustedAuthors,
+  serializeTrustedAuthors,
+  signPluginPackage,
+  trustedAuthorFor,
+  verifyPluginPackage
+} from './packageSigning';
+import type { BuildJob } from './buildJobs';
+
+export { validatePluginDoc, buildSimulatorPreviewHtml };
+export type { BuildRecord, BuildRegistry, RetentionPolicy };
 
 const CONFIG_KEY = 'pluginStudioRoot'; // store in localStorage for now
-const BUILDS_KEY = 'pluginStudioBuilds';
+const BUILDS_KEY = 'pluginStudioBuilds'; // before the workspace build registry
 const PLUGIN_KEYS_KEY = 'pluginStudioPluginKeys';
 
 export async function getWorkspaceRoot(): Promise<string> {
@@ -40,12 +103,28 @@ export async function readPlugin(pluginName: string): Promise<PluginFile> {
     const res = await fetch('/custom-plugin-skeleton.lycplugin');
     if (!res.ok) throw err;
     const skeleton = await res.text();
-    const plugin = JSON.parse(skeleton);
+    const plugin = migratePluginDoc(JSON.parse(skeleton)).doc;
     plugin.metadata.id = pluginName;
     plugin.metadata.name = pluginName.replace(/-/g, ' ');
     await writeTextFile(filePath, JSON.stringify(plugin, null, 2));
     contents = JSON.stringify(plugin, null, 2);
   }
+
+  // Upgrade documents written by older studio versions and persist the result
+  let parsed: any = null;
+  try {
+    parsed = JSON.parse(contents);
+  } catch {
+    // leave unparsable files untouched; callers surface the JSON error
+  }
+  if (parsed) {
+    const result = migratePluginDoc(parsed);
+    if (result.migrated) {
+      console.log(`Migrated ${pluginName} from formatVersion ${result.fromVersion} to ${result.toVersion}:`, result.applied);
+      contents = JSON.stringify(result.doc, null, 2);
+      await writeTextFile(filePath, contents);
+    }
+  }
   return { path: filePath, contents };
 }
 
@@ -71,47 +150,19 @@ export function formatFileSize(bytes: number): string {
 
 export async function getLatestVersion(pluginName: string): Promise<string> {
   try {
-    // First check plugin metadata buildHistory
-    const file = await readPlugin(pluginName);
-    const doc = JSON.parse(file.contents);
-    const buildHistory = doc?.metadata?.buildHistory;
-    
-    if (buildHistory && buildHistory.length > 0) {
-      // Sort by build date and get latest
-      const sorted = buildHistory.sort((a: any, b: any) => new Date(b.builtAt).getTime() - new Date(a.builtAt).getTime());
-      return sorted[0].version;
-    }
-    
-    // Fall back to external builds list
-    const builds = listBuilds();
-    const pluginBuilds = builds.filter(b => b.pluginId === pluginName || b.name === pluginName);
-    if (pluginBuilds.length === 0) return 'NA';
-    
-    // Sort by build date and get latest
-    pluginBuilds.sort((a, b) => new Date(b.builtAt).getTime() - new Date(a.builtAt).getTime());
-    return pluginBuilds[0].version;
+    const builds = await getPluginBuildHistory(pluginName);
+    return builds.length > 0 ? builds[0].version : 'NA';
   } catch (error) {
     return 'NA';
   }
 }
 
-export async function getPluginBuildHistory(pluginName: string): Promise<any[]> {
+/**
+ * The plugin's builds from the workspace registry, newest first
+ */
+export async function getPluginBuildHistory(pluginName: string): Promise<BuildRecord[]> {
   try {
-    // First check plugin metadata buildHistory
-    const file = await readPlugin(pluginName);
-    const doc = JSON.parse(file.contents);
-    const buildHistory = doc?.metadata?.buildHistory;
-    
-    if (buildHistory && buildHistory.length > 0) {
-      // Sort by build date (newest first)
-      return buildHistory.sort((a: any, b: any) => new Date(b.builtAt).getTime() - new Date(a.builtAt).getTime());
-    }
-    
-    // Fall back to external builds list
-    const builds = listBuilds();
-    return builds
-      .filter(b => b.pluginId === pluginName || b.name === pluginName)
-      .sort((a, b) => new Date(b.builtAt).getTime() - new Date(a.builtAt).getTime());
+    return (await listBuilds()).filter(b => b.pluginName === pluginName || b.pluginId === pluginName || b.name === pluginName);
   } catch (error) {
     return [];
   }
@@ -125,6 +176,136 @@ export async function savePlugin(pluginName: string, data: object): Promise<{ su
   return { success: true };
 }
 
+/**
+ * The plugin's license ledger, kept beside its .lycplugin and never included in builds
+ */
+export async function readLicenseLedger(pluginName: string, pluginId: string): Promise<LicenseLedger> {
+  const root = await getWorkspaceRoot();
+  const filePath = await join(root, pluginName, LICENSE_LEDGER_FILE);
+  let contents: string | null = null;
+  try {
+    contents = await readTextFile(filePath);
+  } catch {
+    // No licenses issued yet
+  }
+  return parseLedger(contents, pluginId);
+}
+
+export async function saveLicenseLedger(pluginName: string, ledger: LicenseLedger): Promise<void> {
+  const root = await getWorkspaceRoot();
+  await writeTextFile(await join(root, pluginName, LICENSE_LEDGER_FILE), JSON.stringify(ledger, null, 2));
+}
+
+// Unlocked for the rest of the session; the passphrase itself is not kept
+let unlockedKeystore: UnlockedKeystore | null = null;
+
+async function keystorePath(): Promise<string> {
+  return await join(await appDataDir(), KEYSTORE_FILE);
+}
+
+// Null only when there is no keystore yet; a keystore that cannot be read is an error
+async function readKeystoreFile() {
+  const path = await keystorePath();
+  if (!(await exists(path))) return null;
+  return parseKeystore(await readTextFile(path));
+}
+
+export function getUnlockedKeystore(): UnlockedKeystore | null {
+  return unlockedKeystore;
+}
+
+export async function keystoreExists(): Promise<boolean> {
+  return (await readKeystoreFile()) !== null;
+}
+
+/**
+ * Unlock the keystore in the app data folder, creating it with this passphrase if there is none
+ */
+export async function openStudioKeystore(passphrase: string): Promise<UnlockedKeystore> {
+  const file = await readKeystoreFile();
+  if (file) {
+    unlockedKeystore = await unlockKeystore(file, passphrase);
+  } else {
+    const created = await createKeystore(passphrase);
+    await mkdir(await appDataDir(), { recursive: true });
+    try {
+      // createNew fails rather than replace a keystore written since it was looked for
+      await writeTextFile(await keystorePath(), serializeKeystore(created.file), { createNew: true });
+    } catch (error: any) {
+      throw new Error(`The keystore could not be created, an existing one is never replaced: ${error?.message || error}`);
+    }
+    unlockedKeystore = created;
+  }
+  return unlockedKeystore;
+}
+
+export function lockStudioKeystore() {
+  unlockedKeystore = null;
+}
+
+/**
+ * Write the unlocked keystore back after its entries changed
+ */
+export async function saveStudioKeystore(): Promise<void> {
+  if (!unlockedKeystore) throw new Error('The keystore is locked');
+  await mkdir(await appDataDir(), { recursive: true });
+  await writeTextFile(await keystorePath(), serializeKeystore(unlockedKeystore.file));
+}
+
+/**
+ * The author key that signs exported packages; null while the keystore is locked or has none
+ */
+export async function getStudioAuthorKey(): Promise<AuthorKey | null> {
+  return unlockedKeystore ? await readAuthorKey(unlockedKeystore) : null;
+}
+
+/**
+ * Create the author key in the unlocked keystore and trust it, replacing any earlier key
+ */
+export async function createStudioAuthorKey(name: string): Promise<AuthorKey> {
+  if (!unlockedKeystore) throw new Error('Unlock the keystore first; the author key is kept there');
+  const key = await generateAuthorKey(name);
+  await writeAuthorKey(unlockedKeystore, key);
+  await saveStudioKeystore();
+  await trustAuthor(key.name, key.publicKey);
+  return key;
+}
+
+async function trustedAuthorsPath(): Promise<string> {
+  return await join(await appDataDir(), TRUSTED_AUTHORS_FILE);
+}
+
+/**
+ * Author keys whose signed packages import as trusted, kept beside the keystore for pds too
+ */
+export async function readTrustedAuthors(): Promise<TrustedAuthor[]> {
+  let text: string | null = null;
+  try {
+    text = await readTextFile(await trustedAuthorsPath());
+  } catch {
+    // no list yet
+  }
+  return parseTrustedAuthors(text);
+}
+
+async function saveTrustedAuthors(list: TrustedAuthor[]): Promise<void> {
+  await mkdir(await appDataDir(), { recursive: true });
+  await writeTextFile(await trustedAuthorsPath(), serializeTrustedAuthors(list));
+}
+
+export async function trustAuthor(name: string, publicKey: string): Promise<TrustedAuthor[]> {
+  const author = await trustedAuthorFor(name, publicKey);
+  const list = [...(await readTrustedAuthors()).filter(a => a.keyId !== author.keyId), author];
+  await saveTrustedAuthors(list);
+  return list;
+}
+
+export async function untrustAuthor(keyId: string): Promise<TrustedAuthor[]> {
+  const list = (await readTrustedAuthors()).filter(a => a.keyId !== keyId);
+  await saveTrustedAuthors(list);
+  return list;
+}
+
 export async function deletePlugin(pluginName: string): Promise<{ success: boolean; stderr?: string }>{
   return await invoke('remove_plugin', { name: pluginName, workspaceRoot: await getWorkspaceRoot() });
 }
@@ -167,7 +348,7 @@ export async function createPlugin(options: CreatePluginOptions) {
     if (!res.ok) throw new Error(`Failed to load skeleton: ${res.status}`);
     skeleton = await res.text();
   }
-  const plugin = JSON.parse(skeleton);
+  const plugin = migratePluginDoc(JSON.parse(skeleton)).doc;
   plugin.metadata.id = pluginId;
   plugin.metadata.name = options.name;
 
@@ -256,23 +437,23 @@ export async function createPlugin(options: CreatePluginOptions) {
     await mkdir(`${pluginDirRel}/scripts`, { recursive: true, baseDir: BaseDirectory.AppData });
     await writeTextFile(
       `${pluginDirRel}/scripts/build.js`,
-      `import fs from 'fs';\nimport path from 'path';\nimport {exec} from 'child_process';\nconsole.log('Building plugin...');\nexec('npx vite build',(e,so,se)=>{if(so)process.stdout.write(so);if(se)process.stderr.write(se);if(e){console.error('Vite build failed');process.exit(1);}const root=process.cwd();const id='${pluginId}';const src=path.join(root,id+'.lycplugin');const dist=path.join(root,'dist');if(!fs.existsSync(dist))fs.mkdirSync(dist,{recursive:true});if(!fs.existsSync(src)){console.error('Missing .lycplugin at',src);process.exit(1);}fs.copyFileSync(src,path.join(dist,id+'.lycplugin'));console.log('Wrote',path.join(dist,id+'.lycplugin'));});\n`,
+      pluginBuildScript(pluginId),
       { baseDir: BaseDirectory.AppData }
     );
     await writeTextFile(
       `${pluginDirRel}/scripts/validate.js`,
-      `import fs from 'fs';\nimport path from 'path';\nconst p=path.join(process.cwd(),'${pluginId}.lycplugin');try{const d=JSON.parse(fs.readFileSync(p,'utf8'));if(!d.metadata||!d.metadata.id){console.error('Missing metadata.id');process.exit(1);}console.log('Validation OK');}catch(e){console.error('Validation error',e);process.exit(1);}\n`,
+      pluginValidateScript(pluginId),
       { baseDir: BaseDirectory.AppData }
     );
   } else {
     await mkdir(await join(root, pluginId, 'scripts'), { recursive: true });
     await writeTextFile(
       await join(root, pluginId, 'scripts', 'build.js'),
-      `import fs from 'fs';\nimport path from 'path';\nimport {exec} from 'child_process';\nconsole.log('Building plugin...');\nexec('npx vite build',(e,so,se)=>{if(so)process.stdout.write(so);if(se)process.stderr.write(se);if(e){console.error('Vite build failed');process.exit(1);}const root=process.cwd();const id='${pluginId}';const src=path.join(root,id+'.lycplugin');const dist=path.join(root,'dist');if(!fs.existsSync(dist))fs.mkdirSync(dist,{recursive:true});if(!fs.existsSync(src)){console.error('Missing .lycplugin at',src);process.exit(1);}fs.copyFileSync(src,path.join(dist,id+'.lycplugin'));console.log('Wrote',path.join(dist,id+'.lycplugin'));});\n`
+      pluginBuildScript(pluginId)
     );
     await writeTextFile(
       await join(root, pluginId, 'scripts', 'validate.js'),
-      `import fs from 'fs';\nimport path from 'path';\nconst p=path.join(process.cwd(),'${pluginId}.lycplugin');try{const d=JSON.parse(fs.readFileSync(p,'utf8'));if(!d.metadata||!d.metadata.id){console.error('Missing metadata.id');process.exit(1);}console.log('Validation OK');}catch(e){console.error('Validation error',e);process.exit(1);}\n`
+      pluginValidateScript(pluginId)
     );
   }
 
@@ -289,27 +470,27 @@ export async function updatePluginScriptsToESModule(pluginName: string) {
       // Update build.js
       await writeTextFile(
         `plugins/${pluginName}/scripts/build.js`,
-        `import fs from 'fs';\nimport path from 'path';\nimport {exec} from 'child_process';\nconsole.log('Building plugin...');\nexec('npx vite build',(e,so,se)=>{if(so)process.stdout.write(so);if(se)process.stderr.write(se);if(e){console.error('Vite build failed');process.exit(1);}const root=process.cwd();const id='${pluginName}';const src=path.join(root,id+'.lycplugin');const dist=path.join(root,'dist');if(!fs.existsSync(dist))fs.mkdirSync(dist,{recursive:true});if(!fs.existsSync(src)){console.error('Missing .lycplugin at',src);process.exit(1);}fs.copyFileSync(src,path.join(dist,id+'.lycplugin'));console.log('Wrote',path.join(dist,id+'.lycplugin'));});\n`,
+        pluginBuildScript(pluginName),
         { baseDir: BaseDirectory.AppData }
       );
       
       // Update validate.js
       await writeTextFile(
         `plugins/${pluginName}/scripts/validate.js`,
-        `import fs from 'fs';\nimport path from 'path';\nconst p=path.join(process.cwd(),'${pluginName}.lycplugin');try{const d=JSON.parse(fs.readFileSync(p,'utf8'));if(!d.metadata||!d.metadata.id){console.error('Missing metadata.id');process.exit(1);}console.log('Validation OK');}catch(e){console.error('Validation error',e);process.exit(1);}\n`,
+        pluginValidateScript(pluginName),
         { baseDir: BaseDirectory.AppData }
       );
     } else {
       // Update build.js
       await writeTextFile(
         await join(root, pluginName, 'scripts', 'build.js'),
-        `import fs from 'fs';\nimport path from 'path';\nimport {exec} from 'child_process';\nconsole.log('Building plugin...');\nexec('npx vite build',(e,so,se)=>{if(so)process.stdout.write(so);if(se)process.stderr.write(se);if(e){console.error('Vite build failed');process.exit(1);}const root=process.cwd();const id='${pluginName}';const src=path.join(root,id+'.lycplugin');const dist=path.join(root,'dist');if(!fs.existsSync(dist))fs.mkdirSync(dist,{recursive:true});if(!fs.existsSync(src)){console.error('Missing .lycplugin at',src);process.exit(1);}fs.copyFileSync(src,path.join(dist,id+'.lycplugin'));console.log('Wrote',path.join(dist,id+'.lycplugin'));});\n`
+        pluginBuildScript(pluginName)
       );
       
       // Update validate.js
       await writeTextFile(
         await join(root, pluginName, 'scripts', 'validate.js'),
-        `import fs from 'fs';\nimport path from 'path';\nconst p=path.join(process.cwd(),'${pluginName}.lycplugin');try{const d=JSON.parse(fs.readFileSync(p,'utf8'));if(!d.metadata||!d.metadata.id){console.error('Missing metadata.id');process.exit(1);}console.log('Validation OK');}catch(e){console.error('Validation error',e);process.exit(1);}\n`
+        pluginValidateScript(pluginName)
       );
     }
     
@@ -326,15 +507,23 @@ export async function runDev(pluginName: string) {
   const dir = await join(root, pluginName);
   return await invoke<{ success: boolean; stdout: string; stderr: string }>('run_npm', { dir, script: 'dev' });
 }
-export async function installDependencies(pluginName: string) {
+/**
+ * With a job, the output streams to it as npm runs and the job can stop it
+ */
+export async function installDependencies(pluginName: string, job?: BuildJob) {
   const root = await getWorkspaceRoot();
   const dir = await join(root, pluginName);
+  if (job) return await job.runNpm(dir, ['install']);
   return await invoke<{ success: boolean; stdout: string; stderr: string }>('run_npm_command', { dir, command: 'install' });
 }
 
-export async function runBuild(pluginName: string) {
+/**
+ * With a job, the output streams to it as npm runs and the job can stop it
+ */
+export async function runBuild(pluginName: string, job?: BuildJob) {
   const root = await getWorkspaceRoot();
   const dir = await join(root, pluginName);
+  if (job) return await job.runNpm(dir, ['run', 'build']);
   return await invoke<{ success: boolean; stdout: string; stderr: string }>('run_npm', { dir, script: 'build' });
 }
 export async function runValidate(pluginName: string) {
@@ -355,9 +544,22 @@ export async function getBuiltArtifactPath(pluginName: string): Promise<string>
 /**
  * Copies the built .lycplugin into the user's Downloads folder with a friendly filename.
  * If a built artifact is not present, falls back to the source .lycplugin in the plugin folder.
+ * Licensing secrets are stripped on the way (the dist artifact is rewritten too), and a secret
+ * found in the plugin's code or metadata stops the export.
+ * Right after a build, pass its `build` provenance: the artifact is sealed with an integrity
+ * block and dist/<plugin>.manifest.json is written beside it. Otherwise an artifact whose
+ * integrity block no longer matches stops the export, and one without a block is sealed.
+ * A package sealed here is signed with the author key when the keystore is unlocked.
  * Returns the absolute path of the saved file.
  */
-export async function exportBuiltPluginToDownloads(pluginName: string): Promise<{ savedPath: string; fromDist: boolean }>{
+export async function exportBuiltPluginToDownloads(pluginName: string, build?: BuildProvenance): Promise<{
+  savedPath: string;
+  fromDist: boolean;
+  removed: string[];
+  manifest?: BuildManifest;
+  /** Author the package is signed by; unset when it is not signed */
+  signedBy?: string;
+}>{
   const root = await getWorkspaceRoot();
   const pluginDir = await join(root, pluginName);
   const srcFromDist = await getBuiltArtifactPath(pluginName);
@@ -373,10 +575,52 @@ export async function exportBuiltPluginToDownloads(pluginName: string): Promise<
     fromDist = false;
   }
 
+  let parsed: any;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (error: any) {
+    throw new Error(`${sourcePath} is not valid JSON: ${error.message}`);
+  }
+  // Without the keystore only inline secrets are known, which the leak check still covers.
+  // A built artifact has lost its keyId already; the source document still names the key.
+  let secrets = {};
+  try {
+    const source = fromDist ? JSON.parse(await readTextFile(await join(pluginDir, `${pluginName}.lycplugin`))) : parsed;
+    secrets = await licensingSecrets({ ...parsed?.licensing, keyId: source?.licensing?.keyId }, unlockedKeystore);
+  } catch (error: any) {
+    console.warn('Could not read keystore secrets for the export check:', error?.message || error);
+  }
+  const sanitized = sanitizePluginForExport(parsed, secrets);
+  if (sanitized.leaks.length > 0) {
+    throw new Error(`Export stopped, secrets would leave with the plugin: ${sanitized.leaks.join('; ')}`);
+  }
+  // Nothing was removed when the artifact is kept as it is. A source document is always
+  // sealed afresh, since one saved from an imported plugin keeps that plugin's stale block.
+  let shipped = parsed;
+  if (build || !fromDist || sanitized.removed.length > 0 || !parsed?.integrity) {
+    shipped = await sealPluginIntegrity(sanitized.doc, build);
+    const author = await getStudioAuthorKey();
+    if (author) shipped = await signPluginPackage(shipped, author);
+  } else {
+    const integrity = await verifyPluginIntegrity(parsed);
+    if (integrity.status !== 'valid') {
+      throw new Error(`Export stopped, ${sourcePath} changed after it was built: ${integrity.problems.join('; ')}. Build the plugin again.`);
+    }
+  }
+  let manifest: BuildManifest | undefined;
+  if (shipped !== parsed) {
+    contents = JSON.stringify(shipped, null, 2);
+    if (fromDist) await writeTextFile(sourcePath, contents);
+  }
+  if (build && fromDist) {
+    manifest = await createBuildManifest(shipped, contents, `${pluginName}.lycplugin`, build);
+    await writeTextFile(manifestPathFor(sourcePath), serializeBuildManifest(manifest));
+  }
+
   // Determine friendly filename using metadata ID (not display name)
   let friendlyName = `${pluginName}.lycplugin`;
   try {
-    const doc = JSON.parse(contents);
+    const doc = shipped;
     const meta = doc?.metadata || {};
     
     // DEBUG: Log what's actually in the exported file
@@ -389,10 +633,7 @@ export async function exportBuiltPluginToDownloads(pluginName: string): Promise<
     console.log('fromDist:', fromDist);
     console.log('sourcePath:', sourcePath);
     
-    // Use plugin ID instead of display name to ensure consistency with route
-    const pluginId = (meta.id || pluginName).toString().toLowerCase().replace(/\s+/g, '-');
-    const version = (meta.version || '1.0.0').toString();
-    friendlyName = `${pluginId}-v${version}.lycplugin`;
+    friendlyName = exportFileName(doc, pluginName);
     
     console.log('Final filename:', friendlyName);
     console.log('==================');
@@ -409,7 +650,7 @@ export async function exportBuiltPluginToDownloads(pluginName: string): Promise<
   }
   const targetPath = await join(downloads, friendlyName);
   await writeTextFile(targetPath, contents);
-  return { savedPath: targetPath, fromDist };
+  return { savedPath: targetPath, fromDist, removed: sanitized.removed, manifest, signedBy: shipped.signature?.author };
 }
 
 /**
@@ -437,296 +678,258 @@ export async function simulateCentcomValidation(pluginName: string): Promise<{
     errors.push(`Failed to read/parse plugin file: ${e?.message || e}`);
     return { ok: false, errors, warnings, info };
   }
+  try {
+    const result = migratePluginDoc(doc);
+    doc = result.doc;
+    result.applied.forEach(m => info.push(`Migration ${m}`));
+  } catch (e: any) {
+    errors.push(e?.message || String(e));
+    return { ok: false, errors, warnings, info };
+  }
   return validatePluginDoc(doc, info);
 }
 
-function validatePluginDocInternal(doc: any, infoSeed: string[] = []) {
-  const errors: string[] = [];
-  const warnings: string[] = [];
-  const info: string[] = [...infoSeed];
+/** A .lycplugin read from outside the workspace, with the result of its signature check */
+export type ImportedPlugin = {
+  path: string;
+  doc: any;
+  verification: PackageVerification;
+};
 
-  const meta = doc?.metadata || {};
-  if (!meta.id || typeof meta.id !== 'string') errors.push('metadata.id is required');
-  if (!meta.name || typeof meta.name !== 'string') errors.push('metadata.name is required');
-  if (!meta.version || typeof meta.version !== 'string') warnings.push('metadata.version missing, defaulting to 1.0.0');
-  
-  // Enhanced route validation and auto-fix
-  const expectedRoute = `/${meta.id || 'plugin'}`;
-  
-  // Check for problematic routes
-  if (!meta.route || typeof meta.route !== 'string' || 
-      meta.route.startsWith('#') || 
-      meta.route.trim() === '' ||
-      meta.route === '/') {
-    warnings.push(`metadata.route missing or invalid (${meta.route}), auto-setting to: ${expectedRoute}`);
-    if (doc.metadata) {
-      doc.metadata.route = expectedRoute;
-    } else {
-      doc.metadata = { ...meta, route: expectedRoute };
-    }
-  }
-  // Check if route doesn't match the plugin ID (common mismatch issue)
-  else if (meta.route !== expectedRoute && !meta.route.startsWith('/api/')) {
-    warnings.push(`metadata.route (${meta.route}) doesn't match plugin ID, updating to: ${expectedRoute}`);
-    if (doc.metadata) {
-      doc.metadata.route = expectedRoute;
-    } else {
-      doc.metadata = { ...meta, route: expectedRoute };
-    }
-  }
-  
-  // Validate and fix icon field
-  if (!meta.icon || typeof meta.icon !== 'string' || meta.icon.trim() === '') {
-    warnings.push(`metadata.icon missing, defaulting to: CubeIcon`);
-    if (doc.metadata) {
-      doc.metadata.icon = 'CubeIcon';
-    } else {
-      doc.metadata = { ...meta, icon: 'CubeIcon' };
-    }
-  } else {
-    // Check if icon name is valid (should not contain URLs or paths)
-    if (meta.icon.includes('/') || meta.icon.includes('http') || meta.icon.includes('.')) {
-      warnings.push(`metadata.icon contains invalid characters (${meta.icon}), defaulting to: CubeIcon`);
-      if (doc.metadata) {
-        doc.metadata.icon = 'CubeIcon';
-      } else {
-        doc.metadata = { ...meta, icon: 'CubeIcon' };
-      }
+/**
+ * Open a .lycplugin file from disk and return parsed JSON and path.
+ */
+export async function openLycpPluginFromDisk(): Promise<ImportedPlugin | null> {
+  // Use the in-app file selector by prompting the user via the opener capability
+  // Since @tauri-apps/api/dialog might not be available, leverage a simple prompt fallback.
+  // If you later add the dialog plugin, replace this with dialog.open.
+  const selected = prompt('Select .lycplugin file (enter full path)');
+  if (!selected || Array.isArray(selected)) return null;
+  // Permit FS access to the chosen directory
+  const filePath = String(selected);
+  const dir = filePath.replace(/[\\/][^\\/]*$/, '');
+  try { await invoke('allow_fs_dir', { dir, recursive: true }); } catch {}
+  return await importPluginFile(filePath);
+}
+
+/** Files kept with a build in its registry folder */
+export type BuildFiles = {
+  /** The .lycplugin as shipped; copied into the registry */
+  artifactPath?: string;
+  manifest?: BuildManifest;
+  logs?: string[];
+};
+
+// Builds before the registry were kept here, per app rather than per workspace
+const LEGACY_BUILD_COUNTER_KEY = 'pluginStudioBuildCounter';
+
+// Registry reads and changes run one at a time, so two changes never overwrite each other
+let registryQueue: Promise<unknown> = Promise.resolve();
+
+function withBuildRegistry<T>(use: (registry: BuildRegistry, root: string) => Promise<T>, save: boolean): Promise<T> {
+  const next = registryQueue.then(async () => {
+    const root = await getWorkspaceRoot();
+    const registry = await loadBuildRegistry(root);
+    const result = await use(registry, root);
+    if (save) await saveBuildRegistry(root, registry);
+    return result;
+  });
+  registryQueue = next.catch(() => {});
+  return next;
+}
+
+async function buildDir(root: string, key: string): Promise<string> {
+  return await join(root, BUILD_REGISTRY_DIR, key);
+}
+
+async function saveBuildRegistry(root: string, registry: BuildRegistry): Promise<void> {
+  const dir = await join(root, BUILD_REGISTRY_DIR);
+  try { await invoke('allow_fs_dir', { dir: root, recursive: true }); } catch {}
+  await mkdir(dir, { recursive: true });
+  await writeTextFile(await join(dir, BUILD_REGISTRY_FILE), serializeRegistry(registry));
+}
+
+/**
+ * Read the workspace's registry. Build records localStorage kept for this workspace's plugins
+ * are moved into it, their logs written out beside them; records of other plugins stay for the
+ * workspace that holds them. A new registry starts with the plugins' metadata.buildHistory,
+ * which is imported only then.
+ */
+async function loadBuildRegistry(root: string): Promise<BuildRegistry> {
+  let text: string | null = null;
+  try {
+    text = await readTextFile(await join(root, BUILD_REGISTRY_DIR, BUILD_REGISTRY_FILE));
+  } catch {
+    // no builds recorded in this workspace yet
+  }
+  const existing = parseRegistry(text);
+  const registry = existing || emptyRegistry();
+  const legacy = localStorage.getItem(BUILDS_KEY);
+  if (existing && legacy === null) return registry;
+
+  const plugins = await workspacePluginDocs(root);
+  let rest: any[] = [];
+  if (legacy !== null) {
+    let list: unknown = [];
+    try { list = JSON.parse(legacy); } catch {}
+    const ids = new Set(plugins.flatMap(({ name, doc }) => [name, doc?.metadata?.id].filter((id): id is string => typeof id === 'string')));
+    const partition = partitionLegacyBuilds(list, ids);
+    rest = partition.rest;
+    // Nothing of this workspace's left to move; the rest waits for other workspaces
+    if (existing && partition.matching.length === 0 && rest.length > 0) return registry;
+
+    const counter = parseInt(localStorage.getItem(LEGACY_BUILD_COUNTER_KEY) || '0', 10);
+    for (const record of mergeLegacyBuilds(registry, partition.matching, counter)) {
+      if (!record.buildLogs?.length) continue;
+      const dir = await buildDir(root, record.key);
+      await mkdir(dir, { recursive: true });
+      await writeTextFile(await join(dir, BUILD_LOG_FILE), record.buildLogs.join('\n'));
+      record.log = BUILD_LOG_FILE;
+      delete record.buildLogs;
     }
   }
-  if (Array.isArray(meta.permissions) && meta.permissions.length === 0) warnings.push('metadata.permissions is empty');
-
-  if (!doc.frontend || (!doc.frontend.main && !doc.frontend.previewHtml && !doc.frontend.bundle)) {
-    errors.push('frontend.main, frontend.previewHtml or frontend.bundle required');
-  } else {
-    if (typeof doc.frontend.main === 'string' && doc.frontend.main.trim().length > 0) info.push('frontend.main exists');
-    if (typeof doc.frontend.previewHtml === 'string' && doc.frontend.previewHtml.trim().length > 0) info.push('frontend.previewHtml exists');
-    if (typeof doc.frontend.bundle === 'string' && doc.frontend.bundle.trim().length > 0) info.push('frontend.bundle exists');
+  // Merged after the localStorage records, which share their keys and carry the logs
+  if (!existing) {
+    plugins.forEach(({ name, doc }) => mergeBuildHistory(registry, doc, name));
   }
-
-  if (!doc.backend || typeof doc.backend.main !== 'string' || doc.backend.main.trim().length === 0) {
-    warnings.push('backend.main (Rust source) missing; backend commands will not be available in Centcom');
+  await saveBuildRegistry(root, registry);
+  if (rest.length > 0) {
+    // The counter stays too, so keys of builds moved later do not collide
+    localStorage.setItem(BUILDS_KEY, JSON.stringify(rest));
   } else {
-    info.push('backend.main exists');
-  }
-
-  if (doc.sequencer && Array.isArray(doc.sequencer.steps)) {
-    const steps = doc.sequencer.steps;
-    if (steps.length === 0) warnings.push('sequencer.steps is empty');
-    steps.forEach((s: any, idx: number) => {
-      if (!s.id) errors.push(`sequencer.steps[${idx}].id is required`);
-      if (!s.command) warnings.push(`sequencer.steps[${idx}].command is missing`);
-    });
-    info.push(`Sequencer: ${steps.length} step(s)`);
+    localStorage.removeItem(BUILDS_KEY);
+    localStorage.removeItem(LEGACY_BUILD_COUNTER_KEY);
   }
+  return registry;
+}
 
-  const declared: string[] = Array.isArray(meta.tauriCommands) ? meta.tauriCommands : [];
-  const used = new Set<string>();
-  if (doc.sequencer && Array.isArray(doc.sequencer.steps)) {
-    for (const s of doc.sequencer.steps) if (s?.command) used.add(String(s.command));
-  }
-  for (const u of used) {
-    if (!declared.includes(u)) warnings.push(`Command '${u}' used in sequencer but not declared in metadata.tauriCommands`);
+// The workspace's plugin documents, read without the skeleton fallback of readPlugin
+async function workspacePluginDocs(root: string): Promise<{ name: string; doc: any }[]> {
+  const docs: { name: string; doc: any }[] = [];
+  for (const name of await listPlugins()) {
+    try {
+      docs.push({ name, doc: JSON.parse(await readTextFile(await join(root, name, `${name}.lycplugin`))) });
+    } catch {
+      // not a plugin folder
+    }
   }
-  if (declared.length && used.size === 0) warnings.push('metadata.tauriCommands declared but not referenced by sequencer');
+  return docs;
+}
 
-  // Validate licensing configuration if enabled
-  if (doc.licensing && doc.licensing.enabled) {
-    info.push('Licensing system enabled');
-    
-    if (doc.licensing.requiresLicense) {
-      info.push('Plugin requires valid license');
-      
-      // Check license tiers
-      if (!doc.licensing.tiers || doc.licensing.tiers.length === 0) {
-        errors.push('At least one license tier must be defined when licensing is required');
-      } else {
-        doc.licensing.tiers.forEach((tier: any, index: number) => {
-          if (!tier.name) {
-            errors.push(`License tier ${index + 1}: name is required`);
-          }
-          if (tier.price < 0) {
-            errors.push(`License tier ${index + 1}: price cannot be negative`);
-          }
-          if (tier.duration !== 'perpetual' && (!tier.durationValue || tier.durationValue <= 0)) {
-            errors.push(`License tier ${index + 1}: duration value must be positive for non-perpetual licenses`);
-          }
-        });
-        info.push(`License tiers: ${doc.licensing.tiers.length} defined`);
-      }
-      
-      // Check cryptography configuration
-      if (!doc.licensing.cryptography) {
-        warnings.push('Cryptography configuration missing - using defaults');
-      } else {
-        if (!doc.licensing.cryptography.publicKey && !doc.licensing.cryptography.privateKey) {
-          warnings.push('No cryptographic keys generated - licenses cannot be signed or verified');
-        }
-        info.push(`Cryptography: ${doc.licensing.cryptography.algorithm || 'RSA-2048'}`);
-      }
-      
-      // Check remote validation
-      if (doc.licensing.remoteValidation && doc.licensing.remoteValidation.enabled) {
-        if (!doc.licensing.remoteValidation.endpoint) {
-          errors.push('Remote validation endpoint is required when remote validation is enabled');
-        } else {
-          info.push('Remote license validation enabled');
-        }
-      }
-      
-      // Check features
-      if (doc.licensing.features && doc.licensing.features.length > 0) {
-        info.push(`License-controlled features: ${doc.licensing.features.length}`);
-      }
-    } else {
-      info.push('Plugin licensing enabled but not required (optional licensing)');
+// Folders of dropped builds go entirely; trimmed builds keep their log
+async function removeBuildFiles(root: string, retention: RetentionResult): Promise<void> {
+  const removals = [
+    ...retention.removed.map(record => ({ key: record.key, files: null as string[] | null })),
+    ...retention.strippedArtifacts
+  ];
+  for (const { key, files } of removals) {
+    try {
+      await invoke('remove_build', { workspaceRoot: root, key, files });
+    } catch (error: any) {
+      console.warn(`Could not remove the files of build ${key}:`, error?.message || error);
     }
   }
+}
 
-  const ok = errors.length === 0;
-  if (ok) info.push('Validation OK');
-  return { ok, errors, warnings, info };
+/**
+ * The workspace's build registry, newest build first
+ */
+export async function readBuildRegistry(): Promise<BuildRegistry> {
+  return await withBuildRegistry(async registry => registry, false);
 }
 
-export function validatePluginDoc(doc: any, seedInfo: string[] = []) {
-  return validatePluginDocInternal(doc, seedInfo);
+export async function listBuilds(): Promise<BuildRecord[]> {
+  return (await readBuildRegistry()).builds;
 }
 
 /**
- * Create a self-contained HTML string for the simulator preview.
- * Priority:
- *  - If frontend.previewHtml exists, use it directly inside our shell.
- *  - Else if frontend.bundle exists (string of JS), inject it in a <script>.
- *  - Else fallback to a placeholder message (we avoid JSX and external CDNs to keep offline and safe).
+ * Record a build, keeping a copy of its artifact, its manifest and its log in `.builds/<key>/`,
+ * then apply the retention policy. Resolves to the registry's builds.
  */
-export function buildSimulatorPreviewHtml(pluginJson: any): string {
-  const name = (pluginJson?.metadata?.name || 'Plugin Preview').toString();
-  const previewHtml = pluginJson?.frontend?.previewHtml;
-  const bundleJs = pluginJson?.frontend?.bundle;
-  const shellStart = `<!doctype html>
-<html>
-  <head>
-    <meta charset="utf-8" />
-    <meta name="viewport" content="width=device-width" />
-    <title>${name}</title>
-    <style>html,body,#root{height:100%;margin:0}body{font-family:ui-sans-serif,system-ui,Segoe UI,Roboto,Helvetica,Arial}</style>
-    <script>window.__SIM_PARENT_ORIGIN='*';</script>
-  </head>
-  <body>
-    <div id="root"></div>
-`;
-  const shellEnd = `
-  </body>
-</html>`;
-
-  // If explicit preview HTML is provided, use it
-  if (typeof previewHtml === 'string' && previewHtml.trim().length > 0) {
-    return `${shellStart}${previewHtml}${shellEnd}`;
-  }
-
-  // If we have a bundle, inject it with minimal stubs
-  if (typeof bundleJs === 'string' && bundleJs.trim().length > 0) {
-    const boot = `
-    <script>(function(){
-      const send = (payload) => { try { parent.postMessage({ __sim: true, ...payload }, window.__SIM_PARENT_ORIGIN); } catch(e) {} };
-      const dialog = { open: async () => (null) };
-      const invoke = async (cmd, args) => { send({ type:'sim-invoke', cmd, args }); return { success:true }; };
-      window.invoke = invoke; window.dialog = dialog;
-      const _cl = console.log; console.log = function(){ try{ send({ type: 'sim-log', value: Array.from(arguments).map(String).join(' ') }); }catch(e){}; _cl.apply(console, arguments); };
-    })();</script>
-    <script>${bundleJs}\n//# sourceURL=plugin-bundle.js</script>`;
-    return `${shellStart}${boot}${shellEnd}`;
-  }
-
-  // Fallback: message
-  const msg = `<div style="padding:12px;color:#374151;font-size:14px;">Preview unavailable. Provide 'frontend.previewHtml' or a compiled 'frontend.bundle' in your .lycplugin to enable the in-app preview.</div>`;
-  return `${shellStart}${msg}${shellEnd}`;
+export async function addBuild(record: BuildRecord, files: BuildFiles = {}): Promise<BuildRecord[]> {
+  return await withBuildRegistry(async (registry, root) => {
+    const dir = await buildDir(root, record.key);
+    await mkdir(dir, { recursive: true });
+    const kept: BuildRecord = { ...record };
+    delete kept.buildLogs;
+    if (files.artifactPath) {
+      const artifact = await readTextFile(files.artifactPath);
+      kept.artifact = files.artifactPath.replace(/^.*[\\/]/, '');
+      kept.sha256 = await sha256Hex(artifact);
+      await writeTextFile(await join(dir, kept.artifact), artifact);
+    }
+    if (files.manifest) {
+      kept.manifest = files.manifest.artifact.file.replace(/\.lycplugin$/i, '') + MANIFEST_SUFFIX;
+      await writeTextFile(await join(dir, kept.manifest), serializeBuildManifest(files.manifest));
+    }
+    if (files.logs) {
+      kept.log = BUILD_LOG_FILE;
+      await writeTextFile(await join(dir, BUILD_LOG_FILE), files.logs.join('\n'));
+    }
+    addBuildRecord(registry, kept);
+    await removeBuildFiles(root, applyRetention(registry));
+    return registry.builds;
+  }, true);
 }
 
 /**
- * Open a .lycplugin file from disk and return parsed JSON and path.
+ * Delete a build's record and its folder. Resolves to the registry's builds.
  */
-export async function openLycpPluginFromDisk(): Promise<{ path: string; doc: any } | null> {
-  // Use the in-app file selector by prompting the user via the opener capability
-  // Since @tauri-apps/api/dialog might not be available, leverage a simple prompt fallback.
-  // If you later add the dialog plugin, replace this with dialog.open.
-  const selected = prompt('Select .lycplugin file (enter full path)');
-  if (!selected || Array.isArray(selected)) return null;
-  // Permit FS access to the chosen directory
-  const filePath = String(selected);
-  const dir = filePath.replace(/[\\/][^\\/]*$/, '');
-  try { await invoke('allow_fs_dir', { dir, recursive: true }); } catch {}
-  const text = await readTextFile(filePath);
-  const doc = JSON.parse(text);
-  return { path: filePath, doc };
+export async function deleteBuild(key: string): Promise<BuildRecord[]> {
+  return await withBuildRegistry(async (registry, root) => {
+    const record = removeBuildRecord(registry, key);
+    if (record) await removeBuildFiles(root, { removed: [record], strippedArtifacts: [] });
+    return registry.builds;
+  }, true);
 }
 
-export type BuildRecord = {
-  key: string;
-  path: string;
-  pluginId: string;
-  name: string;
-  version: string;
-  filename: string;
-  builtAt: string; // ISO
-  icon?: string;
-  buildName?: string;
-  releaseNotes?: string;
-  buildLogs?: string[];
-  extra?: Record<string, any>;
-};
+/**
+ * Reserve the next build key: BLD-001, BLD-002, ... Keys are never reused within a workspace.
+ */
+export async function makeBuildKey(): Promise<string> {
+  return await withBuildRegistry(async registry => nextBuildKey(registry), true);
+}
 
-export function listBuilds(): BuildRecord[] {
-  try {
-    const raw = localStorage.getItem(BUILDS_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed as BuildRecord[];
-  } catch {
-    return [];
-  }
+/**
+ * Pin a build so retention never removes it, or unpin it
+ */
+export async function setBuildPinned(key: string, pinned: boolean): Promise<BuildRecord[]> {
+  return await withBuildRegistry(async (registry, root) => {
+    const record = registry.builds.find(b => b.key === key);
+    if (record) record.pinned = pinned || undefined;
+    await removeBuildFiles(root, applyRetention(registry));
+    return registry.builds;
+  }, true);
 }
 
-export function addBuild(record: BuildRecord) {
-  const list = listBuilds();
-  list.unshift(record);
-  localStorage.setItem(BUILDS_KEY, JSON.stringify(list));
+/**
+ * Change the retention policy and apply it right away
+ */
+export async function setBuildRetention(retention: RetentionPolicy): Promise<BuildRegistry> {
+  return await withBuildRegistry(async (registry, root) => {
+    registry.retention = { ...retention };
+    await removeBuildFiles(root, applyRetention(registry));
+    return registry;
+  }, true);
 }
 
-export function deleteBuild(key: string) {
-  const list = listBuilds().filter((b) => b.key !== key);
-  localStorage.setItem(BUILDS_KEY, JSON.stringify(list));
+/**
+ * Path of a file kept with a build (its artifact, manifest or log)
+ */
+export async function getBuildFilePath(record: BuildRecord, file: string): Promise<string> {
+  return await join(await buildDir(await getWorkspaceRoot(), record.key), file);
 }
 
-export function makeBuildKey(): string {
-  // Generate sequential key: BLD-001, BLD-002, ...
-  // Track highest number ever used, not just existing builds
-  const BUILD_COUNTER_KEY = 'pluginStudioBuildCounter';
-  
-  // Get current counter from localStorage
-  let counter = parseInt(localStorage.getItem(BUILD_COUNTER_KEY) || '0', 10);
-  
-  // Also check existing builds in case we're migrating or counter was reset
-  const allBuilds = listBuilds();
-  let maxExisting = 0;
-  for (const build of allBuilds) {
-    const m = /^BLD-(\d+)$/.exec(build.key);
-    if (m) {
-      const n = parseInt(m[1], 10);
-      if (n > maxExisting) maxExisting = n;
-    }
+/**
+ * A build's log lines; empty when none was kept
+ */
+export async function readBuildLog(record: BuildRecord): Promise<string[]> {
+  if (!record.log) return record.buildLogs || [];
+  try {
+    return (await readTextFile(await getBuildFilePath(record, record.log))).split('\n');
+  } catch {
+    return [];
   }
-  
-  // Use the higher of the two: stored counter or max from existing builds
-  counter = Math.max(counter, maxExisting);
-  
-  // Increment and save the new counter
-  counter++;
-  localStorage.setItem(BUILD_COUNTER_KEY, counter.toString());
-  
-  const padded = String(counter).padStart(3, '0');
-  return `BLD-${padded}`;
 }
 
 export function makePluginKey(): string {
@@ -779,9 +982,26 @@ export async function copyFileToDownloads(srcPath: string, destName?: string): P
   return targetPath;
 }
 
-export async function readPluginFromPath(filePath: string): Promise<any> {
+/**
+ * Writes text to a new file in the user's Downloads directory. Returns the saved path.
+ */
+export async function saveTextToDownloads(fileName: string, contents: string): Promise<string> {
+  const downloads = await downloadDir();
+  try { await invoke('allow_fs_dir', { dir: downloads, recursive: true }); } catch {}
+  const targetPath = await join(downloads, fileName);
+  await writeTextFile(targetPath, contents);
+  return targetPath;
+}
+
+export async function readPluginFromPath(filePath: string): Promise<ImportedPlugin> {
   const dir = filePath.replace(/[\\/][^\\/]*$/, '');
   try { await invoke('allow_fs_dir', { dir, recursive: true }); } catch {}
-  const text = await readTextFile(filePath);
-  return JSON.parse(text);
+  return await importPluginFile(filePath);
+}
+
+// The signature covers the package as written, so it is checked before migration changes it
+async function importPluginFile(filePath: string): Promise<ImportedPlugin> {
+  const parsed = JSON.parse(await readTextFile(filePath));
+  const verification = await verifyPluginPackage(parsed, await readTrustedAuthors());
+  return { path: filePath, doc: migratePluginDoc(parsed).doc, verification };
 }
\ No newline at end of file
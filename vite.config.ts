@@ -1,13 +1,15 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
-// @ts-expect-error process is a nodejs global
 const host = process.env.TAURI_DEV_HOST;
 
 // https://vite.dev/config/
-export default defineConfig(async () => ({
+export default defineConfig(async ({ isSsrBuild }) => ({
   plugins: [react()],
 
+  // The pds CLI (`npm run build:cli`) is an SSR build and ships without the app's static assets
+  publicDir: isSsrBuild ? (false as const) : "public",
+
   // Vite options tailored for Tauri development and only applied in `tauri dev` or `tauri build`
   //
   // 1. prevent Vite from obscuring rust errors